@@ -0,0 +1,257 @@
+import crypto from "crypto";
+import fs from "fs-extra";
+import path from "path";
+import safeParser from "postcss-safe-parser";
+import valueParser from "postcss-value-parser";
+
+/**
+ * Asset url() handling
+ *
+ * Every local url() in a declaration (and every string in image-set()) is
+ * resolved against the stylesheet's directory. Files up to `inlineLimit`
+ * bytes with a known MIME type become data URIs: base64, or URL-encoded
+ * text for SVG. Larger ones are copied into `outputDir` next to the output
+ * file under a content-hashed name (`logo.3f2a1b4c.png`) and the url() is
+ * rewritten relative to the output. Without an output file they are only
+ * checked. Remote, root-relative, `data:` and fragment-only URLs are left
+ * alone, and URLs with a query or fragment (`font.eot?#iefix`) are never
+ * inlined. Missing files are reported in `errors` and keep their url().
+ */
+
+export const MIME_TYPES = {
+  ".apng": "image/apng",
+  ".avif": "image/avif",
+  ".bmp": "image/bmp",
+  ".cur": "image/x-icon",
+  ".gif": "image/gif",
+  ".ico": "image/x-icon",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+  ".eot": "application/vnd.ms-fontobject",
+  ".otf": "font/otf",
+  ".ttf": "font/ttf",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+};
+
+const DEFAULT_INLINE_LIMIT = 4096;
+const SKIPPED = /^([a-z][a-z\d+.-]*:|\/|#)/i;
+
+/**
+ * Inline, copy or check the assets of a PostCSS root. `from` is the
+ * stylesheet path and `to` the output path; `inlineLimit` is in bytes and
+ * `outputDir` relative to the output file. Returns change records, `errors`
+ * for missing files and one entry per asset found.
+ */
+export async function processAssets(root, options = {}) {
+  const from = path.resolve(options.from || "stdin.css");
+  const state = {
+    fromDir: path.dirname(from),
+    to: options.to ? path.resolve(options.to) : null,
+    inlineLimit: options.inlineLimit ?? DEFAULT_INLINE_LIMIT,
+    outputDir: options.outputDir ?? "assets",
+    assets: new Map(),
+    changes: [],
+    errors: [],
+  };
+  const file = root.source?.input?.file || options.from || null;
+
+  const declarations = [];
+  root.walkDecls((decl) => {
+    if (/(url|image-set)\(/i.test(decl.value)) declarations.push(decl);
+  });
+
+  for (const decl of declarations) {
+    const parsed = valueParser(decl.value);
+    const before = decl.toString();
+    const messages = [];
+
+    for (const target of findUrlNodes(parsed)) {
+      const url = target.value.trim();
+      if (!url || SKIPPED.test(url)) continue;
+
+      const asset = await loadAsset(url, state);
+      if (!asset) {
+        const start = decl.source?.start || {};
+        state.errors.push({
+          rule: "asset-not-found",
+          message: `Cannot find ${url}`,
+          file,
+          line: start.line ?? null,
+          column: start.column ?? null,
+        });
+        continue;
+      }
+      if (asset.url === null || asset.url === url) continue;
+
+      // SVG data URIs use single quotes inside, so they need double ones
+      target.value = asset.url;
+      if (/[\s'"()]/.test(asset.url)) {
+        Object.assign(target, { type: "string", quote: '"' });
+      }
+      messages.push(
+        asset.inlined
+          ? `Inlined ${url} (${asset.size} bytes)`
+          : `Copied ${url} to ${asset.url}`,
+      );
+    }
+
+    if (messages.length === 0) continue;
+    decl.value = parsed.toString();
+
+    const start = decl.source?.start || {};
+    state.changes.push({
+      rule: messages[0].startsWith("Inlined") ? "inline-asset" : "copy-asset",
+      message: messages.join(", "),
+      file,
+      line: start.line ?? null,
+      column: start.column ?? null,
+      before,
+      after: decl.toString(),
+    });
+  }
+
+  // `font.eot` and `font.eot?#iefix` are one file, copied once
+  const assets = new Map();
+  for (const asset of state.assets.values()) {
+    if (!asset) continue;
+    const { source, output, inlined, size } = asset;
+    assets.set(`${source}\0${output}`, { source, output, inlined, size });
+  }
+
+  return {
+    changes: state.changes,
+    errors: state.errors,
+    assets: [...assets.values()],
+  };
+}
+
+/**
+ * Parse CSS and process its assets. With `map: true` the result also has
+ * a source map back to the input CSS.
+ */
+export async function runAssetProcessor(css, options = {}) {
+  const root = safeParser(css, { from: options.from });
+  const { changes, errors, assets } = await processAssets(root, options);
+
+  if (!options.map) {
+    return { css: root.toString(), changes, errors, assets };
+  }
+
+  const result = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return {
+    css: result.css,
+    changes,
+    errors,
+    assets,
+    map: result.map.toJSON(),
+  };
+}
+
+/**
+ * SVG markup as the text of a `data:image/svg+xml,` URI: only the
+ * characters URLs and CSS strings can't hold are escaped, so it stays
+ * smaller than base64
+ */
+export function encodeSvg(svg) {
+  return svg
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/"/g, "'")
+    .replace(/[%#<>{}|\\^`]|[^\x20-\x7e]/gu, (char) =>
+      encodeURIComponent(char),
+    );
+}
+
+/**
+ * The url() and image-set() string nodes of a parsed value
+ */
+function findUrlNodes(parsed) {
+  const nodes = [];
+
+  parsed.walk((node) => {
+    if (node.type !== "function") return undefined;
+
+    const name = node.value.toLowerCase();
+    if (name === "url") {
+      if (node.nodes[0]) nodes.push(node.nodes[0]);
+      return false;
+    }
+    if (/^(-webkit-)?image-set$/.test(name)) {
+      nodes.push(...node.nodes.filter((child) => child.type === "string"));
+    }
+    return undefined;
+  });
+
+  return nodes;
+}
+
+/**
+ * Resolve, read and inline or copy an asset once per run. `url` of the
+ * result is its new URL, null when it stays as it is; the result itself is
+ * null when the file doesn't exist.
+ */
+async function loadAsset(url, state) {
+  const [, request, suffix] = url.match(/^([^?#]*)(.*)$/);
+  let source;
+  try {
+    source = path.resolve(state.fromDir, decodeURI(request));
+  } catch (error) {
+    source = path.resolve(state.fromDir, request);
+  }
+
+  const key = `${source}${suffix}`;
+  if (state.assets.has(key)) return state.assets.get(key);
+
+  let content;
+  try {
+    content = await fs.readFile(source);
+  } catch (error) {
+    state.assets.set(key, null);
+    return null;
+  }
+
+  const extension = path.extname(source).toLowerCase();
+  const mimeType = MIME_TYPES[extension];
+  const asset = {
+    source,
+    output: null,
+    inlined: false,
+    size: content.length,
+    url: null,
+  };
+
+  if (mimeType && !suffix && content.length <= state.inlineLimit) {
+    asset.inlined = true;
+    asset.url =
+      extension === ".svg"
+        ? `data:${mimeType},${encodeSvg(content.toString("utf8"))}`
+        : `data:${mimeType};base64,${content.toString("base64")}`;
+  } else if (state.to) {
+    const hash = crypto
+      .createHash("sha256")
+      .update(content)
+      .digest("hex")
+      .slice(0, 8);
+    const outputDir = path.resolve(path.dirname(state.to), state.outputDir);
+    asset.output = path.join(
+      outputDir,
+      `${path.basename(source, path.extname(source))}.${hash}${path.extname(source)}`,
+    );
+    await fs.outputFile(asset.output, content);
+    asset.url = `${path
+      .relative(path.dirname(state.to), asset.output)
+      .split(path.sep)
+      .join("/")}${suffix}`;
+  }
+
+  state.assets.set(key, asset);
+  return asset;
+}
+
+export default runAssetProcessor;
@@ -0,0 +1,128 @@
+import path from "path";
+import safeParser from "postcss-safe-parser";
+import { parseMediaQueryList } from "./media-query-combiner.js";
+
+/**
+ * Breakpoint inventory
+ *
+ * Collects the widths `@media` queries switch at, in px (em and rem at the
+ * default 16px), with how often and where each is used and every form it
+ * is written in (`min-width: 48em`, `width >= 768px`). Breakpoints less
+ * than `tolerance` px apart, such as 767px and 768px or 1023.98px and
+ * 1024px, are reported as near duplicates: usually one breakpoint written
+ * two ways.
+ */
+
+const DEFAULT_TOLERANCE = 1;
+
+/**
+ * Add the breakpoints of a stylesheet to a collection (a Map from px to
+ * `{ px, count, forms, locations }`). `from` is its path, stored in the
+ * locations relative to `cwd`.
+ */
+export function collectBreakpoints(
+  css,
+  { from, cwd = process.cwd(), breakpoints = new Map() } = {},
+) {
+  const root = safeParser(css, { from });
+  const file = from
+    ? path.relative(cwd, path.resolve(from)).split(path.sep).join("/")
+    : null;
+
+  root.walkAtRules(/^media$/i, (atRule) => {
+    const start = atRule.source?.start || {};
+    const location = `${file || "stdin"}${start.line ? `:${start.line}:${start.column}` : ""}`;
+
+    for (const query of parseMediaQueryList(atRule.params)) {
+      for (const feature of query.features || []) {
+        if (feature.name !== "width" || feature.px === null) continue;
+
+        const entry = breakpoints.get(feature.px) || {
+          px: feature.px,
+          count: 0,
+          forms: new Set(),
+          locations: [],
+        };
+        entry.count++;
+        entry.forms.add(describeFeature(feature, atRule.params));
+        entry.locations.push(location);
+        breakpoints.set(feature.px, entry);
+      }
+    }
+  });
+
+  return breakpoints;
+}
+
+/**
+ * Pairs of neighbouring breakpoints at most `tolerance` px apart
+ */
+export function findNearDuplicates(breakpoints, tolerance = DEFAULT_TOLERANCE) {
+  const values = [...breakpoints.keys()].sort((a, b) => a - b);
+  const pairs = [];
+
+  for (let i = 1; i < values.length; i++) {
+    const difference = values[i] - values[i - 1];
+    if (difference <= tolerance) {
+      pairs.push({
+        breakpoints: [formatPx(values[i - 1]), formatPx(values[i])],
+        difference: formatPx(difference),
+      });
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * The breakpoints of a collection from smallest to largest, with their
+ * usage, forms and locations, and the near duplicates among them
+ */
+export function createBreakpointReport(
+  breakpoints,
+  { tolerance = DEFAULT_TOLERANCE } = {},
+) {
+  return {
+    breakpoints: [...breakpoints.values()]
+      .sort((a, b) => a.px - b.px)
+      .map(({ px, count, forms, locations }) => ({
+        value: formatPx(px),
+        count,
+        forms: [...forms].sort(),
+        locations,
+      })),
+    nearDuplicates: findNearDuplicates(breakpoints, tolerance),
+  };
+}
+
+/**
+ * The feature as written in the query when it can be found there, e.g.
+ * `min-width: 48em`
+ */
+function describeFeature(feature, params) {
+  const features = params.match(/\(([^()]*)\)/g) || [];
+  const written = features
+    .map((text) =>
+      text
+        .slice(1, -1)
+        .trim()
+        .replace(/\s+/g, " ")
+        .replace(/\s*:\s*/, ": "),
+    )
+    .find((text) => {
+      const query = parseMediaQueryList(`(${text})`)[0];
+      return query.features?.some(
+        (other) =>
+          other.name === feature.name &&
+          other.operator === feature.operator &&
+          other.px === feature.px,
+      );
+    });
+  return written || `width ${feature.operator} ${feature.value}`;
+}
+
+function formatPx(px) {
+  return `${Number(px.toFixed(4))}px`;
+}
+
+export default collectBreakpoints;
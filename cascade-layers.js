@@ -0,0 +1,280 @@
+import path from "path";
+import postcss from "postcss";
+import safeParser from "postcss-safe-parser";
+import { globSync } from "glob";
+import { parseImportParams } from "./import-inliner.js";
+
+/**
+ * Cascade layers
+ *
+ * Layers are ordered by where their names are first declared: in an
+ * `@layer a, b;` statement, an `@layer a { }` block or an
+ * `@import "x.css" layer(a)`. Nested layers are named after their parents
+ * (`@layer base { @layer typography { } }` is `base.typography`, and
+ * declaring `base.typography` declares `base` first), and every anonymous
+ * `@layer { }` block or `layer` import is a layer of its own. Which layer a
+ * declaration is in, not where it is written, decides between declarations
+ * of different layers, so moving a rule past rules of another layer is
+ * safe; moving a layer declaration past another one reorders the layers.
+ */
+
+// At-rules that are left out of a stylesheet when they end up empty
+const GROUPING_AT_RULES =
+  /^(media|supports|container|layer|scope|(-moz-)?document)$/i;
+
+/**
+ * Full name of every `@layer` block (anonymous ones get a name of their
+ * own, like `<anonymous 0>`), the rank of every layer in the order layers
+ * are first declared, and the blocks that declare their layer first
+ */
+export function getLayerOrder(root) {
+  const names = new Map();
+  const ranks = new Map();
+  const first = new Set();
+  let anonymous = 0;
+  const declare = (name) => {
+    const isNew = !ranks.has(name);
+    const segments = name.split(".");
+    segments.forEach((_, index) => {
+      const prefix = segments.slice(0, index + 1).join(".");
+      if (!ranks.has(prefix)) ranks.set(prefix, ranks.size);
+    });
+    return isNew;
+  };
+
+  root.walkAtRules((atRule) => {
+    const name = atRule.name.toLowerCase();
+
+    if (name === "import") {
+      const { layer } = parseImportParams(atRule.params);
+      if (layer !== null) declare(layer || `<anonymous ${anonymous++}>`);
+      return;
+    }
+    if (name !== "layer") return;
+
+    const parent = getLayerName(atRule, names);
+    const prefix = parent ? `${parent}.` : "";
+
+    if (!atRule.nodes) {
+      atRule.params
+        .split(",")
+        .map((layer) => layer.trim())
+        .filter(Boolean)
+        .forEach((layer) => declare(`${prefix}${layer}`));
+      return;
+    }
+
+    const own = atRule.params.trim() || `<anonymous ${anonymous++}>`;
+    names.set(atRule, `${prefix}${own}`);
+    if (declare(`${prefix}${own}`)) first.add(atRule);
+  });
+
+  return { names, ranks, first };
+}
+
+/**
+ * Full name of the layer a node is in, or null when it is unlayered.
+ * `names` comes from getLayerOrder.
+ */
+export function getLayerName(node, names) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (names.has(parent)) return names.get(parent);
+  }
+  return null;
+}
+
+/**
+ * Summary of the layers of a stylesheet (CSS or a PostCSS root): the named
+ * layers in order, how many are anonymous, nested or come from `@import`,
+ * and the style rules in each layer and outside all of them
+ */
+export function analyzeLayers(css, options = {}) {
+  const root =
+    typeof css === "string" ? safeParser(css, { from: options.from }) : css;
+  const { names, ranks } = getLayerOrder(root);
+
+  const imported = [];
+  root.walkAtRules(/^import$/i, (atRule) => {
+    const { layer } = parseImportParams(atRule.params);
+    if (layer !== null) imported.push(layer || "<anonymous>");
+  });
+
+  const rules = Object.fromEntries([...ranks.keys()].map((name) => [name, 0]));
+  let unlayeredRules = 0;
+  root.walkRules((rule) => {
+    if (
+      rule.parent?.type === "atrule" &&
+      /keyframes$/i.test(rule.parent.name)
+    ) {
+      return;
+    }
+    const layer = getLayerName(rule, names);
+    if (layer === null) unlayeredRules++;
+    else rules[layer]++;
+  });
+
+  const order = [...ranks.keys()];
+  return {
+    order: order.filter((name) => !name.includes("<anonymous")),
+    anonymous: order.filter((name) => /<anonymous \d+>$/.test(name)).length,
+    nested: order.filter((name) => name.includes(".")).length,
+    imported,
+    rules,
+    unlayeredRules,
+  };
+}
+
+/**
+ * Whether any of the nodes declares a layer (an `@layer` statement or block
+ * in it, or an `@import` into a layer), so that moving it past another
+ * declaration would change the layer order
+ */
+export function declaresLayers(nodes) {
+  return nodes.some((node) => {
+    if (node.type !== "atrule") return false;
+    if (isLayerDeclaration(node)) return true;
+
+    let found = false;
+    node.walkAtRules?.((atRule) => {
+      if (isLayerDeclaration(atRule)) found = true;
+    });
+    return found;
+  });
+}
+
+/**
+ * Remove the `@media`, `@supports`, `@layer` and similar blocks left
+ * without content. An empty block that is the first declaration of its
+ * layer becomes an `@layer name;` statement instead, so the layer keeps its
+ * place in the order.
+ */
+export function removeEmptyBlocks(root) {
+  const { first } = getLayerOrder(root);
+
+  // Children first, so a block emptied by its children goes too
+  const blocks = [];
+  root.walkAtRules(GROUPING_AT_RULES, (atRule) => {
+    if (atRule.nodes) blocks.unshift(atRule);
+  });
+
+  for (const atRule of blocks) {
+    if (atRule.nodes.some((node) => node.type !== "comment")) continue;
+
+    if (first.has(atRule) && atRule.params.trim()) {
+      atRule.parent.raws.semicolon = true;
+      atRule.replaceWith(
+        postcss.atRule({
+          name: atRule.name,
+          params: atRule.params.trim(),
+          raws: { before: atRule.raws.before },
+        }),
+      );
+    } else {
+      atRule.remove();
+    }
+  }
+}
+
+/**
+ * The layer a file is wrapped in: the first entry of `layers` (file globs,
+ * relative to `baseDir`, mapped to layer names) matching it, or null
+ */
+export function getLayerForFile(file, layers = {}, baseDir = process.cwd()) {
+  const resolved = path.resolve(file);
+
+  for (const [pattern, layer] of Object.entries(layers)) {
+    const files = globSync(pattern, { cwd: baseDir, absolute: true });
+    if (files.some((match) => path.resolve(match) === resolved)) return layer;
+  }
+  return null;
+}
+
+/**
+ * Wrap the unlayered top-level content of a PostCSS root in
+ * `@layer <layer> { }` blocks, one per run of unlayered nodes. `@charset`,
+ * `@import` and `@namespace` stay outside, and so do `@layer` blocks and
+ * statements and anything containing them, which would otherwise become
+ * nested layers. Returns one change record per block.
+ */
+export function wrapInLayer(root, layer, options = {}) {
+  const changes = [];
+  const file = root.source?.input?.file || options.from || null;
+  const runs = [];
+  let run = null;
+
+  root.each((node) => {
+    const wrappable =
+      node.type !== "comment" &&
+      !(
+        node.type === "atrule" &&
+        /^(charset|import|namespace)$/i.test(node.name)
+      ) &&
+      !declaresLayers([node]);
+
+    if (wrappable || (node.type === "comment" && run)) {
+      run ??= [];
+      run.push(node);
+    } else if (run) {
+      runs.push(run);
+      run = null;
+    }
+  });
+  if (run) runs.push(run);
+
+  for (const nodes of runs) {
+    const start = nodes[0].source?.start || {};
+    const end = nodes[nodes.length - 1].source?.end || {};
+    const block = postcss.atRule({
+      name: "layer",
+      params: layer,
+      raws: {
+        before: nodes[0].raws.before,
+        between: " ",
+        after: "\n",
+      },
+      source: nodes[0].source,
+    });
+    nodes[0].before(block);
+    nodes[0].raws.before = "\n";
+    block.append(nodes);
+
+    changes.push({
+      rule: "wrap-in-layer",
+      message: `Wrapped ${start.line === end.line ? `line ${start.line}` : `lines ${start.line}-${end.line}`} in \`@layer ${layer}\``,
+      file,
+      line: start.line ?? null,
+      column: start.column ?? null,
+      before: "",
+      after: `@layer ${layer}`,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Parse CSS, wrap its unlayered content in `layer` and return the new CSS
+ * and changes. With `map: true` the result also has a source map back to
+ * the input CSS.
+ */
+export function runLayerWrapper(css, options = {}) {
+  const root = safeParser(css, { from: options.from });
+  const changes = wrapInLayer(root, options.layer, options);
+
+  if (!options.map) {
+    return { css: root.toString(), changes };
+  }
+
+  const result = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { css: result.css, changes, map: result.map.toJSON() };
+}
+
+function isLayerDeclaration(atRule) {
+  const name = atRule.name.toLowerCase();
+  if (name === "layer") return true;
+  return name === "import" && parseImportParams(atRule.params).layer !== null;
+}
+
+export default getLayerOrder;
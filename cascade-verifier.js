@@ -0,0 +1,379 @@
+import safeParser from "postcss-safe-parser";
+import { getLayerOrder } from "./cascade-layers.js";
+import { normalizeMediaQuery } from "./media-query-combiner.js";
+import { getSelectorSubjects, selectorsCompete } from "./rule-merger.js";
+import { propertiesOverlap } from "./shorthand-optimizer.js";
+
+/**
+ * Cascade verification
+ *
+ * Models which declaration wins for every selector and property of a
+ * stylesheet: the declaration of the property, or of a shorthand setting
+ * it, that comes last in the cascade, taking `!important` and `@layer`
+ * order into account. Declarations compete within one selector (as
+ * written, whitespace aside) and across selectors of the same specificity
+ * that can match the same element, whose order decides between them too
+ * (`.a` and `.b` can, `h1` and `h2` or `#a` and `#b` can't).
+ * Rules inside `@media`, `@supports` and `@container` only apply while
+ * their conditions hold, so winners are computed with no condition
+ * holding, with each condition set of the stylesheet holding on its own,
+ * and with all of them holding. Media queries are compared by meaning, so
+ * `(min-width: 48em)` and `(width >= 768px)` are one condition.
+ *
+ * Comparing the models of a stylesheet before and after a transform finds
+ * the pairs where another of the competing declarations now wins: the
+ * transform reordered the cascade. Values rewritten in place (minified
+ * colors, var() references, longhands collapsed into their shorthand) and
+ * declarations removed outright are not reported.
+ */
+
+const CONDITIONAL_AT_RULES = /^(media|supports|container|(-moz-)?document)$/i;
+const SKIPPED_AT_RULES =
+  /^(-\w+-)?(keyframes|font-face|page|counter-style|font-feature-values|property)$/i;
+
+/**
+ * Cascade model of a stylesheet (CSS or a PostCSS root): every declaration
+ * of a style rule, once per selector, with its conditions, layer and order
+ */
+export function createCascadeModel(css, options = {}) {
+  const root =
+    typeof css === "string" ? safeParser(css, { from: options.from }) : css;
+  const layers = getLayerOrder(root);
+  const declarations = [];
+  const subjects = new Map();
+
+  root.walkDecls((decl) => {
+    if (decl.parent?.type !== "rule") return;
+
+    const context = getContext(decl.parent, layers);
+    if (!context) return;
+
+    const prop = decl.prop.startsWith("--")
+      ? decl.prop
+      : decl.prop.toLowerCase();
+    const value = decl.value.trim().replace(/\s+/g, " ");
+    const important = Boolean(decl.important);
+    context.selectors.forEach((selector) => {
+      if (!subjects.has(selector)) {
+        subjects.set(selector, getSelectorSubjects([selector])?.[0] ?? null);
+      }
+      declarations.push({
+        selector,
+        subject: subjects.get(selector),
+        prop,
+        id: `${prop}: ${value}${important ? " !important" : ""}`,
+        important,
+        conditions: context.conditions,
+        layerRank: context.layerRank,
+        order: declarations.length,
+        node: decl,
+      });
+    });
+  });
+
+  return { declarations };
+}
+
+/**
+ * Selector/property pairs whose winning declaration differs between two
+ * cascade models. Positions refer to the stylesheet of `before`.
+ */
+export function compareCascades(before, after) {
+  const scenarios = getScenarios([
+    ...before.declarations,
+    ...after.declarations,
+  ]);
+  const beforeBySpecificity = groupBySpecificity(before.declarations);
+  const afterBySpecificity = groupBySpecificity(after.declarations);
+  const overlaps = new Map();
+  const overlap = (a, b) => {
+    const key = `${a}\0${b}`;
+    if (!overlaps.has(key)) overlaps.set(key, propertiesOverlap(a, b));
+    return overlaps.get(key);
+  };
+
+  // A swap of two declarations is reported once, for the first property
+  // they both set
+  const differences = [];
+  const reported = new Set();
+  const report = (selectors, prop, won, wins, scenario) => {
+    const swap = `${selectors.join("\0")}\0${won.id}\0${wins.id}`;
+    if (reported.has(swap)) return;
+    reported.add(swap);
+    differences.push(describeDifference(selectors, prop, won, wins, scenario));
+  };
+
+  for (const [specificity, beforeDecls] of beforeBySpecificity) {
+    const afterDecls = afterBySpecificity.get(specificity);
+    if (!afterDecls) continue;
+
+    const props = new Set(
+      [...beforeDecls, ...afterDecls].map((decl) => decl.prop),
+    );
+    for (const prop of props) {
+      const beforeSelectors = getSelectorWinners(
+        beforeDecls.filter((decl) => overlap(decl.prop, prop)),
+        scenarios,
+      );
+      const afterSelectors = getSelectorWinners(
+        afterDecls.filter((decl) => overlap(decl.prop, prop)),
+        scenarios,
+      );
+      const selectors = [...beforeSelectors.keys()].filter((selector) =>
+        afterSelectors.has(selector),
+      );
+      // Winners in the same order, with the same ids, leave every pair as
+      // it was
+      const changed = [...scenarios.keys()].filter(
+        (at) =>
+          getRanking(selectors, beforeSelectors, at) !==
+          getRanking(selectors, afterSelectors, at),
+      );
+      if (changed.length === 0) continue;
+
+      selectors.forEach((selector, index) => {
+        const pairs = selectors
+          .slice(index)
+          .filter(
+            (other) =>
+              other === selector ||
+              selectorsCompete(
+                beforeSelectors.get(selector).subject,
+                beforeSelectors.get(other).subject,
+              ),
+          );
+
+        for (const other of pairs) {
+          const olds = [
+            beforeSelectors.get(selector),
+            beforeSelectors.get(other),
+          ];
+          const news = [
+            afterSelectors.get(selector),
+            afterSelectors.get(other),
+          ];
+
+          for (const at of changed) {
+            const won = getLater(olds[0].winners[at], olds[1].winners[at]);
+            const wins = getLater(news[0].winners[at], news[1].winners[at]);
+            if (!won || !wins || won.id === wins.id) continue;
+            if (
+              !olds.some(({ ids }) => ids.has(wins.id)) &&
+              !news.some(({ ids }) => ids.has(won.id))
+            ) {
+              continue;
+            }
+            // Across selectors, only a swap between them counts: one within
+            // a selector is reported for that selector alone
+            if (other === selector || won.selector !== wins.selector) {
+              report(
+                other === selector ? [selector] : [selector, other],
+                prop,
+                won,
+                wins,
+                scenarios[at],
+              );
+            }
+            break;
+          }
+        }
+      });
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Compare the cascades of two versions of a stylesheet
+ */
+export function verifyCascade(before, after, options = {}) {
+  const differences = compareCascades(
+    createCascadeModel(before, options),
+    createCascadeModel(after, options),
+  );
+  return { safe: differences.length === 0, differences };
+}
+
+/**
+ * Selectors, conditions and layer rank of a style rule, or null when it is
+ * not part of the cascade (a keyframe, a page margin box)
+ */
+function getContext(rule, layers) {
+  const conditions = [];
+  let layer = null;
+  let selectors = rule.selectors.map(normalizeSelector);
+
+  for (
+    let node = rule.parent;
+    node && node.type !== "root";
+    node = node.parent
+  ) {
+    if (node.type === "rule") {
+      selectors = nestSelectors(
+        node.selectors.map(normalizeSelector),
+        selectors,
+      );
+    } else if (node.type === "atrule") {
+      const name = node.name.toLowerCase();
+      if (SKIPPED_AT_RULES.test(name)) return null;
+      if (CONDITIONAL_AT_RULES.test(name)) {
+        const params =
+          name === "media"
+            ? normalizeMediaQuery(node.params)
+            : normalizeParams(node.params);
+        conditions.unshift(`@${name} ${params}`);
+      } else if (name === "layer" && layer === null) {
+        layer = layers.names.get(node);
+      }
+    }
+  }
+
+  return {
+    selectors,
+    conditions,
+    layerRank: layer === null ? Infinity : layers.ranks.get(layer),
+  };
+}
+
+/**
+ * Condition sets to compute winners for: none, each set in the
+ * stylesheets, and all conditions at once
+ */
+function getScenarios(declarations) {
+  const scenarios = new Map([["", new Set()]]);
+  const all = new Set();
+
+  declarations.forEach(({ conditions }) => {
+    conditions.forEach((condition) => all.add(condition));
+    const key = [...conditions].sort().join("\n");
+    if (!scenarios.has(key)) scenarios.set(key, new Set(conditions));
+  });
+
+  scenarios.set([...all].sort().join("\n"), all);
+  return [...scenarios.values()];
+}
+
+function getWinner(candidates, scenario) {
+  let winner = null;
+  for (const candidate of candidates) {
+    if (!candidate.conditions.every((condition) => scenario.has(condition))) {
+      continue;
+    }
+    if (!winner || compareCascadeOrder(candidate, winner) > 0) {
+      winner = candidate;
+    }
+  }
+  return winner;
+}
+
+/**
+ * Which of two competing declarations comes later in the cascade: important ones win, then (reversed for important ones)
+ * unlayered over later layers over earlier ones, then source order
+ */
+function compareCascadeOrder(a, b) {
+  if (a.important !== b.important) return a.important ? 1 : -1;
+  if (a.layerRank !== b.layerRank) {
+    const later = a.layerRank > b.layerRank ? 1 : -1;
+    return a.important ? -later : later;
+  }
+  return a.order - b.order;
+}
+
+/**
+ * The selectors' winners in a scenario, in cascade order
+ */
+function getRanking(selectors, entries, at) {
+  return selectors
+    .map((selector) => [selector, entries.get(selector).winners[at]])
+    .filter(([, winner]) => winner)
+    .sort(([, a], [, b]) => compareCascadeOrder(a, b))
+    .map(([selector, winner]) => `${selector}\0${winner.id}`)
+    .join("\n");
+}
+
+function getLater(a, b) {
+  if (!a || !b) return a || b;
+  return compareCascadeOrder(a, b) > 0 ? a : b;
+}
+
+function describeDifference(selectors, prop, before, after, scenario) {
+  const conditions = [...scenario];
+  const when = conditions.length > 0 ? ` within ${conditions.join(", ")}` : "";
+  const start = before.node.source?.start || {};
+  const subject =
+    selectors.length > 1
+      ? `elements matching \`${selectors[0]}\` and \`${selectors[1]}\``
+      : `\`${selectors[0]}\``;
+
+  return {
+    rule: "cascade-changed",
+    message: `\`${prop}\` of ${subject} resolves to \`${after.id}\` instead of \`${before.id}\`${when}`,
+    selector: selectors.join(", "),
+    property: prop,
+    conditions,
+    file: before.node.source?.input?.file || null,
+    line: start.line ?? null,
+    column: start.column ?? null,
+    before: before.id,
+    after: after.id,
+  };
+}
+
+/**
+ * Declarations grouped by the specificity of their selector; ones whose
+ * selector can't be parsed only compete within that selector
+ */
+function groupBySpecificity(declarations) {
+  const groups = new Map();
+  declarations.forEach((decl) => {
+    const key = decl.subject ? decl.subject.specificity : `?${decl.selector}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(decl);
+  });
+  return groups;
+}
+
+/**
+ * Per selector among `candidates`: its subject, the ids of its
+ * declarations and its winner in each scenario
+ */
+function getSelectorWinners(candidates, scenarios) {
+  const selectors = new Map();
+  candidates.forEach((decl) => {
+    if (!selectors.has(decl.selector)) {
+      selectors.set(decl.selector, { subject: decl.subject, decls: [] });
+    }
+    selectors.get(decl.selector).decls.push(decl);
+  });
+
+  selectors.forEach((entry) => {
+    entry.ids = new Set(entry.decls.map((decl) => decl.id));
+    entry.winners = scenarios.map((scenario) =>
+      getWinner(entry.decls, scenario),
+    );
+  });
+  return selectors;
+}
+
+/**
+ * Selectors of a nested rule resolved against its parent's: `&` stands for
+ * the parent, otherwise the parent is an ancestor
+ */
+function nestSelectors(parents, children) {
+  return parents.flatMap((parent) =>
+    children.map((child) =>
+      child.includes("&") ? child.replace(/&/g, parent) : `${parent} ${child}`,
+    ),
+  );
+}
+
+function normalizeSelector(selector) {
+  return selector.trim().replace(/\s+/g, " ");
+}
+
+function normalizeParams(params) {
+  return params.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+export default verifyCascade;
@@ -0,0 +1,138 @@
+import { matchNodes } from "./source-map-tracker.js";
+
+/**
+ * Per-stage change log
+ *
+ * Listens to a SourceMapTracker and records every rule, at-rule, declaration
+ * and comment a stage adds, removes or modifies, located at its line in the
+ * authored file. Whitespace-only changes (formatting) are not recorded.
+ * Stages that know exactly what they changed (the fix rules) report their
+ * changes with `record()` instead, which also keeps their rule ids.
+ */
+export class ChangeLog {
+  constructor(tracker, options = {}) {
+    this.tracker = tracker;
+    this.file = options.from || null;
+    this.changes = [];
+    this.reportedStages = new Set();
+
+    tracker.onTrack((previous, nodes, stage) => {
+      if (!this.reportedStages.has(stage)) {
+        this.compare(previous, nodes, stage);
+      }
+    });
+  }
+
+  /**
+   * Record changes reported by a stage. Their `line` and `column` refer to
+   * the CSS the stage received and are mapped back to the authored file.
+   */
+  record(stage, changes) {
+    this.reportedStages.add(stage);
+
+    changes.forEach((change) => {
+      const original =
+        change.line != null
+          ? this.tracker.originalPositionFor({
+              line: change.line,
+              column: (change.column || 1) - 1,
+            })
+          : null;
+
+      this.add({
+        stage,
+        rule: change.rule,
+        type: "modified",
+        message: change.message,
+        original,
+        before: change.before,
+        after: change.after,
+      });
+    });
+  }
+
+  /**
+   * Forget the changes of a stage that was undone
+   */
+  discard(stage) {
+    this.changes = this.changes.filter((change) => change.stage !== stage);
+  }
+
+  compare(previous, nodes, stage) {
+    const matches = matchNodes(previous, nodes);
+    const matched = new Uint8Array(previous.length);
+    const added = new Uint8Array(nodes.length);
+
+    matches.forEach((match, i) => {
+      const node = nodes[i];
+
+      if (match.index === -1) {
+        added[i] = 1;
+        if (node.parent !== null && added[node.parent]) return;
+        this.add({
+          stage,
+          type: "added",
+          message: `Added ${describe(node)}`,
+          original: node.original,
+          before: "",
+          after: node.snippet,
+        });
+        return;
+      }
+
+      matched[match.index] = 1;
+      if (!match.exact) {
+        const before = previous[match.index];
+        this.add({
+          stage,
+          type: "modified",
+          message: `Changed ${describe(node)}`,
+          original: before.original,
+          before: before.snippet,
+          after: node.snippet,
+        });
+      }
+    });
+
+    previous.forEach((node, index) => {
+      if (matched[index]) return;
+      if (node.parent !== null && !matched[node.parent]) return;
+      this.add({
+        stage,
+        type: "removed",
+        message: `Removed ${describe(node)}`,
+        original: node.original,
+        before: node.snippet,
+        after: "",
+      });
+    });
+  }
+
+  add({ original, rule, stage, ...change }) {
+    this.changes.push({
+      stage,
+      rule: rule || stage,
+      ...change,
+      file: this.file,
+      line: original ? original.line : null,
+      column: original ? original.column + 1 : null,
+    });
+  }
+
+  toJSON() {
+    return this.changes;
+  }
+}
+
+function describe(node) {
+  switch (node.type) {
+    case "decl":
+      return "declaration";
+    case "atrule":
+      return "at-rule";
+    default:
+      return node.type;
+  }
+}
+
+export default ChangeLog;
@@ -0,0 +1,428 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import safeParser from "postcss-safe-parser";
+import { normalizeMediaQuery } from "./media-query-combiner.js";
+import {
+  createMediaBlockCheck,
+  getMediaQueryComparator,
+} from "./media-query-sorter.js";
+
+const DEFAULT_CHUNK_SIZE = 512 * 1024; // 512KB
+
+/**
+ * Incremental splitter that cuts a stylesheet into chunks of whole
+ * top-level statements
+ *
+ * Text is pushed in as it is read. Strings, comments and escapes are
+ * tracked so braces and semicolons inside them never end a statement, and a
+ * chunk is emitted at the first statement boundary after `chunkSize`
+ * characters. Each chunk is `{ index, css, line }`, where `line` is the
+ * line of the original file it starts on.
+ */
+export class StylesheetSplitter {
+  constructor(options = {}) {
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.buffer = "";
+    this.scanned = 0;
+    this.depth = 0;
+    this.quote = null;
+    this.escaped = false;
+    this.inComment = false;
+    this.index = 0;
+    this.line = 1;
+  }
+
+  /**
+   * Add text; returns the chunks it completed
+   */
+  push(text) {
+    this.buffer += text;
+    return this.scan(false);
+  }
+
+  /**
+   * Flush what is left at the end of the stylesheet
+   */
+  end() {
+    const chunks = this.scan(true);
+    if (this.buffer.trim()) {
+      chunks.push(this.createChunk(this.buffer));
+    } else {
+      this.line += countLines(this.buffer) - 1;
+    }
+    this.buffer = "";
+    this.scanned = 0;
+    return chunks;
+  }
+
+  scan(final) {
+    const { buffer } = this;
+    const chunks = [];
+    let start = 0;
+    let i = this.scanned;
+
+    for (; i < buffer.length; i++) {
+      const char = buffer[i];
+      // Wait for more text when a two-character token may be cut in half
+      const atEnd = i + 1 === buffer.length && !final;
+
+      if (this.inComment) {
+        if (char === "*" && buffer[i + 1] === "/") {
+          this.inComment = false;
+          i++;
+        } else if (char === "*" && atEnd) {
+          break;
+        }
+        continue;
+      }
+
+      if (this.quote) {
+        if (this.escaped) this.escaped = false;
+        else if (char === "\\") this.escaped = true;
+        // An unescaped newline ends an unterminated string
+        else if (char === this.quote || char === "\n") this.quote = null;
+        continue;
+      }
+
+      if (char === "\\" || char === "/") {
+        if (atEnd) break;
+        if (char === "\\") i++;
+        else if (buffer[i + 1] === "*") {
+          this.inComment = true;
+          i++;
+        }
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        this.quote = char;
+      } else if (char === "{") {
+        this.depth++;
+      } else if (
+        (char === "}" && --this.depth <= 0) ||
+        (char === ";" && this.depth === 0)
+      ) {
+        // End of a top-level statement (stray closing braces are ignored)
+        this.depth = 0;
+        if (i + 1 - start >= this.chunkSize) {
+          chunks.push(this.createChunk(buffer.slice(start, i + 1)));
+          start = i + 1;
+        }
+      }
+    }
+
+    this.buffer = buffer.slice(start);
+    this.scanned = i - start;
+    return chunks;
+  }
+
+  createChunk(css) {
+    const chunk = { index: this.index++, css, line: this.line };
+    this.line += countLines(css) - 1;
+    return chunk;
+  }
+}
+
+/**
+ * Stream a stylesheet through a StylesheetSplitter and wait for
+ * `callback(chunk)` on each chunk in turn. Returns the splitter, whose
+ * `line` is then the number of lines in the file.
+ */
+export async function forEachChunk(inputPath, callback, options = {}) {
+  const splitter = new StylesheetSplitter(options);
+  const stream = fs.createReadStream(inputPath, { encoding: "utf8" });
+
+  for await (const text of stream) {
+    for (const chunk of splitter.push(text)) {
+      await callback(chunk);
+    }
+  }
+  for (const chunk of splitter.end()) {
+    await callback(chunk);
+  }
+
+  return splitter;
+}
+
+/**
+ * Optimize a stylesheet too large to hold in memory as a whole
+ *
+ * The input is streamed through a StylesheetSplitter and each chunk is
+ * passed to `optimizeChunk(css, chunk)`, which returns the optimized CSS.
+ * The chunks are written in the original order, so `@charset` and
+ * `@import` stay first. A top-level `@media` block is moved to the end only
+ * when no rule after it, in its chunk or later ones, competes with its
+ * rules, as media query sorting checks (see createMediaBlockCheck()). The
+ * moved blocks are collected per query (identical rules once) and appended
+ * in `mediaQueryOrder` ("desktop-first" by default). The others stay where
+ * they are and are returned as `skipped` records; with "preserve" no block
+ * moves. The output is written to a temporary file and renamed into place.
+ */
+export async function optimizeCssChunked(inputPath, outputPath, options = {}) {
+  const {
+    optimizeChunk,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    onChunk,
+    mediaQueryOrder = "desktop-first",
+  } = options;
+  const compare = getMediaQueryComparator(mediaQueryOrder);
+
+  const workDir = await fs.mkdtemp(
+    path.join(os.tmpdir(), "css-optimizer-chunks-"),
+  );
+  const output = new ChunkedOutput(`${outputPath}.${process.pid}.tmp`);
+  const chunkFiles = [];
+  // Blocks that can still move to the end
+  const movable = [];
+  const skipped = [];
+  let mediaBlocks = 0;
+  let movedBlocks = 0;
+
+  const keepInPlace = ({ block, line, column }, effect) => {
+    skipped.push({
+      rule: "media-query-order-unsafe",
+      message: `Kept \`@media ${block.params}\` (line ${line ?? "?"}) in place: moving it to the end would ${effect}`,
+      file: inputPath,
+      line,
+      column,
+      before: `@media ${block.params}`,
+      after: `@media ${block.params}`,
+    });
+  };
+
+  const processChunk = async (chunk) => {
+    const optimized = await optimizeChunk(chunk.css, chunk);
+    const file = path.join(workDir, `chunk-${chunkFiles.length}.css`);
+    await fs.writeFile(file, optimized);
+    chunkFiles.push({ file, moved: new Set() });
+
+    const { nodes } = safeParser(optimized);
+    mediaBlocks += nodes.filter(isMediaBlock).length;
+    if (compare) updateMovableBlocks(movable, nodes, chunk, keepInPlace);
+
+    onChunk?.(chunk);
+  };
+
+  try {
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(output.path, "");
+
+    const { line: originalLines } = await forEachChunk(
+      inputPath,
+      processChunk,
+      { chunkSize },
+    );
+
+    movable.forEach(({ chunk, index }) => chunkFiles[chunk].moved.add(index));
+    const mediaGroups = new Map();
+    for (const chunk of chunkFiles) {
+      const optimized = await fs.readFile(chunk.file, "utf8");
+      const { css, media } = extractMediaBlocks(optimized, chunk.moved);
+      await output.append(css);
+      for (const block of media) {
+        movedBlocks++;
+        await addToMediaGroup(mediaGroups, block, workDir);
+      }
+    }
+
+    const groups = [...mediaGroups.values()].sort((a, b) =>
+      compare(a.params, b.params),
+    );
+    for (const group of groups) {
+      await output.appendMediaGroup(group);
+    }
+    await output.finish();
+    await fs.rename(output.path, outputPath);
+
+    const stats = await fs.stat(inputPath);
+    return {
+      originalSize: stats.size,
+      finalSize: output.size,
+      originalLines,
+      finalLines: output.lines,
+      chunks: chunkFiles.length,
+      mediaQueries: mediaBlocks - movedBlocks + groups.length,
+      mediaQueriesCombined: movedBlocks - groups.length,
+      skipped: skipped.sort((a, b) => (a.line ?? 0) - (b.line ?? 0)),
+    };
+  } catch (error) {
+    await fs.remove(output.path).catch(() => {});
+    throw error;
+  } finally {
+    await fs.remove(workDir).catch(() => {});
+  }
+}
+
+/**
+ * Drop the blocks in `movable` that can't move past the nodes of a chunk,
+ * and add the chunk's own blocks that can move past the nodes after them.
+ * `report(entry, effect)` is called for each block dropped.
+ */
+function updateMovableBlocks(movable, nodes, chunk, report) {
+  removeBlocked(movable, nodes, report);
+
+  // Each run of nodes up to a block is checked once for all blocks before it
+  const waiting = [];
+  let passed = [];
+  nodes.forEach((node, index) => {
+    passed.push(node);
+    if (!isMediaBlock(node)) return;
+
+    removeBlocked(waiting, passed, report);
+    passed = [];
+    const start = node.source?.start || {};
+    waiting.push({
+      chunk: chunk.index,
+      index,
+      line: typeof start.line === "number" ? start.line + chunk.line - 1 : null,
+      column: start.column ?? null,
+      block: outline(node),
+    });
+  });
+  removeBlocked(waiting, passed, report);
+
+  movable.push(...waiting);
+}
+
+function removeBlocked(entries, nodes, report) {
+  if (entries.length === 0) return;
+
+  const check = createMediaBlockCheck(nodes);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const effect = check(entries[i].block);
+    if (!effect) continue;
+    report(entries[i], effect);
+    entries.splice(i, 1);
+  }
+}
+
+/**
+ * Split top-level @media blocks out of optimized CSS, or only those at the
+ * top-level positions in `indexes`. Returns the remaining CSS and
+ * `{ params, rules }` for every block, with each rule's text indented as it
+ * was.
+ */
+export function extractMediaBlocks(css, indexes = null) {
+  const root = safeParser(css);
+  const media = [];
+
+  root.nodes.slice().forEach((node, index) => {
+    if (!isMediaBlock(node) || (indexes && !indexes.has(index))) return;
+
+    media.push({
+      params: node.params,
+      rules: node.nodes.map(
+        (child) =>
+          (child.raws.before || "").replace(/^\s*\n/, "") + child.toString(),
+      ),
+    });
+    node.remove();
+  });
+
+  return { css: media.length > 0 ? root.toString() : css, media };
+}
+
+function isMediaBlock(node) {
+  return (
+    node.type === "atrule" && node.name.toLowerCase() === "media" && node.nodes
+  );
+}
+
+/**
+ * Copy of a block with what canMoveRules() looks at (selectors, properties
+ * and layers) but not the values, so waiting blocks take little memory
+ */
+function outline(block) {
+  const copy = block.clone();
+  copy.walk((node) => {
+    if (node.type === "comment") node.remove();
+    else if (node.type === "decl") node.value = "";
+  });
+  return copy;
+}
+
+/**
+ * Append a media block's rules to the temporary file for its query
+ */
+async function addToMediaGroup(groups, block, workDir) {
+  const body = block.rules.join("\n");
+  if (!body.trim()) return;
+
+  const key = normalizeMediaQuery(block.params);
+  let group = groups.get(key);
+  if (!group) {
+    group = {
+      params: block.params,
+      file: path.join(workDir, `media-${groups.size}.css`),
+      hashes: new Set(),
+      size: 0,
+      lines: 0,
+    };
+    groups.set(key, group);
+  }
+
+  // Identical blocks are kept once, as combineDuplicateMediaQueries() does
+  const hash = crypto.createHash("sha1").update(body).digest("hex");
+  if (group.hashes.has(hash)) return;
+  group.hashes.add(hash);
+
+  const text = group.size > 0 ? `\n${body}` : body;
+  await fs.appendFile(group.file, text);
+  group.size += Buffer.byteLength(text);
+  group.lines += countLines(text) - 1;
+}
+
+/**
+ * Output file being assembled from chunks, separated by blank lines
+ */
+class ChunkedOutput {
+  constructor(filePath) {
+    this.path = filePath;
+    this.size = 0;
+    this.lines = 1;
+    this.empty = true;
+  }
+
+  async append(css) {
+    const text = css.trim();
+    if (!text) return;
+    await this.write(this.empty ? text : `\n\n${text}`);
+    this.empty = false;
+  }
+
+  async appendMediaGroup(group) {
+    await this.write(`${this.empty ? "" : "\n\n"}@media ${group.params} {\n`);
+    // Stream the collected rules rather than reading them into memory
+    await pipeline(
+      fs.createReadStream(group.file),
+      fs.createWriteStream(this.path, { flags: "a" }),
+    );
+    this.size += group.size;
+    this.lines += group.lines;
+    await this.write("\n}");
+    this.empty = false;
+  }
+
+  async finish() {
+    if (!this.empty) await this.write("\n");
+  }
+
+  async write(text) {
+    await fs.appendFile(this.path, text);
+    this.size += Buffer.byteLength(text);
+    this.lines += countLines(text) - 1;
+  }
+}
+
+function countLines(text) {
+  let lines = 1;
+  for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) {
+    lines++;
+  }
+  return lines;
+}
+
+export default optimizeCssChunked;
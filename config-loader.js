@@ -0,0 +1,882 @@
+import fs from "fs-extra";
+import path from "path";
+import { createRequire } from "module";
+import { pathToFileURL } from "url";
+import { OptimizerError } from "./error-handler.js";
+
+/**
+ * Configuration loading for the optimizer
+ *
+ * Settings are resolved in this order, later sources winning:
+ *   defaults < css-optimizer.config.js < profile < environment variables
+ *   < CLI flags
+ *
+ * The config file is found by walking up from the working directory, looking
+ * for one of CONFIG_FILE_NAMES or a `cssOptimizer` key in package.json, unless
+ * an explicit path is given. Its shape is the one `css-optimizer init` writes:
+ *   { input, output, options: { minify, browsers, ai: { ... }, ... } }
+ *
+ * A named profile (`--profile prod`, or NODE_ENV when the file has a
+ * `profiles` section) is laid over `options`. Profiles may `extends` other
+ * profiles; the file can add its own or change the BUILTIN_PROFILES.
+ */
+
+export const CONFIG_FILE_NAMES = [
+  "css-optimizer.config.js",
+  "css-optimizer.config.mjs",
+  "css-optimizer.config.cjs",
+  "css-optimizer.config.json",
+];
+
+export const PACKAGE_JSON_KEY = "cssOptimizer";
+
+const DEFAULT_BROWSERS = ["> 1%", "last 2 versions", "not dead"];
+
+/**
+ * Flat settings used throughout the optimizer (the keys of `CONFIG`), with
+ * their environment variable, default value and place in the config file
+ */
+const SETTINGS = {
+  ENABLE_AUTOPREFIXER: { type: "boolean", default: true, file: "autoprefixer" },
+  ENABLE_MINIFICATION: { type: "boolean", default: false, file: "minify" },
+  ENABLE_SOURCE_MAPS: {
+    type: "boolean",
+    default: false,
+    file: "sourceMap",
+    fromFile: (value) => value !== false,
+  },
+  SOURCE_MAP_INLINE: {
+    type: "boolean",
+    default: false,
+    file: "sourceMap",
+    fromFile: (value) => value === "inline",
+  },
+  BROWSERS: {
+    type: "list",
+    default: DEFAULT_BROWSERS,
+    file: "browsers",
+    fromFile: (value) => parseList(value),
+  },
+  MAX_FILE_SIZE_MB: { type: "int", default: 10, file: "maxFileSizeMB" },
+  WARN_SIZE_MB: { type: "int", default: 5, file: "warnSizeMB" },
+  ENABLE_CHUNKING: {
+    type: "boolean",
+    default: true,
+    file: "chunked",
+    fromFile: (value) =>
+      typeof value === "object" ? value.enabled : Boolean(value),
+  },
+  CHUNK_SIZE_KB: { type: "int", default: 512, file: "chunked.chunkSizeKB" },
+  INLINE_IMPORTS: { type: "boolean", default: false, file: "inlineImports" },
+  PROCESS_ASSETS: {
+    type: "boolean",
+    default: false,
+    file: "assets",
+    fromFile: (value) =>
+      typeof value === "object" ? value.enabled !== false : Boolean(value),
+  },
+  ASSET_INLINE_LIMIT_KB: {
+    type: "int",
+    default: 4,
+    file: "assets.inlineLimitKB",
+  },
+  ASSETS_DIR: { type: "string", default: "assets", file: "assets.outputDir" },
+  MERGE_RULES: { type: "boolean", default: false, file: "mergeRules" },
+  OPTIMIZE_SHORTHANDS: { type: "boolean", default: true, file: "shorthands" },
+  TOKENS_FILE: {
+    type: "string",
+    default: "",
+    file: "tokens",
+    fromFile: (value) => (typeof value === "object" ? value.file : value),
+  },
+  VERIFY_CASCADE: {
+    type: "string",
+    default: "off",
+    file: "verifyCascade",
+    fromFile: (value) =>
+      value === true ? "warn" : value === false ? "off" : value,
+  },
+  // "mobile-first", "desktop-first", "preserve" or a comparator function
+  MEDIA_QUERY_SORT_ORDER: {
+    type: "string",
+    default: "desktop-first",
+    file: "mediaQueryOrder",
+  },
+  REMOVE_UNUSED: {
+    type: "boolean",
+    default: false,
+    file: "removeUnused",
+    fromFile: (value) =>
+      typeof value === "object" ? value.enabled !== false : Boolean(value),
+  },
+
+  // The API key is only ever read from the environment
+  GROQ_API_KEY: { type: "secret", default: "" },
+  GROQ_API_URL: {
+    type: "string",
+    default: "https://api.groq.com/openai/v1/chat/completions",
+    file: "ai.apiUrl",
+  },
+  GROQ_MODEL: { type: "string", default: "llama3-70b-8192", file: "ai.model" },
+  ENABLE_AI_FIXES: {
+    type: "boolean",
+    default: true,
+    file: "ai",
+    fromFile: (value) =>
+      typeof value === "object" ? value.enabled : Boolean(value),
+  },
+  AI_MAX_ERRORS_TO_PROCESS: { type: "int", default: 5, file: "ai.maxErrors" },
+  AI_MAX_TOKENS_PER_REQUEST: {
+    type: "int",
+    default: 1000,
+    file: "ai.maxTokens",
+  },
+  AI_TEMPERATURE: { type: "float", default: 0.1, file: "ai.temperature" },
+  AI_TOP_P: { type: "float", default: 1.0, file: "ai.topP" },
+  AI_MAX_RETRIES: { type: "int", default: 3, file: "ai.maxRetries" },
+  AI_RETRY_DELAY_MS: { type: "int", default: 1000, file: "ai.retryDelayMs" },
+
+  PRETTIER_TAB_WIDTH: { type: "int", default: 2, file: "prettier.tabWidth" },
+  PRETTIER_USE_TABS: {
+    type: "boolean",
+    default: false,
+    file: "prettier.useTabs",
+  },
+  PRETTIER_PRINT_WIDTH: {
+    type: "int",
+    default: 100,
+    file: "prettier.printWidth",
+  },
+  PRETTIER_END_OF_LINE: {
+    type: "string",
+    default: "lf",
+    file: "prettier.endOfLine",
+  },
+  PRETTIER_SEMI: { type: "boolean", default: true, file: "prettier.semi" },
+  PRETTIER_SINGLE_QUOTE: {
+    type: "boolean",
+    default: false,
+    file: "prettier.singleQuote",
+  },
+
+  LOG_LEVEL: { type: "string", default: "info", file: "logLevel" },
+  ENABLE_VERBOSE_LOGGING: { type: "boolean", default: false, file: "verbose" },
+  ENABLE_PERFORMANCE_TIMING: { type: "boolean", default: true },
+  ENABLE_CACHE: {
+    type: "boolean",
+    default: true,
+    file: "cache",
+    fromFile: (value) =>
+      typeof value === "object" ? value.enabled : Boolean(value),
+  },
+  CACHE_DIR: {
+    type: "string",
+    default: ".cache/css-optimizer",
+    file: "cache.directory",
+  },
+  CACHE_MAX_SIZE_MB: { type: "float", default: 100, file: "cache.maxSizeMB" },
+};
+
+const AI_SCHEMA = {
+  enabled: { type: "boolean" },
+  model: { type: "string" },
+  apiUrl: { type: "string" },
+  maxErrors: { type: "number", min: 0 },
+  maxTokens: { type: "number", min: 1 },
+  temperature: { type: "number", min: 0, max: 2 },
+  topP: { type: "number", min: 0, max: 1 },
+  maxRetries: { type: "number", min: 0 },
+  retryDelayMs: { type: "number", min: 0 },
+};
+
+const PRETTIER_SCHEMA = {
+  tabWidth: { type: "number", min: 0 },
+  useTabs: { type: "boolean" },
+  printWidth: { type: "number", min: 1 },
+  endOfLine: { type: "string", enum: ["lf", "crlf", "cr", "auto"] },
+  semi: { type: "boolean" },
+  singleQuote: { type: "boolean" },
+};
+
+const OPTIONS_SCHEMA = {
+  ai: { type: ["boolean", "object"], properties: AI_SCHEMA },
+  autoprefixer: { type: "boolean" },
+  backup: { type: "boolean" },
+  minify: { type: "boolean" },
+  verbose: { type: "boolean" },
+  cache: {
+    type: ["boolean", "object"],
+    properties: {
+      enabled: { type: "boolean" },
+      directory: { type: "string" },
+      maxSizeMB: { type: "number", min: 0 },
+    },
+  },
+  sourceMap: {
+    type: ["boolean", "string"],
+    enum: [true, false, "file", "inline"],
+  },
+  concurrency: { type: "number", min: 1 },
+  include: { type: ["string", "null"] },
+  exclude: { type: ["string", "array", "null"], items: "string" },
+  report: { type: "string", enum: ["text", "json", "html"] },
+  browsers: { type: ["string", "array"], items: "string" },
+  maxFileSizeMB: { type: "number", min: 0 },
+  warnSizeMB: { type: "number", min: 0 },
+  chunked: {
+    type: ["boolean", "object"],
+    properties: {
+      enabled: { type: "boolean" },
+      chunkSizeKB: { type: "number", min: 1 },
+    },
+  },
+  inlineImports: { type: "boolean" },
+  assets: {
+    type: ["boolean", "object"],
+    properties: {
+      enabled: { type: "boolean" },
+      inlineLimitKB: { type: "number", min: 0 },
+      outputDir: { type: "string" },
+    },
+  },
+  mergeRules: { type: "boolean" },
+  shorthands: { type: "boolean" },
+  tokens: {
+    type: ["string", "object"],
+    properties: {
+      file: { type: "string" },
+      nearMisses: { type: "boolean" },
+    },
+  },
+  verifyCascade: {
+    type: ["boolean", "string"],
+    enum: [true, false, "off", "warn", "rollback"],
+  },
+  mediaQueryOrder: {
+    type: ["string", "function"],
+    enum: ["mobile-first", "desktop-first", "preserve"],
+  },
+  removeUnused: {
+    type: ["boolean", "object"],
+    properties: {
+      enabled: { type: "boolean" },
+      keep: { type: "array" },
+      variables: { type: "boolean" },
+      keyframes: { type: "boolean" },
+      fontFace: { type: "boolean" },
+      counterStyle: { type: "boolean" },
+    },
+  },
+  logLevel: { type: "string", enum: ["debug", "info", "warn", "error"] },
+  prettier: { type: "object", properties: PRETTIER_SCHEMA },
+  postcss: {
+    type: "object",
+    properties: { plugins: { type: "array" } },
+  },
+  fixRules: { type: "object" },
+  layers: { type: "object", values: { type: "string" } },
+  pipeline: { type: "object" },
+  purge: { type: ["boolean", "object"] },
+  critical: { type: ["boolean", "object"] },
+};
+
+const PROFILE_SCHEMA = {
+  extends: { type: ["string", "array"], items: "string" },
+  ...OPTIONS_SCHEMA,
+};
+
+export const CONFIG_SCHEMA = {
+  input: { type: ["string", "array"], items: "string" },
+  output: { type: "string" },
+  options: { type: "object", properties: OPTIONS_SCHEMA },
+  profiles: {
+    type: "object",
+    values: { type: "object", properties: PROFILE_SCHEMA },
+  },
+};
+
+const LEGACY_BROWSERS = [
+  "> 0.2%",
+  "last 4 versions",
+  "Firefox ESR",
+  "ie 11",
+  "not dead",
+];
+
+/**
+ * Profiles available without a config file. A profile of the same name in
+ * the config file is merged over these.
+ */
+export const BUILTIN_PROFILES = {
+  dev: { minify: false, sourceMap: true, purge: false, critical: false },
+  prod: { minify: true, sourceMap: false, ai: false, purge: true },
+  legacy: { extends: "prod", browsers: LEGACY_BROWSERS },
+  email: {
+    extends: "legacy",
+    purge: false,
+    critical: false,
+    sourceMap: false,
+  },
+};
+
+// NODE_ENV values that select a profile with a different name
+const NODE_ENV_PROFILES = { development: "dev", production: "prod" };
+
+/**
+ * Find the nearest config file, walking up from `startDir`.
+ * Returns `{ path, key }` (`key` is set for package.json) or null.
+ */
+export async function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  for (;;) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(dir, name);
+      if (await fs.pathExists(candidate)) {
+        return { path: candidate, key: null };
+      }
+    }
+
+    const packagePath = path.join(dir, "package.json");
+    if (await fs.pathExists(packagePath)) {
+      const pkg = await fs.readJson(packagePath).catch(() => ({}));
+      if (pkg[PACKAGE_JSON_KEY]) {
+        return { path: packagePath, key: PACKAGE_JSON_KEY };
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Load and validate a config file (JS module, JSON, or a package.json key)
+ */
+export async function loadConfigFile(filePath, key = null) {
+  let config;
+
+  try {
+    if (filePath.endsWith(".json")) {
+      const json = await fs.readJson(filePath);
+      config = key ? json[key] : json;
+    } else {
+      const module = await import(pathToFileURL(filePath).href);
+      config = module.default ?? module;
+      if (typeof config === "function") {
+        config = await config();
+      }
+    }
+  } catch (error) {
+    throw new OptimizerError(
+      `Could not load config file ${filePath}: ${error.message}`,
+      { type: "CONFIG_ERROR", file: filePath, cause: error },
+    );
+  }
+
+  return validateConfigFile(config, key ? `${filePath} (${key})` : filePath);
+}
+
+/**
+ * Check a config object against CONFIG_SCHEMA. Throws a CONFIG_ERROR listing
+ * every problem found, with suggestions for misspelled option names.
+ */
+export function validateConfigFile(config, source = "config") {
+  const problems = [];
+
+  if (!isPlainObject(config)) {
+    problems.push(`expected an object, got ${describeValue(config)}`);
+  } else {
+    validateObject(config, CONFIG_SCHEMA, "", problems);
+  }
+
+  if (problems.length > 0) {
+    const error = new OptimizerError(
+      `Invalid configuration in ${source}:\n${problems.map((problem) => `  • ${problem}`).join("\n")}`,
+      { type: "CONFIG_ERROR", file: source },
+    );
+    error.problems = problems;
+    throw error;
+  }
+
+  return config;
+}
+
+/**
+ * Settings from environment variables that are actually set
+ */
+export function readEnvConfig(env = process.env) {
+  const settings = {};
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const value = env[key];
+    if (value === undefined || value === "") continue;
+    settings[key] = parseEnvValue(value, setting);
+  }
+
+  return settings;
+}
+
+/**
+ * Settings from a config file's `options` block
+ */
+export function configFileToSettings(config = {}) {
+  const options = config.options || {};
+  const settings = {};
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    if (!setting.file) continue;
+    const value = getPath(options, setting.file);
+    if (value === undefined || value === null) continue;
+
+    const resolved = setting.fromFile ? setting.fromFile(value) : value;
+    if (resolved !== undefined) settings[key] = resolved;
+  }
+
+  return settings;
+}
+
+/**
+ * Merge defaults < config file < environment < overrides into flat settings
+ */
+export function resolveConfig({
+  config = {},
+  env = process.env,
+  overrides = {},
+} = {}) {
+  const defaults = Object.fromEntries(
+    Object.entries(SETTINGS).map(([key, setting]) => [key, setting.default]),
+  );
+
+  return {
+    ...defaults,
+    ...configFileToSettings(config),
+    ...readEnvConfig(env),
+    ...withoutUndefined(overrides),
+  };
+}
+
+/**
+ * Name of the profile to apply: the one asked for, otherwise NODE_ENV when
+ * the config file defines `profiles`. Returns `{ name, source }` or null.
+ */
+export function selectProfile(
+  config = {},
+  { profile, env = process.env } = {},
+) {
+  if (profile) return { name: profile, source: "option" };
+
+  const nodeEnv = env.NODE_ENV;
+  if (!nodeEnv || !config.profiles) return null;
+
+  const name = NODE_ENV_PROFILES[nodeEnv] || nodeEnv;
+  return getProfiles(config)[name] ? { name, source: "NODE_ENV" } : null;
+}
+
+/**
+ * Resolve a profile and the profiles it extends into one options block.
+ * Returns `{ name, chain, options }`, `chain` listing the profiles applied
+ * from the base up.
+ */
+export function resolveProfile(config = {}, name) {
+  const profiles = getProfiles(config);
+  const chain = [];
+
+  const visit = (current, trail) => {
+    if (trail.includes(current)) {
+      throw new OptimizerError(
+        `Profile "${current}" extends itself: ${[...trail, current].join(" → ")}`,
+        { type: "CONFIG_ERROR" },
+      );
+    }
+
+    if (!profiles[current]) {
+      const suggestion = suggest(current, Object.keys(profiles));
+      const extendedBy = trail.length
+        ? ` (extended by "${trail[trail.length - 1]}")`
+        : "";
+      throw new OptimizerError(
+        `Unknown profile "${current}"${extendedBy}${suggestion ? ` (did you mean "${suggestion}"?)` : ""}. Available profiles: ${Object.keys(profiles).join(", ")}`,
+        { type: "CONFIG_ERROR" },
+      );
+    }
+
+    const { extends: parents = [], ...options } = profiles[current];
+    let merged = {};
+    for (const parent of [].concat(parents)) {
+      merged = mergeOptions(merged, visit(parent, [...trail, current]));
+    }
+
+    if (!chain.includes(current)) chain.push(current);
+    return mergeOptions(merged, options);
+  };
+
+  const options = visit(name, []);
+  return { name, chain, options };
+}
+
+/**
+ * Discover (or read `configPath`), validate and merge the configuration,
+ * applying the selected profile. `config` is the file with the profile
+ * merged into `options`; `profile` is null when none applies, otherwise
+ * `{ name, chain, source, options, settings }`. `runOptions` holds the file settings that are passed to optimizeCssFile
+ * rather than stored in CONFIG (fix rules, layers, pipeline, PostCSS
+ * plugins, the `removeUnused` block).
+ */
+export async function loadConfig({
+  configPath,
+  cwd = process.cwd(),
+  env = process.env,
+  profile: profileName,
+  overrides = {},
+} = {}) {
+  let found = null;
+
+  if (configPath) {
+    const resolved = path.resolve(cwd, configPath);
+    if (!(await fs.pathExists(resolved))) {
+      throw new OptimizerError(`Config file not found: ${resolved}`, {
+        type: "CONFIG_ERROR",
+        file: resolved,
+      });
+    }
+    found = {
+      path: resolved,
+      key: path.basename(resolved) === "package.json" ? PACKAGE_JSON_KEY : null,
+    };
+  } else {
+    found = await findConfigFile(cwd);
+  }
+
+  const fileConfig = found ? await loadConfigFile(found.path, found.key) : {};
+  const baseDir = found ? path.dirname(found.path) : cwd;
+
+  const selected = selectProfile(fileConfig, { profile: profileName, env });
+  const profile = selected
+    ? { ...resolveProfile(fileConfig, selected.name), source: selected.source }
+    : null;
+  if (profile) {
+    profile.settings = configFileToSettings({ options: profile.options });
+  }
+
+  const config = profile
+    ? {
+        ...fileConfig,
+        options: mergeOptions(fileConfig.options || {}, profile.options),
+      }
+    : fileConfig;
+  const options = config.options || {};
+  const settings = resolveConfig({ config, env, overrides });
+
+  return {
+    config,
+    configPath: found ? found.path : null,
+    baseDir,
+    profile,
+    settings,
+    runOptions: withoutUndefined({
+      baseDir,
+      fixRules: options.fixRules,
+      layers: options.layers,
+      pipeline: options.pipeline,
+      // Switched on or off by REMOVE_UNUSED, which the environment may set
+      removeUnused: isPlainObject(options.removeUnused)
+        ? { ...options.removeUnused, enabled: settings.REMOVE_UNUSED }
+        : undefined,
+      postcssPlugins: await resolvePostcssPlugins(
+        options.postcss?.plugins,
+        baseDir,
+      ),
+    }),
+  };
+}
+
+/**
+ * Turn `postcss.plugins` entries (plugin functions or objects, package names,
+ * paths, or `[name, options]` pairs) into PostCSS plugins
+ */
+export async function resolvePostcssPlugins(plugins = [], baseDir) {
+  const resolved = [];
+
+  for (const entry of plugins) {
+    const [spec, pluginOptions] = Array.isArray(entry) ? entry : [entry];
+
+    if (typeof spec !== "string") {
+      resolved.push(spec);
+      continue;
+    }
+
+    let modulePath;
+    try {
+      modulePath =
+        spec.startsWith(".") || path.isAbsolute(spec)
+          ? path.resolve(baseDir, spec)
+          : createRequire(path.join(baseDir, "package.json")).resolve(spec);
+    } catch (error) {
+      throw new OptimizerError(`Cannot find PostCSS plugin "${spec}"`, {
+        type: "CONFIG_ERROR",
+        cause: error,
+      });
+    }
+
+    const module = await import(pathToFileURL(modulePath).href);
+    const plugin = module.default ?? module;
+    resolved.push(
+      pluginOptions !== undefined || plugin.postcss === true
+        ? plugin(pluginOptions)
+        : plugin,
+    );
+  }
+
+  return resolved;
+}
+
+/**
+ * Fill bundler plugin options (Vite, Webpack) from the config file wherever
+ * the plugin was not given an explicit value. `purge` and `critical` may be
+ * objects, which also become the PurgeCSS / critical CSS options.
+ */
+export function applyConfigFileOptions(
+  pluginOptions,
+  explicitOptions = {},
+  config = {},
+) {
+  const fileOptions = config.options || {};
+  const mapping = {
+    minify: "minify",
+    cache: "cache",
+    concurrency: "concurrency",
+    enablePurgeCSS: "purge",
+    enableCriticalCSS: "critical",
+  };
+
+  for (const [pluginKey, fileKey] of Object.entries(mapping)) {
+    const value = fileOptions[fileKey];
+    if (explicitOptions[pluginKey] !== undefined || value === undefined) {
+      continue;
+    }
+    pluginOptions[pluginKey] = isPlainObject(value)
+      ? value.enabled !== false
+      : value;
+  }
+
+  if (!explicitOptions.purgeCSS && isPlainObject(fileOptions.purge)) {
+    pluginOptions.purgeCSS = {
+      ...pluginOptions.purgeCSS,
+      ...fileOptions.purge,
+    };
+  }
+  if (!explicitOptions.criticalCSS && isPlainObject(fileOptions.critical)) {
+    pluginOptions.criticalCSS = {
+      ...pluginOptions.criticalCSS,
+      ...fileOptions.critical,
+    };
+  }
+
+  return pluginOptions;
+}
+
+function validateObject(value, schema, prefix, problems) {
+  for (const [key, child] of Object.entries(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const rule = schema[key];
+
+    if (!rule) {
+      const suggestion = suggest(key, Object.keys(schema));
+      problems.push(
+        `\`${name}\` is not a known option${suggestion ? ` (did you mean \`${prefix ? `${prefix}.` : ""}${suggestion}\`?)` : ""}`,
+      );
+      continue;
+    }
+
+    validateValue(child, rule, name, problems);
+  }
+}
+
+function validateValue(value, rule, name, problems) {
+  const types = [].concat(rule.type);
+  const actual = typeOf(value);
+  if (!types.includes(actual)) {
+    problems.push(
+      `\`${name}\` must be ${types.map(article).join(" or ")}, got ${describeValue(value)}`,
+    );
+    return;
+  }
+
+  // Functions, such as a custom comparator, are not checked against the enum
+  if (rule.enum && actual !== "function" && !rule.enum.includes(value)) {
+    problems.push(
+      `\`${name}\` must be one of ${rule.enum.map((option) => JSON.stringify(option)).join(", ")}, got ${describeValue(value)}`,
+    );
+  }
+
+  if (actual === "number") {
+    if (!Number.isFinite(value)) {
+      problems.push(`\`${name}\` must be a finite number`);
+    } else if (rule.min !== undefined && value < rule.min) {
+      problems.push(`\`${name}\` must be at least ${rule.min}, got ${value}`);
+    } else if (rule.max !== undefined && value > rule.max) {
+      problems.push(`\`${name}\` must be at most ${rule.max}, got ${value}`);
+    }
+  }
+
+  if (actual === "array" && rule.items) {
+    value.forEach((item, index) => {
+      if (typeOf(item) !== rule.items) {
+        problems.push(
+          `\`${name}[${index}]\` must be ${article(rule.items)}, got ${describeValue(item)}`,
+        );
+      }
+    });
+  }
+
+  if (actual === "object" && rule.properties) {
+    validateObject(value, rule.properties, name, problems);
+  }
+
+  if (actual === "object" && rule.values) {
+    for (const [key, child] of Object.entries(value)) {
+      validateValue(child, rule.values, `${name}.${key}`, problems);
+    }
+  }
+}
+
+function getProfiles(config) {
+  const profiles = { ...BUILTIN_PROFILES };
+
+  for (const [name, profile] of Object.entries(config.profiles || {})) {
+    profiles[name] = profiles[name]
+      ? mergeOptions(profiles[name], profile)
+      : profile;
+  }
+
+  return profiles;
+}
+
+/**
+ * Deep-merge option blocks; arrays and other values are replaced. `true`
+ * over an object (`purge: true` over `purge: { safelist }`) keeps the
+ * object's settings and just switches it on.
+ */
+function mergeOptions(base, override) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    const current = merged[key];
+    if (isPlainObject(current) && isPlainObject(value)) {
+      merged[key] = mergeOptions(current, value);
+    } else if (isPlainObject(current) && value === true) {
+      merged[key] =
+        "enabled" in current ? { ...current, enabled: true } : current;
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+function parseEnvValue(value, setting) {
+  switch (setting.type) {
+    case "boolean":
+      return setting.default ? value !== "false" : value === "true";
+    case "int":
+      return parseInt(value, 10);
+    case "float":
+      return parseFloat(value);
+    case "list":
+      return parseList(value);
+    case "secret":
+      return value.trim();
+    default:
+      return value;
+  }
+}
+
+function parseList(value) {
+  return Array.isArray(value)
+    ? value
+    : value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+function getPath(object, dottedPath) {
+  return dottedPath
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null && typeof value === "object" ? value[key] : undefined,
+      object,
+    );
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined),
+  );
+}
+
+function isPlainObject(value) {
+  return typeOf(value) === "object";
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function article(type) {
+  if (type === "null") return "null";
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function describeValue(value) {
+  const type = typeOf(value);
+  if (type === "object" || type === "array" || type === "null") return type;
+  if (type === "function" || type === "undefined") return type;
+  return `${type} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Closest known key within an edit distance of 2, for typo suggestions
+ */
+function suggest(key, candidates) {
+  let best = null;
+  let bestDistance = 3;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      previous = current;
+    }
+  }
+
+  return row[b.length];
+}
+
+export default loadConfig;
@@ -2,12 +2,19 @@ import fs from "fs-extra";
 import path from "path";
 import { glob } from "glob";
 import chalk from "chalk";
+import postcss from "postcss";
+import safeParser from "postcss-safe-parser";
+import { getLayerOrder, removeEmptyBlocks } from "./cascade-layers.js";
 
 /**
  * Critical CSS extraction and inlining
  * Identifies and extracts above-the-fold CSS for better performance
  */
 
+// At-rules whose blocks are split between the critical and remaining CSS
+const GROUPING_AT_RULES =
+  /^(media|supports|container|layer|scope|(-moz-)?document)$/i;
+
 export class CriticalCSSExtractor {
   constructor(options = {}) {
     // Handle legacy output options
@@ -158,83 +165,103 @@ export class CriticalCSSExtractor {
     return Array.from(selectors);
   }
 
+  /**
+   * Split a stylesheet into the rules matching critical selectors and the
+   * rest. `@media`, `@supports` and `@layer` blocks are split with their
+   * rules, and other at-rules (`@import`, `@font-face`, `@keyframes`) stay
+   * in the remaining CSS. When the critical CSS leaves out a layer that
+   * fixes the layer order, such as an `@import ... layer()`, it starts with
+   * an `@layer` statement of the full order, so inlining it first doesn't
+   * reorder the layers of the remaining CSS.
+   */
   extractCriticalCSS(css, criticalSelectors) {
-    const criticalRules = [];
-    const remainingRules = [];
-
-    css = css.replace(/\/\*[\s\S]*?\*\//g, "");
-
-    const ruleBlocks = css.split(/(?<=\})/);
-
-    for (const block of ruleBlocks) {
-      const trimmed = block.trim();
-      if (!trimmed) continue;
-
-      const braceIndex = trimmed.indexOf("{");
-      if (braceIndex === -1) continue;
+    const root = safeParser(css);
+    root.walkComments((comment) => comment.remove());
+
+    const critical = root.clone();
+    const remaining = root.clone();
+    const isCritical = (rule) =>
+      rule.selectors.some((selector) =>
+        this.isCriticalSelector(selector.trim(), criticalSelectors),
+      );
 
-      const selectorPart = trimmed.substring(0, braceIndex).trim();
-      const contentPart = trimmed.substring(braceIndex);
+    let criticalRules = 0;
+    let remainingRules = 0;
+    critical.walk((node) => {
+      if (node.type === "atrule" && !isGroupingAtRule(node)) {
+        node.remove();
+      } else if (
+        node.type === "rule" &&
+        node.parent.type !== "rule" &&
+        !isInKeyframes(node)
+      ) {
+        if (isCritical(node)) criticalRules++;
+        else node.remove();
+      }
+    });
+    remaining.walkRules((rule) => {
+      if (rule.parent.type === "rule" || isInKeyframes(rule)) return;
+      if (isCritical(rule)) rule.remove();
+      else remainingRules++;
+    });
+    removeEmptyBlocks(critical);
+    removeEmptyBlocks(remaining);
+
+    const order = getNamedLayers(root);
+    const criticalOrder = getNamedLayers(critical);
+    if (
+      critical.nodes.length > 0 &&
+      order.join(",") !== criticalOrder.join(",")
+    ) {
+      critical.prepend(
+        postcss.atRule({ name: "layer", params: order.join(", ") }),
+      );
+      critical.raws.semicolon = true;
+    }
 
-      if (selectorPart && contentPart) {
-        const selectors = selectorPart
-          .split(",")
-          .map((s) => s.trim())
-          .filter((s) => s);
+    return {
+      criticalCSS: critical.toString().trim(),
+      remainingCSS: remaining.toString().trim(),
+      criticalRules,
+      remainingRules,
+    };
+  }
 
-        const isCritical = selectors.some((selector) => {
-          // Check for exact matches first
-          if (criticalSelectors.includes(selector)) {
-            return true;
-          }
+  /**
+   * Whether a selector matches a critical selector: exactly, or as a prefix
+   * either way when both are simple (`.header` matches `.header-class`)
+   */
+  isCriticalSelector(selector, criticalSelectors) {
+    // Check for exact matches first
+    if (criticalSelectors.includes(selector)) {
+      return true;
+    }
 
-          // Check for partial matches only for specific patterns
-          for (const critical of criticalSelectors) {
-            // Exact match
-            if (selector === critical) {
-              return true;
-            }
-
-            // Only match simple selectors (no combinators)
-            const selectorParts = selector.trim().split(/\s+/);
-            const criticalParts = critical.trim().split(/\s+/);
-            
-            // If both are simple selectors (no combinators), check for exact match
-            if (selectorParts.length === 1 && criticalParts.length === 1) {
-              if (selector === critical) {
-                return true;
-              }
-              
-              // Check if one is a prefix of the other (e.g., '.header' matches '.header-class')
-              if (selector.startsWith(critical) || critical.startsWith(selector)) {
-                return true;
-              }
-            }
-          }
+    // Check for partial matches only for specific patterns
+    for (const critical of criticalSelectors) {
+      // Exact match
+      if (selector === critical) {
+        return true;
+      }
 
-          return false;
-        });
+      // Only match simple selectors (no combinators)
+      const selectorParts = selector.trim().split(/\s+/);
+      const criticalParts = critical.trim().split(/\s+/);
 
-        const rule = {
-          selectors,
-          content: contentPart,
-          original: trimmed,
-        };
+      // If both are simple selectors (no combinators), check for exact match
+      if (selectorParts.length === 1 && criticalParts.length === 1) {
+        if (selector === critical) {
+          return true;
+        }
 
-        if (isCritical) {
-          criticalRules.push(rule);
-        } else {
-          remainingRules.push(rule);
+        // Check if one is a prefix of the other (e.g., '.header' matches '.header-class')
+        if (selector.startsWith(critical) || critical.startsWith(selector)) {
+          return true;
         }
       }
     }
 
-    return {
-      criticalCSS: criticalRules.map((rule) => rule.original).join("\n\n"),
-      remainingCSS: remainingRules.map((rule) => rule.original).join("\n\n"),
-      criticalRules: criticalRules.length,
-      remainingRules: remainingRules.length,
-    };
+    return false;
   }
 
   inlineCriticalCSS(html, criticalCSS) {
@@ -567,6 +594,20 @@ ${criticalCSS}
   }
 }
 
+function isGroupingAtRule(atRule) {
+  return GROUPING_AT_RULES.test(atRule.name);
+}
+
+function isInKeyframes(rule) {
+  return rule.parent.type === "atrule" && /keyframes$/i.test(rule.parent.name);
+}
+
+function getNamedLayers(root) {
+  return [...getLayerOrder(root).ranks.keys()].filter(
+    (name) => !name.includes("<anonymous"),
+  );
+}
+
 export async function extractCriticalCSS(options = {}) {
   const extractor = new CriticalCSSExtractor(options);
   return await extractor.process();
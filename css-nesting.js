@@ -0,0 +1,316 @@
+import browserslist from "browserslist";
+import caniuse from "caniuse-lite";
+import safeParser from "postcss-safe-parser";
+import selectorParser from "postcss-selector-parser";
+
+/**
+ * CSS nesting flattening
+ *
+ * Rewrites nested style rules as plain rules for browsers without native
+ * nesting, as CSS Nesting defines them: `&` stands for the parent selector
+ * wherever it appears (`.a { .b & { } }` is `.b .a`), a selector without
+ * `&` is a descendant of the parent (`.a { .b { } }` is `.a .b`, and
+ * `> .b` is `.a > .b`), and a parent selector list becomes `:is()`
+ * (`.a, .b { & .c { } }` is `:is(.a, .b) .c`), which also keeps the
+ * specificity nesting gives. `@media`, `@supports`, `@container`, `@layer`
+ * and `@scope` blocks nested in a rule move out around a copy of the rule.
+ * Declarations keep their order relative to nested rules, so ones after a
+ * nested rule go into a rule of their own after it. Selectors that aren't
+ * valid nesting, like Sass suffixes (`&__title`), are left as written.
+ */
+
+const NESTING_SUPPORT = caniuse.feature(caniuse.features["css-nesting"]);
+
+// At-rules that can hold declarations when nested in a style rule
+const NESTED_GROUP_RULES =
+  /^(media|supports|container|layer|scope|starting-style)$/i;
+
+/**
+ * The targets of a browserslist query without full nesting support. Early
+ * versions (Chrome 112-119, Safari 16.5-17.1) count too: they need nested
+ * selectors to start with a symbol, so `.a { div { } }` fails there.
+ */
+export function getTargetsWithoutNesting(browsers) {
+  let targets;
+  try {
+    targets = browserslist(browsers);
+  } catch (error) {
+    return [];
+  }
+
+  return targets.filter((target) => {
+    const [browser, version] = target.split(" ");
+    const support = NESTING_SUPPORT.stats[browser]?.[version];
+    return support ? !support.startsWith("y") : false;
+  });
+}
+
+/**
+ * Resolve nested selectors against their parent's (both lists of
+ * selectors). Returns the resolved list, or null when a selector isn't
+ * valid nesting.
+ */
+export function resolveNestedSelectors(selectors, parents) {
+  const parent = selectorParser().astSync(parents.join(", "));
+  const single = parent.nodes.length === 1 ? parent.nodes[0] : null;
+  const compound =
+    single && !single.nodes.some((node) => node.type === "combinator");
+  const typed = single && ["tag", "universal"].includes(single.nodes[0]?.type);
+
+  const resolved = [];
+  for (const text of selectors) {
+    const selector = selectorParser().astSync(text.trim()).nodes[0];
+    if (!selector) return null;
+
+    let nested = false;
+    let valid = true;
+    selector.walkNesting((nesting) => {
+      nested = true;
+      // A type selector has to come first in a compound: `&div` is invalid
+      if (nesting.next()?.type === "tag") valid = false;
+    });
+    if (!valid) return null;
+
+    if (!nested) {
+      if (selector.first?.type === "combinator") {
+        selector.first.spaces.before = " ";
+      } else {
+        selector.prepend(selectorParser.combinator({ value: " " }));
+      }
+      selector.prepend(selectorParser.nesting());
+    }
+
+    selector.walkNesting((nesting) => {
+      // The parent selector can be written in place when that matches the
+      // same elements as `:is(parent)`: at the very start, or a compound
+      // joining the compound `&` is in (a type selector only at its start)
+      const atStart = nesting === selector.first;
+      const startsCompound =
+        !nesting.prev() || nesting.prev().type === "combinator";
+      if (single && (atStart || (compound && (startsCompound || !typed)))) {
+        nesting.replaceWith(...single.clone().nodes);
+        return;
+      }
+
+      const is = selectorParser.pseudo({ value: ":is" });
+      parent.each((other) => is.append(other.clone()));
+      nesting.replaceWith(is);
+    });
+
+    resolved.push(selector.toString().trim());
+  }
+
+  return resolved;
+}
+
+/**
+ * Flatten the nested rules and at-rules of every style rule in a PostCSS
+ * root. Returns a change record per nested rule or at-rule moved out and
+ * one per nested rule left as written because its selector isn't valid.
+ */
+export function flattenNesting(root, options = {}) {
+  const changes = [];
+  const skipped = [];
+  const file = root.source?.input?.file || options.from || null;
+
+  const record = (list, rule, message, node, before, after) => {
+    const start = node.source?.start || {};
+    list.push({
+      rule,
+      message,
+      file,
+      line: start.line ?? null,
+      column: start.column ?? null,
+      before,
+      after,
+    });
+  };
+
+  const rules = [];
+  root.walkRules((rule) => {
+    if (isNested(rule) || !hasNestedRules(rule)) return;
+    rules.push(rule);
+  });
+
+  for (const rule of rules) {
+    const nodes = flattenBody(rule, rule.selectors, rule, (type, node, to) => {
+      const line = node.source?.start?.line ?? "?";
+      if (type === "rule") {
+        record(
+          changes,
+          "flatten-nesting",
+          `Flattened \`${node.selector}\` (line ${line}) into \`${to}\``,
+          node,
+          node.selector,
+          to,
+        );
+      } else if (type === "atrule") {
+        record(
+          changes,
+          "flatten-nesting",
+          `Moved \`@${node.name} ${node.params}\` (line ${line}) out of \`${to}\``,
+          node,
+          `@${node.name} ${node.params}`,
+          `@${node.name} ${node.params}`,
+        );
+      } else {
+        record(
+          skipped,
+          "nesting-invalid-selector",
+          `Left \`${node.selector}\` (line ${line}) nested: a type selector can't follow \`&\` (Sass suffixes aren't CSS nesting)`,
+          node,
+          node.selector,
+          node.selector,
+        );
+      }
+    });
+
+    // The flat nodes take the place and indentation of the rule they
+    // replace, moved left as far as they were nested
+    const spacing =
+      rule.next()?.raws.before ??
+      (rule.raws.before || getSpacing(rule.raws.after));
+    nodes.forEach((node, index) => {
+      reindent(node, getIndent(node.raws.before), getIndent(rule.raws.before));
+      node.raws.before = index === 0 ? rule.raws.before : spacing;
+    });
+    rule.replaceWith(nodes);
+  }
+
+  return { changes, skipped };
+}
+
+/**
+ * Parse CSS, flatten its nesting and return the new CSS, changes and
+ * skipped rules. With `map: true` the result also has a source map back to
+ * the input CSS.
+ */
+export function runNestingFlattener(css, options = {}) {
+  const root = safeParser(css, { from: options.from });
+  const { changes, skipped } = flattenNesting(root, options);
+
+  if (!options.map) {
+    return { css: root.toString(), changes, skipped };
+  }
+
+  const result = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { css: result.css, changes, skipped, map: result.map.toJSON() };
+}
+
+/**
+ * The flat nodes for the contents of a rule (or of an at-rule nested in
+ * one) with the resolved `selectors`: declarations in copies of `rule`,
+ * nested rules resolved, nested at-rules around copies of `rule`
+ */
+function flattenBody(container, selectors, rule, report) {
+  const output = [];
+  let chunk = null;
+
+  for (const node of container.nodes.slice()) {
+    if (node.type === "rule") {
+      const resolved = resolveNestedSelectors(node.selectors, selectors);
+      if (resolved) {
+        report("rule", node, resolved.join(", "));
+        const flat = flattenBody(node, resolved, node, report);
+        if (flat.length > 0) flat[0].raws.before = node.raws.before;
+        output.push(...flat);
+        chunk = null;
+        continue;
+      }
+      report("invalid", node);
+    } else if (
+      node.type === "atrule" &&
+      node.nodes &&
+      NESTED_GROUP_RULES.test(node.name)
+    ) {
+      report("atrule", node, selectors.join(", "));
+      const block = node.clone();
+      block.removeAll();
+      block.append(flattenBody(node, selectors, rule, report));
+      output.push(block);
+      chunk = null;
+      continue;
+    } else if (node.type === "comment" && !chunk) {
+      output.push(node);
+      continue;
+    }
+
+    if (!chunk) {
+      chunk = rule.clone({ selector: selectors.join(", ") });
+      chunk.removeAll();
+      chunk.raws.semicolon = true;
+      // In a rule the declarations stay where they were; in an at-rule
+      // they get a rule of their own where they start
+      if (container.type === "rule") {
+        chunk.raws.before = container.raws.before;
+        chunk.raws.after = container.raws.after;
+      } else {
+        chunk.raws.before = node.raws.before;
+        chunk.raws.after = node.raws.before.replace(/^\s*\n/, "\n");
+      }
+      output.push(chunk);
+    }
+    if (container.type !== "rule" && node.raws.before?.includes("\n")) {
+      // One level deeper, by the step the at-rule indents its contents
+      const step = getIndent(node.raws.before).slice(
+        getIndent(container.raws.before).length,
+      );
+      node.raws.before += step;
+    }
+    chunk.append(node);
+  }
+
+  return output;
+}
+
+/**
+ * Replace the indentation `from` with `to` in the whitespace of a node and
+ * its descendants
+ */
+function reindent(node, from, to) {
+  if (from === to) return;
+  const shift = (raw) =>
+    typeof raw === "string" ? raw.split(`\n${from}`).join(`\n${to}`) : raw;
+
+  node.raws.after = shift(node.raws.after);
+  node.walk?.((child) => {
+    child.raws.before = shift(child.raws.before);
+    child.raws.after = shift(child.raws.after);
+  });
+}
+
+/**
+ * Whitespace between rules written like one whose closing brace follows
+ * `after`: on their own lines, on one line, or minified
+ */
+function getSpacing(after = "") {
+  if (after.includes("\n")) return "\n";
+  return after ? " " : "";
+}
+
+function getIndent(whitespace = "") {
+  const lines = whitespace.split("\n");
+  return lines.length > 1 ? lines[lines.length - 1] : "";
+}
+
+function isNested(rule) {
+  for (let node = rule.parent; node; node = node.parent) {
+    if (node.type === "rule") return true;
+    if (node.type === "atrule" && /keyframes$/i.test(node.name)) return true;
+  }
+  return false;
+}
+
+function hasNestedRules(rule) {
+  return rule.nodes.some(
+    (node) =>
+      node.type === "rule" ||
+      (node.type === "atrule" &&
+        node.nodes &&
+        NESTED_GROUP_RULES.test(node.name)),
+  );
+}
+
+export default flattenNesting;
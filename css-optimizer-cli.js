@@ -11,7 +11,24 @@ import chokidar from "chokidar";
 import dotenv from "dotenv";
 
 // Import our optimizer functions
-import { optimizeCssFile } from "./css-optimizer.js";
+import {
+  optimizeCssFile,
+  configureOptimizer,
+  validateConfig,
+  getOptimizerCache,
+  createOptimizerPool,
+  shouldOptimizeInChunks,
+  optimizeCssInChunks,
+} from "./css-optimizer.js";
+import { mapConcurrent } from "./worker-pool.js";
+import { buildImportGraph } from "./import-inliner.js";
+import {
+  collectTokens,
+  createTokenCollection,
+  summarizeTokens,
+  toDesignTokens,
+} from "./design-tokens.js";
+import { collectBreakpoints, createBreakpointReport } from "./breakpoints.js";
 import { CLIEnhancer } from "./cli-enhancer.js";
 
 // Load environment variables
@@ -31,16 +48,51 @@ program
   .option("--no-backup", "Skip creating backup file")
   .option("--no-cache", "Disable caching mechanism")
   .option("--minify", "Enable minification for production builds")
+  .option("--source-map [mode]", "Generate source maps (file|inline)")
+  .option(
+    "--diff [file]",
+    "List every change and write a unified diff (<output>.patch or one combined file)",
+  )
   .option("--analyze", "Analyze CSS and show detailed statistics")
   .option("--watch", "Watch files for changes and optimize automatically")
   .option("--ai", "Enable AI-powered fixes (requires GROQ_API_KEY)")
   .option("--no-ai", "Disable AI-powered fixes")
   .option("--config <path>", "Path to configuration file")
+  .option(
+    "--profile <name>",
+    "Config profile to apply (dev, prod, legacy, email, or your own)",
+  )
   .option("--output <path>", "Output file or directory")
   .option(
     "--concurrency <number>",
-    "Number of files to process concurrently",
-    "4",
+    "Number of worker threads (default: CPU count)",
+  )
+  .option("--chunked", "Optimize in chunks even below the file size limit")
+  .option("--inline-imports", "Inline local @import statements")
+  .option(
+    "--assets",
+    "Inline small url() assets and copy the others with hashed names",
+  )
+  .option("--merge-rules", "Merge duplicate selectors and identical rules")
+  .option(
+    "--no-shorthands",
+    "Keep longhands and overridden declarations as written",
+  )
+  .option(
+    "--enforce-tokens <file>",
+    "Replace values matching a design token with var() references",
+  )
+  .option(
+    "--remove-unused",
+    "Remove unused keyframes, font faces, counter styles and custom properties",
+  )
+  .option(
+    "--verify-cascade [mode]",
+    "Warn about stages that change which declaration wins (or roll them back with `rollback`)",
+  )
+  .option(
+    "--media-query-order <order>",
+    "Sort media queries mobile-first, desktop-first or preserve their order",
   )
   .option("--exclude <pattern>", "Exclude files matching pattern")
   .option("--include <pattern>", "Include only files matching pattern")
@@ -57,7 +109,7 @@ program
   .description("Optimize CSS files and directories")
   .action(async (files, _options, command) => {
     try {
-      const opts = command.opts();
+      const opts = await resolveCliOptions(command.opts());
       await handleOptimize(files, opts);
     } catch (error) {
       console.error(chalk.red("❌ Error:"), error.message);
@@ -73,8 +125,8 @@ program
   .option("--recursive", "Search recursively in subdirectories")
   .action(async (pattern, options) => {
     try {
-      const opts = program.opts();
-      await handleBatch(pattern, { ...opts, ...options });
+      const opts = await resolveCliOptions({ ...program.opts(), ...options });
+      await handleBatch(pattern, opts);
     } catch (error) {
       console.error(chalk.red("❌ Error:"), error.message);
       process.exit(1);
@@ -89,7 +141,11 @@ program
   .option("--debounce <ms>", "Debounce time in milliseconds", "300")
   .action(async (files, options) => {
     try {
-      const opts = { ...program.opts(), ...options, watch: true };
+      const opts = await resolveCliOptions({
+        ...program.opts(),
+        ...options,
+        watch: true,
+      });
       await handleWatch(files, opts);
     } catch (error) {
       console.error(chalk.red("❌ Error:"), error.message);
@@ -97,6 +153,47 @@ program
     }
   });
 
+// Tokens command
+program
+  .command("tokens")
+  .argument("[files...]", "CSS files or directories to extract tokens from")
+  .description("Extract design tokens to W3C design tokens JSON")
+  .option(
+    "-o, --out <file>",
+    "Tokens file to write (- for stdout)",
+    "tokens.json",
+  )
+  .action(async (files, options) => {
+    try {
+      const opts = await resolveCliOptions({ ...program.opts(), ...options });
+      await handleTokens(files, opts);
+    } catch (error) {
+      console.error(chalk.red("❌ Error:"), error.message);
+      process.exit(1);
+    }
+  });
+
+// Breakpoints command
+program
+  .command("breakpoints")
+  .argument("[files...]", "CSS files or directories to list breakpoints of")
+  .description("List media query breakpoints and near-duplicates")
+  .option(
+    "--tolerance <px>",
+    "Report breakpoints at most this many px apart as near-duplicates",
+    "1",
+  )
+  .option("--json", "Print the report as JSON")
+  .action(async (files, options) => {
+    try {
+      const opts = await resolveCliOptions({ ...program.opts(), ...options });
+      await handleBreakpoints(files, opts);
+    } catch (error) {
+      console.error(chalk.red("❌ Error:"), error.message);
+      process.exit(1);
+    }
+  });
+
 // Init command for creating configuration
 program
   .command("init")
@@ -118,12 +215,12 @@ program
   .description("Analyze CSS files without optimization")
   .action(async (files, options) => {
     try {
-      const opts = {
+      const opts = await resolveCliOptions({
         ...program.opts(),
         ...options,
         analyze: true,
         dryRun: true,
-      };
+      });
       await handleOptimize(files, opts);
     } catch (error) {
       console.error(chalk.red("❌ Error:"), error.message);
@@ -131,6 +228,22 @@ program
     }
   });
 
+// Cache command
+program
+  .command("cache")
+  .argument("<action>", "stats, clear or prune")
+  .description("Show, clear or prune the project's optimization cache")
+  .option("--max-size <mb>", "Prune down to this size (default: the limit)")
+  .action(async (action, options) => {
+    try {
+      await resolveCliOptions({ ...program.opts(), ...options });
+      await handleCache(action, options);
+    } catch (error) {
+      console.error(chalk.red("❌ Error:"), error.message);
+      process.exit(1);
+    }
+  });
+
 // Interactive wizard command
 program
   .command("wizard")
@@ -151,6 +264,82 @@ program
     }
   });
 
+// Global options a config file's `options` block can also set
+const FILE_OPTIONS = [
+  "backup",
+  "concurrency",
+  "include",
+  "exclude",
+  "report",
+  "verbose",
+];
+
+/**
+ * Merge css-optimizer.config.js into the parsed CLI options. Flags given on
+ * the command line win; optimizer settings (minify, AI, cache, source maps)
+ * are applied to the optimizer's CONFIG with defaults < file < env < flags.
+ */
+async function resolveCliOptions(options) {
+  const fromCli = (name) => program.getOptionValueSource(name) === "cli";
+  const flag = (name, value = options[name]) =>
+    fromCli(name) ? value : undefined;
+
+  const loaded = await configureOptimizer({
+    configPath: options.config,
+    profile: options.profile,
+    overrides: {
+      ENABLE_MINIFICATION: flag("minify"),
+      ENABLE_AI_FIXES: flag("ai"),
+      ENABLE_CACHE: flag("cache"),
+      ENABLE_VERBOSE_LOGGING: flag("verbose"),
+      ENABLE_SOURCE_MAPS: flag("sourceMap", options.sourceMap !== false),
+      SOURCE_MAP_INLINE: flag("sourceMap", options.sourceMap === "inline"),
+      INLINE_IMPORTS: flag("inlineImports"),
+      PROCESS_ASSETS: flag("assets"),
+      MERGE_RULES: flag("mergeRules"),
+      OPTIMIZE_SHORTHANDS: flag("shorthands"),
+      TOKENS_FILE: flag(
+        "enforceTokens",
+        options.enforceTokens && path.resolve(options.enforceTokens),
+      ),
+      REMOVE_UNUSED: flag("removeUnused"),
+      VERIFY_CASCADE: flag(
+        "verifyCascade",
+        ["off", "rollback"].includes(options.verifyCascade)
+          ? options.verifyCascade
+          : "warn",
+      ),
+      MEDIA_QUERY_SORT_ORDER: flag("mediaQueryOrder"),
+    },
+  });
+
+  const { config, baseDir, runOptions, settings } = loaded;
+  const fileOptions = config.options || {};
+  const resolved = {
+    ...options,
+    runOptions,
+    inlineImports: settings.INLINE_IMPORTS,
+  };
+
+  for (const name of FILE_OPTIONS) {
+    if (!fromCli(name) && fileOptions[name] !== undefined) {
+      resolved[name] = fileOptions[name];
+    }
+  }
+
+  if (!fromCli("output") && config.output) {
+    resolved.output = path.resolve(baseDir, config.output);
+  }
+
+  if (config.input) {
+    resolved.input = []
+      .concat(config.input)
+      .map((pattern) => path.resolve(baseDir, pattern));
+  }
+
+  return resolved;
+}
+
 // Main handlers
 async function handleOptimize(files, options) {
   const startTime = performance.now();
@@ -164,6 +353,7 @@ async function handleOptimize(files, options) {
 
   cli.clear();
   console.log(chalk.blue.bold("🚀 CSS Optimizer CLI v2.1.0"));
+  validateConfig();
 
   // Resolve files
   const targetFiles = await resolveFiles(files, options);
@@ -183,32 +373,14 @@ async function handleOptimize(files, options) {
     showETA: true,
   });
 
-  // Process files with progress tracking
-  const results = [];
-  for (let i = 0; i < targetFiles.length; i++) {
-    const file = targetFiles[i];
-    progressBar.update(i, `Processing ${path.basename(file)}`);
-
-    try {
-      const result = await optimizeSingleFile(file, options);
-      results.push(result);
-
-      if (options.verbose) {
-        progressBar.update(i + 1, `✅ ${path.basename(file)}`);
-      }
-    } catch (error) {
-      results.push({
-        file,
-        success: false,
-        error: error.message,
-        duration: 0,
-      });
-
-      if (options.verbose) {
-        progressBar.update(i + 1, `❌ ${path.basename(file)}`);
-      }
-    }
-  }
+  // Process files on worker threads with progress tracking
+  const results = await processFilesWithConcurrency(targetFiles, {
+    ...options,
+    onProgress: ({ completed, item: file, result }) => {
+      const status = result.success ? "✅" : "❌";
+      progressBar.update(completed, `${status} ${path.basename(file)}`);
+    },
+  });
 
   progressBar.complete("All files processed!");
 
@@ -231,6 +403,7 @@ async function handleBatch(pattern, options) {
   });
 
   console.log(chalk.blue.bold("🔍 Batch Processing"));
+  validateConfig();
 
   // Build glob pattern
   const globPattern = options.recursive ? `**/${pattern}` : pattern;
@@ -268,31 +441,17 @@ async function handleBatch(pattern, options) {
 
   multiStep.nextStep(`Found ${cssFiles.length} files`);
 
-  // Process files with concurrency control and progress
-  const concurrency = parseInt(options.concurrency);
-  const results = [];
-
+  // Process files on worker threads with progress
   const progressBar = cli.createProgressBar(cssFiles.length, {
     label: "Processing files",
     width: 30,
     showPercentage: true,
   });
 
-  for (let i = 0; i < cssFiles.length; i += concurrency) {
-    const batch = cssFiles.slice(i, i + concurrency);
-    const batchResults = await Promise.all(
-      batch.map((file) =>
-        optimizeSingleFile(file, options).catch((error) => ({
-          file,
-          success: false,
-          error: error.message,
-          duration: 0,
-        })),
-      ),
-    );
-    results.push(...batchResults);
-    progressBar.update(Math.min(i + concurrency, cssFiles.length));
-  }
+  const results = await processFilesWithConcurrency(cssFiles, {
+    ...options,
+    onProgress: ({ completed }) => progressBar.update(completed),
+  });
 
   progressBar.complete("Batch processing complete");
   multiStep.nextStep();
@@ -309,6 +468,7 @@ async function handleBatch(pattern, options) {
 
 async function handleWatch(files, options) {
   console.log(chalk.blue.bold("👀 Watching for changes..."));
+  validateConfig();
 
   const targetFiles = await resolveFiles(files, options);
 
@@ -317,8 +477,16 @@ async function handleWatch(files, options) {
     return;
   }
 
+  // With @import inlining, files imported by the targets are watched too
+  // and a change to one re-optimizes the targets importing it
+  const targets = new Set(targetFiles.map((file) => path.resolve(file)));
+  const graph = options.inlineImports
+    ? await buildImportGraph([...targets])
+    : null;
+  const watched = graph ? graph.getFiles() : targetFiles;
+
   // Watch for changes
-  const watcher = chokidar.watch(targetFiles, {
+  const watcher = chokidar.watch(watched, {
     ignored: options.exclude ? [options.exclude] : [],
     persistent: true,
     ignoreInitial: true,
@@ -326,27 +494,47 @@ async function handleWatch(files, options) {
 
   const debounceTime = parseInt(options.debounce);
   let timeoutId;
+  const pending = new Set();
 
   watcher.on("change", async (filePath) => {
     console.log(chalk.blue(`📝 File changed: ${filePath}`));
 
+    const changed = path.resolve(filePath);
+    if (targets.has(changed)) pending.add(changed);
+    graph
+      ?.getDependents(changed)
+      .filter((file) => targets.has(file))
+      .forEach((file) => pending.add(file));
+
     // Debounce rapid changes
     clearTimeout(timeoutId);
     timeoutId = setTimeout(async () => {
-      try {
-        console.log(chalk.blue("⚡ Optimizing..."));
-        const results = await processFiles([filePath], options);
-
-        if (results.length > 0 && results[0].success) {
-          console.log(chalk.green(`✅ Optimized: ${filePath}`));
-        } else {
-          console.log(chalk.red(`❌ Failed to optimize: ${filePath}`));
+      const batch = [...pending];
+      pending.clear();
+
+      for (const file of batch) {
+        try {
+          console.log(chalk.blue(`⚡ Optimizing ${file}...`));
+          const results = await processFiles([file], options);
+
+          if (results.length > 0 && results[0].success) {
+            console.log(chalk.green(`✅ Optimized: ${file}`));
+          } else {
+            console.log(chalk.red(`❌ Failed to optimize: ${file}`));
+          }
+        } catch (error) {
+          console.error(
+            chalk.red(`❌ Error optimizing ${file}:`),
+            error.message,
+          );
         }
-      } catch (error) {
-        console.error(
-          chalk.red(`❌ Error optimizing ${filePath}:`),
-          error.message,
-        );
+      }
+
+      if (graph) {
+        const before = new Set(graph.getFiles());
+        await buildImportGraph(batch, graph);
+        const added = graph.getFiles().filter((file) => !before.has(file));
+        if (added.length > 0) watcher.add(added);
       }
     }, debounceTime);
   });
@@ -370,6 +558,136 @@ async function handleWatch(files, options) {
   });
 }
 
+async function handleTokens(files, options) {
+  const targetFiles = await resolveFiles(files, options);
+
+  if (targetFiles.length === 0) {
+    console.log(chalk.yellow("⚠️  No CSS files found."));
+    return null;
+  }
+
+  const tokens = createTokenCollection();
+  for (const file of targetFiles) {
+    collectTokens(await fs.readFile(file, "utf8"), { from: file, tokens });
+  }
+  const document = toDesignTokens(tokens);
+
+  if (options.out === "-") {
+    process.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+    return document;
+  }
+
+  await fs.outputJson(path.resolve(options.out), document, { spaces: 2 });
+  console.log(
+    chalk.blue.bold(`🎨 Design tokens from ${targetFiles.length} file(s)`),
+  );
+  for (const [category, { distinct, usages }] of Object.entries(
+    summarizeTokens(tokens),
+  )) {
+    if (distinct > 0) {
+      console.log(`   ${category}: ${distinct} values, ${usages} usages`);
+    }
+  }
+  console.log(chalk.green(`✅ Tokens written to ${options.out}`));
+  return document;
+}
+
+async function handleBreakpoints(files, options) {
+  const targetFiles = await resolveFiles(files, options);
+
+  if (targetFiles.length === 0) {
+    console.log(chalk.yellow("⚠️  No CSS files found."));
+    return null;
+  }
+
+  const breakpoints = new Map();
+  for (const file of targetFiles) {
+    collectBreakpoints(await fs.readFile(file, "utf8"), {
+      from: file,
+      breakpoints,
+    });
+  }
+  const report = createBreakpointReport(breakpoints, {
+    tolerance: parseFloat(options.tolerance),
+  });
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    return report;
+  }
+
+  console.log(
+    chalk.blue.bold(
+      `📐 ${report.breakpoints.length} breakpoint(s) in ${targetFiles.length} file(s)`,
+    ),
+  );
+  for (const { value, count, forms } of report.breakpoints) {
+    console.log(
+      `   ${value.padEnd(10)} ${String(count).padStart(4)}×  ${forms.join(", ")}`,
+    );
+  }
+  if (report.nearDuplicates.length > 0) {
+    console.log(chalk.yellow("\n⚠️  Near-duplicate breakpoints:"));
+    for (const { breakpoints: pair, difference } of report.nearDuplicates) {
+      console.log(`   ${pair.join(" and ")} (${difference} apart)`);
+    }
+  }
+  return report;
+}
+
+async function handleCache(action, options = {}) {
+  const cache = getOptimizerCache();
+  const location = path.relative(process.cwd(), cache.directory) || ".";
+
+  switch (action) {
+    case "stats": {
+      const stats = await cache.stats();
+      console.log(chalk.blue.bold("💾 Optimization cache"));
+      console.log(`   Directory: ${location}`);
+      console.log(`   Entries: ${stats.entries}`);
+      console.log(
+        `   Size: ${formatBytes(stats.size)} of ${formatBytes(stats.maxSize)}`,
+      );
+      if (stats.lastUsed) {
+        console.log(`   Last used: ${stats.lastUsed.toLocaleString()}`);
+        console.log(
+          `   Least recently used: ${stats.leastRecentlyUsed.toLocaleString()}`,
+        );
+      }
+      return stats;
+    }
+    case "clear": {
+      const result = await cache.clear();
+      console.log(
+        chalk.green(
+          `🧹 Removed ${result.removed} cache entries (${formatBytes(result.freed)}) from ${location}`,
+        ),
+      );
+      return result;
+    }
+    case "prune": {
+      const maxSize =
+        options.maxSize !== undefined
+          ? parseFloat(options.maxSize) * 1024 * 1024
+          : cache.maxSize;
+      if (!Number.isFinite(maxSize) || maxSize < 0) {
+        throw new Error(`Invalid --max-size: ${options.maxSize}`);
+      }
+      const result = await cache.prune({ maxSize });
+      console.log(
+        chalk.green(
+          `✂️  Removed ${result.removed} least recently used entries (${formatBytes(result.freed)}), ${formatBytes(result.size)} left`,
+        ),
+      );
+      return result;
+    }
+    default:
+      throw new Error(
+        `Unknown cache action "${action}". Use stats, clear or prune.`,
+      );
+  }
+}
+
 async function handleInit(options) {
   const cli = new CLIEnhancer();
 
@@ -384,7 +702,7 @@ async function handleInit(options) {
 
     const configPath = options.config || "css-optimizer.config.js";
     const configContent = `/** @type {import('./css-optimizer-cli.js').OptimizerConfig} */
-export default ${JSON.stringify(config, null, 2)};
+export default ${JSON.stringify(wizardAnswersToConfig(config), null, 2)};
 `;
 
     await fs.writeFile(configPath, configContent);
@@ -410,9 +728,6 @@ export default {
   
   // Processing options
   options: {
-    // Enable AI-powered fixes
-    ai: true,
-    
     // Create backup files
     backup: true,
     
@@ -440,12 +755,20 @@ export default {
     // Browser targets for autoprefixer
     browsers: ['> 1%', 'last 2 versions', 'not dead'],
     
-    // AI settings
+    // AI-powered fixes (set to false to disable)
     ai: {
+      enabled: true,
       maxErrors: 5,
       temperature: 0.1,
       maxTokens: 1000
     }
+  },
+
+  // Named profiles, selected with --profile or NODE_ENV. Built in: dev,
+  // prod, legacy and email; entries here extend or change them.
+  profiles: {
+    prod: { minify: true, ai: false },
+    staging: { extends: 'prod', sourceMap: true }
   }
 };
 `;
@@ -456,14 +779,42 @@ export default {
   }
 }
 
+/**
+ * Convert configuration wizard answers to the config file format
+ */
+function wizardAnswersToConfig(answers) {
+  const list = (value) =>
+    String(value)
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+
+  return {
+    input: list(answers.inputFiles),
+    output: answers.outputDir,
+    options: {
+      ai: { enabled: Boolean(answers.enableAI) },
+      backup: Boolean(answers.createBackup),
+      minify: Boolean(answers.enableMinification),
+      purge: Boolean(answers.enablePurgeCSS),
+      critical: Boolean(answers.enableCriticalCSS),
+      concurrency: Number(answers.concurrency),
+      browsers: list(answers.browsers),
+    },
+  };
+}
+
 // Helper functions
 async function resolveFiles(files, options) {
   if (!files || files.length === 0) {
-    // Default to current directory
-    files = ["."];
+    // Default to the config file's input, then the current directory
+    files = options.input || ["."];
   }
 
   const allFiles = [];
+  const ignore = options.exclude
+    ? [].concat(options.exclude)
+    : ["node_modules/**", ".git/**"];
 
   for (const file of files) {
     const resolvedPath = path.resolve(file);
@@ -476,14 +827,19 @@ async function resolveFiles(files, options) {
         const dirFiles = await glob("**/*.css", {
           cwd: resolvedPath,
           absolute: true,
-          ignore: options.exclude
-            ? [options.exclude]
-            : ["node_modules/**", ".git/**"],
+          ignore,
         });
         allFiles.push(...dirFiles);
       } else if (resolvedPath.endsWith(".css")) {
         allFiles.push(resolvedPath);
       }
+    } else if (glob.hasMagic(file)) {
+      // Glob pattern, e.g. from the config file's `input`
+      const matches = await glob(file.split(path.sep).join("/"), {
+        absolute: true,
+        ignore,
+      });
+      allFiles.push(...matches.filter((match) => match.endsWith(".css")));
     }
   }
 
@@ -523,29 +879,42 @@ async function processFiles(files, options) {
   return results;
 }
 
+/**
+ * Optimize files on a pool of worker threads (`options.concurrency`, CPU
+ * count by default). Results are in `files` order; `options.onProgress` is
+ * called with `{ completed, total, item, result }` as each file finishes.
+ */
 async function processFilesWithConcurrency(files, options) {
-  const concurrency = parseInt(options.concurrency);
-  const results = [];
+  const { onProgress, ...fileOptions } = options;
+  const pool = createOptimizerPool({
+    concurrency: options.concurrency,
+    tasks: files.length,
+    verbose: options.verbose,
+  });
 
-  for (let i = 0; i < files.length; i += concurrency) {
-    const batch = files.slice(i, i + concurrency);
-    const batchResults = await Promise.all(
-      batch.map((file) =>
-        optimizeSingleFile(file, options).catch((error) => ({
+  try {
+    return await mapConcurrent(
+      files,
+      pool.size,
+      (file) =>
+        optimizeSingleFile(file, fileOptions, pool).catch((error) => ({
           file,
           success: false,
           error: error.message,
           duration: 0,
         })),
-      ),
+      { onProgress },
     );
-    results.push(...batchResults);
+  } finally {
+    await pool.close();
   }
-
-  return results;
 }
 
-async function optimizeSingleFile(filePath, options) {
+async function optimizeSingleFile(
+  filePath,
+  options,
+  optimizer = { optimizeCssFile },
+) {
   const startTime = performance.now();
 
   if (options.dryRun) {
@@ -563,15 +932,62 @@ async function optimizeSingleFile(filePath, options) {
     };
   }
 
-  // Use the existing optimizer
-  const result = await optimizeCssFile(filePath, {
-    outputPath: options.output,
-    createBackup: options.backup,
-    enableAI: options.ai !== false,
-    enableMinification: options.minify,
-    verbose: options.verbose,
+  const outputPath = resolveOutputPath(filePath, options.output);
+  const { size } = await fs.stat(filePath);
+  const chunked = shouldOptimizeInChunks(filePath, size, {
+    chunked: options.chunked,
+  });
+
+  if (options.backup !== false && outputPath === filePath) {
+    await fs.copy(filePath, filePath.replace(/\.css$/, ".backup.css"));
+  }
+
+  if (chunked) {
+    return optimizeFileInChunks(filePath, outputPath, options, startTime);
+  }
+
+  // Run the in-memory pipeline and write the result ourselves
+  const css = await fs.readFile(filePath, "utf8");
+
+  const {
+    optimizedCode,
+    map,
+    sourceMapMode,
+    warnings,
+    fixes,
+    changes,
+    diff,
+    stats,
+  } = await optimizer.optimizeCssFile(css, {
+    ...options.runOptions,
+    from: filePath,
+    to: outputPath,
+    diff: Boolean(options.diff),
   });
 
+  await fs.outputFile(outputPath, optimizedCode);
+  if (sourceMapMode === "file") {
+    await fs.outputJson(`${outputPath}.map`, map);
+  }
+  if (options.diff === true && diff) {
+    await fs.outputFile(`${outputPath}.patch`, diff);
+  }
+
+  const result = {
+    outputPath,
+    originalSize: stats.originalSize,
+    optimizedSize: stats.finalSize,
+    compression: stats.compressionRatio,
+    warnings,
+    fixes: fixes.map(
+      (fix) =>
+        `${path.basename(filePath)}:${fix.line}:${fix.column} ${fix.message} (${fix.rule})`,
+    ),
+    changes,
+    diff,
+    stats,
+  };
+
   const endTime = performance.now();
   const duration = endTime - startTime;
 
@@ -583,6 +999,49 @@ async function optimizeSingleFile(filePath, options) {
   };
 }
 
+/**
+ * optimizeSingleFile() for files too large to read into memory, which are
+ * optimized and written in chunks
+ */
+async function optimizeFileInChunks(filePath, outputPath, options, startTime) {
+  const result = await optimizeCssInChunks(filePath, outputPath, {
+    ...options.runOptions,
+    diff: Boolean(options.diff),
+  });
+
+  return {
+    file: filePath,
+    success: true,
+    outputPath,
+    originalSize: result.originalSize,
+    optimizedSize: result.finalSize,
+    compression: result.compressionRatio,
+    warnings: result.warnings,
+    fixes: result.fixes.map(
+      (fix) =>
+        `${path.basename(filePath)}:${fix.line}:${fix.column} ${fix.message} (${fix.rule})`,
+    ),
+    changes: [],
+    diff: null,
+    stats: result,
+    chunks: result.chunks,
+    duration: performance.now() - startTime,
+  };
+}
+
+function resolveOutputPath(filePath, output) {
+  if (!output) {
+    return filePath.replace(/\.css$/, ".optimized.css");
+  }
+
+  const resolvedOutput = path.resolve(output);
+  if (resolvedOutput.endsWith(".css")) {
+    return resolvedOutput;
+  }
+
+  return path.join(resolvedOutput, path.basename(filePath));
+}
+
 async function generateReport(results, options) {
   const successful = results.filter((r) => r.success);
   const failed = results.filter((r) => !r.success);
@@ -738,6 +1197,10 @@ async function generateEnhancedReport(results, options, cli) {
         console.log(chalk.green(`  ${index + 1}. ${fix}`));
       });
     }
+
+    if (options.diff) {
+      await reportChanges(successful, options);
+    }
   }
 
   if (failed.length > 0) {
@@ -767,6 +1230,37 @@ async function generateEnhancedReport(results, options, cli) {
   }
 }
 
+async function reportChanges(results, options) {
+  console.log(chalk.blue("\n📝 Changes:"));
+
+  results.forEach((result) => {
+    (result.changes || []).forEach((change) => {
+      const location = `${path.basename(result.file)}:${change.line ?? "?"}`;
+      const edit =
+        change.type === "added"
+          ? chalk.green(`+ ${change.after}`)
+          : change.type === "removed"
+            ? chalk.red(`- ${change.before}`)
+            : `${chalk.red(change.before)} → ${chalk.green(change.after)}`;
+      const source =
+        change.rule === change.stage
+          ? change.stage
+          : `${change.stage}/${change.rule}`;
+      console.log(`  ${location} ${chalk.gray(`[${source}]`)} ${edit}`);
+    });
+  });
+
+  if (typeof options.diff === "string") {
+    await fs.outputFile(
+      options.diff,
+      results.map((result) => result.diff || "").join(""),
+    );
+    console.log(chalk.blue(`🩹 Diff saved: ${options.diff}`));
+  } else {
+    console.log(chalk.blue("🩹 Diffs saved next to each output as .patch"));
+  }
+}
+
 async function saveDetailedReport(results, format) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
   const filename = `css-optimizer-report-${timestamp}.${format}`;
@@ -884,7 +1378,10 @@ export {
   handleBatch,
   handleWatch,
   handleInit,
+  handleCache,
+  resolveCliOptions,
   resolveFiles,
   processFiles,
+  processFilesWithConcurrency,
   generateReport,
 };
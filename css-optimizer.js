@@ -3,15 +3,50 @@ import path from "path";
 import { fileURLToPath } from "url";
 import postcss from "postcss";
 import safeParser from "postcss-safe-parser";
-import sortMediaQueries from "postcss-sort-media-queries";
 import autoprefixer from "autoprefixer";
 import cssnano from "cssnano";
 import prettier from "prettier";
 import stylelint from "stylelint";
 import { performance } from "perf_hooks";
-import crypto from "crypto";
+import { isMainThread } from "worker_threads";
 import dotenv from "dotenv";
-import { combineDuplicateMediaQueries } from "./media-query-combiner.js";
+import { runMediaQueryCombiner } from "./media-query-combiner.js";
+import { mediaQuerySorter } from "./media-query-sorter.js";
+import {
+  OptimizerError,
+  CssParseError,
+  FileSizeError,
+  FileIOError,
+  AIFixError,
+  toOptimizerError,
+  deserializeError,
+} from "./error-handler.js";
+import { Pipeline, configurePipeline } from "./pipeline.js";
+import { FIX_RULES, runFixRules } from "./fix-rules.js";
+import { runShorthandOptimizer } from "./shorthand-optimizer.js";
+import { runRuleMerger } from "./rule-merger.js";
+import { runUnusedDefinitionRemover } from "./unused-definitions.js";
+import { buildImportGraph, inlineImports } from "./import-inliner.js";
+import { getLayerForFile, runLayerWrapper } from "./cascade-layers.js";
+import { runAssetProcessor } from "./asset-processor.js";
+import { loadTokens, runTokenEnforcer } from "./token-enforcer.js";
+import { compareCascades, createCascadeModel } from "./cascade-verifier.js";
+import {
+  collectCustomProperties,
+  getTargetsWithoutCustomProperties,
+  runCustomPropertyFallbacks,
+} from "./custom-properties.js";
+import { SourceMapTracker, addSourceMapComment } from "./source-map-tracker.js";
+import { ChangeLog } from "./change-log.js";
+import { createUnifiedDiff } from "./unified-diff.js";
+import { loadConfig, resolveConfig } from "./config-loader.js";
+import { OptimizerCache } from "./optimizer-cache.js";
+import { forEachChunk, optimizeCssChunked } from "./chunked-optimizer.js";
+import {
+  WorkerPool,
+  getDefaultConcurrency,
+  mapConcurrent,
+} from "./worker-pool.js";
 
 // Load environment variables from .env file, overriding existing env vars
 dotenv.config({ override: true });
@@ -19,7 +54,7 @@ dotenv.config({ override: true });
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Configuration - Enhanced with .env support
+// Configuration - Enhanced with .env support and css-optimizer.config.js
 const CONFIG = {
   INPUT_PATH: path.resolve(
     __dirname,
@@ -34,57 +69,42 @@ const CONFIG = {
     process.env.CSS_BACKUP_FILE || "style.backup.css",
   ),
 
-  // Processing options
-  ENABLE_AUTOPREFIXER: process.env.ENABLE_AUTOPREFIXER !== "false",
-  ENABLE_MINIFICATION: process.env.ENABLE_MINIFICATION === "true",
-  ENABLE_SOURCE_MAPS: process.env.ENABLE_SOURCE_MAPS === "true",
-
-  // Browser support
-  BROWSERS: process.env.BROWSERS
-    ? process.env.BROWSERS.split(",").map((b) => b.trim())
-    : ["> 1%", "last 2 versions", "not dead"],
-
-  // File size limits
-  MAX_FILE_SIZE_MB: parseInt(process.env.MAX_FILE_SIZE_MB || "10"),
-  WARN_SIZE_MB: parseInt(process.env.WARN_SIZE_MB || "5"),
-
-  // Groq AI Configuration
-  GROQ_API_KEY: (process.env.GROQ_API_KEY || "").trim(),
-  GROQ_API_URL:
-    process.env.GROQ_API_URL ||
-    "https://api.groq.com/openai/v1/chat/completions",
-  GROQ_MODEL: process.env.GROQ_MODEL || "llama3-70b-8192",
-  ENABLE_AI_FIXES: process.env.ENABLE_AI_FIXES !== "false",
-
-  // AI Processing limits
-  AI_MAX_ERRORS_TO_PROCESS: parseInt(
-    process.env.AI_MAX_ERRORS_TO_PROCESS || "5",
-  ),
-  AI_MAX_TOKENS_PER_REQUEST: parseInt(
-    process.env.AI_MAX_TOKENS_PER_REQUEST || "1000",
-  ),
-  AI_TEMPERATURE: parseFloat(process.env.AI_TEMPERATURE || "0.1"),
-  AI_TOP_P: parseFloat(process.env.AI_TOP_P || "1.0"),
-  AI_MAX_RETRIES: parseInt(process.env.AI_MAX_RETRIES || "3"),
-  AI_RETRY_DELAY_MS: parseInt(process.env.AI_RETRY_DELAY_MS || "1000"),
-
-  // Prettier settings
-  PRETTIER_TAB_WIDTH: parseInt(process.env.PRETTIER_TAB_WIDTH || "2"),
-  PRETTIER_USE_TABS: process.env.PRETTIER_USE_TABS === "true",
-  PRETTIER_PRINT_WIDTH: parseInt(process.env.PRETTIER_PRINT_WIDTH || "100"),
-  PRETTIER_END_OF_LINE: process.env.PRETTIER_END_OF_LINE || "lf",
-  PRETTIER_SEMI: process.env.PRETTIER_SEMI !== "false",
-  PRETTIER_SINGLE_QUOTE: process.env.PRETTIER_SINGLE_QUOTE === "true",
-
-  // Logging
-  LOG_LEVEL: process.env.LOG_LEVEL || "info",
-  ENABLE_VERBOSE_LOGGING: process.env.ENABLE_VERBOSE_LOGGING === "true",
-  ENABLE_PERFORMANCE_TIMING: process.env.ENABLE_PERFORMANCE_TIMING !== "false",
-
-  // Caching
-  ENABLE_CACHE: process.env.ENABLE_CACHE !== "false",
+  // Processing, AI, Prettier, logging and cache settings: defaults, then
+  // environment variables (configureOptimizer() adds the config file)
+  ...resolveConfig({ env: process.env }),
 };
 
+// Config file and profile applied by configureOptimizer(), if any
+let configFilePath = null;
+let activeProfile = null;
+
+// Relative paths in settings (the cache directory) are resolved from the
+// config file's directory, or the working directory without one
+let projectDir = process.cwd();
+let optimizerCache = null;
+
+// What configureOptimizer() was called with and loaded, for worker threads
+let configureOptions = null;
+let configuredRunOptions = {};
+
+/**
+ * Load css-optimizer.config.js (discovered from `cwd` or given as
+ * `configPath`) and apply it to CONFIG with defaults < file < profile < env
+ * < `overrides` precedence. `profile` names the profile to use (NODE_ENV
+ * otherwise). Returns the loaded config, including the `runOptions` (fix
+ * rules, pipeline, PostCSS plugins) for optimizeCssFile.
+ */
+async function configureOptimizer(options = {}) {
+  const loaded = await loadConfig(options);
+  configureOptions = options;
+  configuredRunOptions = loaded.runOptions;
+  Object.assign(CONFIG, loaded.settings);
+  configFilePath = loaded.configPath;
+  activeProfile = loaded.profile;
+  projectDir = loaded.baseDir;
+  return loaded;
+}
+
 /**
  * Analyze CSS and provide detailed insights
  */
@@ -223,7 +243,7 @@ function generateAnalysisReport(analysis) {
   console.log("\n💡 Optimization Suggestions:");
   if (analysis.duplicateSelectors > 0) {
     console.log(
-      `   • Found ${analysis.duplicateSelectors} duplicate selectors that could be merged`,
+      `   • Found ${analysis.duplicateSelectors} duplicate selectors that could be merged (--merge-rules)`,
     );
   }
   if (analysis.importStatements > 0) {
@@ -268,8 +288,16 @@ function validateConfig() {
     console.log("");
   }
 
+  if (activeProfile) {
+    reportProfile(activeProfile);
+  }
+
   if (CONFIG.ENABLE_VERBOSE_LOGGING) {
     console.log("📋 Current Configuration:");
+    console.log(
+      `   Config file: ${configFilePath ? path.relative(process.cwd(), configFilePath) : "none"}`,
+    );
+    console.log(`   Profile: ${activeProfile ? activeProfile.name : "none"}`);
     console.log(`   Input: ${path.basename(CONFIG.INPUT_PATH)}`);
     console.log(`   Output: ${path.basename(CONFIG.OUTPUT_PATH)}`);
     console.log(`   AI Fixes: ${CONFIG.ENABLE_AI_FIXES ? "✅" : "❌"}`);
@@ -277,7 +305,46 @@ function validateConfig() {
     console.log(`   Minification: ${CONFIG.ENABLE_MINIFICATION ? "✅" : "❌"}`);
     console.log("");
   }
-} /**
+}
+
+/**
+ * Show the profile in use, the profiles it extends and the settings it
+ * resolved to, noting any that the environment or CLI flags overrode
+ */
+function reportProfile(profile) {
+  const source =
+    profile.source === "NODE_ENV"
+      ? ` (from NODE_ENV=${process.env.NODE_ENV})`
+      : "";
+  console.log(`🎛️ Profile: ${profile.name}${source}`);
+  if (profile.chain.length > 1) {
+    console.log(`   Extends: ${profile.chain.join(" → ")}`);
+  }
+
+  Object.entries(profile.settings).forEach(([key, value]) => {
+    const effective = CONFIG[key];
+    const overridden =
+      JSON.stringify(effective) !== JSON.stringify(value)
+        ? ` (overridden: ${formatSetting(value)})`
+        : "";
+    console.log(`   ${key}: ${formatSetting(effective)}${overridden}`);
+  });
+
+  ["purge", "critical"].forEach((option) => {
+    if (profile.options[option] !== undefined) {
+      console.log(
+        `   ${option}: ${profile.options[option] === false ? "off" : "on"}`,
+      );
+    }
+  });
+  console.log("");
+}
+
+function formatSetting(value) {
+  return Array.isArray(value) ? value.join(", ") : String(value);
+}
+
+/**
  * Enhanced linting and fixing CSS using Stylelint
  */
 async function lintAndFixCss(cssCode, filePath) {
@@ -294,6 +361,14 @@ async function lintAndFixCss(cssCode, filePath) {
     const [firstResult] = result.results;
     const fixedCss = firstResult?.output ?? cssCode;
     let remainingErrors = [];
+    const allWarnings = (firstResult?.warnings || []).map((w) => ({
+      stage: "lint",
+      rule: w.rule,
+      text: w.text,
+      severity: w.severity,
+      line: w.line,
+      column: w.column,
+    }));
 
     if (firstResult?.warnings?.length > 0) {
       const errors = firstResult.warnings.filter((w) => w.severity === "error");
@@ -325,223 +400,348 @@ async function lintAndFixCss(cssCode, filePath) {
       console.log("✅ No linting issues found");
     }
 
-    return { fixedCss, errors: remainingErrors };
+    return { fixedCss, errors: remainingErrors, warnings: allWarnings };
   } catch (error) {
     console.error("❌ Stylelint error:", error.message);
-    return { fixedCss: cssCode, errors: [] };
+    return { fixedCss: cssCode, errors: [], warnings: [] };
   }
 }
 
 /**
  * Enhanced additional fixes that Stylelint doesn't handle automatically
- * (Comprehensive approach - target specific error patterns)
+ * (AST-based rules from fix-rules.js, each can be toggled via `options.rules`)
  */
-function applyAdditionalFixes(cssCode) {
+function applyAdditionalFixes(cssCode, options = {}) {
   console.log("🔧 Applying advanced CSS fixes...");
-  let fixed = cssCode;
-  let fixCount = 0;
-
-  // 1. Fix: `word-break: break-word` → `overflow-wrap: break-word`
-  const wordBreakMatches = fixed.match(/word-break\s*:\s*break-word\b/g);
-  if (wordBreakMatches) {
-    fixed = fixed.replace(
-      /word-break\s*:\s*break-word\b/g,
-      "overflow-wrap: break-word",
-    );
-    fixCount += wordBreakMatches.length;
-    console.log(
-      `   ✓ Fixed ${wordBreakMatches.length} deprecated word-break declarations`,
-    );
-  }
 
-  // 2. Fix common typos: `36xp` → `36px`, `0xp` → `0px`
-  const typoMatches = fixed.match(/\b(\d+)xp\b/g);
-  if (typoMatches) {
-    fixed = fixed.replace(/\b(\d+)xp\b/g, "$1px");
-    fixCount += typoMatches.length;
-    console.log(`   ✓ Fixed ${typoMatches.length} 'xp' typos`);
-  }
+  const { css, changes, map } = runFixRules(cssCode, options);
 
-  // 3. Fix unitless values for properties that require units
-  const unitlessRegex =
-    /(padding-top|padding-bottom|padding-left|padding-right|margin-top|margin-bottom|margin-left|margin-right|font-size|border-radius)\s*:\s*(\b(?!0\b|auto\b|inherit\b|initial\b|unset\b)\d+)(?=\s*(;|\n|\}|$))/g;
-  const unitlessMatches = [...fixed.matchAll(unitlessRegex)];
-  if (unitlessMatches.length > 0 && unitlessMatches.length < 100) {
-    // Safety limit
-    fixed = fixed.replace(unitlessRegex, "$1: $2px");
-    fixCount += unitlessMatches.length;
-    console.log(`   ✓ Added units to ${unitlessMatches.length} numeric values`);
-  }
+  const counts = new Map();
+  changes.forEach((change) => {
+    counts.set(change.rule, (counts.get(change.rule) || 0) + 1);
+  });
 
-  // 4. Fix invalid flex/grid values
-  const invalidFlexMatches = fixed.match(
-    /\balign-items\s*:\s*anchor-center\b/g,
-  );
-  if (invalidFlexMatches) {
-    fixed = fixed.replace(
-      /\balign-items\s*:\s*anchor-center\b/g,
-      "align-items: center",
-    );
-    fixCount += invalidFlexMatches.length;
-    console.log(
-      `   ✓ Fixed ${invalidFlexMatches.length} invalid align-items values`,
-    );
+  for (const [ruleId, count] of counts) {
+    const rule = FIX_RULES.find((definition) => definition.id === ruleId);
+    console.log(`   ✓ ${rule.description} (${ruleId}): ${count}`);
   }
 
-  // 5. Fix shorthand property overrides - CRITICAL FIX
-  // This is a sophisticated fix that looks within CSS rule blocks
-  let backgroundFixCount = 0;
-  let borderFixCount = 0;
-
-  // Fix background shorthand after background-color within the same rule block
-  const ruleBlockPattern =
-    /([^{}]*\{[^{}]*background-color[^{}]*background[^{}]*\})/g;
-  const ruleBlocks = [...fixed.matchAll(ruleBlockPattern)];
-
-  for (const [fullMatch] of ruleBlocks) {
-    // Within each rule block, swap background-color and background
-    const withinBlockPattern =
-      /(background-color\s*:[^;]+;)(\s*[^{}]*?)(background\s*:[^;]+;)/;
-    if (withinBlockPattern.test(fullMatch)) {
-      const newBlock = fullMatch.replace(withinBlockPattern, "$3$2$1");
-      fixed = fixed.replace(fullMatch, newBlock);
-      backgroundFixCount++;
-    }
+  if (changes.length > 0) {
+    console.log(`   🎉 Applied ${changes.length} total structural fixes`);
+  } else {
+    console.log("   ✅ No additional fixes needed");
   }
 
-  // Fix border shorthand after border-color within the same rule block
-  const borderRuleBlockPattern =
-    /([^{}]*\{[^{}]*border-color[^{}]*border[^{}]*\})/g;
-  const borderRuleBlocks = [...fixed.matchAll(borderRuleBlockPattern)];
+  return { css, changes, map };
+}
 
-  for (const [fullMatch] of borderRuleBlocks) {
-    // Within each rule block, swap border-color and border
-    const withinBorderBlockPattern =
-      /(border-color\s*:[^;]+;)(\s*[^{}]*?)(border\s*:[^;]+;)/;
-    if (withinBorderBlockPattern.test(fullMatch)) {
-      const newBlock = fullMatch.replace(withinBorderBlockPattern, "$3$2$1");
-      fixed = fixed.replace(fullMatch, newBlock);
-      borderFixCount++;
-    }
-  }
+/**
+ * Replace local `@import` statements with the files they import
+ */
+async function inlineLocalImports(cssCode, options = {}) {
+  console.log("📦 Inlining @import statements...");
 
-  if (backgroundFixCount > 0) {
-    console.log(
-      `   ✓ Reordered ${backgroundFixCount} background property declarations`,
-    );
-    fixCount += backgroundFixCount;
-  }
+  const result = await inlineImports(cssCode, options);
 
-  if (borderFixCount > 0) {
-    console.log(
-      `   ✓ Reordered ${borderFixCount} border property declarations`,
-    );
-    fixCount += borderFixCount;
-  }
-
-  // 6. Fix more shorthand property overrides - IMPROVED PATTERNS
-  let paddingFixCount = 0;
-  let marginFixCount = 0;
-
-  // Fix padding shorthand after padding-* properties within the same rule block
-  const paddingRuleBlockPattern =
-    /([^{}]*\{[^{}]*(padding-top|padding-bottom|padding-left|padding-right)[^{}]*padding[^{}]*\})/g;
-  const paddingRuleBlocks = [...fixed.matchAll(paddingRuleBlockPattern)];
-
-  for (const [fullMatch] of paddingRuleBlocks) {
-    // Within each rule block, swap padding-* and padding
-    const withinPaddingBlockPattern =
-      /((padding-top|padding-bottom|padding-left|padding-right)\s*:[^;]+;)(\s*[^{}]*?)(padding\s*:[^;]+;)/;
-    if (withinPaddingBlockPattern.test(fullMatch)) {
-      const newBlock = fullMatch.replace(withinPaddingBlockPattern, "$3$1$4");
-      fixed = fixed.replace(fullMatch, newBlock);
-      paddingFixCount++;
-    }
+  if (result.dependencies.length > 0) {
+    console.log(`   ✓ Inlined files: ${result.dependencies.length}`);
   }
+  result.errors.forEach((error) => {
+    console.warn(`   ⚠️ ${error.message}`);
+  });
+
+  return result;
+}
 
-  // Fix margin shorthand after margin-* properties within the same rule block
-  const marginRuleBlockPattern =
-    /([^{}]*\{[^{}]*(margin-top|margin-bottom|margin-left|margin-right)[^{}]*margin[^{}]*\})/g;
-  const marginRuleBlocks = [...fixed.matchAll(marginRuleBlockPattern)];
+/**
+ * Inline small url() assets as data URIs and copy the others next to the
+ * output under content-hashed names
+ */
+async function processUrlAssets(cssCode, options = {}) {
+  console.log("🖼️ Processing url() assets...");
 
-  for (const [fullMatch] of marginRuleBlocks) {
-    // Within each rule block, swap margin-* and margin
-    const withinMarginBlockPattern =
-      /((margin-top|margin-bottom|margin-left|margin-right)\s*:[^;]+;)(\s*[^{}]*?)(margin\s*:[^;]+;)/;
-    if (withinMarginBlockPattern.test(fullMatch)) {
-      const newBlock = fullMatch.replace(withinMarginBlockPattern, "$3$1$4");
-      fixed = fixed.replace(fullMatch, newBlock);
-      marginFixCount++;
-    }
-  }
+  const result = await runAssetProcessor(cssCode, options);
 
-  if (paddingFixCount > 0) {
+  const inlined = result.assets.filter((asset) => asset.inlined).length;
+  const copied = result.assets.filter((asset) => asset.output).length;
+  if (inlined > 0) console.log(`   ✓ Inlined assets: ${inlined}`);
+  if (copied > 0) console.log(`   ✓ Copied assets: ${copied}`);
+  result.errors.forEach((error) => {
+    console.warn(`   ❌ ${error.message} (line ${error.line})`);
+  });
+
+  return result;
+}
+
+/**
+ * Whether the assets stage runs: the `assets` option (a boolean or an
+ * object with `enabled`), otherwise PROCESS_ASSETS
+ */
+function isAssetProcessingEnabled(options, config) {
+  const { assets } = options;
+  return typeof assets === "object" && assets !== null
+    ? assets.enabled !== false
+    : (assets ?? config.PROCESS_ASSETS);
+}
+
+/**
+ * Whether the unused stage runs: the `removeUnused` option (a boolean or an
+ * object with `enabled`), otherwise REMOVE_UNUSED
+ */
+function isUnusedRemovalEnabled(options, config) {
+  const { removeUnused } = options;
+  return typeof removeUnused === "object" && removeUnused !== null
+    ? removeUnused.enabled !== false
+    : (removeUnused ?? config.REMOVE_UNUSED);
+}
+
+/**
+ * Merge rules with the same selector, and rules with the same declarations
+ * into selector lists, where the cascade allows it
+ */
+function mergeDuplicateRules(cssCode, options = {}) {
+  console.log("🔀 Merging duplicate rules...");
+
+  const { css, changes, map } = runRuleMerger(cssCode, options);
+
+  const combined = changes.filter(
+    (change) => change.rule === "merge-identical-rules",
+  ).length;
+  if (changes.length > combined) {
     console.log(
-      `   ✓ Reordered ${paddingFixCount} padding property declarations`,
+      `   ✓ Merged duplicate selectors: ${changes.length - combined}`,
     );
-    fixCount += paddingFixCount;
   }
+  if (combined > 0) {
+    console.log(`   ✓ Combined rules with identical declarations: ${combined}`);
+  }
+
+  return { css, changes, map };
+}
 
-  if (marginFixCount > 0) {
+/**
+ * Collapse longhands into shorthands and drop overridden declarations
+ */
+function optimizeShorthandDeclarations(cssCode, options = {}) {
+  console.log("🧩 Collapsing shorthands...");
+
+  const { css, changes, map } = runShorthandOptimizer(cssCode, options);
+
+  const removed = changes.filter(
+    (change) => change.rule === "overridden-declaration",
+  ).length;
+  if (changes.length > removed) {
     console.log(
-      `   ✓ Reordered ${marginFixCount} margin property declarations`,
+      `   ✓ Combined longhands into shorthands: ${changes.length - removed}`,
     );
-    fixCount += marginFixCount;
   }
-
-  // 7. Fix common CSS typos and deprecated values
-  // Fix font-family typos
-  const fontFamilyMatches = fixed.match(/font-family\s*:\s*['"]?\s*seri['"]?/g);
-  if (fontFamilyMatches) {
-    fixed = fixed.replace(
-      /font-family\s*:\s*['"]?\s*seri['"]?/g,
-      "font-family: serif",
-    );
-    fixCount += fontFamilyMatches.length;
-    console.log(`   ✓ Fixed ${fontFamilyMatches.length} font-family typos`);
+  if (removed > 0) {
+    console.log(`   ✓ Removed overridden declarations: ${removed}`);
   }
 
-  // 8. Fix malformed pseudo-elements and selectors
-  const simplePseudoMatches = fixed.match(/::\s*;/g);
-  if (simplePseudoMatches && simplePseudoMatches.length < 10) {
-    fixed = fixed.replace(/::\s*;/g, ";");
-    fixCount += simplePseudoMatches.length;
-    console.log(
-      `   ✓ Removed ${simplePseudoMatches.length} malformed pseudo-elements`,
+  return { css, changes, map };
+}
+
+/**
+ * Add static fallbacks for var() usages when some target browsers don't
+ * support custom properties
+ */
+function addCustomPropertyFallbacks(cssCode, options = {}) {
+  console.log(
+    `🧬 Resolving custom properties for ${options.targets.join(", ")}...`,
+  );
+
+  const result = runCustomPropertyFallbacks(cssCode, options);
+
+  if (result.changes.length > 0) {
+    console.log(`   ✓ Added static fallbacks: ${result.changes.length}`);
+  }
+  if (result.unresolved.length > 0) {
+    console.warn(
+      `   ⚠️ Could not resolve ${result.unresolved.length} var() usages statically`,
     );
   }
 
-  // 7. Advanced cleanup and validation
-  // Remove duplicate semicolons
-  const duplicateSemicolons = fixed.match(/;\s*;/g);
-  if (duplicateSemicolons) {
-    fixed = fixed.replace(/;\s*;/g, ";");
-    console.log(
-      `   ✓ Removed ${duplicateSemicolons.length} duplicate semicolons`,
-    );
+  return result;
+}
+
+/**
+ * Replace literal colors and dimensions with the design tokens they match
+ */
+async function enforceDesignTokens(cssCode, options = {}) {
+  console.log(
+    `🎯 Enforcing design tokens from ${path.basename(options.file)}...`,
+  );
+
+  const tokens = await loadTokens(options.file);
+  const result = runTokenEnforcer(cssCode, { ...options, tokens });
+
+  if (result.changes.length > 0) {
+    console.log(`   ✓ Replaced values with tokens: ${result.changes.length}`);
+  }
+  if (result.warnings.length > 0) {
+    console.warn(`   ⚠️ Values close to a token: ${result.warnings.length}`);
   }
 
-  // Remove multiple empty lines
-  fixed = fixed.replace(/\n\s*\n\s*\n/g, "\n\n");
+  return result;
+}
+
+/**
+ * Path of the design tokens file to enforce (the `tokens` option, otherwise
+ * TOKENS_FILE), or null
+ */
+function getTokensFile(options, config) {
+  const { tokens } = options;
+  const file =
+    (typeof tokens === "object" ? tokens?.file : tokens) || config.TOKENS_FILE;
+  return file ? path.resolve(projectDir, file) : null;
+}
+
+/**
+ * Media query order, a name or a comparator: the `mediaQueryOrder` option,
+ * otherwise MEDIA_QUERY_SORT_ORDER (which a JS config file can also set to
+ * a comparator)
+ */
+function getMediaQueryOrder(options, config) {
+  return options.mediaQueryOrder ?? config.MEDIA_QUERY_SORT_ORDER;
+}
+
+/**
+ * Cascade verification mode: "off", "warn" or "rollback" (the
+ * `verifyCascade` option, otherwise VERIFY_CASCADE; `true` is "warn")
+ */
+function getCascadeVerification(options, config) {
+  const mode = options.verifyCascade ?? config.VERIFY_CASCADE;
+  if (mode === true) return "warn";
+  return mode === "warn" || mode === "rollback" ? mode : "off";
+}
+
+/**
+ * Mode of a `--verify-cascade [mode]` flag: a bare flag (or one followed by
+ * a file name) means "warn"
+ */
+function toVerificationMode(value) {
+  if (value === undefined) return undefined;
+  return ["off", "warn", "rollback"].includes(value) ? value : "warn";
+}
+
+// Statistics kept across a rollback: the pipeline's and the verifier's own
+const VERIFIER_STATS = new Set([
+  "stages",
+  "cascadeChanges",
+  "rolledBackStages",
+]);
+
+/**
+ * Pipeline verifier reporting every stage that changes which declaration
+ * wins for a selector and property, and undoing it in "rollback" mode.
+ * `snapshot` runs before every stage and records the fixes and statistics
+ * a rollback restores.
+ */
+function createCascadeVerifier(mode) {
+  // The output of one stage is the input of the next, so its model is kept
+  let previous = null;
+  let snapshot = null;
+  const getModel = (css, from) =>
+    previous?.css === css ? previous.model : createCascadeModel(css, { from });
+
+  const restore = (context, stats) => {
+    context.fixes.length = Math.min(context.fixes.length, snapshot.fixes);
+    for (const key of Object.keys(stats)) {
+      if (!VERIFIER_STATS.has(key) && !(key in snapshot.stats)) {
+        delete stats[key];
+      }
+    }
+    Object.assign(stats, snapshot.stats);
+  };
+
+  const verify = (before, after, stageName, context, stats) => {
+    const beforeModel = getModel(before, context.from);
+    const afterModel = createCascadeModel(after, { from: context.from });
+    const differences = compareCascades(beforeModel, afterModel);
+    const rollback = mode === "rollback" && differences.length > 0;
+
+    differences.forEach((difference) => {
+      const original = context.sourceMap?.originalPositionFor({
+        line: difference.line,
+        column: difference.column - 1,
+      });
+      context.warnings.push({
+        stage: stageName,
+        rule: difference.rule,
+        text: rollback
+          ? `${difference.message} (stage rolled back)`
+          : difference.message,
+        severity: "warning",
+        line: original ? original.line : difference.line,
+        column: original ? original.column + 1 : difference.column,
+      });
+    });
+    if (rollback) restore(context, stats);
+    stats.cascadeChanges = (stats.cascadeChanges || 0) + differences.length;
+
+    if (!rollback) {
+      previous = { css: after, model: afterModel };
+      return after;
+    }
 
-  // 10. Report summary
-  if (fixCount > 0) {
-    console.log(`   🎉 Applied ${fixCount} total structural fixes`);
     console.log(
-      `   📋 Breakdown: Background (${backgroundFixCount}), Border (${borderFixCount}), Padding (${paddingFixCount}), Margin (${marginFixCount}), Other (${fixCount - backgroundFixCount - borderFixCount - paddingFixCount - marginFixCount})`,
+      `   ↩️  Rolled back ${stageName}: it changed the cascade in ${differences.length} place(s)`,
     );
-  } else {
-    console.log("   ✅ No additional fixes needed");
+    context.changeLog?.discard(stageName);
+    stats.rolledBackStages = [...(stats.rolledBackStages || []), stageName];
+    previous = { css: before, model: beforeModel };
+    return before;
+  };
+
+  return {
+    snapshot(css, context, stats) {
+      const kept = Object.entries(stats).filter(
+        ([key]) => !VERIFIER_STATS.has(key),
+      );
+      snapshot = {
+        fixes: context.fixes.length,
+        stats: Object.fromEntries(kept),
+      };
+    },
+    verify,
+  };
+}
+
+/**
+ * Remove keyframes, font faces, counter styles and custom properties that
+ * nothing in the stylesheet refers to
+ */
+function collectUnusedDefinitions(cssCode, options = {}) {
+  console.log("🧹 Removing unused definitions...");
+
+  const { css, changes, map } = runUnusedDefinitionRemover(cssCode, options);
+
+  const counts = {};
+  changes.forEach((change) => {
+    counts[change.rule] = (counts[change.rule] || 0) + 1;
+  });
+  const labels = {
+    "unused-custom-property": "custom properties",
+    "unused-keyframes": "keyframes",
+    "unused-font-face": "font faces",
+    "unused-counter-style": "counter styles",
+  };
+  for (const [rule, label] of Object.entries(labels)) {
+    if (counts[rule]) {
+      console.log(`   ✓ Removed unused ${label}: ${counts[rule]}`);
+    }
   }
 
-  return fixed;
+  return { css, changes, map };
 }
 
 /**
  * AI-powered CSS fix using Groq API
- * Handles complex structural issues that regex cannot solve
+ * Handles complex structural issues that regex cannot solve.
+ * Failed requests are collected in `failures` as AIFixError objects.
  */
-async function applyAIFixes(cssCode, errors) {
+async function applyAIFixes(cssCode, errors, failures = []) {
   if (!CONFIG.ENABLE_AI_FIXES || !CONFIG.GROQ_API_KEY) {
     console.log("⚠️ AI fixes disabled or API key not set");
     return cssCode;
@@ -615,6 +815,7 @@ async function applyAIFixes(cssCode, errors) {
         console.log(
           `   ❌ AI fix failed for ${section.error.rule} at line ${section.error.line}: ${error.message}`,
         );
+        failures.push(error);
         // Continue processing other errors
       }
     }
@@ -706,113 +907,1006 @@ FIXED CSS:`;
       console.log(`🚨 Groq API Error Details:`);
       console.log(`   Status: ${response.status} ${response.statusText}`);
       console.log(`   Response: ${errorText}`);
-      throw new Error(
+      throw new AIFixError(
         `Groq API error: ${response.status} ${response.statusText}`,
+        {
+          status: response.status,
+          rule: section.error.rule,
+          line: section.error.line,
+          column: section.error.column,
+        },
+      );
+    }
+
+    const data = await response.json();
+    const fixedCss = data.choices[0]?.message?.content?.trim();
+
+    if (fixedCss) {
+      // Extract CSS from markdown code blocks if present
+      const cssMatch =
+        fixedCss.match(/```css\n([\s\S]*?)\n```/) ||
+        fixedCss.match(/```\n([\s\S]*?)\n```/);
+      return cssMatch ? cssMatch[1].trim() : fixedCss;
+    }
+
+    return null;
+  } catch (error) {
+    // Provide specific error context for debugging
+    if (error.name === "AbortError") {
+      console.log(`   ⏱️ Request timed out after 10 seconds`);
+    } else if (error.message.includes("503")) {
+      console.log(`   🚫 Groq service temporarily unavailable`);
+    } else if (error.message.includes("fetch")) {
+      console.log(`   🌐 Network connectivity issue`);
+    }
+
+    if (error instanceof AIFixError) {
+      throw error;
+    }
+
+    throw new AIFixError(error.message, {
+      rule: section.error.rule,
+      line: section.error.line,
+      column: section.error.column,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Project-local result cache for the current CONFIG
+ */
+function getOptimizerCache(config = CONFIG) {
+  const directory = path.resolve(projectDir, config.CACHE_DIR);
+  const maxSize = config.CACHE_MAX_SIZE_MB * 1024 * 1024;
+
+  if (
+    !optimizerCache ||
+    optimizerCache.directory !== directory ||
+    optimizerCache.maxSize !== maxSize
+  ) {
+    optimizerCache = new OptimizerCache({ directory, maxSize });
+  }
+  return optimizerCache;
+}
+
+/**
+ * Create a cache key based on file content, configuration, run options and
+ * the tool and plugin versions. With @import inlining the content of every
+ * imported file counts too.
+ */
+async function createCacheKey(
+  inputPath,
+  outputPath,
+  cssContent,
+  config,
+  options,
+) {
+  return getOptimizerCache(config).createKey(cssContent, config, {
+    inputPath,
+    dependencies: await readImportedFiles(inputPath, config, options),
+    tokens: await readTokensFile(options, config),
+    tokenOptions: options.tokens,
+    outputPath,
+    enableAI: options.enableAI,
+    minify: options.minify,
+    sourceMap: options.sourceMap,
+    changes: options.changes,
+    verifyCascade: options.verifyCascade,
+    // Comparators don't survive JSON, so their source is part of the key
+    mediaQueryOrder: String(getMediaQueryOrder(options, config)),
+    overrides: options.config,
+    fixRules: options.fixRules,
+    mergeRules: options.mergeRules,
+    shorthands: options.shorthands,
+    removeUnused: options.removeUnused,
+    layers: options.layers,
+    pipeline: options.pipeline,
+    postcssPlugins: (options.postcssPlugins || []).map(
+      (plugin) => plugin.postcssPlugin || plugin.name,
+    ),
+  });
+}
+
+/**
+ * `[path, content]` of the files a stylesheet imports when imports are
+ * inlined, otherwise undefined
+ */
+async function readImportedFiles(inputPath, config, options) {
+  if (!inputPath || !(options.inlineImports ?? config.INLINE_IMPORTS)) {
+    return undefined;
+  }
+
+  const graph = await buildImportGraph([inputPath]);
+  return Promise.all(
+    graph
+      .getDependencies(inputPath)
+      .sort()
+      .map(async (file) => [file, await fs.readFile(file, "utf8")]),
+  );
+}
+
+/**
+ * Content of the design tokens file when tokens are enforced
+ */
+async function readTokensFile(options, config) {
+  const file = getTokensFile(options, config);
+  return file ? fs.readFile(file, "utf8").catch(() => null) : undefined;
+}
+
+/**
+ * Check if we have a cache for this specific content/config combination
+ */
+async function getCache(inputPath, outputPath, cssContent, config, options) {
+  if (!config.ENABLE_CACHE) return null;
+
+  const cacheKey = await createCacheKey(
+    inputPath,
+    outputPath,
+    cssContent,
+    config,
+    options,
+  );
+  const cacheData = await getOptimizerCache(config).get(cacheKey);
+  if (cacheData) {
+    console.log("💾 Cache hit - using previously optimized CSS");
+  }
+  return cacheData;
+}
+
+/**
+ * Save results to cache
+ */
+async function saveCache(
+  inputPath,
+  outputPath,
+  cssContent,
+  config,
+  options,
+  result,
+) {
+  if (!config.ENABLE_CACHE) return;
+
+  const cacheKey = await createCacheKey(
+    inputPath,
+    outputPath,
+    cssContent,
+    config,
+    options,
+  );
+
+  try {
+    await getOptimizerCache(config).set(cacheKey, {
+      ...result,
+      inputPath,
+      outputPath,
+    });
+  } catch (error) {
+    console.log("⚠️ Cache save error - continuing without cache");
+  }
+}
+
+/**
+ * Run PostCSS with autoprefixer, media query sorting and optional minification
+ */
+async function runPostCSS(css, context) {
+  console.log("🔄 Processing with PostCSS plugins...");
+  const config = context.config || CONFIG;
+
+  let postcssResult;
+  const map = context.sourceMap
+    ? { inline: false, annotation: false, sourcesContent: false, prev: false }
+    : false;
+
+  try {
+    // Try with full plugins first
+    const plugins = [];
+
+    if (config.ENABLE_AUTOPREFIXER) {
+      plugins.push(
+        autoprefixer({
+          overrideBrowserslist: config.BROWSERS,
+          grid: "autoplace",
+        }),
+      );
+    }
+
+    // Blocks that can't move without changing the cascade are left in place
+    plugins.push(
+      mediaQuerySorter({
+        order: getMediaQueryOrder(context.options || {}, config),
+      }),
+    );
+
+    // Project PostCSS plugins from the config file
+    plugins.push(...(context.options?.postcssPlugins || []));
+
+    if (context.minify) {
+      plugins.push(
+        cssnano({
+          preset: [
+            "default",
+            {
+              cssDeclarationSorter: false,
+              discardComments: { removeAll: false },
+            },
+          ],
+        }),
+      );
+    }
+
+    postcssResult = await postcss(plugins).process(css, {
+      from: context.from,
+      to: context.to,
+      parser: safeParser,
+      map,
+    });
+
+    console.log("✅ PostCSS processing completed successfully");
+  } catch (postcssError) {
+    console.warn(
+      "⚠️ PostCSS with full plugins failed, trying minimal setup...",
+    );
+
+    // Fallback to minimal PostCSS processing
+    const minimalPlugins = [];
+    if (config.ENABLE_AUTOPREFIXER) {
+      minimalPlugins.push(
+        autoprefixer({
+          overrideBrowserslist: config.BROWSERS,
+          grid: "autoplace",
+        }),
       );
     }
 
-    const data = await response.json();
-    const fixedCss = data.choices[0]?.message?.content?.trim();
+    try {
+      postcssResult = await postcss(minimalPlugins).process(css, {
+        from: context.from,
+        to: context.to,
+        parser: safeParser,
+        map,
+      });
+    } catch (error) {
+      throw toOptimizerError(error, context.from);
+    }
+
+    console.log("✅ PostCSS minimal processing completed successfully");
+  }
+
+  postcssResult.warnings().forEach((warning) => {
+    context.warnings.push({
+      stage: "postcss",
+      rule: warning.plugin || "postcss",
+      text: warning.text,
+      severity: "warning",
+      line: warning.line,
+      column: warning.column,
+    });
+  });
+
+  return {
+    css: postcssResult.css,
+    map: postcssResult.map ? postcssResult.map.toJSON() : undefined,
+  };
+}
+
+/**
+ * Format CSS with Prettier using the configured style
+ */
+async function formatWithPrettier(css, context) {
+  console.log("💅 Formatting with Prettier...");
+  const config = context.config || CONFIG;
+  const prettierOptions = {
+    parser: "css",
+    tabWidth: config.PRETTIER_TAB_WIDTH,
+    useTabs: config.PRETTIER_USE_TABS,
+    semi: config.PRETTIER_SEMI,
+    singleQuote: config.PRETTIER_SINGLE_QUOTE,
+    printWidth: config.PRETTIER_PRINT_WIDTH,
+    endOfLine: config.PRETTIER_END_OF_LINE,
+    trailingComma: "none",
+  };
+
+  try {
+    return await prettier.format(css, prettierOptions);
+  } catch (error) {
+    throw new CssParseError(`Prettier could not format CSS: ${error.message}`, {
+      file: context.from,
+      line: error.loc?.start?.line,
+      column: error.loc?.start?.column,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Built-in pipeline stages, in their default order
+ */
+function createBuiltInStages() {
+  return [
+    {
+      name: "imports",
+      async run(css, context, stats) {
+        if (
+          !context.from ||
+          !(context.options.inlineImports ?? context.config.INLINE_IMPORTS)
+        ) {
+          return css;
+        }
+
+        // Inlined files can't be mapped back (the tracker follows a single
+        // authored file), so only imports of the entry file are logged
+        const entry = path.resolve(context.from);
+        const {
+          css: inlinedCss,
+          changes,
+          errors,
+          dependencies,
+        } = await inlineLocalImports(css, { from: context.from });
+        errors.forEach((error) => {
+          const inEntry = error.file === entry;
+          context.warnings.push({
+            stage: "imports",
+            rule: error.rule,
+            text: inEntry
+              ? error.message
+              : `${error.message} (${path.relative(path.dirname(entry), error.file)}:${error.line})`,
+            severity: "warning",
+            line: inEntry ? error.line : undefined,
+            column: inEntry ? error.column : undefined,
+          });
+        });
+        context.changeLog?.record(
+          "imports",
+          changes.filter((change) => change.file === entry),
+        );
+        context.dependencies = dependencies;
+        stats.importsInlined = changes.length;
+        return inlinedCss;
+      },
+    },
+    {
+      name: "layers",
+      run(css, context, stats) {
+        const { layers } = context.options;
+        if (!context.from || !layers) return css;
+
+        const layer = getLayerForFile(
+          context.from,
+          layers,
+          context.options.baseDir || projectDir,
+        );
+        if (!layer) return css;
+
+        const {
+          css: layeredCss,
+          changes,
+          map,
+        } = runLayerWrapper(css, {
+          from: context.from,
+          layer,
+          map: Boolean(context.sourceMap),
+        });
+        context.changeLog?.record("layers", changes);
+        stats.layersWrapped = changes.length;
+        return { css: layeredCss, map };
+      },
+    },
+    {
+      name: "lint",
+      async run(css, context, stats) {
+        const lintResult = await lintAndFixCss(css, context.from);
+        context.lintErrors = lintResult.errors;
+        context.warnings.push(...lintResult.warnings);
+        stats.lintErrors = lintResult.errors.length;
+        return lintResult.fixedCss;
+      },
+    },
+    {
+      name: "fixes",
+      run(css, context, stats) {
+        const {
+          css: fixedCss,
+          changes,
+          map,
+        } = applyAdditionalFixes(css, {
+          from: context.from,
+          rules: context.options.fixRules,
+          map: Boolean(context.sourceMap),
+        });
+        context.fixes.push(...changes);
+        context.changeLog?.record("fixes", changes);
+        stats.fixes = changes.length;
+        return { css: fixedCss, map };
+      },
+    },
+    {
+      name: "ai",
+      async run(css, context) {
+        if (!context.enableAI || context.lintErrors.length === 0) {
+          return css;
+        }
+
+        const aiFailures = [];
+        const fixedCss = await applyAIFixes(
+          css,
+          context.lintErrors,
+          aiFailures,
+        );
+        aiFailures.forEach((failure) => {
+          context.warnings.push({
+            stage: "ai",
+            rule: failure.rule,
+            text: failure.message,
+            severity: "warning",
+            line: failure.line,
+            column: failure.column,
+            error: failure,
+          });
+        });
+        return fixedCss;
+      },
+    },
+    {
+      name: "merge-rules",
+      run(css, context, stats) {
+        if (!(context.options.mergeRules ?? context.config.MERGE_RULES)) {
+          return css;
+        }
+
+        const {
+          css: mergedCss,
+          changes,
+          map,
+        } = mergeDuplicateRules(css, {
+          from: context.from,
+          map: Boolean(context.sourceMap),
+        });
+        context.changeLog?.record("merge-rules", changes);
+        stats.rulesMerged = changes.length;
+        return { css: mergedCss, map };
+      },
+    },
+    {
+      name: "shorthands",
+      run(css, context, stats) {
+        if (
+          !(context.options.shorthands ?? context.config.OPTIMIZE_SHORTHANDS)
+        ) {
+          return css;
+        }
+
+        const {
+          css: optimizedCss,
+          changes,
+          map,
+        } = optimizeShorthandDeclarations(css, {
+          from: context.from,
+          map: Boolean(context.sourceMap),
+        });
+        context.changeLog?.record("shorthands", changes);
+        stats.shorthands = changes.length;
+        return { css: optimizedCss, map };
+      },
+    },
+    {
+      name: "design-tokens",
+      async run(css, context, stats) {
+        const { tokens } = context.options;
+        const file = getTokensFile(context.options, context.config);
+        if (!file) return css;
+
+        const {
+          css: tokenizedCss,
+          changes,
+          warnings,
+          map,
+        } = await enforceDesignTokens(css, {
+          file,
+          nearMisses:
+            typeof tokens === "object" ? tokens?.nearMisses : undefined,
+          from: context.from,
+          map: Boolean(context.sourceMap),
+        });
+        warnings.forEach((warning) => {
+          const original = context.sourceMap?.originalPositionFor({
+            line: warning.line,
+            column: warning.column - 1,
+          });
+          context.warnings.push({
+            stage: "design-tokens",
+            rule: warning.rule,
+            text: warning.message,
+            severity: "warning",
+            line: original ? original.line : warning.line,
+            column: original ? original.column + 1 : warning.column,
+          });
+        });
+        context.changeLog?.record("design-tokens", changes);
+        stats.tokensApplied = changes.length;
+        return { css: tokenizedCss, map };
+      },
+    },
+    {
+      name: "unused",
+      run(css, context, stats) {
+        if (!isUnusedRemovalEnabled(context.options, context.config)) {
+          return css;
+        }
+
+        const { removeUnused } = context.options;
 
-    if (fixedCss) {
-      // Extract CSS from markdown code blocks if present
-      const cssMatch =
-        fixedCss.match(/```css\n([\s\S]*?)\n```/) ||
-        fixedCss.match(/```\n([\s\S]*?)\n```/);
-      return cssMatch ? cssMatch[1].trim() : fixedCss;
-    }
+        const {
+          css: cleanedCss,
+          changes,
+          map,
+        } = collectUnusedDefinitions(css, {
+          ...(typeof removeUnused === "object" ? removeUnused : {}),
+          from: context.from,
+          map: Boolean(context.sourceMap),
+        });
+        context.changeLog?.record("unused", changes);
+        stats.unusedRemoved = changes.length;
+        return { css: cleanedCss, map };
+      },
+    },
+    {
+      name: "custom-properties",
+      run(css, context, stats) {
+        const targets = getTargetsWithoutCustomProperties(
+          context.config.BROWSERS,
+        );
+        if (targets.length === 0) return css;
+
+        const {
+          css: resolvedCss,
+          changes,
+          unresolved,
+          map,
+        } = addCustomPropertyFallbacks(css, {
+          from: context.from,
+          map: Boolean(context.sourceMap),
+          targets,
+          definitions: context.options.customPropertyDefinitions,
+        });
+        unresolved.forEach((entry) => {
+          const original = context.sourceMap?.originalPositionFor({
+            line: entry.line,
+            column: entry.column - 1,
+          });
+          context.warnings.push({
+            stage: "custom-properties",
+            rule: entry.rule,
+            text: entry.message,
+            severity: "warning",
+            line: original ? original.line : entry.line,
+            column: original ? original.column + 1 : entry.column,
+          });
+        });
+        context.changeLog?.record("custom-properties", changes);
+        stats.customPropertyFallbacks = changes.length;
+        return { css: resolvedCss, map };
+      },
+    },
+    {
+      name: "assets",
+      async run(css, context, stats) {
+        if (
+          !context.from ||
+          !isAssetProcessingEnabled(context.options, context.config)
+        ) {
+          return css;
+        }
 
-    return null;
-  } catch (error) {
-    // Provide specific error context for debugging
-    if (error.name === "AbortError") {
-      console.log(`   ⏱️ Request timed out after 10 seconds`);
-    } else if (error.message.includes("503")) {
-      console.log(`   🚫 Groq service temporarily unavailable`);
-    } else if (error.message.includes("fetch")) {
-      console.log(`   🌐 Network connectivity issue`);
-    }
+        const assetOptions =
+          typeof context.options.assets === "object"
+            ? context.options.assets
+            : {};
+        const {
+          css: processedCss,
+          changes,
+          errors,
+          assets,
+          map,
+        } = await processUrlAssets(css, {
+          from: context.from,
+          to: context.to,
+          inlineLimit:
+            (assetOptions.inlineLimitKB ??
+              context.config.ASSET_INLINE_LIMIT_KB) * 1024,
+          outputDir: assetOptions.outputDir ?? context.config.ASSETS_DIR,
+          map: Boolean(context.sourceMap),
+        });
+        errors.forEach((error) => {
+          const original = context.sourceMap?.originalPositionFor({
+            line: error.line,
+            column: error.column - 1,
+          });
+          context.warnings.push({
+            stage: "assets",
+            rule: error.rule,
+            text: error.message,
+            severity: "error",
+            line: original ? original.line : error.line,
+            column: original ? original.column + 1 : error.column,
+          });
+        });
+        context.changeLog?.record("assets", changes);
+        context.assets = assets;
+        stats.assetsInlined = assets.filter((asset) => asset.inlined).length;
+        stats.assetsCopied = assets.filter((asset) => asset.output).length;
+        return { css: processedCss, map };
+      },
+    },
+    {
+      name: "postcss",
+      run: (css, context) => runPostCSS(css, context),
+    },
+    {
+      name: "prettier",
+      run: (css, context) => formatWithPrettier(css, context),
+    },
+    {
+      name: "media-combine",
+      run(css, context, stats) {
+        console.log("🔗 Combining duplicate media queries...");
+        const mediaResult = runMediaQueryCombiner(css, {
+          from: context.from,
+          map: Boolean(context.sourceMap),
+        });
+        context.changeLog?.record("media-combine", mediaResult.changes);
+        stats.mediaQueriesCombined = mediaResult.count;
+        if (mediaResult.count > 0) {
+          console.log(
+            `   ✓ Combined ${mediaResult.count} duplicate media queries`,
+          );
+        }
+        return { css: mediaResult.css, map: mediaResult.map };
+      },
+    },
+  ];
+}
 
-    throw error;
+/**
+ * Create the optimization pipeline with the built-in stages, then apply the
+ * `pipeline` block from the options (stage toggles, plugins and hooks) and
+ * cascade verification
+ */
+async function createOptimizationPipeline(options = {}) {
+  const pipeline = new Pipeline();
+  createBuiltInStages().forEach((stage) => pipeline.register(stage));
+  await configurePipeline(pipeline, options.pipeline, options.baseDir);
+
+  const config = options.config ? { ...CONFIG, ...options.config } : CONFIG;
+  const verification = getCascadeVerification(options, config);
+  if (verification !== "off") {
+    const verifier = createCascadeVerifier(verification);
+    pipeline.before("*", verifier.snapshot);
+    pipeline.verify(verifier.verify);
   }
+  return pipeline;
 }
 
 /**
- * Create a cache key based on file content and configuration
+ * Resolve the `sourceMap` option: `false`, `"file"` or `"inline"`.
+ * `true` follows SOURCE_MAP_INLINE; unset follows ENABLE_SOURCE_MAPS.
  */
-function createCacheKey(_inputPath, cssContent, config) {
-  const contentHash = crypto
-    .createHash("sha256")
-    .update(cssContent)
-    .digest("hex")
-    .substring(0, 16);
-
-  const configHash = crypto
-    .createHash("sha256")
-    .update(JSON.stringify(config))
-    .digest("hex")
-    .substring(0, 16);
-
-  return `${contentHash}-${configHash}`;
+function resolveSourceMapMode(sourceMap, config = CONFIG) {
+  const setting = sourceMap ?? config.ENABLE_SOURCE_MAPS;
+  if (setting === "inline" || setting === "file") return setting;
+  if (!setting) return false;
+  return config.SOURCE_MAP_INLINE ? "inline" : "file";
 }
 
 /**
- * Check if we have a cache for this specific content/config combination
+ * `--- a/<from>` / `+++ b/<to>` file names for a diff, relative to the cwd
  */
-async function getCache(inputPath, outputPath, cssContent, config) {
-  if (!CONFIG.ENABLE_CACHE) return null;
+function getDiffLabels({ from, to }) {
+  const label = (file, fallback) =>
+    file
+      ? path
+          .relative(process.cwd(), path.resolve(file))
+          .split(path.sep)
+          .join("/")
+      : fallback;
+  const fromLabel = label(from, "input.css");
+  return {
+    fromFile: `a/${fromLabel}`,
+    toFile: `b/${label(to, fromLabel)}`,
+  };
+}
 
-  const cacheKey = createCacheKey(inputPath, cssContent, config);
-  const cacheDir = path.join(__dirname, ".cache");
-  const cachePath = path.join(cacheDir, `${cacheKey}.json`);
+/**
+ * Print the change log of a run, grouped by stage
+ */
+function logChanges(changes, limit = 50) {
+  if (changes.length === 0) {
+    console.log("\n📝 No changes recorded");
+    return;
+  }
 
-  if (await fs.pathExists(cachePath)) {
-    try {
-      const cacheData = await fs.readJson(cachePath);
+  console.log(`\n📝 Changes (${changes.length}):`);
+  changes.slice(0, limit).forEach((change) => {
+    const location = change.line ? `line ${change.line}` : "new";
+    const edit =
+      change.type === "added"
+        ? `+ ${change.after}`
+        : change.type === "removed"
+          ? `- ${change.before}`
+          : `${change.before} → ${change.after}`;
+    const source =
+      change.rule === change.stage
+        ? change.stage
+        : `${change.stage}/${change.rule}`;
+    console.log(`   [${source}] ${location}: ${edit}`);
+  });
 
-      // Verify that the cached output file still exists
-      if (await fs.pathExists(outputPath)) {
-        const outputStats = await fs.stat(outputPath);
-        const cacheStats = await fs.stat(cachePath);
+  if (changes.length > limit) {
+    console.log(`   ... and ${changes.length - limit} more`);
+  }
+}
 
-        // If output was modified after cache, the cache may be stale
-        if (outputStats.mtime > cacheStats.mtime) {
-          return null;
-        }
+/**
+ * Run the full optimization pipeline on a CSS string without touching disk
+ *
+ * With source maps enabled, `map` holds a map from the optimized CSS back to
+ * the authored file through every stage. In "file" mode the caller writes it
+ * next to the output as `<to>.map`; the CSS already references that name.
+ *
+ * `changes` lists every modification with its stage, rule id, before/after
+ * snippet and authored line (`changes: false` turns this off). With
+ * `diff: true`, `diff` holds a unified diff from the input to the output.
+ */
+async function optimizeCssFile(cssCode, options = {}) {
+  const startTime = performance.now();
 
-        console.log("💾 Cache hit - using previously optimized CSS");
-        return cacheData;
-      }
-    } catch (error) {
-      // If there's an error reading the cache, ignore it and reprocess
-      console.log("⚠️ Cache read error - reprocessing file");
+  const pipeline =
+    options.pipeline instanceof Pipeline
+      ? options.pipeline
+      : await createOptimizationPipeline(options);
+
+  const config = options.config ? { ...CONFIG, ...options.config } : CONFIG;
+  const context = {
+    from: options.from,
+    to: options.to || options.outputPath,
+    options,
+    config,
+    enableAI:
+      options.enableAI !== undefined
+        ? options.enableAI
+        : config.ENABLE_AI_FIXES,
+    minify:
+      options.minify ||
+      options.enableMinification ||
+      config.ENABLE_MINIFICATION,
+    lintErrors: [],
+    warnings: [],
+    fixes: [],
+  };
+
+  const sourceMapMode = resolveSourceMapMode(options.sourceMap, config);
+  if (sourceMapMode || options.changes !== false) {
+    context.sourceMap = new SourceMapTracker(cssCode, context);
+  }
+  if (options.changes !== false) {
+    context.changeLog = new ChangeLog(context.sourceMap, context);
+  }
+
+  const { css: pipelineCss, stats } = await pipeline.run(cssCode, context, {
+    lintErrors: 0,
+    mediaQueriesCombined: 0,
+  });
+
+  let optimizedCode = pipelineCss;
+  let map = null;
+
+  if (sourceMapMode) {
+    map = context.sourceMap.toJSON();
+    if (sourceMapMode === "inline" || context.to) {
+      optimizedCode = addSourceMapComment(optimizedCode, map, {
+        inline: sourceMapMode === "inline",
+        to: context.to,
+      });
     }
   }
 
-  return null;
+  const changes = context.changeLog ? context.changeLog.changes : [];
+  const endTime = performance.now();
+  const originalSize = Buffer.byteLength(cssCode, "utf8");
+  const finalSize = Buffer.byteLength(optimizedCode, "utf8");
+
+  return {
+    optimizedCode,
+    map,
+    sourceMapMode,
+    warnings: context.warnings,
+    fixes: context.fixes,
+    changes,
+    dependencies: context.dependencies || [],
+    assets: context.assets || [],
+    diff: options.diff
+      ? createUnifiedDiff(cssCode, optimizedCode, getDiffLabels(context))
+      : null,
+    stats: {
+      ...stats,
+      changes: changes.length,
+      originalSize,
+      finalSize,
+      compressionRatio:
+        originalSize > 0
+          ? ((originalSize - finalSize) / originalSize) * 100
+          : 0,
+      originalLines: cssCode.split("\n").length,
+      finalLines: optimizedCode.split("\n").length,
+      processingTime: parseFloat(((endTime - startTime) / 1000).toFixed(2)),
+    },
+  };
 }
 
 /**
- * Save results to cache
+ * Whether a file of `size` bytes is optimized in chunks: always with
+ * `chunked: true`, otherwise when it is over MAX_FILE_SIZE_MB. Over the
+ * limit with chunking disabled (or `chunked: false`) is a FileSizeError.
  */
-async function saveCache(inputPath, outputPath, cssContent, config, result) {
-  if (!CONFIG.ENABLE_CACHE) return;
+function shouldOptimizeInChunks(filePath, size, options = {}) {
+  if (options.chunked === true) return true;
 
-  const cacheKey = createCacheKey(inputPath, cssContent, config);
-  const cacheDir = path.join(__dirname, ".cache");
-  const cachePath = path.join(cacheDir, `${cacheKey}.json`);
+  const sizeInMB = size / (1024 * 1024);
+  if (sizeInMB <= CONFIG.MAX_FILE_SIZE_MB) return false;
+  if (CONFIG.ENABLE_CHUNKING && options.chunked !== false) return true;
 
-  try {
-    await fs.ensureDir(cacheDir);
-    await fs.writeJson(cachePath, {
-      ...result,
-      timestamp: Date.now(),
+  throw new FileSizeError(
+    `File too large: ${sizeInMB.toFixed(2)}MB (max: ${CONFIG.MAX_FILE_SIZE_MB}MB)`,
+    { file: filePath, size, limit: CONFIG.MAX_FILE_SIZE_MB },
+  );
+}
+
+/**
+ * Optimize a large file in chunks of CHUNK_SIZE_KB without reading it into
+ * memory as a whole (see chunked-optimizer.js). Source maps, the change log,
+ * diffs and unused definition removal need the whole stylesheet, so they are
+ * skipped; fix and warning line numbers refer to the input file.
+ */
+async function optimizeCssInChunks(inputPath, outputPath, options = {}) {
+  const startTime = performance.now();
+
+  if (options.diff || resolveSourceMapMode(options.sourceMap, CONFIG)) {
+    console.warn(
+      "⚠️ Source maps and diffs are not available in chunked mode - skipping",
+    );
+  }
+  const config = options.config ? { ...CONFIG, ...options.config } : CONFIG;
+  if (isUnusedRemovalEnabled(options, config)) {
+    console.warn(
+      "⚠️ Unused definition removal is not available in chunked mode - skipping",
+    );
+  }
+  console.log(
+    `🧩 Optimizing ${path.basename(inputPath)} in chunks of ${CONFIG.CHUNK_SIZE_KB} KB...`,
+  );
+
+  // var() in a chunk may read a property another chunk declares
+  let customPropertyDefinitions;
+  if (getTargetsWithoutCustomProperties(config.BROWSERS).length > 0) {
+    await forEachChunk(
       inputPath,
-      outputPath,
+      (chunk) => {
+        customPropertyDefinitions = collectCustomProperties(
+          safeParser(chunk.css),
+          customPropertyDefinitions,
+        );
+      },
+      { chunkSize: CONFIG.CHUNK_SIZE_KB * 1024 },
+    );
+  }
+
+  // Built once, since every chunk runs the same stages
+  const pipeline =
+    options.pipeline instanceof Pipeline
+      ? options.pipeline
+      : await createOptimizationPipeline(options);
+  const warnings = [];
+  const fixes = [];
+  const toFileLine = (item, chunk) =>
+    typeof item.line === "number"
+      ? { ...item, line: item.line + chunk.line - 1 }
+      : item;
+
+  const result = await optimizeCssChunked(inputPath, outputPath, {
+    chunkSize: CONFIG.CHUNK_SIZE_KB * 1024,
+    mediaQueryOrder: getMediaQueryOrder(options, CONFIG),
+    optimizeChunk: async (css, chunk) => {
+      const optimized = await optimizeCssFile(css, {
+        ...options,
+        pipeline,
+        from: inputPath,
+        to: outputPath,
+        sourceMap: false,
+        changes: false,
+        diff: false,
+        // A definition may be used by another chunk
+        removeUnused: false,
+        customPropertyDefinitions,
+      });
+      warnings.push(...optimized.warnings.map((w) => toFileLine(w, chunk)));
+      fixes.push(...optimized.fixes.map((fix) => toFileLine(fix, chunk)));
+      return optimized.optimizedCode;
+    },
+    onChunk: (chunk) =>
+      console.log(`🧩 Chunk ${chunk.index + 1} done (from line ${chunk.line})`),
+  });
+  result.skipped.forEach((entry) => {
+    warnings.push({
+      stage: "media-combine",
+      rule: entry.rule,
+      text: entry.message,
+      severity: "warning",
+      line: entry.line,
+      column: entry.column,
     });
-  } catch (error) {
-    console.log("⚠️ Cache save error - continuing without cache");
+  });
+
+  const { originalSize, finalSize } = result;
+  return {
+    ...result,
+    compressionRatio:
+      originalSize > 0 ? ((originalSize - finalSize) / originalSize) * 100 : 0,
+    processingTime: parseFloat(
+      ((performance.now() - startTime) / 1000).toFixed(2),
+    ),
+    warnings,
+    fixes,
+  };
+}
+
+/**
+ * optimizeCss() for files optimized in chunks
+ */
+async function optimizeLargeCss(inputPath, outputPath, options = {}) {
+  if (options.analyze) {
+    console.warn("⚠️ Analysis is not available in chunked mode - skipping");
+  }
+
+  if (options.createBackup !== false) {
+    await fs.copy(inputPath, CONFIG.BACKUP_PATH);
+    console.log(`💾 Backup created: ${path.basename(CONFIG.BACKUP_PATH)}`);
+  }
+
+  const result = await optimizeCssInChunks(inputPath, outputPath, options);
+  const { originalSize, finalSize, compressionRatio } = result;
+
+  console.log("\n🎉 Optimization completed successfully!");
+  console.log(`📁 Output saved to: ${path.basename(outputPath)}`);
+
+  console.log("\n📊 Processing Statistics:");
+  console.log(`   ⏱️  Processing time: ${result.processingTime}s`);
+  console.log(`   🧩 Chunks: ${result.chunks}`);
+  console.log(
+    `   📏 Lines: ${result.originalLines.toLocaleString()} → ${result.finalLines.toLocaleString()}`,
+  );
+  console.log(
+    `   💾 Size: ${(originalSize / 1024).toFixed(2)} KB → ${(finalSize / 1024).toFixed(2)} KB`,
+  );
+  if (compressionRatio > 0) {
+    console.log(`   🗜️  Compression: ${compressionRatio.toFixed(1)}% smaller`);
+  } else if (compressionRatio < 0) {
+    console.log(
+      `   📈 Size increase: ${Math.abs(compressionRatio).toFixed(1)}% (due to formatting/fixes)`,
+    );
+  } else {
+    console.log(`   ➖ Size: No change`);
   }
+
+  return {
+    success: true,
+    originalSize,
+    finalSize,
+    compressionRatio,
+    processingTime: result.processingTime,
+    outputPath,
+    changes: [],
+    chunks: result.chunks,
+  };
 }
 
 /**
@@ -829,17 +1923,16 @@ async function optimizeCss(inputPath, outputPath, options = {}) {
 
     // Validate input file
     if (!(await fs.pathExists(inputPath))) {
-      throw new Error(`Input file not found: ${inputPath}`);
+      throw new FileIOError(`Input file not found: ${inputPath}`, {
+        file: inputPath,
+        code: "ENOENT",
+      });
     }
 
     const stats = await fs.stat(inputPath);
     const sizeInMB = stats.size / (1024 * 1024);
 
-    if (sizeInMB > CONFIG.MAX_FILE_SIZE_MB) {
-      throw new Error(
-        `File too large: ${sizeInMB.toFixed(2)}MB (max: ${CONFIG.MAX_FILE_SIZE_MB}MB)`,
-      );
-    }
+    const chunked = shouldOptimizeInChunks(inputPath, stats.size, options);
 
     if (sizeInMB > CONFIG.WARN_SIZE_MB) {
       console.warn(
@@ -847,11 +1940,15 @@ async function optimizeCss(inputPath, outputPath, options = {}) {
       );
     }
 
+    if (chunked) {
+      return await optimizeLargeCss(inputPath, outputPath, options);
+    }
+
     console.log("📖 Reading CSS file...");
     let css = await fs.readFile(inputPath, "utf8");
 
     if (!css.trim()) {
-      throw new Error("CSS file is empty");
+      throw new CssParseError("CSS file is empty", { file: inputPath });
     }
 
     // Perform CSS analysis if requested
@@ -861,12 +1958,26 @@ async function optimizeCss(inputPath, outputPath, options = {}) {
       generateAnalysisReport(analysis);
     }
 
-    // Check cache first if enabled
-    if (CONFIG.ENABLE_CACHE) {
-      const cachedResult = await getCache(inputPath, outputPath, css, CONFIG);
+    // Check cache first if enabled (--diff always reprocesses so the change
+    // log is complete, and assets are copied on every run)
+    if (
+      CONFIG.ENABLE_CACHE &&
+      !options.diff &&
+      !isAssetProcessingEnabled(options, CONFIG)
+    ) {
+      const cachedResult = await getCache(
+        inputPath,
+        outputPath,
+        css,
+        CONFIG,
+        options,
+      );
       if (cachedResult) {
         // Write the cached result to the output file
         await fs.outputFile(outputPath, cachedResult.optimizedCss);
+        if (cachedResult.sourceMap) {
+          await fs.outputJson(`${outputPath}.map`, cachedResult.sourceMap);
+        }
 
         // Log cached results
         console.log("🎉 Optimization completed successfully (from cache)!");
@@ -917,116 +2028,36 @@ async function optimizeCss(inputPath, outputPath, options = {}) {
     const originalCss = css;
     const originalLines = css.split("\n").length;
 
-    // Step 1: Lint and fix with Stylelint
-    const lintResult = await lintAndFixCss(css, inputPath);
-    css = lintResult.fixedCss;
-    const remainingErrors = lintResult.errors;
-
-    // Step 2: Apply additional custom fixes
-    css = applyAdditionalFixes(css);
-
-    // Step 3: Apply AI-powered fixes for complex issues
-    if (remainingErrors.length > 0 && CONFIG.ENABLE_AI_FIXES) {
-      css = await applyAIFixes(css, remainingErrors);
-    }
-
-    // Step 4: Process with PostCSS (progressive approach)
-    console.log("🔄 Processing with PostCSS plugins...");
-
-    let postcssResult;
-    try {
-      // Try with full plugins first
-      const plugins = [];
-
-      if (CONFIG.ENABLE_AUTOPREFIXER) {
-        plugins.push(
-          autoprefixer({
-            overrideBrowserslist: CONFIG.BROWSERS,
-            grid: "autoplace",
-          }),
-        );
-      }
-
-      // Add media query sorting - custom approach for desktop → laptop → tablet → mobile
-      plugins.push(sortMediaQueries({ sort: "desktop-first" }));
-
-      if (options.minify || CONFIG.ENABLE_MINIFICATION) {
-        plugins.push(
-          cssnano({
-            preset: [
-              "default",
-              {
-                cssDeclarationSorter: false,
-                discardComments: { removeAll: false },
-              },
-            ],
-          }),
-        );
-      }
-
-      postcssResult = await postcss(plugins).process(css, {
-        from: inputPath,
-        to: outputPath,
-        parser: safeParser,
-        map: false,
-      });
-
-      console.log("✅ PostCSS processing completed successfully");
-    } catch (postcssError) {
-      console.warn(
-        "⚠️ PostCSS with full plugins failed, trying minimal setup...",
-      );
-
-      // Fallback to minimal PostCSS processing
-      const minimalPlugins = [];
-      if (CONFIG.ENABLE_AUTOPREFIXER) {
-        minimalPlugins.push(
-          autoprefixer({
-            overrideBrowserslist: CONFIG.BROWSERS,
-            grid: "autoplace",
-          }),
-        );
-      }
-
-      postcssResult = await postcss(minimalPlugins).process(css, {
-        from: inputPath,
-        to: outputPath,
-        parser: safeParser,
-        map: false,
-      });
+    const {
+      optimizedCode: formattedCss,
+      map,
+      sourceMapMode,
+      changes,
+      diff,
+    } = await optimizeCssFile(css, {
+      ...options,
+      from: inputPath,
+      to: outputPath,
+      diff: Boolean(options.diff),
+    });
+    const sourceMap = sourceMapMode === "file" ? map : null;
 
-      console.log("✅ PostCSS minimal processing completed successfully");
+    // Write output file
+    await fs.outputFile(outputPath, formattedCss);
+    if (sourceMap) {
+      await fs.outputJson(`${outputPath}.map`, sourceMap);
+      console.log(`🗺️  Source map saved to: ${path.basename(outputPath)}.map`);
     }
 
-    // Step 5: Format with Prettier
-    console.log("💅 Formatting with Prettier...");
-    const prettierOptions = {
-      parser: "css",
-      tabWidth: CONFIG.PRETTIER_TAB_WIDTH,
-      useTabs: CONFIG.PRETTIER_USE_TABS,
-      semi: CONFIG.PRETTIER_SEMI,
-      singleQuote: CONFIG.PRETTIER_SINGLE_QUOTE,
-      printWidth: CONFIG.PRETTIER_PRINT_WIDTH,
-      endOfLine: CONFIG.PRETTIER_END_OF_LINE,
-      trailingComma: "none",
-    };
-
-    let formattedCss = await prettier.format(
-      postcssResult.css,
-      prettierOptions,
-    );
-
-    // Step 6: Combine duplicate media queries
-    console.log("🔗 Combining duplicate media queries...");
-    const mediaResult = combineDuplicateMediaQueries(formattedCss);
-    formattedCss = mediaResult.css;
-    if (mediaResult.count > 0) {
-      console.log(`   ✓ Combined ${mediaResult.count} duplicate media queries`);
+    // Change log and patch for reviewing the automated edits
+    if (options.diff) {
+      const patchPath =
+        typeof options.diff === "string" ? options.diff : `${outputPath}.patch`;
+      logChanges(changes);
+      await fs.outputFile(patchPath, diff);
+      console.log(`🩹 Diff saved to: ${path.basename(patchPath)}`);
     }
 
-    // Step 7: Write output file
-    await fs.outputFile(outputPath, formattedCss);
-
     // Calculate processing time and statistics
     const endTime = performance.now();
     const processingTime = ((endTime - startTime) / 1000).toFixed(2);
@@ -1066,9 +2097,10 @@ async function optimizeCss(inputPath, outputPath, options = {}) {
     );
 
     // Cache the result if caching is enabled
-    if (CONFIG.ENABLE_CACHE) {
-      await saveCache(inputPath, outputPath, originalCss, CONFIG, {
+    if (CONFIG.ENABLE_CACHE && !isAssetProcessingEnabled(options, CONFIG)) {
+      await saveCache(inputPath, outputPath, originalCss, CONFIG, options, {
         optimizedCss: formattedCss,
+        sourceMap,
         originalSize,
         finalSize,
         compressionRatio,
@@ -1085,12 +2117,15 @@ async function optimizeCss(inputPath, outputPath, options = {}) {
       compressionRatio,
       processingTime: parseFloat(processingTime),
       outputPath,
+      changes,
     };
   } catch (err) {
-    console.error("\n❌ Optimization failed:", err.message);
+    const error = toOptimizerError(err, inputPath);
+
+    console.error("\n❌ Optimization failed:", error.message);
 
-    if (err.line || err.column) {
-      console.error(`   Location: Line ${err.line}, Column ${err.column}`);
+    if (error.line || error.column) {
+      console.error(`   Location: Line ${error.line}, Column ${error.column}`);
     }
 
     console.error("\n💡 Troubleshooting tips:");
@@ -1098,12 +2133,124 @@ async function optimizeCss(inputPath, outputPath, options = {}) {
     console.error("   • Ensure all @import statements are at the top");
     console.error("   • Verify that custom properties are properly defined");
 
-    process.exit(1);
+    throw error;
+  }
+}
+
+/**
+ * optimizeCssFile() through the project cache. Diffs always reprocess so
+ * the change log is complete, and so do runs that copy assets.
+ */
+async function optimizeCssFileCached(cssCode, options = {}) {
+  if (
+    !CONFIG.ENABLE_CACHE ||
+    options.diff ||
+    isAssetProcessingEnabled(options, CONFIG)
+  ) {
+    return optimizeCssFile(cssCode, options);
+  }
+
+  const cache = getOptimizerCache();
+  const to = options.to || options.outputPath;
+  const cacheKey = await createCacheKey(
+    options.from,
+    to,
+    cssCode,
+    CONFIG,
+    options,
+  );
+  const cached = await cache.get(cacheKey);
+  if (cached?.result) return { ...cached.result, cached: true };
+
+  const result = await optimizeCssFile(cssCode, options);
+  try {
+    await cache.set(cacheKey, { result });
+  } catch (error) {
+    console.log("⚠️ Cache save error - continuing without cache");
+  }
+  return result;
+}
+
+/**
+ * Run optimizeCss / optimizeCssFile (through the cache) on a pool of worker
+ * threads, `concurrency` of them (CPU count by default) but never more than
+ * `tasks`. Workers load the configuration applied with configureOptimizer()
+ * and share the project cache. With a single worker, or options that cannot
+ * be sent to a thread (functions or plugin instances passed in code rather
+ * than loaded from the config file), calls run in this thread.
+ */
+function createOptimizerPool({
+  concurrency,
+  tasks = Infinity,
+  verbose = CONFIG.ENABLE_VERBOSE_LOGGING,
+} = {}) {
+  const size = Math.max(
+    1,
+    Math.min(parseInt(concurrency, 10) || getDefaultConcurrency(), tasks),
+  );
+  const pool =
+    size > 1
+      ? new WorkerPool(new URL("./optimizer-worker.js", import.meta.url), {
+          size,
+          workerData: { configure: configureOptions },
+          inheritOutput: verbose,
+        })
+      : null;
+
+  const run = async (type, args, options, inThread) => {
+    const workerOptions = pool ? toWorkerOptions(options) : null;
+    if (!workerOptions) return inThread();
+
+    try {
+      return await pool.run({ type, args: [...args, workerOptions] });
+    } catch (error) {
+      throw error instanceof Error ? error : deserializeError(error);
+    }
+  };
+
+  return {
+    size,
+    optimizeCss: (inputPath, outputPath, options = {}) =>
+      run("optimizeCss", [inputPath, outputPath], options, () =>
+        optimizeCss(inputPath, outputPath, options),
+      ),
+    optimizeCssFile: (cssCode, options = {}) =>
+      run("optimizeCssFile", [cssCode], options, () =>
+        optimizeCssFileCached(cssCode, options),
+      ),
+    close: async () => {
+      if (pool) await pool.close();
+    },
+  };
+}
+
+/**
+ * Options to post to a worker. Those loaded from the config file are left
+ * out, since the worker loads them itself; null when the rest cannot be
+ * posted.
+ */
+function toWorkerOptions(options) {
+  const workerOptions = Object.fromEntries(
+    Object.entries(options).filter(
+      ([key, value]) =>
+        !(key in configuredRunOptions) || configuredRunOptions[key] !== value,
+    ),
+  );
+
+  try {
+    structuredClone(workerOptions);
+    return workerOptions;
+  } catch (error) {
+    return null;
   }
 }
 
 /**
  * Process multiple CSS and CSS-in-JS files in batch mode
+ *
+ * CSS files are optimized on `options.concurrency` worker threads (CPU
+ * count by default); `options.onProgress` is called as each one finishes.
+ * Resolves with the CSS results in file order.
  */
 async function processBatch(options) {
   console.log("🔄 Processing CSS and CSS-in-JS files in batch mode...");
@@ -1125,48 +2272,72 @@ async function processBatch(options) {
   let successCount = 0;
   let totalTime = 0;
 
-  // Process CSS files
-  for (const cssFile of cssFiles) {
-    // Skip backup and output files to prevent processing optimized files
-    if (
-      cssFile.includes(".backup.css") ||
-      cssFile.includes(".optimized.css") ||
-      cssFile.includes(".cache")
-    ) {
-      continue;
-    }
-
-    console.log(`\n📄 Processing CSS: ${cssFile}`);
-
-    try {
-      // Create output path based on input path
-      const outputDir = path.dirname(cssFile);
-      const outputBasename = path.basename(cssFile, ".css");
-      const outputFile = path.join(
-        outputDir,
-        `${outputBasename}.optimized.css`,
-      );
-
-      const startTime = performance.now();
-      const result = await optimizeCss(cssFile, outputFile, options);
-      const endTime = performance.now();
+  // Skip backup and output files to prevent processing optimized files
+  const sourceFiles = cssFiles.filter(
+    (cssFile) =>
+      !cssFile.includes(".backup.css") &&
+      !cssFile.includes(".optimized.css") &&
+      !cssFile.includes(".cache"),
+  );
 
-      const processingTime = (endTime - startTime) / 1000; // Convert to seconds
-      totalTime += processingTime;
+  // Optimize CSS files on worker threads; results stay in file order
+  const { onProgress, ...optimizeOptions } = options;
+  const pool = createOptimizerPool({
+    concurrency: options.concurrency,
+    tasks: sourceFiles.length,
+  });
+  if (pool.size > 1) {
+    console.log(`🧵 Optimizing CSS on ${pool.size} worker threads`);
+  }
 
-      if (result.success) {
-        successCount++;
-        console.log(
-          `   ✅ Optimized: ${(result.originalSize / 1024).toFixed(2)} KB → ${(result.finalSize / 1024).toFixed(2)} KB (${result.compressionRatio.toFixed(1)}% smaller)`,
+  let results;
+  try {
+    results = await mapConcurrent(
+      sourceFiles,
+      pool.size,
+      async (cssFile) => {
+        // Create output path based on input path
+        const outputDir = path.dirname(cssFile);
+        const outputBasename = path.basename(cssFile, ".css");
+        const outputFile = path.join(
+          outputDir,
+          `${outputBasename}.optimized.css`,
         );
-      }
-    } catch (error) {
-      console.error(`   ❌ Error processing ${cssFile}:`, error.message);
-    }
 
-    processedCount++;
+        try {
+          return await pool.optimizeCss(cssFile, outputFile, optimizeOptions);
+        } catch (error) {
+          return { success: false, inputPath: cssFile, outputFile, error };
+        }
+      },
+      {
+        onProgress: (progress) => {
+          const { completed, total, item: cssFile, result } = progress;
+          const label = `[${completed}/${total}] ${cssFile}`;
+
+          if (result.success) {
+            console.log(
+              `   ✅ ${label}: ${(result.originalSize / 1024).toFixed(2)} KB → ${(result.finalSize / 1024).toFixed(2)} KB (${result.compressionRatio.toFixed(1)}% smaller)`,
+            );
+          } else {
+            console.error(`   ❌ ${label}:`, result.error.message);
+          }
+          onProgress?.(progress);
+        },
+      },
+    );
+  } finally {
+    await pool.close();
   }
 
+  results.forEach((result) => {
+    processedCount++;
+    if (result.success) {
+      successCount++;
+      totalTime += result.processingTime;
+    }
+  });
+
   // Process JavaScript files for CSS-in-JS
   for (const jsFile of jsFiles) {
     // Skip node_modules and other directories
@@ -1178,7 +2349,7 @@ async function processBatch(options) {
 
     try {
       const startTime = performance.now();
-      const result = await processCSSInJS(jsFile, options);
+      const result = await processCSSInJS(jsFile, optimizeOptions);
       const endTime = performance.now();
 
       const processingTime = (endTime - startTime) / 1000; // Convert to seconds
@@ -1208,6 +2379,8 @@ async function processBatch(options) {
   console.log(
     `⚡ Average time per file: ${(totalTime / processedCount).toFixed(2)}s`,
   );
+
+  return { processed: processedCount, succeeded: successCount, results };
 }
 
 /**
@@ -1361,6 +2534,22 @@ async function processCSSInJS(filePath, options) {
 }
 
 // CLI execution
+/**
+ * Value of `--name=value` or `--name value`, `true` for a bare flag
+ */
+function getFlagValue(args, name) {
+  const index = args.findIndex(
+    (arg) => arg === name || arg.startsWith(`${name}=`),
+  );
+  if (index === -1) return undefined;
+
+  const arg = args[index];
+  if (arg.includes("=")) return arg.slice(name.length + 1);
+
+  const next = args[index + 1];
+  return next && !next.startsWith("-") ? next : true;
+}
+
 async function main() {
   const args = process.argv.slice(2);
   const options = {
@@ -1371,6 +2560,20 @@ async function main() {
     verbose: args.includes("--verbose") || args.includes("-v"),
     batch: args.includes("--batch") || args.includes("-b"),
     benchmark: args.includes("--benchmark") || args.includes("-B"),
+    diff: getFlagValue(args, "--diff") ?? false,
+    concurrency: parseInt(getFlagValue(args, "--concurrency"), 10) || undefined,
+    chunked: args.includes("--chunked") || undefined,
+    inlineImports: args.includes("--inline-imports") || undefined,
+    assets: args.includes("--assets") || undefined,
+    mergeRules: args.includes("--merge-rules") || undefined,
+    shorthands: args.includes("--no-shorthands") ? false : undefined,
+    removeUnused: args.includes("--remove-unused") || undefined,
+    verifyCascade: getFlagValue(args, "--verify-cascade"),
+    sourceMap: args.includes("--inline-source-map")
+      ? "inline"
+      : args.includes("--source-map")
+        ? "file"
+        : undefined,
   };
 
   if (args.includes("--help") || args.includes("-h")) {
@@ -1385,6 +2588,25 @@ Options:
   -v, --verbose     Enable verbose logging
   -b, --batch       Process all CSS files in current directory and subdirectories
   -B, --benchmark   Run performance benchmark tests
+  --source-map      Write a source map next to the output (.css.map)
+  --inline-source-map  Embed the source map in the output CSS
+  --diff [file]     List every change and write a unified diff (.patch)
+  --concurrency <n> Worker threads for --batch (default: CPU count)
+  --chunked         Optimize in chunks even below MAX_FILE_SIZE_MB
+  --inline-imports  Inline local @import statements
+  --assets          Inline small url() assets and copy the others with
+                    hashed names
+  --merge-rules     Merge duplicate selectors and identical rules
+  --no-shorthands   Keep longhands and overridden declarations as written
+  --enforce-tokens <file>  Replace values matching a design token with var()
+  --remove-unused   Remove unused keyframes, font faces, counter styles and
+                    custom properties
+  --verify-cascade [rollback]  Warn about (or undo) stages that change which
+                    declaration wins
+  --media-query-order <order>  Sort media queries mobile-first, desktop-first
+                    (default) or preserve their order
+  --config <file>   Use this config file instead of searching for one
+  --profile <name>  Apply a config profile (dev, prod, legacy, email, ...)
   --no-backup       Skip creating backup file
   --no-cache        Disable caching mechanism
   -h, --help        Show this help message
@@ -1400,19 +2622,43 @@ Features:
 
 Environment Variables:
   GROQ_API_KEY  Your Groq API key for AI-powered fixes
+  NODE_ENV      Selects the profile of that name (production → prod,
+                development → dev) when the config file defines profiles
 
 This is the ultimate version with AI-assisted CSS fixing capabilities.
         `);
     return;
   }
 
-  // Update config based on CLI options
-  if (options.cache === false) {
-    CONFIG.ENABLE_CACHE = false;
-  }
-  if (options.verbose) {
-    CONFIG.ENABLE_VERBOSE_LOGGING = true;
+  // Apply css-optimizer.config.js, environment variables and CLI options
+  const configPath = getFlagValue(args, "--config");
+  const tokensFile = getFlagValue(args, "--enforce-tokens");
+  const profile = getFlagValue(args, "--profile");
+  const mediaQueryOrder = getFlagValue(args, "--media-query-order");
+  const { config, runOptions } = await configureOptimizer({
+    configPath: typeof configPath === "string" ? configPath : undefined,
+    profile: typeof profile === "string" ? profile : undefined,
+    overrides: {
+      ENABLE_MINIFICATION: options.minify || undefined,
+      ENABLE_CACHE: options.cache ? undefined : false,
+      ENABLE_VERBOSE_LOGGING: options.verbose || undefined,
+      INLINE_IMPORTS: options.inlineImports,
+      PROCESS_ASSETS: options.assets,
+      MERGE_RULES: options.mergeRules,
+      OPTIMIZE_SHORTHANDS: options.shorthands,
+      TOKENS_FILE:
+        typeof tokensFile === "string" ? path.resolve(tokensFile) : undefined,
+      REMOVE_UNUSED: options.removeUnused,
+      VERIFY_CASCADE: toVerificationMode(options.verifyCascade),
+      MEDIA_QUERY_SORT_ORDER:
+        typeof mediaQueryOrder === "string" ? mediaQueryOrder : undefined,
+    },
+  });
+  Object.assign(options, runOptions);
+  if (options.createBackup && config.options?.backup === false) {
+    options.createBackup = false;
   }
+  options.concurrency ??= config.options?.concurrency;
 
   // Handle benchmark mode
   if (options.benchmark) {
@@ -1532,9 +2778,42 @@ async function runBenchmark(options = {}) {
 }
 
 // Export the main optimization function for use by other modules
-export { optimizeCss };
-
-// CLI execution
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(console.error);
+export {
+  optimizeCss,
+  optimizeCssFile,
+  createOptimizationPipeline,
+  configureOptimizer,
+  validateConfig,
+  getOptimizerCache,
+  optimizeCssFileCached,
+  createOptimizerPool,
+  processBatch,
+  shouldOptimizeInChunks,
+  optimizeCssInChunks,
+};
+export { Pipeline, loadStage } from "./pipeline.js";
+export {
+  loadConfig,
+  findConfigFile,
+  validateConfigFile,
+  resolveProfile,
+  BUILTIN_PROFILES,
+} from "./config-loader.js";
+export { FIX_RULES } from "./fix-rules.js";
+export {
+  OptimizerError,
+  CssParseError,
+  FileSizeError,
+  FileIOError,
+  AIFixError,
+} from "./error-handler.js";
+
+// CLI execution (not when loaded by a worker thread of the CLI)
+if (isMainThread && import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    if (!(error instanceof OptimizerError)) {
+      console.error(error);
+    }
+    process.exit(1);
+  });
 }
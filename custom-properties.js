@@ -0,0 +1,256 @@
+import browserslist from "browserslist";
+import caniuse from "caniuse-lite";
+import safeParser from "postcss-safe-parser";
+import valueParser from "postcss-value-parser";
+
+/**
+ * Static custom property fallbacks for browsers without var() support
+ *
+ * A custom property declared exactly once, in a top-level `:root` rule, has
+ * the same value everywhere, so every var() reading it can be replaced by
+ * that value. For each declaration using var() a copy with the resolved
+ * value is inserted before it: older browsers use the copy and drop the
+ * declaration they can't parse, newer ones let the original override it.
+ * Chains (`--a: var(--b)`) are followed, and a var() fallback is used when
+ * its property is declared nowhere. Declarations reading properties declared
+ * more than once, outside `:root` or in a cycle are reported as unresolved.
+ * A stylesheet processed in parts passes the definitions of the whole of it,
+ * collected part by part with collectCustomProperties().
+ */
+
+const CUSTOM_PROPERTIES_SUPPORT = caniuse.feature(
+  caniuse.features["css-variables"],
+);
+
+/**
+ * The targets of a browserslist query that don't support custom properties.
+ * Opera Mini is left out: `last 2 versions` always includes it, and it
+ * lacks too much of modern CSS for fallbacks to be worth their size.
+ */
+export function getTargetsWithoutCustomProperties(browsers) {
+  let targets;
+  try {
+    targets = browserslist(browsers);
+  } catch (error) {
+    return [];
+  }
+
+  return targets.filter((target) => {
+    const [browser, version] = target.split(" ");
+    if (browser === "op_mini") return false;
+    const support = CUSTOM_PROPERTIES_SUPPORT.stats[browser]?.[version];
+    return support ? /^[np]/.test(support) : false;
+  });
+}
+
+/**
+ * Insert static fallbacks before every var() usage of a PostCSS root.
+ * When the root is only part of a stylesheet, `definitions` are the custom
+ * properties of the whole of it. Returns the change records for the
+ * inserted fallbacks and one record per declaration that could not be
+ * resolved.
+ */
+export function addCustomPropertyFallbacks(root, options = {}) {
+  const changes = [];
+  const unresolved = [];
+  const file = root.source?.input?.file || options.from || null;
+
+  const record = (list, rule, message, node, before, after) => {
+    const start = node.source?.start || {};
+    list.push({
+      rule,
+      message,
+      file,
+      line: start.line ?? null,
+      column: start.column ?? null,
+      before,
+      after,
+    });
+  };
+
+  const definitions = options.definitions
+    ? mergeDefinitions(collectCustomProperties(root), options.definitions)
+    : collectCustomProperties(root);
+
+  root.walkDecls((decl) => {
+    if (decl.prop.startsWith("--") || !hasVar(decl.value)) return;
+
+    const { value, missing } = resolveValue(decl.value, definitions);
+    if (missing.length > 0) {
+      record(
+        unresolved,
+        "custom-property-unresolved",
+        `Cannot resolve ${missing.map((name) => `\`${name}\``).join(", ")} statically in \`${decl.toString()}\`: not declared once at :root`,
+        decl,
+        decl.toString(),
+        decl.toString(),
+      );
+      return;
+    }
+    if (!value.trim() || hasAuthoredFallback(decl)) return;
+
+    const fallback = decl.cloneBefore({ value });
+    record(
+      changes,
+      "custom-property-fallback",
+      `Added \`${fallback.toString()}\` for browsers without custom properties`,
+      decl,
+      decl.toString(),
+      `${fallback.toString()}; ${decl.toString()}`,
+    );
+  });
+
+  return { changes, unresolved };
+}
+
+/**
+ * Parse CSS, add the fallbacks and return the new CSS, changes and
+ * unresolved declarations. With `map: true` the result also has a source
+ * map back to the input CSS.
+ */
+export function runCustomPropertyFallbacks(css, options = {}) {
+  const root = safeParser(css, { from: options.from });
+  const { changes, unresolved } = addCustomPropertyFallbacks(root, options);
+
+  if (!options.map) {
+    return { css: root.toString(), changes, unresolved };
+  }
+
+  const result = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { css: result.css, changes, unresolved, map: result.map.toJSON() };
+}
+
+/**
+ * PostCSS plugin adding the fallbacks when `browsers` has targets without
+ * custom properties; unresolved declarations become warnings
+ */
+export function customPropertyFallbacks(options = {}) {
+  return {
+    postcssPlugin: "css-optimizer-custom-property-fallbacks",
+    Once(root, { result }) {
+      if (getTargetsWithoutCustomProperties(options.browsers).length === 0) {
+        return;
+      }
+
+      const { unresolved } = addCustomPropertyFallbacks(root);
+      unresolved.forEach((entry) => {
+        result.warn(entry.message, {
+          word: entry.before,
+          node: root,
+          start: { line: entry.line, column: entry.column },
+        });
+      });
+    },
+  };
+}
+customPropertyFallbacks.postcss = true;
+
+/**
+ * Values of the custom properties declared once in a top-level `:root`,
+ * and the names of all declared custom properties. Pass the result back in
+ * with the next part of a stylesheet to collect those of the whole of it.
+ */
+export function collectCustomProperties(
+  root,
+  definitions = { values: new Map(), declared: new Set() },
+) {
+  root.walkDecls(/^--/, (decl) => {
+    if (definitions.declared.has(decl.prop)) {
+      definitions.values.delete(decl.prop);
+      return;
+    }
+
+    definitions.declared.add(decl.prop);
+    if (
+      decl.parent.type === "rule" &&
+      decl.parent.parent.type === "root" &&
+      decl.parent.selector.trim() === ":root"
+    ) {
+      definitions.values.set(decl.prop, decl.value.trim());
+    }
+  });
+
+  return definitions;
+}
+
+/**
+ * Definitions of the whole stylesheet, with the values the part itself
+ * declares now (earlier stages may have changed them)
+ */
+function mergeDefinitions(part, whole) {
+  const values = new Map();
+  for (const [name, value] of whole.values) {
+    if (!part.declared.has(name)) values.set(name, value);
+    else if (part.values.has(name)) values.set(name, part.values.get(name));
+  }
+  // Properties added by earlier stages
+  for (const [name, value] of part.values) {
+    if (!whole.declared.has(name)) values.set(name, value);
+  }
+
+  return { values, declared: new Set([...whole.declared, ...part.declared]) };
+}
+
+/**
+ * Replace the var() functions of a value. `missing` lists the properties
+ * that could not be resolved.
+ */
+function resolveValue(value, definitions, resolving = new Set()) {
+  const parsed = valueParser(value);
+  const missing = [];
+
+  parsed.walk((node) => {
+    if (node.type !== "function" || node.value.toLowerCase() !== "var") {
+      return undefined;
+    }
+
+    const name = node.nodes[0]?.value;
+    const comma = node.nodes.findIndex(
+      (child) => child.type === "div" && child.value === ",",
+    );
+
+    let source = null;
+    if (definitions.values.has(name) && !resolving.has(name)) {
+      source = definitions.values.get(name);
+    } else if (!definitions.declared.has(name) && comma !== -1) {
+      // The property is never set here, so the fallback always applies
+      source = valueParser.stringify(node.nodes.slice(comma + 1)).trim();
+    }
+
+    if (source === null) {
+      missing.push(name);
+      return false;
+    }
+
+    const resolved = resolveValue(
+      source,
+      definitions,
+      new Set([...resolving, name]),
+    );
+    missing.push(...resolved.missing);
+    Object.assign(node, { type: "word", value: resolved.value, nodes: [] });
+    return false;
+  });
+
+  return { value: parsed.toString(), missing: [...new Set(missing)] };
+}
+
+/**
+ * Whether the author already wrote a fallback right before the declaration
+ */
+function hasAuthoredFallback(decl) {
+  const previous = decl.prev();
+  return (
+    previous?.type === "decl" &&
+    previous.prop.toLowerCase() === decl.prop.toLowerCase() &&
+    !hasVar(previous.value)
+  );
+}
+
+function hasVar(value) {
+  return /\bvar\(/i.test(value);
+}
+
+export default runCustomPropertyFallbacks;
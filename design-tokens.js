@@ -0,0 +1,388 @@
+import path from "path";
+import safeParser from "postcss-safe-parser";
+import valueParser from "postcss-value-parser";
+
+/**
+ * Design token extraction
+ *
+ * Collects the distinct colors, font sizes, font families, spacing values,
+ * radii, shadows, z-indexes and breakpoints of stylesheets, with how often
+ * and where each is used, and writes them in the W3C design tokens format
+ * (https://tr.designtokens.org/format/). Values that already read a custom
+ * property (`var()`) are skipped; custom property definitions count as
+ * usages of their value.
+ */
+
+export const TOKEN_CATEGORIES = {
+  color: { group: "color", type: "color" },
+  fontSize: { group: "font-size", type: "dimension" },
+  fontFamily: { group: "font-family", type: "fontFamily" },
+  spacing: { group: "spacing", type: "dimension" },
+  radius: { group: "radius", type: "dimension" },
+  shadow: { group: "shadow", type: "shadow" },
+  zIndex: { group: "z-index", type: "number" },
+  breakpoint: { group: "breakpoint", type: "dimension" },
+};
+
+const KEYWORDS = new Set([
+  "inherit",
+  "initial",
+  "unset",
+  "revert",
+  "revert-layer",
+  "none",
+  "auto",
+  "currentcolor",
+  "transparent",
+  "normal",
+]);
+const COLOR_FUNCTIONS =
+  /^(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color|color-mix|light-dark)$/i;
+const COLOR_PROPERTIES = /^(color|fill|stroke|(.+-)?color)$/i;
+const SPACING_PROPERTIES =
+  /^(margin|padding)(-(top|right|bottom|left|block|inline)(-(start|end))?)?$|^((row|column)-)?gap$/i;
+const RADIUS_PROPERTIES = /^border(-[a-z]+)*-radius$/i;
+const SHADOW_PROPERTIES = /^(box|text)-shadow$/i;
+const FONT_SIZE_KEYWORDS =
+  /^(xx-small|x-small|small|medium|large|x-large|xx-large|xxx-large|smaller|larger)$/i;
+
+/**
+ * Usages of every token value, per category:
+ * `{ color: Map(value → { value, count, locations }) , ... }`
+ */
+export function createTokenCollection() {
+  return Object.fromEntries(
+    Object.keys(TOKEN_CATEGORIES).map((category) => [category, new Map()]),
+  );
+}
+
+/**
+ * Add the token values of a stylesheet to a collection. `from` is its path,
+ * stored in the locations relative to `cwd`.
+ */
+export function collectTokens(
+  css,
+  { from, cwd = process.cwd(), tokens = createTokenCollection() } = {},
+) {
+  const root = safeParser(css, { from });
+  const file = from
+    ? path.relative(cwd, path.resolve(from)).split(path.sep).join("/")
+    : null;
+
+  const add = (category, value, node) => {
+    const entries = tokens[category];
+    const entry = entries.get(value) || { value, count: 0, locations: [] };
+    const start = node.source?.start || {};
+    entry.count++;
+    entry.locations.push({
+      file,
+      line: start.line ?? null,
+      column: start.column ?? null,
+    });
+    entries.set(value, entry);
+  };
+
+  root.walkDecls((decl) => {
+    const value = decl.value.trim();
+    if (/\bvar\(/i.test(value) || KEYWORDS.has(value.toLowerCase())) return;
+
+    const prop = decl.prop.toLowerCase();
+    findColors(prop, value).forEach((color) => add("color", color, decl));
+
+    if (prop === "font-size" && isSize(value)) {
+      add("fontSize", value.toLowerCase(), decl);
+    } else if (prop === "font-family") {
+      add("fontFamily", normalizeFamilies(value), decl);
+    } else if (prop === "font") {
+      const { size, family } = parseFontShorthand(value);
+      if (size) add("fontSize", size, decl);
+      if (family) add("fontFamily", family, decl);
+    } else if (SPACING_PROPERTIES.test(prop)) {
+      getLengths(value).forEach((length) => add("spacing", length, decl));
+    } else if (RADIUS_PROPERTIES.test(prop)) {
+      getLengths(value).forEach((length) => add("radius", length, decl));
+    } else if (SHADOW_PROPERTIES.test(prop)) {
+      add("shadow", value.replace(/\s+/g, " "), decl);
+    } else if (prop === "z-index" && /^-?\d+$/.test(value)) {
+      add("zIndex", value, decl);
+    }
+  });
+
+  root.walkAtRules(/^media$/i, (atRule) => {
+    for (const [, feature] of atRule.params.matchAll(/\(([^()]*)\)/g)) {
+      if (!/\bwidth\b/i.test(feature)) continue;
+      getLengths(feature).forEach((length) =>
+        add("breakpoint", length, atRule),
+      );
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * A token collection in the W3C design tokens format. Tokens are named
+ * after their value and sorted by usage; counts and locations go in
+ * `$extensions`.
+ */
+export function toDesignTokens(tokens) {
+  const document = {};
+
+  for (const [category, { group, type }] of Object.entries(TOKEN_CATEGORIES)) {
+    const entries = [...tokens[category].values()].sort(
+      (a, b) => b.count - a.count || a.value.localeCompare(b.value),
+    );
+    if (entries.length === 0) continue;
+
+    // Dimensions are px or rem, so other units in these groups get no type
+    const tokenGroup = type === "dimension" ? {} : { $type: type };
+    const names = new Set();
+    for (const entry of entries) {
+      const token = toToken(category, entry);
+      if (!token) continue;
+      tokenGroup[uniqueName(toTokenName(entry.value), names)] = token;
+    }
+    document[group] = tokenGroup;
+  }
+
+  return document;
+}
+
+/**
+ * Summary of a collection: distinct values and usages per category
+ */
+export function summarizeTokens(tokens) {
+  return Object.fromEntries(
+    Object.entries(tokens).map(([category, entries]) => [
+      category,
+      {
+        distinct: entries.size,
+        usages: [...entries.values()].reduce(
+          (sum, entry) => sum + entry.count,
+          0,
+        ),
+      },
+    ]),
+  );
+}
+
+function toToken(category, entry) {
+  const extensions = {
+    "css-optimizer": {
+      usage: entry.count,
+      locations: entry.locations.map(
+        ({ file, line, column }) =>
+          `${file || "stdin"}${line ? `:${line}:${column}` : ""}`,
+      ),
+    },
+  };
+
+  if (category === "fontFamily") {
+    return {
+      $value: entry.value.split(", ").map((family) => family.trim()),
+      $extensions: extensions,
+    };
+  }
+  if (category === "shadow") {
+    const layers = parseShadow(entry.value);
+    if (!layers) return null;
+    return {
+      $value: layers.length === 1 ? layers[0] : layers,
+      $extensions: extensions,
+    };
+  }
+  if (category === "zIndex") {
+    return { $value: Number(entry.value), $extensions: extensions };
+  }
+
+  if (
+    TOKEN_CATEGORIES[category].type === "dimension" &&
+    /^-?[\d.]+(px|rem)$/.test(entry.value)
+  ) {
+    return {
+      $type: "dimension",
+      $value: entry.value,
+      $extensions: extensions,
+    };
+  }
+  return { $value: entry.value, $extensions: extensions };
+}
+
+function findColors(prop, value) {
+  const colors = [];
+  // Named colors only count in color properties, where they can't be
+  // anything else
+  const isColorProperty = COLOR_PROPERTIES.test(prop);
+
+  valueParser(value).walk((node) => {
+    if (node.type === "function") {
+      if (COLOR_FUNCTIONS.test(node.value)) {
+        colors.push(normalizeColor(valueParser.stringify(node)));
+        return false;
+      }
+      return node.value.toLowerCase() === "url" ? false : undefined;
+    }
+    if (node.type !== "word") return undefined;
+
+    if (/^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i.test(node.value)) {
+      colors.push(normalizeColor(node.value));
+    } else if (
+      isColorProperty &&
+      /^[a-z]+$/i.test(node.value) &&
+      !KEYWORDS.has(node.value.toLowerCase())
+    ) {
+      colors.push(node.value.toLowerCase());
+    }
+    return undefined;
+  });
+
+  return colors;
+}
+
+function normalizeColor(color) {
+  const lower = color
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/\s*,\s*/g, ", ");
+  const short = lower.match(/^#([\da-f])([\da-f])([\da-f])([\da-f])?$/);
+  return short
+    ? `#${short
+        .slice(1)
+        .filter(Boolean)
+        .map((digit) => digit + digit)
+        .join("")}`
+    : lower;
+}
+
+function normalizeFamilies(value) {
+  return value
+    .split(",")
+    .map((family) =>
+      family
+        .trim()
+        .replace(/^(['"])(.*)\1$/, "$2")
+        .replace(/\s+/g, " "),
+    )
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Size and family of a `font` shorthand: the size is the first length or
+ * size keyword, the family everything after it (and its line height)
+ */
+function parseFontShorthand(value) {
+  const nodes = valueParser(value).nodes;
+  const index = nodes.findIndex(
+    (node) => node.type === "word" && isSize(node.value),
+  );
+  if (index === -1) return {};
+
+  let rest = index + 1;
+  if (nodes[rest]?.type === "div" && nodes[rest].value === "/") rest += 2;
+  const family = valueParser.stringify(nodes.slice(rest)).trim();
+
+  return {
+    size: nodes[index].value.toLowerCase(),
+    family: family ? normalizeFamilies(family) : null,
+  };
+}
+
+function isSize(value) {
+  const unit = valueParser.unit(value);
+  return (
+    (unit && unit.unit !== "" && Number(unit.number) > 0) ||
+    FONT_SIZE_KEYWORDS.test(value) ||
+    /^(clamp|calc|min|max)\(/i.test(value)
+  );
+}
+
+/**
+ * The non-zero lengths of a value, such as `8px` and `1rem` in
+ * `8px 1rem 0 auto`
+ */
+function getLengths(value) {
+  const lengths = [];
+
+  valueParser(value).walk((node) => {
+    if (node.type === "function") return false;
+    const unit = node.type === "word" && valueParser.unit(node.value);
+    if (unit && /^[a-z%]+$/i.test(unit.unit) && Number(unit.number) !== 0) {
+      lengths.push(node.value.toLowerCase());
+    }
+    return undefined;
+  });
+
+  return lengths;
+}
+
+/**
+ * Shadow layers as W3C shadow values, or null when a layer can't be read
+ */
+function parseShadow(value) {
+  const layers = [];
+  let layer = [];
+  const flush = () => {
+    layers.push(layer);
+    layer = [];
+  };
+
+  valueParser(value).nodes.forEach((node) => {
+    if (node.type === "div" && node.value === ",") flush();
+    else if (node.type !== "space") layer.push(node);
+  });
+  flush();
+
+  const parsed = layers.map((nodes) => {
+    const inset = nodes.some((node) => node.value.toLowerCase() === "inset");
+    const rest = nodes.filter((node) => node.value.toLowerCase() !== "inset");
+    const lengths = rest.filter(
+      (node) => node.type === "word" && valueParser.unit(node.value),
+    );
+    const colors = rest.filter((node) => !lengths.includes(node));
+    if (lengths.length < 2 || lengths.length > 4 || colors.length > 1) {
+      return null;
+    }
+
+    const [offsetX, offsetY, blur = "0px", spread = "0px"] = lengths.map(
+      (node) => (Number(node.value) === 0 ? "0px" : node.value),
+    );
+    return {
+      color: colors[0]
+        ? normalizeColor(valueParser.stringify(colors[0]))
+        : "currentcolor",
+      offsetX,
+      offsetY,
+      blur,
+      spread,
+      ...(inset ? { inset: true } : {}),
+    };
+  });
+
+  return parsed.includes(null) ? null : parsed;
+}
+
+/**
+ * Token names may not contain `.`, `{`, `}` or start with `$`
+ */
+function toTokenName(value) {
+  return (
+    value
+      .toLowerCase()
+      .replace(/^#/, "")
+      .replace(/^-(?=[\d.])/, "minus-")
+      .replace(/\./g, "_")
+      .replace(/[^a-z0-9_%-]+/g, "-")
+      .replace(/%/g, "pct")
+      .replace(/^-+|-+$/g, "") || "value"
+  );
+}
+
+function uniqueName(name, names) {
+  let unique = name;
+  for (let i = 2; names.has(unique); i++) unique = `${name}-${i}`;
+  names.add(unique);
+  return unique;
+}
+
+export default collectTokens;
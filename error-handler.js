@@ -1,3 +1,153 @@
+/**
+ * Base class for failures raised by the optimization pipeline.
+ * Carries the error type plus the file/line/column it relates to,
+ * so callers can report the failure instead of the process exiting.
+ */
+export class OptimizerError extends Error {
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = "OptimizerError";
+    this.type = details.type || "UNKNOWN_ERROR";
+    this.file = details.file || null;
+    this.line = details.line ?? null;
+    this.column = details.column ?? null;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      type: this.type,
+      message: this.message,
+      file: this.file,
+      line: this.line,
+      column: this.column,
+    };
+  }
+}
+
+/**
+ * CSS that could not be parsed or formatted
+ */
+export class CssParseError extends OptimizerError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: "CSS_PARSE_ERROR" });
+    this.name = "CssParseError";
+  }
+}
+
+/**
+ * Input that exceeds the configured size limit
+ */
+export class FileSizeError extends OptimizerError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: "SIZE_ERROR" });
+    this.name = "FileSizeError";
+    this.size = details.size ?? null;
+    this.limit = details.limit ?? null;
+  }
+}
+
+/**
+ * Reading, writing or copying a file failed
+ */
+export class FileIOError extends OptimizerError {
+  constructor(message, details = {}) {
+    super(message, {
+      ...details,
+      type: ErrorHandler.categorizeErrorCode(details.code) || "IO_ERROR",
+    });
+    this.name = "FileIOError";
+    this.code = details.code || null;
+  }
+}
+
+/**
+ * The AI fix service could not be reached or returned an error
+ */
+export class AIFixError extends OptimizerError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: "AI_ERROR" });
+    this.name = "AIFixError";
+    this.status = details.status ?? null;
+    this.rule = details.rule || null;
+  }
+}
+
+/**
+ * Convert any thrown value into an OptimizerError subclass
+ */
+export function toOptimizerError(error, file = null) {
+  if (error instanceof OptimizerError) {
+    if (!error.file) error.file = file;
+    return error;
+  }
+
+  if (error?.name === "CssSyntaxError") {
+    return new CssParseError(error.reason || error.message, {
+      file: error.file || file,
+      line: error.line,
+      column: error.column,
+      cause: error,
+    });
+  }
+
+  if (error?.code && error?.syscall) {
+    return new FileIOError(error.message, {
+      file: error.path || file,
+      code: error.code,
+      cause: error,
+    });
+  }
+
+  return new OptimizerError(error?.message || String(error), {
+    type: ErrorHandler.categorizeError(error || {}),
+    file,
+    line: error?.line,
+    column: error?.column,
+    cause: error,
+  });
+}
+
+const ERROR_CLASSES = {
+  OptimizerError,
+  CssParseError,
+  FileSizeError,
+  FileIOError,
+  AIFixError,
+};
+
+/**
+ * Plain-object form of an error that can be posted between worker threads
+ */
+export function serializeError(error) {
+  const details = {};
+  for (const [key, value] of Object.entries(error || {})) {
+    if (value === null || typeof value !== "object") details[key] = value;
+  }
+
+  return {
+    ...details,
+    name: error?.name || "Error",
+    message: error?.message || String(error),
+    stack: error?.stack,
+  };
+}
+
+/**
+ * Rebuild an error posted with serializeError(), keeping its class
+ */
+export function deserializeError(data) {
+  const { name, message, stack, ...details } = data;
+  const ErrorClass = ERROR_CLASSES[name];
+  const error = ErrorClass
+    ? new ErrorClass(message, details)
+    : Object.assign(new Error(message), details);
+
+  error.name = name;
+  if (stack) error.stack = stack;
+  return error;
+}
+
 /**
  * Enhanced error handling utilities for CSS optimizer
  */
@@ -22,6 +172,9 @@ export class ErrorHandler {
       context,
       message: error.message || "Unknown error occurred",
       type: this.categorizeError(error),
+      file: error.file || null,
+      line: error.line ?? null,
+      column: error.column ?? null,
       timestamp: new Date().toISOString(),
       recoverable: this.isRecoverable(error),
     };
@@ -37,10 +190,11 @@ export class ErrorHandler {
    * Categorize error types
    */
   static categorizeError(error) {
-    if (error.code === "ENOENT") return "FILE_NOT_FOUND";
-    if (error.code === "EACCES") return "PERMISSION_DENIED";
-    if (error.code === "ENOSPC") return "DISK_FULL";
+    if (error instanceof OptimizerError) return error.type;
+    const codeType = this.categorizeErrorCode(error.code);
+    if (codeType) return codeType;
     if (error.name === "AbortError") return "TIMEOUT";
+    if (!error.message) return "UNKNOWN_ERROR";
     if (error.message.includes("503")) return "SERVICE_UNAVAILABLE";
     if (error.message.includes("401")) return "AUTHENTICATION_ERROR";
     if (error.message.includes("400")) return "BAD_REQUEST";
@@ -59,6 +213,16 @@ export class ErrorHandler {
     return "UNKNOWN_ERROR";
   }
 
+  /**
+   * Map Node.js file system error codes to error types
+   */
+  static categorizeErrorCode(code) {
+    if (code === "ENOENT") return "FILE_NOT_FOUND";
+    if (code === "EACCES" || code === "EPERM") return "PERMISSION_DENIED";
+    if (code === "ENOSPC") return "DISK_FULL";
+    return null;
+  }
+
   /**
    * Determine if error is recoverable
    */
@@ -68,6 +232,7 @@ export class ErrorHandler {
       "SERVICE_UNAVAILABLE",
       "TIMEOUT",
       "AUTHENTICATION_ERROR",
+      "AI_ERROR",
     ];
 
     const errorType = this.categorizeError(error);
@@ -0,0 +1,273 @@
+import safeParser from "postcss-safe-parser";
+import valueParser from "postcss-value-parser";
+import { OptimizerError } from "./error-handler.js";
+
+/**
+ * AST-based fix rules for problems Stylelint doesn't fix automatically
+ *
+ * Each rule has an `id`, a `description`, a default `severity` and a
+ * `Declaration(decl, report)` visitor that edits the PostCSS AST in place and
+ * calls `report()` once per change. Rules only ever visit declarations, so
+ * text inside comments, strings and selectors is never touched.
+ */
+
+const UNITLESS_LENGTH_PROPERTIES = new Set([
+  "padding-top",
+  "padding-bottom",
+  "padding-left",
+  "padding-right",
+  "margin-top",
+  "margin-bottom",
+  "margin-left",
+  "margin-right",
+  "font-size",
+  "border-radius",
+]);
+
+// Longhands a later shorthand is moved before, the pairs the regex-based
+// fixes handled. Other longhands (`background-image`, `border-top`) are
+// left alone, as moving the shorthand changes the computed value.
+const SHORTHAND_LONGHANDS = {
+  background: new Set(["background-color"]),
+  border: new Set(["border-color"]),
+  padding: new Set([
+    "padding-top",
+    "padding-right",
+    "padding-bottom",
+    "padding-left",
+  ]),
+  margin: new Set([
+    "margin-top",
+    "margin-right",
+    "margin-bottom",
+    "margin-left",
+  ]),
+};
+
+/**
+ * Replace matching `word` nodes in a declaration value, skipping strings,
+ * comments and url() arguments. Returns the number of replacements.
+ */
+function replaceWords(decl, pattern, replacement) {
+  const parsed = valueParser(decl.value);
+  let count = 0;
+
+  parsed.walk((node) => {
+    if (node.type === "function" && node.value.toLowerCase() === "url") {
+      return false;
+    }
+    if (node.type === "word" && pattern.test(node.value)) {
+      node.value = node.value.replace(pattern, replacement);
+      count++;
+    }
+    return undefined;
+  });
+
+  if (count > 0) {
+    decl.value = parsed.toString();
+  }
+
+  return count;
+}
+
+export const FIX_RULES = [
+  {
+    id: "word-break-deprecated",
+    description: "Replace deprecated `word-break: break-word`",
+    severity: "warning",
+    Declaration(decl, report) {
+      if (
+        decl.prop.toLowerCase() === "word-break" &&
+        decl.value.trim().toLowerCase() === "break-word"
+      ) {
+        report(decl, () => {
+          decl.prop = "overflow-wrap";
+        });
+      }
+    },
+  },
+  {
+    id: "unit-typo",
+    description: "Fix `xp` unit typos such as `36xp` → `36px`",
+    severity: "error",
+    Declaration(decl, report) {
+      if (/\dxp\b/i.test(decl.value)) {
+        report(decl, () => replaceWords(decl, /^(-?[\d.]+)xp$/i, "$1px"));
+      }
+    },
+  },
+  {
+    id: "unitless-length",
+    description: "Add `px` to unitless lengths on properties that need a unit",
+    severity: "error",
+    Declaration(decl, report) {
+      if (
+        UNITLESS_LENGTH_PROPERTIES.has(decl.prop.toLowerCase()) &&
+        /^[1-9]\d*$/.test(decl.value.trim())
+      ) {
+        report(decl, () => {
+          decl.value = `${decl.value.trim()}px`;
+        });
+      }
+    },
+  },
+  {
+    id: "align-items-anchor-center",
+    description: "Replace invalid `align-items: anchor-center` with `center`",
+    severity: "error",
+    Declaration(decl, report) {
+      if (
+        decl.prop.toLowerCase() === "align-items" &&
+        decl.value.trim().toLowerCase() === "anchor-center"
+      ) {
+        report(decl, () => {
+          decl.value = "center";
+        });
+      }
+    },
+  },
+  {
+    id: "font-family-typo",
+    description: "Fix the `seri` generic font family typo",
+    severity: "warning",
+    Declaration(decl, report) {
+      if (
+        decl.prop.toLowerCase() === "font-family" &&
+        /^['"]?\s*seri['"]?$/i.test(decl.value.trim())
+      ) {
+        report(decl, () => {
+          decl.value = "serif";
+        });
+      }
+    },
+  },
+  {
+    id: "malformed-pseudo",
+    description: "Remove stray `::` left at the end of a value",
+    severity: "warning",
+    Declaration(decl, report) {
+      if (/\s*::\s*$/.test(decl.value)) {
+        report(decl, () => {
+          decl.value = decl.value.replace(/\s*::\s*$/, "");
+        });
+      }
+    },
+  },
+  {
+    id: "shorthand-order",
+    description:
+      "Move shorthand properties before the longhands they override. This changes the computed value: the longhand wins instead of the shorthand",
+    severity: "error",
+    Declaration(decl, report) {
+      const longhands = SHORTHAND_LONGHANDS[decl.prop.toLowerCase()];
+      if (!longhands || !decl.parent) return;
+
+      const firstLonghand = decl.parent.nodes.find(
+        (node) =>
+          node !== decl &&
+          node.type === "decl" &&
+          longhands.has(node.prop.toLowerCase()) &&
+          node.parent.index(node) < decl.parent.index(decl),
+      );
+
+      if (firstLonghand) {
+        report(
+          decl,
+          () => {
+            firstLonghand.before(decl);
+          },
+          `Moved \`${decl.prop}\` before \`${firstLonghand.prop}\``,
+        );
+      }
+    },
+  },
+];
+
+/**
+ * Resolve which rules are enabled and at what severity.
+ * `config` maps rule ids to `false`, `true` or `{ enabled, severity }`.
+ */
+export function resolveFixRules(config = {}, rules = FIX_RULES) {
+  for (const id of Object.keys(config)) {
+    if (!rules.some((rule) => rule.id === id)) {
+      throw new OptimizerError(`Unknown fix rule "${id}"`, {
+        type: "CONFIG_ERROR",
+      });
+    }
+  }
+
+  return rules
+    .map((rule) => {
+      const setting = config[rule.id];
+      const options =
+        typeof setting === "object" && setting !== null
+          ? setting
+          : { enabled: setting };
+
+      return {
+        ...rule,
+        enabled: options.enabled !== false,
+        severity: options.severity || rule.severity,
+      };
+    })
+    .filter((rule) => rule.enabled);
+}
+
+/**
+ * Run the enabled fix rules over a PostCSS root
+ * Returns one change record per modification, with its source location.
+ */
+export function applyFixRules(root, options = {}) {
+  const rules = resolveFixRules(options.rules, options.definitions);
+  const changes = [];
+
+  // Snapshot the declarations so rules that move nodes don't revisit them
+  const declarations = [];
+  root.walkDecls((decl) => {
+    declarations.push(decl);
+  });
+
+  for (const rule of rules) {
+    for (const decl of declarations) {
+      rule.Declaration(decl, (node, apply, message) => {
+        const before = node.toString();
+        const start = node.source?.start || {};
+
+        if (apply() === 0) return;
+
+        changes.push({
+          rule: rule.id,
+          severity: rule.severity,
+          message: message || rule.description,
+          file: root.source?.input?.file || options.from || null,
+          line: start.line ?? null,
+          column: start.column ?? null,
+          before,
+          after: node.toString(),
+        });
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Parse CSS, apply the enabled fix rules and return the new CSS and changes.
+ * With `map: true` the result also has a source map back to the input CSS.
+ */
+export function runFixRules(css, options = {}) {
+  const root = safeParser(css, { from: options.from });
+  const changes = applyFixRules(root, options);
+
+  if (!options.map) {
+    return { css: root.toString(), changes };
+  }
+
+  const result = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { css: result.css, changes, map: result.map.toJSON() };
+}
+
+export default FIX_RULES;
@@ -0,0 +1,509 @@
+import fs from "fs-extra";
+import path from "path";
+import postcss from "postcss";
+import safeParser from "postcss-safe-parser";
+import valueParser from "postcss-value-parser";
+
+/**
+ * `@import` inlining
+ *
+ * Local imports are resolved relative to the importing file, then in
+ * `node_modules` (`~package/file.css` only looks there; a package name
+ * alone uses the `style` field of its package.json, then `main` when it is
+ * a stylesheet, then `index.css`). Their content replaces the `@import`,
+ * recursively, and relative url()s in it are rewritten to stay correct from
+ * the entry file. Import conditions are kept by wrapping the content:
+ *
+ *   @import "a.css" layer(base) supports(display: grid) screen;
+ *   → @media screen { @supports (display: grid) { @layer base { ... } } }
+ *
+ * Remote imports are kept, but an `@import` after other rules is ignored by
+ * browsers, so the ones among or inside inlined files move above all
+ * inlined content, with the conditions of the imports they came through
+ * (`@import "https://x/a.css"` in a file imported with `layer(base)` gets
+ * `layer(base)`). When those conditions can't be combined (two media query
+ * lists, or an anonymous layer in another) that is reported in `errors` and
+ * the import stays where it was. Imports after other rules are left alone.
+ * Missing files and import cycles are reported in `errors` and their
+ * `@import` kept (in the entry file) or dropped, as a browser would.
+ */
+
+const REMOTE = /^([a-z][a-z\d+.-]*:|\/\/)/i;
+
+/**
+ * Which stylesheets import which, for watch mode: a change to a file
+ * affects the entries returned by `getDependents()`
+ */
+export class DependencyGraph {
+  constructor() {
+    this.imports = new Map();
+  }
+
+  /**
+   * Replace the direct imports of a file
+   */
+  setDependencies(file, dependencies) {
+    this.imports.set(path.resolve(file), new Set(dependencies));
+  }
+
+  /**
+   * All files a file imports, directly or through other imports
+   */
+  getDependencies(file) {
+    const found = new Set();
+    const pending = [path.resolve(file)];
+
+    while (pending.length > 0) {
+      for (const dependency of this.imports.get(pending.pop()) || []) {
+        if (!found.has(dependency)) {
+          found.add(dependency);
+          pending.push(dependency);
+        }
+      }
+    }
+
+    found.delete(path.resolve(file));
+    return [...found];
+  }
+
+  /**
+   * All files that import a file, directly or through other imports
+   */
+  getDependents(file) {
+    const target = path.resolve(file);
+    return [...this.imports.keys()].filter(
+      (candidate) =>
+        candidate !== target &&
+        this.getDependencies(candidate).includes(target),
+    );
+  }
+
+  /**
+   * Every file in the graph, importing or imported
+   */
+  getFiles() {
+    const files = new Set(this.imports.keys());
+    for (const dependencies of this.imports.values()) {
+      dependencies.forEach((dependency) => files.add(dependency));
+    }
+    return [...files];
+  }
+}
+
+/**
+ * Inline the local imports of a stylesheet. `from` is its path, which
+ * imports are resolved against (the working directory when unset).
+ * Returns the CSS, one change record per inlined import, `errors` for
+ * missing files and cycles, and the files that were inlined. With `map:
+ * true` the result also has a source map back to all of them.
+ */
+export async function inlineImports(css, options = {}) {
+  const from = path.resolve(options.from || "stdin.css");
+  const root = safeParser(css, { from: options.from });
+  const state = {
+    entryDir: path.dirname(from),
+    changes: [],
+    errors: [],
+    dependencies: new Set(),
+  };
+
+  await inlineRoot(root, from, [from], state);
+
+  const result = {
+    css: root.toString(),
+    changes: state.changes,
+    errors: state.errors,
+    dependencies: [...state.dependencies],
+  };
+  if (!options.map) return result;
+
+  const output = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { ...result, css: output.css, map: output.map.toJSON() };
+}
+
+/**
+ * Build (or update) a DependencyGraph for stylesheets by following their
+ * local imports
+ */
+export async function buildImportGraph(files, graph = new DependencyGraph()) {
+  const visited = new Set();
+  const pending = files.map((file) => path.resolve(file));
+
+  while (pending.length > 0) {
+    const file = pending.pop();
+    if (visited.has(file)) continue;
+    visited.add(file);
+
+    let css;
+    try {
+      css = await fs.readFile(file, "utf8");
+    } catch (error) {
+      continue;
+    }
+
+    const dependencies = [];
+    for (const atRule of getImportRules(safeParser(css))) {
+      const { url } = parseImportParams(atRule.params);
+      const resolved = url && (await resolveImport(url, file));
+      if (resolved) dependencies.push(resolved);
+    }
+    graph.setDependencies(file, dependencies);
+    pending.push(...dependencies);
+  }
+
+  return graph;
+}
+
+/**
+ * Absolute path of an imported stylesheet, or null when it is remote or
+ * can't be found
+ */
+export async function resolveImport(specifier, fromFile) {
+  if (!specifier || REMOTE.test(specifier) || specifier.startsWith("/")) {
+    return null;
+  }
+
+  const fromDir = path.dirname(path.resolve(fromFile));
+  if (!specifier.startsWith("~")) {
+    const relative = path.resolve(fromDir, specifier);
+    if (await isFile(relative)) return relative;
+    if (specifier.startsWith(".")) return null;
+  }
+
+  const request = specifier.replace(/^~/, "");
+  for (let dir = fromDir; ; dir = path.dirname(dir)) {
+    const resolved = await resolvePackageFile(
+      path.join(dir, "node_modules", request),
+    );
+    if (resolved) return resolved;
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+/**
+ * Inline the imports of a root. Returns the imports it keeps, with their
+ * conditions; the entry file places them above all inlined content, other
+ * files leave that to the file importing them.
+ */
+async function inlineRoot(root, file, stack, state) {
+  const imports = getImportRules(root);
+  const position = imports.length > 0 ? root.index(imports[0]) : 0;
+  const kept = [];
+
+  for (const atRule of imports) {
+    const conditions = parseImportParams(atRule.params);
+    const { url } = conditions;
+    const resolved = url ? await resolveImport(url, file) : null;
+    if (!resolved) {
+      if (url && !REMOTE.test(url) && !url.startsWith("/")) {
+        reportError(state, "import-not-found", `Cannot find ${url}`, atRule);
+        // Only the entry file keeps it: elsewhere its path would be wrong
+        if (stack.length > 1) {
+          atRule.remove();
+          continue;
+        }
+      }
+      kept.push({ node: atRule, ...conditions });
+      continue;
+    }
+
+    if (stack.includes(resolved)) {
+      const cycle = [...stack.slice(stack.indexOf(resolved)), resolved];
+      reportError(
+        state,
+        "import-cycle",
+        `Import cycle: ${cycle.map((entry) => path.relative(state.entryDir, entry) || path.basename(entry)).join(" → ")}`,
+        atRule,
+      );
+      atRule.remove();
+      continue;
+    }
+
+    const imported = safeParser(await fs.readFile(resolved, "utf8"), {
+      from: resolved,
+    });
+    state.dependencies.add(resolved);
+
+    // Rebase before inlining further, so nested files are only rebased once
+    imported.walkAtRules(/^charset$/i, (charset) => charset.remove());
+    if (path.dirname(resolved) !== state.entryDir) {
+      rebaseUrls(imported, path.dirname(resolved), state.entryDir);
+    }
+    const nested = await inlineRoot(
+      imported,
+      resolved,
+      [...stack, resolved],
+      state,
+    );
+    for (const entry of nested) {
+      const combined = combineConditions(entry, conditions);
+      if (!combined) {
+        reportError(
+          state,
+          "import-not-hoisted",
+          `Cannot move ${entry.url} above the inlined stylesheets: its conditions can't be combined with those of ${url}, so browsers will ignore it`,
+          entry.node,
+        );
+        continue;
+      }
+      entry.node.remove();
+      kept.push({
+        ...entry,
+        ...combined,
+        rewritten:
+          entry.rewritten ||
+          ["layer", "supports", "media"].some(
+            (key) => combined[key] !== entry[key],
+          ),
+      });
+    }
+
+    const before = atRule.toString();
+    const nodes = wrapNodes(imported.nodes, conditions);
+    if (nodes[0]) nodes[0].raws.before = atRule.raws.before;
+    atRule.replaceWith(nodes);
+
+    const start = atRule.source?.start || {};
+    state.changes.push({
+      rule: "inline-import",
+      message: `Inlined ${path.relative(state.entryDir, resolved)}`,
+      file: atRule.source?.input?.file || null,
+      line: start.line ?? null,
+      column: start.column ?? null,
+      before,
+      after: "",
+    });
+  }
+
+  if (stack.length === 1) placeImports(root, position, kept);
+  return kept;
+}
+
+/**
+ * Put the imports an entry file keeps at `index`, above the inlined
+ * content, in their order
+ */
+function placeImports(root, index, kept) {
+  const nodes = kept.map((entry) => {
+    entry.node.remove();
+    if (entry.rewritten) entry.node.params = formatImportParams(entry);
+    entry.node.raws.before = "\n";
+    return entry.node;
+  });
+  if (nodes.length === 0) return;
+
+  const next = root.nodes[index];
+  if (next) {
+    nodes[0].raws.before = next.raws.before;
+    next.raws.before = next.raws.before?.includes("\n")
+      ? next.raws.before
+      : "\n";
+    root.insertBefore(next, nodes);
+  } else {
+    if (index === 0) nodes[0].raws.before = "";
+    root.append(nodes);
+  }
+}
+
+/**
+ * Conditions of an import kept by an imported file, as an import of the
+ * entry: both `layer()`s nest, both `supports()` must hold. Null when they
+ * can't be expressed in one `@import`.
+ */
+function combineConditions(inner, outer) {
+  if (inner.media && outer.media) return null;
+  if (
+    inner.layer !== null &&
+    outer.layer !== null &&
+    (inner.layer === "" || outer.layer === "")
+  ) {
+    return null;
+  }
+
+  const both = (a, b, join) => (a === null ? b : b === null ? a : join(a, b));
+  return {
+    layer: both(outer.layer, inner.layer, (a, b) => `${a}.${b}`),
+    supports: both(
+      outer.supports,
+      inner.supports,
+      (a, b) => `(${a}) and (${b})`,
+    ),
+    media: inner.media || outer.media,
+  };
+}
+
+function formatImportParams({ href, layer, supports, media }) {
+  return [
+    href,
+    layer === null ? null : layer ? `layer(${layer})` : "layer",
+    supports === null ? null : `supports(${supports})`,
+    media || null,
+  ]
+    .filter((part) => part !== null)
+    .join(" ");
+}
+
+/**
+ * The `@import` rules a browser would load: those before any other rule
+ * except `@charset` and `@layer` statements
+ */
+function getImportRules(root) {
+  const imports = [];
+
+  for (const node of root.nodes) {
+    if (node.type === "comment") continue;
+    if (node.type !== "atrule") break;
+
+    const name = node.name.toLowerCase();
+    if (name === "import") imports.push(node);
+    else if (name !== "charset" && !(name === "layer" && !node.nodes)) break;
+  }
+
+  return imports;
+}
+
+/**
+ * Split `@import` params into the URL (`href` as written), `layer()`,
+ * `supports()` and the media query list. `layer` is "" for an anonymous
+ * layer.
+ */
+export function parseImportParams(params) {
+  const nodes = valueParser(params).nodes.filter(
+    (node) => node.type !== "space" && node.type !== "comment",
+  );
+  const result = {
+    url: null,
+    href: null,
+    layer: null,
+    supports: null,
+    media: "",
+  };
+
+  const [first] = nodes;
+  if (first) result.href = valueParser.stringify(first);
+  if (first?.type === "string") {
+    result.url = first.value;
+  } else if (
+    first?.type === "function" &&
+    first.value.toLowerCase() === "url"
+  ) {
+    result.url = first.nodes[0]?.value ?? null;
+  }
+
+  let index = 1;
+  const next = nodes[index];
+  if (next?.value.toLowerCase() === "layer") {
+    result.layer =
+      next.type === "function" ? valueParser.stringify(next.nodes).trim() : "";
+    index++;
+  }
+  const condition = nodes[index];
+  if (
+    condition?.type === "function" &&
+    condition.value.toLowerCase() === "supports"
+  ) {
+    result.supports = valueParser.stringify(condition.nodes).trim();
+    index++;
+  }
+  if (nodes[index]) {
+    result.media = params.slice(nodes[index].sourceIndex).trim();
+  }
+
+  return result;
+}
+
+/**
+ * Wrap imported nodes in the at-rules their import conditions call for
+ */
+function wrapNodes(nodes, { layer, supports, media }) {
+  let wrapped = nodes;
+  const wrap = (name, params) => {
+    if (wrapped[0]) wrapped[0].raws.before = "\n";
+    wrapped = [
+      postcss.atRule({
+        name,
+        params,
+        nodes: wrapped,
+        raws: { afterName: params ? " " : "", between: " ", after: "\n" },
+      }),
+    ];
+  };
+
+  if (layer !== null) wrap("layer", layer);
+  if (supports !== null) {
+    // `supports(display: grid)` is a declaration, `@supports` needs parens
+    wrap("supports", /^[\w-]+\s*:/.test(supports) ? `(${supports})` : supports);
+  }
+  if (media) wrap("media", media);
+
+  return wrapped;
+}
+
+/**
+ * Rewrite relative url()s of an imported file to be relative to the entry
+ */
+function rebaseUrls(root, fromDir, toDir) {
+  root.walkDecls((decl) => {
+    if (!/url\(/i.test(decl.value)) return;
+
+    const parsed = valueParser(decl.value);
+    parsed.walk((node) => {
+      if (node.type !== "function" || node.value.toLowerCase() !== "url") {
+        return;
+      }
+      const [target] = node.nodes;
+      if (
+        !target ||
+        REMOTE.test(target.value) ||
+        /^[/#]/.test(target.value) ||
+        !target.value
+      ) {
+        return;
+      }
+      target.value = path
+        .relative(toDir, path.resolve(fromDir, target.value))
+        .split(path.sep)
+        .join("/");
+    });
+    decl.value = parsed.toString();
+  });
+}
+
+async function resolvePackageFile(candidate) {
+  if (await isFile(candidate)) return candidate;
+  if (await isFile(`${candidate}.css`)) return `${candidate}.css`;
+
+  try {
+    const pkg = await fs.readJson(path.join(candidate, "package.json"));
+    const entry =
+      pkg.style || (/\.css$/.test(pkg.main || "") ? pkg.main : "index.css");
+    const resolved = path.join(candidate, entry);
+    return (await isFile(resolved)) ? resolved : null;
+  } catch (error) {
+    const index = path.join(candidate, "index.css");
+    return (await isFile(index)) ? index : null;
+  }
+}
+
+async function isFile(file) {
+  try {
+    return (await fs.stat(file)).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function reportError(state, rule, message, node) {
+  const start = node.source?.start || {};
+  state.errors.push({
+    rule,
+    message,
+    file: node.source?.input?.file || null,
+    line: start.line ?? null,
+    column: start.column ?? null,
+  });
+}
+
+export default inlineImports;
@@ -2,6 +2,10 @@ import fs from "fs-extra";
 import path from "path";
 import { performance } from "perf_hooks";
 import chalk from "chalk";
+import {
+  getTargetsWithoutNesting,
+  runNestingFlattener,
+} from "./css-nesting.js";
 
 /**
  * Lightning CSS Integration
@@ -172,34 +176,20 @@ export class LightningCSSProcessor {
   }
 
   /**
-   * Process CSS nesting (simulated)
+   * Flatten CSS nesting into plain rules when a target browser lacks
+   * native nesting; nested rules that can't be flattened become warnings
    */
   processNesting(css) {
-    const warnings = [];
-    let processedCSS = css;
-
-    // Simple nesting simulation
-    // In real Lightning CSS, this would be much more sophisticated
-    const nestingRules =
-      processedCSS.match(/([^{]+)\s*{\s*([^{}]*\{[^{}]*\}[^{}]*)*\s*}/g) || [];
-
-    nestingRules.forEach((rule) => {
-      if (rule.includes("&")) {
-        // This is a nested rule - process it
-        const parentSelector = rule.match(/([^{\s]+)\s*{/)?.[1];
-        if (parentSelector && parentSelector.includes("&")) {
-          // Simple nesting resolution
-          const nestedRule = rule.replace(
-            /&/g,
-            parentSelector.replace("&", ""),
-          );
-          processedCSS = processedCSS.replace(rule, nestedRule);
-          warnings.push(`Processed nested rule: ${parentSelector}`);
-        }
-      }
-    });
+    if (getTargetsWithoutNesting(this.options.targets?.browsers).length === 0) {
+      return { css, warnings: [], changes: [] };
+    }
 
-    return { css: processedCSS, warnings };
+    const { css: flattenedCSS, changes, skipped } = runNestingFlattener(css);
+    return {
+      css: flattenedCSS,
+      warnings: skipped.map((entry) => entry.message),
+      changes,
+    };
   }
 
   /**
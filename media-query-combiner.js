@@ -1,137 +1,385 @@
+import safeParser from "postcss-safe-parser";
+import { canMoveRules } from "./rule-merger.js";
+import { propertiesOverlap } from "./shorthand-optimizer.js";
+
 /**
- * Combine duplicate media queries to reduce file size
+ * Duplicate `@media` block combining
+ *
+ * `@media` blocks with the same query directly inside the same parent (the
+ * stylesheet, an `@supports` or `@layer` block, a nesting rule) are merged
+ * into one. Blocks in different parents are never merged, and media types
+ * are kept: `screen and (x)` and `print and (x)` are different queries,
+ * `only screen and (x)` and `screen and (x)` the same one. Like rule
+ * merging, a block's rules are only moved to the first block when that
+ * doesn't let them override rules in between (or be overridden by them);
+ * otherwise the first block moves down to it instead, or they stay apart.
+ * Rules repeated identically within a merged block are kept once, at their
+ * last position.
  */
-export function combineDuplicateMediaQueries(css) {
-  const mediaQueries = new Map();
-  let processedCss = css;
-  let combineCount = 0;
 
-  // Find all media queries with proper brace matching
-  const mediaQueryMatches = [];
-  let pos = 0;
+// At-rules whose blocks don't hold style rules
+const SKIPPED_AT_RULES = /^(-\w+-)?(keyframes|font-face|page|counter-style)$/i;
 
-  while (pos < css.length) {
-    const mediaStart = css.indexOf("@media", pos);
-    if (mediaStart === -1) break;
+/**
+ * Normalize media query parameters for comparison. Queries that mean the
+ * same compare equal: lengths in px (em and rem at the default 16px), range
+ * syntax as min-/max- features (`width >= 48em` → `min-width: 768px`),
+ * features and queries sorted, no `only` keyword or `all` type. Queries
+ * the parser doesn't understand only get case and whitespace normalized.
+ */
+export function normalizeMediaQuery(params) {
+  const texts = splitMediaQueryList(params);
+  const queries = texts.map((text) => {
+    const query = parseMediaQuery(text);
+    return query.features ? formatMediaQuery(query) : normalizeQueryText(text);
+  });
+  return [...new Set(queries)].sort().join(", ");
+}
 
-    const openBrace = css.indexOf("{", mediaStart);
-    if (openBrace === -1) break;
+/**
+ * Parse a media query list. Each query is `{ not, type, features }` where
+ * features are `{ name, operator, value, px }` (`operator` is one of `>=`,
+ * `<=`, `>`, `<`, `=`, or null for a boolean feature like `(color)`);
+ * `features` is null for a query that can't be parsed.
+ */
+export function parseMediaQueryList(params) {
+  return splitMediaQueryList(params).map(parseMediaQuery);
+}
 
-    const params = css.substring(mediaStart + 6, openBrace).trim();
+function parseMediaQuery(text) {
+  const parts = splitTopLevel(
+    text.trim().replace(/\s+/g, " ").toLowerCase(),
+    /^\s+and\s+/,
+  );
+  const query = { not: false, type: "all", features: [] };
 
-    // Find matching closing brace
-    let braceCount = 1;
-    let searchPos = openBrace + 1;
-    let closeBrace = openBrace;
+  const [first = ""] = parts;
+  const prefix = first.match(/^(?:(not|only)\s+)?([a-z-]+)$/);
+  if (prefix) {
+    query.not = prefix[1] === "not";
+    query.type = prefix[2];
+    parts.shift();
+  }
 
-    while (searchPos < css.length && braceCount > 0) {
-      if (css[searchPos] === "{") braceCount++;
-      else if (css[searchPos] === "}") braceCount--;
+  for (const part of parts) {
+    const features = /^\([^()]*\)$/.test(part)
+      ? parseFeature(part.slice(1, -1).trim())
+      : null;
+    if (!features) return { ...query, features: null };
+    query.features.push(...features);
+  }
 
-      if (braceCount === 0) {
-        closeBrace = searchPos;
-        break;
-      }
-      searchPos++;
+  return query;
+}
+
+/**
+ * `min-width: 48em`, `width >= 768px` and `400px <= width < 700px` as
+ * normalized features, or null
+ */
+function parseFeature(text) {
+  const plain = text.match(/^([a-z-]+)\s*(?::\s*(.+))?$/);
+  if (plain) {
+    const [, name, value] = plain;
+    if (value === undefined) {
+      return [{ name, operator: null, value: null, px: null }];
     }
+    const range = name.match(/^(min|max)-(.+)$/);
+    return [
+      createFeature(
+        range ? range[2] : name,
+        range ? (range[1] === "min" ? ">=" : "<=") : "=",
+        value,
+      ),
+    ];
+  }
 
-    if (braceCount === 0) {
-      const fullMatch = css.substring(mediaStart, closeBrace + 1);
-      const content = css.substring(openBrace + 1, closeBrace);
+  const tokens = text.split(/\s*(<=|>=|<|>|=)\s*/).map((token) => token.trim());
+  const isName = (token) => /^[a-z-]+$/.test(token);
 
-      mediaQueryMatches.push({
-        fullMatch,
-        params,
-        content: content.trim(),
-        index: mediaStart,
-      });
-    }
+  // name op value
+  if (tokens.length === 3 && isName(tokens[0])) {
+    return [createFeature(tokens[0], tokens[1], tokens[2])];
+  }
+  // value op name
+  if (tokens.length === 3 && isName(tokens[2])) {
+    return [createFeature(tokens[2], flipOperator(tokens[1]), tokens[0])];
+  }
+  // value op name op value
+  if (tokens.length === 5 && isName(tokens[2])) {
+    return [
+      createFeature(tokens[2], flipOperator(tokens[1]), tokens[0]),
+      createFeature(tokens[2], tokens[3], tokens[4]),
+    ];
+  }
+  return null;
+}
 
-    pos = closeBrace + 1;
+function createFeature(name, operator, value) {
+  const length = value.match(/^(-?\d*\.?\d+)(px|em|rem)$/);
+  if (!length) {
+    return { name, operator, value: value.replace(/\s+/g, ""), px: null };
   }
 
-  // Normalize media query parameters for comparison
-  const normalizeMediaQuery = (params) => {
-    return params
-      .toLowerCase() // Case insensitive
-      .replace(/\s+/g, " ") // Normalize whitespace
-      .replace(/^\s*only\s+/, "") // Remove 'only' keyword at start
-      .replace(/^\s*screen\s+/, "") // Remove 'screen' keyword at start
-      .replace(/^\s*and\s+/, "") // Remove 'and' keyword at start
-      .replace(/\s+screen\s+/g, " ") // Remove all 'screen' keywords
-      .replace(/\s+only\s+/g, " ") // Remove all 'only' keywords
-      .replace(/\s+and\s+/g, " and ") // Normalize 'and' keywords
-      .replace(/\band\s+and\b/g, "and") // Remove duplicate 'and'
-      .replace(/^\s+and\s+/, "") // Remove 'and' at start
-      .trim();
-  };
+  const px = Number(length[1]) * (length[2] === "px" ? 1 : 16);
+  return { name, operator, value: `${formatNumber(px)}px`, px };
+}
+
+function flipOperator(operator) {
+  return { "<": ">", ">": "<", "<=": ">=", ">=": "<=", "=": "=" }[operator];
+}
 
-  // Group by normalized query parameters
-  for (const match of mediaQueryMatches) {
-    const normalizedParams = normalizeMediaQuery(match.params);
+function formatMediaQuery({ not, type, features }) {
+  const parts = features.map(formatFeature).sort();
+  const prefix =
+    not || type !== "all" || parts.length === 0
+      ? `${not ? "not " : ""}${type}`
+      : null;
+  return [...new Set([prefix, ...parts].filter(Boolean))].join(" and ");
+}
 
-    if (!mediaQueries.has(normalizedParams)) {
-      mediaQueries.set(normalizedParams, {
-        originalParams: match.params,
-        queries: [],
-      });
+function formatFeature({ name, operator, value }) {
+  if (operator === null) return `(${name})`;
+  if (operator === ">=") return `(min-${name}: ${value})`;
+  if (operator === "<=") return `(max-${name}: ${value})`;
+  if (operator === "=") return `(${name}: ${value})`;
+  return `(${name} ${operator} ${value})`;
+}
+
+function normalizeQueryText(query) {
+  return query
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/\(\s*/g, "(")
+    .replace(/\s*\)/g, ")")
+    .replace(/\s*:\s*/g, ": ")
+    .trim()
+    .replace(/^only /, "")
+    .replace(/^all and /, "");
+}
+
+function formatNumber(number) {
+  return String(Number(number.toFixed(4)));
+}
+
+function splitMediaQueryList(params) {
+  return splitTopLevel(params, /^\s*,\s*/).filter(Boolean);
+}
+
+/**
+ * Split text at a separator outside parentheses
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "(") depth++;
+    else if (text[i] === ")") depth--;
+    else if (depth === 0) {
+      const match = text.slice(i).match(separator);
+      if (match) {
+        parts.push(text.slice(start, i).trim());
+        i += match[0].length - 1;
+        start = i + 1;
+      }
     }
-    mediaQueries.get(normalizedParams).queries.push({
-      content: match.content,
-      fullMatch: match.fullMatch,
-      index: match.index,
-      originalParams: match.params,
+  }
+  parts.push(text.slice(start).trim());
+
+  return parts;
+}
+
+/**
+ * Merge the duplicate `@media` blocks of every container in a PostCSS root.
+ * Returns one change record per merged block and per duplicate rule
+ * removed, located at the node that went away.
+ */
+export function combineMediaQueries(root, options = {}) {
+  const changes = [];
+  const file = root.source?.input?.file || options.from || null;
+
+  const report = (rule, message, node, before, after) => {
+    const start = node.source?.start || {};
+    changes.push({
+      rule,
+      message,
+      file,
+      line: start.line ?? null,
+      column: start.column ?? null,
+      before,
+      after,
     });
+  };
+
+  const containers = [root];
+  root.walk((node) => {
+    if (
+      node.nodes &&
+      !(node.type === "atrule" && SKIPPED_AT_RULES.test(node.name))
+    ) {
+      containers.push(node);
+    }
+  });
+
+  for (const container of containers) {
+    mergeContainer(container, report);
   }
 
-  // Process duplicates
-  const replacements = [];
-  for (const [normalizedParams, data] of mediaQueries) {
-    if (data.queries.length > 1) {
-      // Combine unique content
-      const allContent = data.queries.map((q) => q.content);
-      const uniqueContent = [...new Set(allContent)];
-      const combinedContent = uniqueContent.join("\n\n");
-
-      // Use the first original params for consistency
-      const newMediaQuery = `@media ${data.originalParams} {\n${combinedContent}\n}`;
-
-      // Mark all occurrences for replacement
-      data.queries.forEach((query, i) => {
-        if (i === 0) {
-          // Replace first occurrence with combined
-          replacements.push({
-            start: query.index,
-            end: query.index + query.fullMatch.length,
-            replacement: newMediaQuery,
-          });
-        } else {
-          // Remove duplicates
-          replacements.push({
-            start: query.index,
-            end: query.index + query.fullMatch.length,
-            replacement: "",
-          });
-        }
-      });
+  return changes;
+}
+
+/**
+ * Parse CSS, combine its media queries and return the new CSS, changes and
+ * number of blocks merged. With `map: true` the result also has a source
+ * map back to the input CSS.
+ */
+export function runMediaQueryCombiner(css, options = {}) {
+  const root = safeParser(css, { from: options.from });
+  const changes = combineMediaQueries(root, options);
+  const count = changes.filter(
+    (change) => change.rule === "merge-media-query",
+  ).length;
+
+  if (!options.map) {
+    return { css: root.toString(), changes, count };
+  }
+
+  const result = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { css: result.css, changes, count, map: result.map.toJSON() };
+}
+
+/**
+ * Combine duplicate media queries to reduce file size
+ */
+export function combineDuplicateMediaQueries(css) {
+  const { css: combined, changes, count } = runMediaQueryCombiner(css);
+  return { css: combined.trim(), count, changes };
+}
+
+function mergeContainer(container, report) {
+  const targets = new Map();
 
-      combineCount += data.queries.length - 1;
+  for (const block of container.nodes.slice()) {
+    if (block.type !== "atrule" || block.name.toLowerCase() !== "media") {
+      continue;
     }
+    if (!block.nodes) continue;
+
+    const key = normalizeMediaQuery(block.params);
+    const target = targets.get(key);
+    targets.set(key, block);
+    if (!target) continue;
+
+    const between = getNodesBetween(target, block);
+    const location = `line ${block.source?.start?.line ?? "?"}`;
+    const targetLocation = `line ${target.source?.start?.line ?? "?"}`;
+
+    let merged;
+    if (canMoveNodes(block.nodes, between)) {
+      merged = target;
+      target.append(...block.nodes);
+      block.remove();
+    } else if (canMoveNodes(target.nodes, between)) {
+      merged = block;
+      block.prepend(...target.nodes);
+      target.remove();
+    } else {
+      continue;
+    }
+
+    const removed = merged === target ? block : target;
+    report(
+      "merge-media-query",
+      merged === target
+        ? `Merged \`@media ${block.params}\` (${location}) into the block at ${targetLocation}`
+        : `Merged \`@media ${target.params}\` (${targetLocation}) into the block at ${location}`,
+      removed,
+      `@media ${removed.params}`,
+      `@media ${merged.params}`,
+    );
+    targets.set(key, merged);
+    removeDuplicateRules(merged, report);
   }
+}
+
+/**
+ * Remove rules repeated with the same selector and declarations in a
+ * block. The last copy wins anyway, so earlier ones can go.
+ */
+function removeDuplicateRules(block, report) {
+  const last = new Map();
+  const rules = block.nodes.filter(
+    (node) =>
+      node.type === "rule" &&
+      node.nodes.every(
+        (child) => child.type === "decl" || child.type === "comment",
+      ),
+  );
+  rules.forEach((rule) => last.set(getRuleKey(rule), rule));
+
+  rules.forEach((rule) => {
+    if (last.get(getRuleKey(rule)) === rule) return;
+
+    const before = rule.toString();
+    rule.remove();
+    report(
+      "remove-duplicate-rule",
+      `Removed \`${rule.selector}\`, repeated in \`@media ${block.params}\``,
+      rule,
+      before,
+      "",
+    );
+  });
+}
+
+/**
+ * Whether nodes can move past `between`: style rules as rule merging
+ * decides, and declarations nested directly in the block (inside a
+ * nesting rule) only past declarations of other properties
+ */
+function canMoveNodes(nodes, between) {
+  if (!canMoveRules(nodes, between)) return false;
+
+  const decls = nodes.filter((node) => node.type === "decl");
+  if (decls.length === 0) return true;
 
-  // Apply replacements from end to start
-  replacements.sort((a, b) => b.start - a.start);
-  for (const repl of replacements) {
-    processedCss =
-      processedCss.slice(0, repl.start) +
-      repl.replacement +
-      processedCss.slice(repl.end);
+  const others = [];
+  for (const node of between) {
+    if (node.type === "decl") others.push(node);
+    if (node.type === "atrule" && node.nodes) {
+      node.each((child) => {
+        if (child.type === "decl") others.push(child);
+      });
+    }
   }
 
-  // Clean up extra whitespace
-  processedCss = processedCss
-    .replace(/\n\s*\n\s*\n/g, "\n\n")
-    .replace(/^\s+|\s+$/g, "");
+  return !decls.some((decl) =>
+    others.some(
+      (other) =>
+        decl.important === other.important &&
+        propertiesOverlap(decl.prop, other.prop),
+    ),
+  );
+}
 
-  return { css: processedCss, count: combineCount };
+function getNodesBetween(earlier, later) {
+  const { nodes } = earlier.parent;
+  return nodes.slice(nodes.indexOf(earlier) + 1, nodes.indexOf(later));
 }
+
+function getRuleKey(rule) {
+  const selector = rule.selectors
+    .map((selector) => selector.trim().replace(/\s+/g, " "))
+    .join(",");
+  const decls = rule.nodes
+    .filter((node) => node.type === "decl")
+    .map(
+      (decl) => `${decl.prop}:${decl.value.trim()}${decl.important ? "!" : ""}`,
+    );
+  return `${selector}{${decls.join(";")}}`;
+}
+
+export default combineDuplicateMediaQueries;
@@ -0,0 +1,305 @@
+import safeParser from "postcss-safe-parser";
+import sortCSSmq from "sort-css-media-queries";
+import { declaresLayers } from "./cascade-layers.js";
+import { OptimizerError } from "./error-handler.js";
+import { parseMediaQueryList } from "./media-query-combiner.js";
+import { createMoveCheck } from "./rule-merger.js";
+
+/**
+ * Media query ordering
+ *
+ * Moves the top-level `@media` blocks of a stylesheet after its other rules
+ * and sorts them: "mobile-first" (min-width queries from small to large,
+ * then max-width ones from large to small), "desktop-first" (max-width
+ * queries first), or with a comparator `(a, b) => number` called with two
+ * queries; "preserve" leaves the stylesheet as written. A block is only
+ * moved when that doesn't reorder any of its rules with a competing rule
+ * (same specificity and an overlapping property, as rule merging decides):
+ * `.a { color }` in `@media (min-width: 768px)` can't move past a later
+ * `.a { color }` without overriding it, nor a block declaring a layer past
+ * another layer declaration. Blocks whose queries never match together
+ * (`max-width: 600px` and `min-width: 1024px`, or `print` and `screen`)
+ * don't compete. Blocks that can't move stay where they are, and
+ * each one is reported with the rule it would have passed.
+ */
+
+export const MEDIA_QUERY_ORDERS = ["mobile-first", "desktop-first", "preserve"];
+
+/**
+ * Comparator for an order (a name or a function), or null for "preserve"
+ */
+export function getMediaQueryComparator(order = "desktop-first") {
+  if (typeof order === "function") return order;
+  if (order === "mobile-first") return sortCSSmq;
+  if (order === "desktop-first") return sortCSSmq.desktopFirst;
+  if (order === "preserve") return null;
+
+  throw new OptimizerError(
+    `Unknown media query order ${JSON.stringify(order)}: expected ${MEDIA_QUERY_ORDERS.map((name) => `"${name}"`).join(", ")} or a function`,
+    { type: "CONFIG_ERROR" },
+  );
+}
+
+/**
+ * Sort the top-level `@media` blocks of a PostCSS root. Returns a change
+ * record per block moved and one per block kept in place because moving it
+ * would change which declaration wins.
+ */
+export function sortMediaQueries(root, options = {}) {
+  const changes = [];
+  const skipped = [];
+  const compare = getMediaQueryComparator(options.order);
+  const file = root.source?.input?.file || options.from || null;
+
+  const record = (list, rule, message, node, before, after) => {
+    const start = node.source?.start || {};
+    list.push({
+      rule,
+      message,
+      file,
+      line: start.line ?? null,
+      column: start.column ?? null,
+      before,
+      after,
+    });
+  };
+
+  const nodes = root.nodes.slice();
+  const blocks = new Set(nodes.filter(isMediaBlock));
+  if (!compare || blocks.size === 0) return { changes, skipped };
+
+  const source = getPositions(nodes);
+  const pinned = new Set();
+  let layout;
+
+  for (;;) {
+    layout = getLayout(nodes, blocks, pinned, compare);
+    const conflict = findConflict(layout, blocks, pinned, source);
+    if (!conflict) break;
+
+    const { block, node } = conflict;
+    pinned.add(block);
+    record(
+      skipped,
+      "media-query-order-unsafe",
+      `Kept \`@media ${block.params}\` (line ${getLine(block)}) in place: moving it past ${describeNode(node)} (line ${getLine(node)}) would ${getMoveEffect(block, [node])}`,
+      block,
+      `@media ${block.params}`,
+      `@media ${block.params}`,
+    );
+  }
+
+  if (layout.every((node, index) => node === nodes[index])) {
+    return { changes, skipped };
+  }
+
+  const position = getPositions(layout);
+  layout.forEach((node) => {
+    if (
+      !blocks.has(node) ||
+      pinned.has(node) ||
+      getPassedNodes(layout, node, source, position).length === 0
+    ) {
+      return;
+    }
+    record(
+      changes,
+      "sort-media-query",
+      `Moved \`@media ${node.params}\` (line ${getLine(node)}) into ${typeof options.order === "string" ? options.order : "custom"} order`,
+      node,
+      `@media ${node.params}`,
+      `@media ${node.params}`,
+    );
+  });
+
+  // Every position keeps the whitespace it had, so moved blocks fit in
+  const spacing = nodes.map((node) => node.raws.before);
+  root.removeAll();
+  root.append(...layout);
+  layout.forEach((node, index) => {
+    node.raws.before = spacing[index];
+  });
+
+  return { changes, skipped };
+}
+
+/**
+ * Parse CSS, sort its media queries and return the new CSS, changes and
+ * skipped blocks. With `map: true` the result also has a source map back to
+ * the input CSS.
+ */
+export function runMediaQuerySorter(css, options = {}) {
+  const root = safeParser(css, { from: options.from });
+  const { changes, skipped } = sortMediaQueries(root, options);
+
+  if (!options.map) {
+    return { css: root.toString(), changes, skipped };
+  }
+
+  const result = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { css: result.css, changes, skipped, map: result.map.toJSON() };
+}
+
+/**
+ * PostCSS plugin sorting media queries in `order`; blocks kept in place
+ * become warnings
+ */
+export function mediaQuerySorter(options = {}) {
+  // Fail when the plugin is created rather than on the first stylesheet
+  getMediaQueryComparator(options.order);
+
+  return {
+    postcssPlugin: "css-optimizer-sort-media-queries",
+    OnceExit(root, { result }) {
+      const { skipped } = sortMediaQueries(root, options);
+      skipped.forEach((entry) => {
+        result.warn(entry.message, {
+          word: entry.before,
+          node: root,
+          start: { line: entry.line, column: entry.column },
+        });
+      });
+    },
+  };
+}
+mediaQuerySorter.postcss = true;
+
+/**
+ * Check for top-level `@media` blocks moving past the same `nodes`, as
+ * sorting does: media blocks among them that never apply together with the
+ * moving one don't count. Returns a function of a block giving null when it
+ * can move, or else what moving it would do.
+ */
+export function createMediaBlockCheck(nodes) {
+  const canMovePast = createMoveCheck(
+    nodes.filter((node) => !isMediaBlock(node)),
+  );
+  const blocks = nodes.filter(isMediaBlock).map((node) => ({
+    queries: parseMediaQueryList(node.params),
+    canMovePast: createMoveCheck([node]),
+  }));
+
+  return (block) => {
+    const queries = parseMediaQueryList(block.params);
+    const safe =
+      canMovePast(block.nodes) &&
+      blocks.every(
+        (other) =>
+          !canMatchTogether(queries, other.queries) ||
+          other.canMovePast(block.nodes),
+      );
+    return safe ? null : getMoveEffect(block, nodes);
+  };
+}
+
+/**
+ * The other nodes in source order, then the movable blocks sorted (stable,
+ * so equal queries keep their order)
+ */
+function getLayout(nodes, blocks, pinned, compare) {
+  const movable = [...blocks].filter((block) => !pinned.has(block));
+  const moved = new Set(movable);
+  const sorted = movable
+    .map((block, index) => ({ block, index }))
+    .sort(
+      (a, b) => compare(a.block.params, b.block.params) || a.index - b.index,
+    )
+    .map(({ block }) => block);
+
+  return [...nodes.filter((node) => !moved.has(node)), ...sorted];
+}
+
+/**
+ * The first movable block (in sorted order) whose rules would swap places
+ * with a competing rule, and the node it would pass
+ */
+function findConflict(layout, blocks, pinned, source) {
+  const position = getPositions(layout);
+
+  for (const block of layout) {
+    if (!blocks.has(block) || pinned.has(block)) continue;
+
+    const passed = getPassedNodes(layout, block, source, position).sort(
+      (a, b) => source.get(a) - source.get(b),
+    );
+    if (!createMediaBlockCheck(passed)(block)) continue;
+
+    const node =
+      passed.find((other) => createMediaBlockCheck([other])(block)) ||
+      passed[0];
+    return { block, node };
+  }
+
+  return null;
+}
+
+/**
+ * The nodes a block changes places with between source order and the layout
+ */
+function getPassedNodes(layout, block, source, position) {
+  return layout.filter(
+    (node) =>
+      node !== block &&
+      source.get(node) < source.get(block) !==
+        position.get(node) < position.get(block),
+  );
+}
+
+function getPositions(layout) {
+  return new Map(layout.map((node, index) => [node, index]));
+}
+
+/**
+ * Whether two lists of media queries (from parseMediaQueryList()) can apply
+ * at the same time: some query of each is for the same media type and their
+ * width ranges overlap
+ */
+function canMatchTogether(a, b) {
+  return a.some((query) => b.some((other) => queriesOverlap(query, other)));
+}
+
+function queriesOverlap(a, b) {
+  if (!a.features || !b.features || a.not || b.not) return true;
+  if (a.type !== "all" && b.type !== "all" && a.type !== b.type) return false;
+
+  // Lower and upper width bounds, each with whether it is exclusive
+  let min = [-Infinity, false];
+  let max = [Infinity, false];
+  for (const { name, operator, px } of [...a.features, ...b.features]) {
+    if (name !== "width" || px === null) continue;
+    if ([">=", ">", "="].includes(operator) && px >= min[0]) {
+      min = [px, operator === ">" || (px === min[0] && min[1])];
+    }
+    if (["<=", "<", "="].includes(operator) && px <= max[0]) {
+      max = [px, operator === "<" || (px === max[0] && max[1])];
+    }
+  }
+
+  return min[0] < max[0] || (min[0] === max[0] && !min[1] && !max[1]);
+}
+
+function isMediaBlock(node) {
+  return (
+    node.type === "atrule" && node.name.toLowerCase() === "media" && node.nodes
+  );
+}
+
+function getMoveEffect(block, nodes) {
+  return declaresLayers([block]) && declaresLayers(nodes)
+    ? "reorder the cascade layers"
+    : "change which declaration wins";
+}
+
+function describeNode(node) {
+  if (node.type === "rule") return `\`${node.selector}\``;
+  if (node.type === "atrule") return `\`@${node.name} ${node.params}\``;
+  return "a comment";
+}
+
+function getLine(node) {
+  return node.source?.start?.line ?? "?";
+}
+
+export default sortMediaQueries;
@@ -6,9 +6,11 @@
 let postcssPresetEnv = null;
 // Note: postcss-preset-env would be imported here if available
 
-import sortMediaQueries from "postcss-sort-media-queries";
 import autoprefixer from "autoprefixer";
 import cssnano from "cssnano";
+import { analyzeLayers } from "./cascade-layers.js";
+import { customPropertyFallbacks } from "./custom-properties.js";
+import { mediaQuerySorter } from "./media-query-sorter.js";
 
 /**
  * Get modern PostCSS plugins configuration
@@ -25,6 +27,7 @@ export function getModernPostCSSPlugins(options = {}) {
     enableCustomProperties = true,
     enableCustomMedia = true,
     enableColorFunctions = true,
+    mediaQueryOrder = "desktop-first",
   } = options;
 
   const plugins = [];
@@ -64,25 +67,26 @@ export function getModernPostCSSPlugins(options = {}) {
         preserve: false, // Remove unnecessary fallbacks
       }),
     );
-  } else if (enableAutoprefixer) {
+  } else {
+    // Static var() fallbacks for targets without custom properties
+    if (enableCustomProperties) {
+      plugins.push(customPropertyFallbacks({ browsers }));
+    }
+
     // Fallback to individual autoprefixer
-    plugins.push(
-      autoprefixer({
-        overrideBrowserslist: browsers,
-        grid: "autoplace",
-      }),
-    );
+    if (enableAutoprefixer) {
+      plugins.push(
+        autoprefixer({
+          overrideBrowserslist: browsers,
+          grid: "autoplace",
+        }),
+      );
+    }
   }
 
-  // Media query sorting (desktop-first approach - largest to smallest screens)
-  plugins.push(
-    sortMediaQueries({
-      sort: "desktop-first",
-      onError: (error) => {
-        console.warn("⚠️ Media query sorting warning:", error.message);
-      },
-    }),
-  );
+  // Media query sorting ("mobile-first", "desktop-first", "preserve" or a
+  // comparator); blocks that can't move safely are left in place
+  plugins.push(mediaQuerySorter({ order: mediaQueryOrder }));
 
   // Minification (only for production)
   if (enableMinification) {
@@ -144,7 +148,9 @@ export function getProgressivePlugins(options = {}) {
     );
   }
 
-  fallbackPlugins.push(sortMediaQueries({ sort: "mobile-first" }));
+  fallbackPlugins.push(
+    mediaQuerySorter({ order: options.mediaQueryOrder ?? "mobile-first" }),
+  );
 
   if (options.enableMinification) {
     fallbackPlugins.push(
@@ -249,8 +255,10 @@ export function analyzeCSSForOptimization(css) {
     recommendations.features.push("container-queries");
   }
 
-  if (css.includes("@layer")) {
+  // Layer order, anonymous and nested layers, and layers from @import
+  if (css.includes("@layer") || /@import[^;]*\blayer\b/.test(css)) {
     recommendations.features.push("css-layers");
+    recommendations.layers = analyzeLayers(css);
   }
 
   // Check for nesting opportunities
@@ -0,0 +1,238 @@
+import fs from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+// Packages whose output ends up in the cached CSS
+const CACHED_PACKAGES = [
+  "postcss",
+  "postcss-safe-parser",
+  "sort-css-media-queries",
+  "postcss-value-parser",
+  "autoprefixer",
+  "cssnano",
+  "prettier",
+  "stylelint",
+];
+
+// Temporary files older than this are left over from crashed writes
+const STALE_TEMP_MS = 60 * 60 * 1000;
+
+let versions = null;
+
+/**
+ * Versions of this tool and of the packages it runs the CSS through
+ */
+export function getToolVersions() {
+  if (versions) return versions;
+
+  versions = { "ultimate-ai-css-optimizer": require("./package.json").version };
+  for (const name of CACHED_PACKAGES) {
+    versions[name] = getPackageVersion(name);
+  }
+  return versions;
+}
+
+function getPackageVersion(name) {
+  let dir;
+  try {
+    dir = path.dirname(require.resolve(name));
+  } catch (error) {
+    return null;
+  }
+
+  // Walk up from the entry point, since not every package exports its
+  // package.json
+  for (;;) {
+    const manifest = path.join(dir, "package.json");
+    if (fs.existsSync(manifest)) {
+      const pkg = fs.readJsonSync(manifest, { throws: false });
+      if (pkg?.name === name) return pkg.version;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Project-local cache of optimization results
+ *
+ * One JSON file per entry in `directory` (by default `.cache/css-optimizer`
+ * in the project). Entries are written to a temporary file and renamed into
+ * place, so concurrent processes never see half-written entries. A hit
+ * touches the entry's mtime; when the cache grows past `maxSize` bytes the
+ * least recently used entries are removed.
+ */
+export class OptimizerCache {
+  constructor(options = {}) {
+    this.directory = path.resolve(
+      options.directory || path.join(".cache", "css-optimizer"),
+    );
+    this.maxSize = options.maxSize ?? 100 * 1024 * 1024; // 100MB
+    // Size as last measured plus what this process wrote since, so the
+    // directory is only scanned when it may have outgrown maxSize
+    this.estimatedSize = null;
+  }
+
+  /**
+   * Key for a stylesheet processed with `config`, including the tool and
+   * plugin versions so upgrades never serve stale output
+   */
+  createKey(content, config = {}, extra = {}) {
+    const contentHash = hash(content);
+    const configHash = hash(
+      JSON.stringify({ config, extra, versions: getToolVersions() }),
+    );
+    return `${contentHash}-${configHash}`;
+  }
+
+  entryPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * Cached data for `key`, or null. Unreadable entries count as misses.
+   */
+  async get(key) {
+    const entryPath = this.entryPath(key);
+
+    try {
+      const data = await fs.readJson(entryPath);
+      const now = new Date();
+      await fs.utimes(entryPath, now, now).catch(() => {});
+      return data;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, data) {
+    const entryPath = this.entryPath(key);
+    const tempPath = `${entryPath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    const json = JSON.stringify({ ...data, timestamp: Date.now() });
+
+    await fs.ensureDir(this.directory);
+    try {
+      await fs.writeFile(tempPath, json);
+      await fs.rename(tempPath, entryPath);
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw error;
+    }
+
+    if (this.estimatedSize === null) {
+      this.estimatedSize = (await this.stats()).size;
+    } else {
+      this.estimatedSize += Buffer.byteLength(json);
+    }
+    if (this.estimatedSize > this.maxSize) {
+      this.estimatedSize = (await this.prune()).size;
+    }
+  }
+
+  /**
+   * Remove least recently used entries until the cache fits in `maxSize`
+   * bytes, along with temporary files left by interrupted writes
+   */
+  async prune({ maxSize = this.maxSize } = {}) {
+    const { entries, temp } = await this.readEntries();
+    const staleBefore = Date.now() - STALE_TEMP_MS;
+    let size = entries.reduce((total, entry) => total + entry.size, 0);
+    let removed = 0;
+    let freed = 0;
+
+    for (const file of temp) {
+      if (file.mtimeMs < staleBefore) {
+        await removeQuietly(file.path);
+      }
+    }
+
+    // Oldest access first
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const entry of entries) {
+      if (size <= maxSize) break;
+      await removeQuietly(entry.path);
+      size -= entry.size;
+      freed += entry.size;
+      removed++;
+    }
+
+    return { removed, freed, size };
+  }
+
+  /**
+   * Remove every entry and temporary file. The directory itself and files
+   * the cache didn't write stay, as CACHE_DIR may be shared.
+   */
+  async clear() {
+    const { entries, temp } = await this.readEntries();
+    for (const file of [...entries, ...temp]) {
+      await removeQuietly(file.path);
+    }
+    return {
+      removed: entries.length,
+      freed: entries.reduce((total, entry) => total + entry.size, 0),
+    };
+  }
+
+  async stats() {
+    const { entries } = await this.readEntries();
+    const times = entries.map((entry) => entry.mtimeMs);
+
+    return {
+      directory: this.directory,
+      entries: entries.length,
+      size: entries.reduce((total, entry) => total + entry.size, 0),
+      maxSize: this.maxSize,
+      lastUsed: times.length ? new Date(Math.max(...times)) : null,
+      leastRecentlyUsed: times.length ? new Date(Math.min(...times)) : null,
+    };
+  }
+
+  async readEntries() {
+    const entries = [];
+    const temp = [];
+    let names = [];
+
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") return { entries, temp };
+      throw error;
+    }
+
+    for (const name of names) {
+      const filePath = path.join(this.directory, name);
+      // Another process may remove the file in the meantime
+      const stat = await fs.stat(filePath).catch(() => null);
+      if (!stat || !stat.isFile()) continue;
+
+      const file = { path: filePath, size: stat.size, mtimeMs: stat.mtimeMs };
+      if (name.endsWith(".tmp")) temp.push(file);
+      else if (name.endsWith(".json")) entries.push(file);
+    }
+
+    return { entries, temp };
+  }
+}
+
+function hash(text) {
+  return crypto
+    .createHash("sha256")
+    .update(text)
+    .digest("hex")
+    .substring(0, 16);
+}
+
+async function removeQuietly(filePath) {
+  try {
+    await fs.remove(filePath);
+  } catch (error) {
+    // Already removed by another process
+  }
+}
+
+export default OptimizerCache;
@@ -0,0 +1,36 @@
+import { parentPort, workerData } from "worker_threads";
+import {
+  configureOptimizer,
+  optimizeCss,
+  optimizeCssFileCached,
+} from "./css-optimizer.js";
+import { serializeError } from "./error-handler.js";
+
+/**
+ * Worker thread for createOptimizerPool()
+ *
+ * Loads the same configuration as the main thread (`workerData.configure`
+ * holds the options given to configureOptimizer()), then runs the tasks it
+ * is sent. The config file's fix rules, pipeline and PostCSS plugins are
+ * loaded here, since they cannot be posted between threads.
+ */
+const ready = workerData?.configure
+  ? configureOptimizer(workerData.configure)
+  : Promise.resolve({ runOptions: {} });
+
+const TASKS = {
+  optimizeCss: (runOptions, inputPath, outputPath, options) =>
+    optimizeCss(inputPath, outputPath, { ...runOptions, ...options }),
+  optimizeCssFile: (runOptions, css, options) =>
+    optimizeCssFileCached(css, { ...runOptions, ...options }),
+};
+
+parentPort.on("message", async ({ id, task }) => {
+  try {
+    const { runOptions } = await ready;
+    const result = await TASKS[task.type](runOptions, ...task.args);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: serializeError(error) });
+  }
+});
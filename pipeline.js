@@ -0,0 +1,349 @@
+import path from "path";
+import { createRequire } from "module";
+import { pathToFileURL } from "url";
+import { performance } from "perf_hooks";
+import { OptimizerError, toOptimizerError } from "./error-handler.js";
+
+/**
+ * Optimization pipeline with a registry of named stages
+ *
+ * A stage is an object of the form:
+ *   { name: "tokens", run(css, context, stats) { return css; } }
+ *
+ * `run` may be async and should return the transformed CSS string, or
+ * `{ css, map }` when it produces its own source map. Any other return value
+ * leaves the CSS unchanged. `context` is shared by every stage in a run (file
+ * names, options, warnings) and `stats` accumulates per-run statistics,
+ * including the duration of each stage under `stats.stages`. When
+ * `context.sourceMap` holds a SourceMapTracker, it is updated after every
+ * stage or hook that changes the CSS. Verifiers added with `verify()` check
+ * the output of every stage that changes the CSS before it is used.
+ */
+export class Pipeline {
+  constructor() {
+    this.stages = [];
+    this.hooks = { before: [], after: [] };
+    this.verifiers = [];
+  }
+
+  /**
+   * Register a stage, optionally positioned before or after an existing one
+   */
+  register(stage, position = {}) {
+    validateStage(stage);
+
+    if (this.has(stage.name)) {
+      const message = `Pipeline stage "${stage.name}" already exists`;
+      throw new OptimizerError(message, { type: "CONFIG_ERROR" });
+    }
+
+    const entry = { enabled: stage.enabled !== false, ...stage };
+    const anchor = position.before || position.after;
+
+    if (!anchor) {
+      this.stages.push(entry);
+      return this;
+    }
+
+    const index = this.indexOf(anchor);
+    if (index === -1) {
+      throw new OptimizerError(
+        `Cannot place stage "${stage.name}": unknown stage "${anchor}"`,
+        { type: "CONFIG_ERROR" },
+      );
+    }
+
+    this.stages.splice(position.before ? index : index + 1, 0, entry);
+    return this;
+  }
+
+  /**
+   * Remove a stage from the pipeline
+   */
+  unregister(name) {
+    this.stages = this.stages.filter((stage) => stage.name !== name);
+    return this;
+  }
+
+  has(name) {
+    return this.indexOf(name) !== -1;
+  }
+
+  indexOf(name) {
+    return this.stages.findIndex((stage) => stage.name === name);
+  }
+
+  /**
+   * Turn a stage on or off without removing it
+   */
+  setEnabled(name, enabled) {
+    const stage = this.stages[this.indexOf(name)];
+    if (!stage) {
+      throw new OptimizerError(`Unknown pipeline stage "${name}"`, {
+        type: "CONFIG_ERROR",
+      });
+    }
+    stage.enabled = Boolean(enabled);
+    return this;
+  }
+
+  enable(name) {
+    return this.setEnabled(name, true);
+  }
+
+  disable(name) {
+    return this.setEnabled(name, false);
+  }
+
+  /**
+   * Run `fn(css, context, stats)` before the named stage ("*" for every stage)
+   */
+  before(stageName, fn) {
+    this.hooks.before.push({ stageName, fn });
+    return this;
+  }
+
+  /**
+   * Run `fn(css, context, stats)` after the named stage ("*" for every stage)
+   */
+  after(stageName, fn) {
+    this.hooks.after.push({ stageName, fn });
+    return this;
+  }
+
+  /**
+   * Check the output of every stage with `fn(before, after, stageName,
+   * context, stats)`. Returning a string replaces the output, so a verifier
+   * can undo a stage by returning `before`.
+   */
+  verify(fn) {
+    this.verifiers.push(fn);
+    return this;
+  }
+
+  /**
+   * Names of the stages that will run, in order
+   */
+  getStageNames({ includeDisabled = false } = {}) {
+    return this.stages
+      .filter((stage) => includeDisabled || stage.enabled)
+      .map((stage) => stage.name);
+  }
+
+  /**
+   * Run every enabled stage over the CSS
+   */
+  async run(css, context = {}, stats = {}) {
+    let current = css;
+    stats.stages = stats.stages || {};
+
+    for (const stage of this.stages) {
+      if (!stage.enabled) continue;
+
+      const startTime = performance.now();
+
+      try {
+        current = await this.runHooks(
+          "before",
+          stage.name,
+          current,
+          context,
+          stats,
+        );
+        current = applyResult(
+          await this.runVerifiers(
+            stage.name,
+            current,
+            await stage.run(current, context, stats),
+            context,
+            stats,
+          ),
+          current,
+          context,
+          stage.name,
+        );
+        current = await this.runHooks(
+          "after",
+          stage.name,
+          current,
+          context,
+          stats,
+        );
+      } catch (error) {
+        const optimizerError = toOptimizerError(error, context.from);
+        optimizerError.stage = optimizerError.stage || stage.name;
+        throw optimizerError;
+      }
+
+      stats.stages[stage.name] = {
+        duration: parseFloat((performance.now() - startTime).toFixed(2)),
+      };
+    }
+
+    return { css: current, context, stats };
+  }
+
+  async runVerifiers(stageName, css, result, context, stats) {
+    let verified = result;
+
+    for (const verifier of this.verifiers) {
+      const output = getOutput(verified, css);
+      if (output === css) break;
+
+      const replacement = await verifier(
+        css,
+        output,
+        stageName,
+        context,
+        stats,
+      );
+      if (typeof replacement === "string" && replacement !== output) {
+        verified = replacement;
+      }
+    }
+
+    return verified;
+  }
+
+  async runHooks(type, stageName, css, context, stats) {
+    let current = css;
+
+    for (const hook of this.hooks[type]) {
+      if (hook.stageName === "*" || hook.stageName === stageName) {
+        current = applyResult(
+          await hook.fn(current, context, stats),
+          current,
+          context,
+          stageName,
+        );
+      }
+    }
+
+    return current;
+  }
+}
+
+/**
+ * Apply a pipeline configuration block:
+ *
+ *   pipeline: {
+ *     stages: { ai: false, "media-combine": true },
+ *     plugins: ["css-optimizer-stage-tokens", { use: "./stages/x.js", after: "lint" }],
+ *     hooks: { before: { lint: fn }, after: { "*": fn } },
+ *   }
+ *
+ * Plugin paths are resolved relative to `baseDir`.
+ */
+export async function configurePipeline(
+  pipeline,
+  config = {},
+  baseDir = process.cwd(),
+) {
+  for (const spec of config.plugins || []) {
+    const { use, before, after, options } =
+      typeof spec === "string" ? { use: spec } : spec;
+    const stage = await loadStage(use, baseDir, options);
+    pipeline.register(stage, {
+      before: before || stage.before,
+      after: after || stage.after,
+    });
+  }
+
+  for (const [name, enabled] of Object.entries(config.stages || {})) {
+    pipeline.setEnabled(name, enabled);
+  }
+
+  for (const type of ["before", "after"]) {
+    for (const [stageName, fn] of Object.entries(config.hooks?.[type] || {})) {
+      pipeline[type](stageName, fn);
+    }
+  }
+
+  return pipeline;
+}
+
+/**
+ * Load a third-party stage from an npm package name, a file path or an
+ * already imported stage object. A module may export the stage itself or a
+ * factory `(options) => stage` as its default export.
+ */
+export async function loadStage(spec, baseDir = process.cwd(), options = {}) {
+  if (spec && typeof spec === "object") {
+    validateStage(spec);
+    return spec;
+  }
+
+  if (typeof spec === "function") {
+    return createStage(spec, options, "inline stage");
+  }
+
+  if (typeof spec !== "string" || !spec) {
+    throw new OptimizerError("Pipeline plugin must be a name, path or stage", {
+      type: "CONFIG_ERROR",
+    });
+  }
+
+  let resolved;
+  try {
+    resolved = isPathSpecifier(spec)
+      ? path.resolve(baseDir, spec)
+      : createRequire(path.join(baseDir, "package.json")).resolve(spec);
+  } catch (error) {
+    throw new OptimizerError(`Cannot find pipeline plugin "${spec}"`, {
+      type: "CONFIG_ERROR",
+      cause: error,
+    });
+  }
+
+  const module = await import(pathToFileURL(resolved).href);
+  return createStage(module.default ?? module, options, spec);
+}
+
+function createStage(exported, options, spec) {
+  const stage =
+    typeof exported === "function" && !exported.run
+      ? exported(options)
+      : exported;
+
+  validateStage(stage, spec);
+  return stage;
+}
+
+function validateStage(stage, spec = stage?.name) {
+  if (!stage || typeof stage.name !== "string" || !stage.name) {
+    throw new OptimizerError(`Pipeline stage ${spec || ""} has no name`, {
+      type: "CONFIG_ERROR",
+    });
+  }
+
+  if (typeof stage.run !== "function") {
+    throw new OptimizerError(
+      `Pipeline stage "${stage.name}" must have a run() function`,
+      { type: "CONFIG_ERROR" },
+    );
+  }
+}
+
+function isPathSpecifier(spec) {
+  return spec.startsWith(".") || path.isAbsolute(spec);
+}
+
+function getOutput(result, css) {
+  return typeof result === "string"
+    ? result
+    : typeof result?.css === "string"
+      ? result.css
+      : css;
+}
+
+function applyResult(result, css, context, stageName) {
+  const output = getOutput(result, css);
+
+  if (context.sourceMap && output !== css) {
+    context.sourceMap.track(output, result?.map, stageName);
+  }
+
+  return output;
+}
+
+export default Pipeline;
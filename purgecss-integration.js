@@ -2,6 +2,9 @@ import fs from "fs-extra";
 import path from "path";
 import { glob } from "glob";
 import chalk from "chalk";
+import safeParser from "postcss-safe-parser";
+import { removeEmptyBlocks } from "./cascade-layers.js";
+import { runUnusedDefinitionRemover } from "./unused-definitions.js";
 
 /**
  * PurgeCSS integration for unused CSS removal
@@ -38,10 +41,14 @@ export class PurgeCSSIntegration {
       // Framework-specific extractors
       extractors: options.extractors || [],
 
-      // Variables and keyframes preservation
-      variables: options.variables !== false, // Default: preserve variables
-      keyframes: options.keyframes !== false, // Default: preserve keyframes
-      fontFace: options.fontFace !== false, // Default: preserve font-face
+      // Variables and keyframes preservation: `true` keeps the ones still
+      // referenced after purging, "all" keeps every one, `false` purges
+      // them like any other rule. Names read from JavaScript belong in the
+      // safelist.
+      variables: options.variables ?? true,
+      keyframes: options.keyframes ?? true,
+      fontFace: options.fontFace ?? true,
+      counterStyle: options.counterStyle ?? true,
 
       // Advanced options
       rejected: options.rejected === true, // Show rejected CSS
@@ -225,6 +232,11 @@ export class PurgeCSSIntegration {
       return true;
     }
 
+    // Preserve counter styles
+    if (this.options.counterStyle && selector.includes("@counter-style")) {
+      return true;
+    }
+
     // Preserve pseudo-elements that might be used dynamically
     if (
       selector.includes("::") &&
@@ -253,118 +265,71 @@ export class PurgeCSSIntegration {
   }
 
   /**
-   * Remove unused CSS from CSS content
+   * Remove unused CSS from CSS content. Rules inside `@layer` blocks are
+   * purged like any other, while layer statements, `@import ... layer()`
+   * and the first block of every layer stay (as an `@layer name;`
+   * statement once empty), so the layer order doesn't change. Rules in
+   * `@media` blocks and keyframes are kept.
    */
   async removeUnusedCSS(css, usedSelectors) {
     console.log(chalk.blue("🗑️ Removing unused CSS..."));
 
     const cssSelectors = this.parseCSSSelectors(css);
     const usedSet = new Set(usedSelectors);
+    const root = safeParser(css);
 
     let removedCount = 0;
     let preservedCount = 0;
     const removedRules = [];
+    const rejectedSelectors = [];
 
-    // Split CSS into individual rules while preserving structure
-    const rules = [];
-    const lines = css.split("\n");
-    let currentRule = [];
-    let currentSelector = "";
-    let braceCount = 0;
-    let inRule = false;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const trimmedLine = line.trim();
-
-      // Count braces to track rule boundaries
-      braceCount += (line.match(/\{/g) || []).length;
-      braceCount -= (line.match(/\}/g) || []).length;
+    root.walkRules((rule) => {
+      // Nested rules go with their parent
+      if (rule.parent.type === "rule") return;
 
-      if (
-        trimmedLine.includes("{") &&
-        !trimmedLine.startsWith("@") &&
-        braceCount === 1
-      ) {
-        // Start of a new selector rule
-        if (currentRule.length > 0) {
-          rules.push({
-            selector: currentSelector,
-            content: currentRule.join("\n"),
-          });
+      let preserved = false;
+      for (let node = rule.parent; node.type === "atrule"; node = node.parent) {
+        if (/keyframes$/i.test(node.name) || /^media$/i.test(node.name)) {
+          preserved = true;
         }
-
-        currentSelector = trimmedLine.replace(/\s*\{.*$/, "").trim();
-        currentRule = [line];
-        inRule = true;
-      } else if (braceCount === 0 && inRule) {
-        // End of current rule
-        currentRule.push(line);
-        rules.push({
-          selector: currentSelector,
-          content: currentRule.join("\n"),
-        });
-
-        currentSelector = "";
-        currentRule = [];
-        inRule = false;
-      } else {
-        // Continue current rule or add non-rule content
-        currentRule.push(line);
       }
-    }
-
-    // Add any remaining content
-    if (currentRule.length > 0) {
-      rules.push({
-        selector: currentSelector || "non-rule",
-        content: currentRule.join("\n"),
-      });
-    }
-
-    // Process each rule
-    const preservedRules = [];
-    const rejectedSelectors = [];
 
-    for (const rule of rules) {
-      if (rule.selector === "non-rule") {
-        // Always preserve non-rule content (comments, @import, etc.)
-        preservedRules.push(rule.content);
-      } else {
-        // Check if selector should be preserved
-        const isUsed =
-          usedSet.has(rule.selector) ||
-          usedSelectors.some((used) => {
-            // Check for exact match with various forms
-            if (rule.selector === used) return true;
-            if (rule.selector === "." + used) return true;
-            if (rule.selector === "#" + used) return true;
-
-            // Handle compound selectors - be more precise
-            const parts = rule.selector.split(/[\s>+~,]/).map((p) => p.trim());
-            return parts.some(
-              (part) =>
-                part === "." + used || part === "#" + used || part === used,
-            );
-          }) ||
-          this.shouldPreserveSelector(rule.selector);
-
-        if (isUsed) {
-          preservedRules.push(rule.content);
-          preservedCount++;
-        } else {
-          removedRules.push(rule.content);
-          rejectedSelectors.push(rule.selector);
-          removedCount++;
-        }
+      if (
+        preserved ||
+        this.isSelectorUsed(rule.selector, usedSet, usedSelectors) ||
+        this.shouldPreserveSelector(rule.selector)
+      ) {
+        preservedCount++;
+        return;
       }
-    }
 
-    // Rebuild CSS
-    const optimizedCSS = preservedRules.join("\n\n").trim();
+      removedRules.push(rule.toString());
+      rejectedSelectors.push(rule.selector);
+      removedCount++;
+      rule.remove();
+    });
+    removeEmptyBlocks(root);
+
+    // Rebuild CSS, then drop the definitions nothing refers to any more
+    const definitions = runUnusedDefinitionRemover(root.toString().trim(), {
+      variables: this.options.variables === true,
+      keyframes: this.options.keyframes === true,
+      fontFace: this.options.fontFace === true,
+      counterStyle: this.options.counterStyle === true,
+      keep: this.options.safelist,
+    });
+    const optimizedCSS = definitions.css.trim();
+    const removedDefinitions = definitions.changes;
 
     console.log(chalk.green(`✅ Preserved ${preservedCount} used selectors`));
     console.log(chalk.yellow(`🗑️ Removed ${removedCount} unused selectors`));
+    if (removedDefinitions.length > 0) {
+      console.log(
+        chalk.yellow(
+          `🗑️ Removed ${removedDefinitions.length} unused keyframes, font faces and custom properties`,
+        ),
+      );
+    }
 
     if (this.options.rejected && rejectedSelectors.length > 0) {
       console.log(chalk.blue("\n📋 Removed selectors:"));
@@ -395,15 +360,38 @@ export class PurgeCSSIntegration {
         originalSelectors: cssSelectors.length,
         preservedSelectors: preservedCount,
         removedSelectors: removedCount,
+        removedDefinitions: removedDefinitions.length,
         compressionRatio:
           css.length > 0
             ? ((css.length - optimizedCSS.length) / css.length) * 100
             : 0,
       },
       rejectedSelectors,
+      removedDefinitions,
     };
   }
 
+  /**
+   * Whether a selector matches one of the used selectors: as written, or
+   * one of its compound parts as a class, ID or element
+   */
+  isSelectorUsed(selector, usedSet, usedSelectors) {
+    if (usedSet.has(selector)) return true;
+
+    return usedSelectors.some((used) => {
+      // Check for exact match with various forms
+      if (selector === used) return true;
+      if (selector === "." + used) return true;
+      if (selector === "#" + used) return true;
+
+      // Handle compound selectors - be more precise
+      const parts = selector.split(/[\s>+~,]/).map((p) => p.trim());
+      return parts.some(
+        (part) => part === "." + used || part === "#" + used || part === used,
+      );
+    });
+  }
+
   /**
    * Process CSS files and remove unused CSS
    */
@@ -0,0 +1,495 @@
+import safeParser from "postcss-safe-parser";
+import selectorParser from "postcss-selector-parser";
+import { declaresLayers } from "./cascade-layers.js";
+import { propertiesOverlap } from "./shorthand-optimizer.js";
+
+/**
+ * Merging of duplicate rules
+ *
+ * Works on the rules directly inside the stylesheet or one at-rule block, in
+ * two passes:
+ *
+ * 1. Rules with the same selector are merged into one
+ *    (`.a { color: red } ... .a { margin: 0 }`).
+ * 2. Rules with identical declarations are combined into a selector list
+ *    (`.a { color: red } ... .b { color: red }` → `.a, .b { color: red }`).
+ *
+ * Merging moves declarations past the rules in between. That is only done
+ * when none of those rules (including rules nested in at-rules between
+ * them) has a selector of the same specificity that can match the same
+ * element (not with another element type, ID or pseudo-element) setting an
+ * overlapping property with the same importance, since only then could the
+ * order of the two decide which value applies to an element both match.
+ * The cascade verifier compares selectors the same way. Rules in
+ * `@layer` blocks between them are in another layer, where the layer order
+ * decides instead, so they don't count. Rules are merged at the earlier
+ * position when possible, otherwise at the later one.
+ * Selector lists are only built from selectors every browser understands,
+ * as one unknown selector invalidates the whole list.
+ */
+
+// At-rules whose blocks don't hold style rules
+const SKIPPED_AT_RULES = /^(-\w+-)?(keyframes|font-face|page|counter-style)$/i;
+
+// Pseudo-classes supported everywhere, safe to combine into selector lists
+const SAFE_PSEUDOS = new Set([
+  ":hover",
+  ":active",
+  ":focus",
+  ":visited",
+  ":link",
+  ":first-child",
+  ":last-child",
+  ":only-child",
+  ":first-of-type",
+  ":last-of-type",
+  ":only-of-type",
+  ":nth-child",
+  ":nth-last-child",
+  ":nth-of-type",
+  ":nth-last-of-type",
+  ":checked",
+  ":disabled",
+  ":enabled",
+  ":empty",
+  ":root",
+  ":target",
+  ":not",
+  ":before",
+  ":after",
+  ":first-line",
+  ":first-letter",
+  "::before",
+  "::after",
+  "::first-line",
+  "::first-letter",
+]);
+
+// Pseudo-elements that predate the `::` syntax
+const LEGACY_PSEUDO_ELEMENTS = new Set([
+  ":before",
+  ":after",
+  ":first-line",
+  ":first-letter",
+]);
+
+// Selector subjects of the rules seen, with the selector they were read from
+const ruleSubjects = new WeakMap();
+
+/**
+ * Run both passes over every rule container of a PostCSS root. Returns one
+ * change record per merge, located at the rule that was merged away.
+ */
+export function mergeRules(root, options = {}) {
+  const changes = [];
+  const file = root.source?.input?.file || options.from || null;
+
+  const report = (rule, message, node, before, after) => {
+    const start = node.source?.start || {};
+    changes.push({
+      rule,
+      message,
+      file,
+      line: start.line ?? null,
+      column: start.column ?? null,
+      before,
+      after,
+    });
+  };
+
+  const containers = [root];
+  root.walkAtRules((atRule) => {
+    if (atRule.nodes && !SKIPPED_AT_RULES.test(atRule.name)) {
+      containers.push(atRule);
+    }
+  });
+
+  for (const container of containers) {
+    mergeSameSelectors(container, report);
+    mergeSameDeclarations(container, report);
+  }
+
+  return changes;
+}
+
+/**
+ * Parse CSS, merge its rules and return the new CSS and changes. With
+ * `map: true` the result also has a source map back to the input CSS.
+ */
+export function runRuleMerger(css, options = {}) {
+  const root = safeParser(css, { from: options.from });
+  const changes = mergeRules(root, options);
+
+  if (!options.map) {
+    return { css: root.toString(), changes };
+  }
+
+  const result = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { css: result.css, changes, map: result.map.toJSON() };
+}
+
+/**
+ * Whether the style rules among `nodes` (and nested in them) can move past
+ * the nodes `between` without changing which value wins for any element.
+ * Nodes declaring layers never move past other layer declarations, which
+ * would change the layer order.
+ */
+export function canMoveRules(nodes, between) {
+  return createMoveCheck(between)(nodes);
+}
+
+/**
+ * canMoveRules() for many sets of nodes moving past the same `between`:
+ * returns a function of the nodes. The rules passed are grouped by
+ * specificity up front, so each moving rule is only compared with the ones
+ * it can compete with.
+ */
+export function createMoveCheck(between) {
+  const layers = declaresLayers(between);
+  const unknown = [];
+  const bySpecificity = new Map();
+
+  getStyleRules(between).forEach((rule) => {
+    const subjects = getRuleSubjects(rule);
+    if (!subjects) {
+      unknown.push(rule);
+      return;
+    }
+    new Set(subjects.map((subject) => subject.specificity)).forEach((key) => {
+      if (!bySpecificity.has(key)) bySpecificity.set(key, []);
+      bySpecificity.get(key).push(rule);
+    });
+  });
+
+  return (nodes) => {
+    if (layers && declaresLayers(nodes)) return false;
+
+    return getStyleRules(nodes).every((rule) => {
+      const subjects = getRuleSubjects(rule);
+      if (!subjects) return false;
+
+      const competing = new Set(unknown);
+      subjects.forEach((subject) => {
+        bySpecificity.get(subject.specificity)?.forEach((other) => {
+          competing.add(other);
+        });
+      });
+      return canMove(rule.nodes, subjects, [...competing]);
+    });
+  };
+}
+
+/**
+ * `.a { color: red } .a { margin: 0 }` → `.a { color: red; margin: 0 }`
+ */
+function mergeSameSelectors(container, report) {
+  const seen = new Map();
+
+  for (const rule of getMergeableRules(container)) {
+    const key = rule.selectors.map(normalizeSelector).join(",");
+    const earlier = seen.get(key);
+    seen.set(key, rule);
+    if (!earlier) continue;
+
+    const between = getNodesBetween(earlier, rule);
+    const subjects = getSelectorSubjects(rule.selectors);
+    const before = `${earlier.toString()} ${rule.toString()}`;
+
+    if (canMove(rule.nodes, subjects, between)) {
+      earlier.append(...rule.nodes);
+      earlier.raws.semicolon = rule.raws.semicolon;
+      rule.remove();
+      seen.set(key, earlier);
+    } else if (canMove(earlier.nodes, subjects, between)) {
+      rule.prepend(...earlier.nodes);
+      earlier.remove();
+    } else {
+      continue;
+    }
+
+    const merged = seen.get(key);
+    report(
+      "merge-duplicate-selector",
+      `Merged duplicate \`${rule.selector}\` rules`,
+      merged === rule ? earlier : rule,
+      before,
+      merged.toString(),
+    );
+  }
+}
+
+/**
+ * `.a { color: red } .b { color: red }` → `.a, .b { color: red }`
+ */
+function mergeSameDeclarations(container, report) {
+  const seen = new Map();
+
+  for (const rule of getMergeableRules(container)) {
+    if (
+      rule.nodes.length === 0 ||
+      rule.nodes.some((node) => node.type !== "decl") ||
+      !rule.selectors.every(isSafeSelector)
+    ) {
+      continue;
+    }
+
+    const key = rule.nodes
+      .map(
+        (decl) =>
+          `${decl.prop}:${decl.value.trim()}${decl.important ? "!" : ""}`,
+      )
+      .join(";");
+    const earlier = seen.get(key);
+    seen.set(key, rule);
+    if (!earlier) continue;
+
+    const existing = new Set(earlier.selectors.map(normalizeSelector));
+    const selectors = [
+      ...earlier.selectors,
+      ...rule.selectors.filter(
+        (selector) => !existing.has(normalizeSelector(selector)),
+      ),
+    ];
+    const between = getNodesBetween(earlier, rule);
+    const before = `${earlier.toString()} ${rule.toString()}`;
+    const message = `Combined \`${earlier.selector}\` and \`${rule.selector}\`, which have the same declarations`;
+
+    let merged;
+    if (canMove(rule.nodes, getSelectorSubjects(rule.selectors), between)) {
+      merged = earlier;
+      rule.remove();
+    } else if (
+      canMove(earlier.nodes, getSelectorSubjects(earlier.selectors), between)
+    ) {
+      merged = rule;
+      earlier.remove();
+    } else {
+      continue;
+    }
+
+    merged.selector = selectors.join(getSelectorSeparator(earlier));
+    seen.set(key, merged);
+    report(
+      "merge-identical-rules",
+      message,
+      merged === rule ? earlier : rule,
+      before,
+      merged.toString(),
+    );
+  }
+}
+
+/**
+ * Style rules directly in the container holding only declarations
+ */
+function getMergeableRules(container) {
+  return container.nodes.filter(
+    (node) =>
+      node.type === "rule" &&
+      node.nodes.every(
+        (child) => child.type === "decl" || child.type === "comment",
+      ),
+  );
+}
+
+function getNodesBetween(earlier, later) {
+  const { nodes } = earlier.parent;
+  return nodes.slice(nodes.indexOf(earlier) + 1, nodes.indexOf(later));
+}
+
+/**
+ * Whether declarations of rules with the given selector subjects can move
+ * past `between` without changing which value wins for any element
+ */
+function canMove(nodes, subjects, between) {
+  const decls = nodes.filter((node) => node.type === "decl");
+  if (!subjects) return false;
+
+  return getStyleRules(between).every((rule) => {
+    const others = getRuleSubjects(rule);
+    if (
+      others &&
+      !subjects.some((subject) =>
+        others.some((other) => selectorsCompete(subject, other)),
+      )
+    ) {
+      return true;
+    }
+
+    return !rule.nodes.some(
+      (other) =>
+        other.type === "decl" &&
+        decls.some(
+          (decl) =>
+            decl.important === other.important &&
+            propertiesOverlap(decl.prop, other.prop),
+        ),
+    );
+  });
+}
+
+/**
+ * The style rules among `nodes` and nested in them, leaving out those in
+ * blocks without style rules and in nested `@layer` blocks
+ */
+function getStyleRules(nodes) {
+  const rules = [];
+  const collect = (node) => {
+    if (node.type === "rule") rules.push(node);
+    if (
+      node.type === "atrule" &&
+      (SKIPPED_AT_RULES.test(node.name) || /^layer$/i.test(node.name))
+    ) {
+      return;
+    }
+    node.nodes?.forEach(collect);
+  };
+  nodes.forEach(collect);
+  return rules;
+}
+
+/**
+ * getSelectorSubjects() of a rule, parsed again only when its selector
+ * changes: the same rules are passed by many moves
+ */
+function getRuleSubjects(rule) {
+  const cached = ruleSubjects.get(rule);
+  if (cached?.selector === rule.selector) return cached.subjects;
+
+  const subjects = getSelectorSubjects(rule.selectors);
+  ruleSubjects.set(rule, { selector: rule.selector, subjects });
+  return subjects;
+}
+
+/**
+ * Specificity (`"a,b,c"`) and subject of each selector: the element type,
+ * IDs and pseudo-element of its last compound, which an element has to
+ * match. Null when a selector can't be parsed or depends on a parent (`&`).
+ */
+export function getSelectorSubjects(selectors) {
+  try {
+    return selectors.map((text) => {
+      const selector = selectorParser().astSync(text).first;
+      const [a, b, c] = getSpecificity(selector);
+      const subject = {
+        specificity: `${a},${b},${c}`,
+        tag: null,
+        ids: [],
+        pseudoElement: null,
+      };
+
+      for (const node of selector.nodes) {
+        const value = node.value?.toLowerCase();
+        if (node.type === "combinator") {
+          Object.assign(subject, { tag: null, ids: [], pseudoElement: null });
+        } else if (node.type === "tag") {
+          subject.tag = value;
+        } else if (node.type === "id") {
+          subject.ids.push(node.value);
+        } else if (
+          node.type === "pseudo" &&
+          (value.startsWith("::") || LEGACY_PSEUDO_ELEMENTS.has(value))
+        ) {
+          subject.pseudoElement = value.replace(/^:+/, "::");
+        }
+      }
+      return subject;
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether the order of two selectors (subjects from getSelectorSubjects)
+ * can decide between their declarations: they have the same specificity
+ * and can match the same element, which a different element type, ID or
+ * pseudo-element rules out. Unknown subjects (null) always compete.
+ */
+export function selectorsCompete(a, b) {
+  if (!a || !b) return true;
+  if (a.specificity !== b.specificity) return false;
+  if (a.pseudoElement !== b.pseudoElement) return false;
+  if (a.tag && b.tag && a.tag !== b.tag) return false;
+  return new Set([...a.ids, ...b.ids]).size <= 1;
+}
+
+function getSpecificity(selector) {
+  const total = [0, 0, 0];
+  const add = ([a, b, c]) => {
+    total[0] += a;
+    total[1] += b;
+    total[2] += c;
+  };
+
+  selector.each((node) => {
+    if (node.type === "id") {
+      add([1, 0, 0]);
+    } else if (node.type === "class" || node.type === "attribute") {
+      add([0, 1, 0]);
+    } else if (node.type === "tag") {
+      add([0, 0, 1]);
+    } else if (node.type === "nesting") {
+      throw new Error("Nested selectors depend on their parent");
+    } else if (node.type === "pseudo") {
+      add(getPseudoSpecificity(node));
+    }
+  });
+
+  return total;
+}
+
+function getPseudoSpecificity(node) {
+  const name = node.value.toLowerCase();
+  const args = node.nodes.map(getSpecificity);
+  const [maxArg = [0, 0, 0]] = args.sort(
+    (x, y) => y[0] - x[0] || y[1] - x[1] || y[2] - x[2],
+  );
+
+  if (name === ":where") return [0, 0, 0];
+  if ([":is", ":not", ":has", ":matches", ":-webkit-any"].includes(name)) {
+    return maxArg;
+  }
+  if (name.startsWith("::") || LEGACY_PSEUDO_ELEMENTS.has(name)) {
+    return [maxArg[0], maxArg[1], maxArg[2] + 1];
+  }
+  // :nth-child(2n of .a) counts its selector too
+  return [maxArg[0], maxArg[1] + 1, maxArg[2]];
+}
+
+function isSafeSelector(selector) {
+  try {
+    let safe = true;
+    selectorParser((selectors) => {
+      selectors.walk((node) => {
+        if (
+          node.type === "nesting" ||
+          (node.type === "pseudo" &&
+            !SAFE_PSEUDOS.has(node.value.toLowerCase()))
+        ) {
+          safe = false;
+        }
+      });
+    }).processSync(selector);
+    return safe;
+  } catch (error) {
+    return false;
+  }
+}
+
+function normalizeSelector(selector) {
+  return selector.trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Separator to join a selector list with, following how the rule wrote its
+ * own (`,\n` in formatted CSS)
+ */
+function getSelectorSeparator(rule) {
+  const match = rule.selector.match(/,\s*/);
+  return match ? match[0] : ", ";
+}
+
+export default runRuleMerger;
@@ -0,0 +1,661 @@
+import safeParser from "postcss-safe-parser";
+import valueParser from "postcss-value-parser";
+
+/**
+ * Longhand-to-shorthand collapsing and redundant declaration removal
+ *
+ * Works one declaration block at a time, in three passes:
+ *
+ * 1. Declarations fully overridden later in the same block are removed
+ *    (`color: red; color: blue`, `margin-top: 4px; margin: 0`). An
+ *    `!important` declaration is only overridden by another `!important`
+ *    one. Values that look like fallbacks for older browsers are kept: those
+ *    with a vendor prefix, and those followed by a value using a function,
+ *    newer unit or var() they don't.
+ * 2. Longhands following their shorthand are merged into it
+ *    (`margin: 0; margin-top: 4px` → `margin: 4px 0 0`).
+ * 3. Complete longhand sets are collapsed into their shorthand
+ *    (margin, padding, inset, border, font, gap and grid-area).
+ *
+ * Declarations are only merged when they share the same importance, hold no
+ * var() (whose value is unknown until computed) and no other declaration in
+ * the block sets an overlapping property in between, so the cascade is never
+ * affected. `border` also resets `border-image`, so it is only produced
+ * when the block sets that after it too. `font` is produced from the style,
+ * weight, size, line-height and family: `font-variant` and `font-stretch`
+ * may be left out, and it resets those and the font features (kerning,
+ * size-adjust, ...) to their initial value, as stylesheets setting a whole
+ * font expect. It is not produced when the block sets any of them before.
+ */
+
+const SIDES = ["top", "right", "bottom", "left"];
+const CSS_WIDE_KEYWORDS = new Set([
+  "inherit",
+  "initial",
+  "unset",
+  "revert",
+  "revert-layer",
+]);
+const VENDOR_PREFIX = /^-(webkit|moz|ms|o)-/i;
+
+// Units every browser understands, which never need a fallback
+const BASIC_UNITS = new Set([
+  "px",
+  "em",
+  "ex",
+  "%",
+  "pt",
+  "pc",
+  "in",
+  "cm",
+  "mm",
+]);
+
+const FONT_STRETCH_KEYWORDS = new Set([
+  "normal",
+  "ultra-condensed",
+  "extra-condensed",
+  "condensed",
+  "semi-condensed",
+  "semi-expanded",
+  "expanded",
+  "extra-expanded",
+  "ultra-expanded",
+]);
+
+const sides = (pattern) => SIDES.map((side) => pattern.replace("*", side));
+
+const box = (pattern, family) => ({
+  longhands: sides(pattern),
+  family,
+  combine: combineBox,
+  expand: (value) => {
+    const values = expandValues(value, 4);
+    if (!values) return null;
+    const [top, right = top, bottom = top, left = right] = values;
+    return [top, right, bottom, left];
+  },
+});
+
+const borderSide = (side) => ({
+  longhands: ["width", "style", "color"].map(
+    (part) => `border-${side}-${part}`,
+  ),
+  family: "border",
+  combine: (values) => values.join(" "),
+});
+
+/**
+ * Shorthands this pass produces, tried in this order. `longhands` are the
+ * properties collapsed into the shorthand, in the order `combine()` receives
+ * their values, `optional` the ones that may be left out, with the value
+ * the shorthand gives them; `resets` are the other properties it sets to
+ * their initial value, which have to follow it unless `resetsOptional`;
+ * `expand()` splits a shorthand value back into longhand values.
+ */
+const SHORTHANDS = {
+  border: {
+    longhands: SIDES.flatMap((side) => borderSide(side).longhands),
+    resets: ["border-image"],
+    family: "border",
+    combine: combineBorder,
+  },
+  "border-width": box("border-*-width", "border"),
+  "border-style": box("border-*-style", "border"),
+  "border-color": box("border-*-color", "border"),
+  ...Object.fromEntries(
+    SIDES.map((side) => [`border-${side}`, borderSide(side)]),
+  ),
+  margin: box("margin-*", "margin"),
+  padding: box("padding-*", "padding"),
+  inset: box("*", "inset"),
+  font: {
+    longhands: [
+      "font-style",
+      "font-variant",
+      "font-weight",
+      "font-stretch",
+      "font-size",
+      "line-height",
+      "font-family",
+    ],
+    resets: [
+      "font-size-adjust",
+      "font-kerning",
+      "font-optical-sizing",
+      "font-feature-settings",
+      "font-variation-settings",
+      "font-language-override",
+    ],
+    optional: { "font-variant": "normal", "font-stretch": "normal" },
+    resetsOptional: true,
+    family: "font",
+    accepts: acceptsFontValue,
+    combine: combineFont,
+  },
+  gap: {
+    longhands: ["row-gap", "column-gap"],
+    family: "gap",
+    combine: ([row, column]) => (row === column ? row : `${row} ${column}`),
+    expand: (value) => {
+      const values = expandValues(value, 2);
+      return values && [values[0], values[1] ?? values[0]];
+    },
+  },
+  "grid-area": {
+    longhands: [
+      "grid-row-start",
+      "grid-column-start",
+      "grid-row-end",
+      "grid-column-end",
+    ],
+    family: "grid",
+    accepts: (prop, value) => !/[/,]/.test(value),
+    combine: (values) => values.join(" / "),
+  },
+};
+
+/**
+ * Properties each shorthand sets, for deciding what a later declaration
+ * overrides
+ */
+const OVERRIDES = {
+  ...Object.fromEntries(
+    Object.entries(SHORTHANDS).map(([name, shorthand]) => [
+      name,
+      new Set(shorthand.longhands),
+    ]),
+  ),
+  border: new Set([
+    ...SHORTHANDS.border.longhands,
+    ...["width", "style", "color"].map((part) => `border-${part}`),
+    ...SIDES.map((side) => `border-${side}`),
+    "border-image",
+    ...["source", "slice", "width", "outset", "repeat"].map(
+      (part) => `border-image-${part}`,
+    ),
+  ]),
+  font: new Set([
+    ...SHORTHANDS.font.longhands,
+    ...[
+      "caps",
+      "ligatures",
+      "numeric",
+      "east-asian",
+      "alternates",
+      "position",
+    ].map((part) => `font-variant-${part}`),
+    "font-size-adjust",
+    "font-kerning",
+  ]),
+  gap: new Set(["row-gap", "column-gap", "grid-row-gap", "grid-column-gap"]),
+  "grid-area": new Set([
+    ...SHORTHANDS["grid-area"].longhands,
+    "grid-row",
+    "grid-column",
+  ]),
+  "grid-row": new Set(["grid-row-start", "grid-row-end"]),
+  "grid-column": new Set(["grid-column-start", "grid-column-end"]),
+  "font-variant": new Set(
+    [
+      "caps",
+      "ligatures",
+      "numeric",
+      "east-asian",
+      "alternates",
+      "position",
+    ].map((part) => `font-variant-${part}`),
+  ),
+};
+
+/**
+ * Run the three passes over every declaration block of a PostCSS root.
+ * Returns one change record per edit, with its source location.
+ */
+export function optimizeShorthands(root, options = {}) {
+  const changes = [];
+  const file = root.source?.input?.file || options.from || null;
+
+  const report = (rule, message, node, before, after) => {
+    const start = node.source?.start || {};
+    changes.push({
+      rule,
+      message,
+      file,
+      line: start.line ?? null,
+      column: start.column ?? null,
+      before,
+      after,
+    });
+  };
+
+  const blocks = [];
+  root.walk((node) => {
+    if (node.nodes?.some((child) => child.type === "decl")) {
+      blocks.push(node);
+    }
+  });
+  if (root.nodes.some((child) => child.type === "decl")) blocks.push(root);
+
+  for (const block of blocks) {
+    removeOverridden(block, report);
+    for (const [name, shorthand] of Object.entries(SHORTHANDS)) {
+      if (shorthand.expand) mergeIntoShorthand(block, name, shorthand, report);
+      collapseLonghands(block, name, shorthand, report);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Parse CSS, run the passes and return the new CSS and changes. With
+ * `map: true` the result also has a source map back to the input CSS.
+ */
+export function runShorthandOptimizer(css, options = {}) {
+  const root = safeParser(css, { from: options.from });
+  const changes = optimizeShorthands(root, options);
+
+  if (!options.map) {
+    return { css: root.toString(), changes };
+  }
+
+  const result = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { css: result.css, changes, map: result.map.toJSON() };
+}
+
+/**
+ * Whether declarations of properties `a` and `b` can set the same property,
+ * so that their relative order matters
+ */
+export function propertiesOverlap(a, b) {
+  // Custom properties are case-sensitive and only set themselves
+  if (a.startsWith("--") || b.startsWith("--")) return a === b;
+
+  // Prefixed properties are aliases of the standard ones in most browsers
+  const propA = a.toLowerCase().replace(VENDOR_PREFIX, "");
+  const propB = b.toLowerCase().replace(VENDOR_PREFIX, "");
+  if (propA === propB || propA === "all" || propB === "all") return true;
+
+  const setA = OVERRIDES[propA] || new Set([propA]);
+  const setB = OVERRIDES[propB] || new Set([propB]);
+  if ([...setA].some((prop) => prop === propB || setB.has(prop))) return true;
+  if (setB.has(propA)) return true;
+
+  const family = getFamily(propA);
+  if (
+    family &&
+    family === getFamily(propB) &&
+    (!isPlainProperty(propA) || !isPlainProperty(propB))
+  ) {
+    return true;
+  }
+
+  // Other shorthands (background, flex, transition, ...) prefix their
+  // longhands
+  return propA.startsWith(`${propB}-`) || propB.startsWith(`${propA}-`);
+}
+
+function removeOverridden(block, report) {
+  const decls = getDeclarations(block);
+
+  decls.forEach((decl, index) => {
+    const overriding = decls
+      .slice(index + 1)
+      .find((later) => overrides(later, decl));
+    if (!overriding) return;
+
+    const before = decl.toString();
+    report(
+      "overridden-declaration",
+      `Removed \`${before}\`, overridden by \`${overriding.toString()}\``,
+      decl,
+      before,
+      "",
+    );
+    decl.remove();
+  });
+}
+
+/**
+ * Whether `later` makes `earlier` redundant in every browser that
+ * understands it
+ */
+function overrides(later, earlier) {
+  if (earlier.important && !later.important) return false;
+
+  // Custom properties are case-sensitive and accept any value
+  if (earlier.prop.startsWith("--")) return later.prop === earlier.prop;
+
+  const prop = earlier.prop.toLowerCase();
+  const laterProp = later.prop.toLowerCase();
+  if (laterProp !== prop && !OVERRIDES[laterProp]?.has(prop)) return false;
+
+  const features = getFeatures(earlier.value);
+  // `display: -webkit-box; display: flex` keeps the prefixed fallback
+  if (features.has("prefix") && later.value.trim() !== earlier.value.trim()) {
+    return false;
+  }
+  return isSubset(getFeatures(later.value), features);
+}
+
+/**
+ * `margin: 0; margin-top: 4px` → `margin: 4px 0 0`
+ */
+function mergeIntoShorthand(block, name, shorthand, report) {
+  const related = getRelated(block, name);
+  const shorthandDecl = related[0];
+  if (!shorthandDecl || shorthandDecl.prop.toLowerCase() !== name) return;
+
+  const longhands = related.slice(1);
+  if (
+    longhands.length === 0 ||
+    !longhands.every(
+      (decl) =>
+        shorthand.longhands.includes(decl.prop.toLowerCase()) &&
+        decl.important === shorthandDecl.important,
+    ) ||
+    new Set(longhands.map((decl) => decl.prop.toLowerCase())).size !==
+      longhands.length ||
+    !isMergeable(shorthandDecl.value)
+  ) {
+    return;
+  }
+
+  const values = shorthand.expand(shorthandDecl.value);
+  const features = getFeatures(shorthandDecl.value);
+  if (
+    !values ||
+    !longhands.every(
+      (decl) =>
+        acceptsValue(shorthand, decl) &&
+        isSubset(getFeatures(decl.value), features),
+    )
+  ) {
+    return;
+  }
+
+  longhands.forEach((decl) => {
+    values[shorthand.longhands.indexOf(decl.prop.toLowerCase())] =
+      decl.value.trim();
+  });
+  const value = shorthand.combine(values);
+  if (value === null) return;
+
+  const before = related.map((decl) => decl.toString()).join("; ");
+  shorthandDecl.value = value;
+  longhands.forEach((decl) => decl.remove());
+  report(
+    "merge-longhands",
+    `Merged ${longhands.map((decl) => `\`${decl.prop}\``).join(", ")} into \`${name}\``,
+    shorthandDecl,
+    before,
+    shorthandDecl.toString(),
+  );
+}
+
+/**
+ * `margin-top: 0; margin-right: 4px; margin-bottom: 0; margin-left: 4px`
+ * → `margin: 0 4px`
+ */
+function collapseLonghands(block, name, shorthand, report) {
+  const related = getRelated(block, name);
+  const optional = shorthand.optional || {};
+  const members = related.filter((decl) =>
+    shorthand.longhands.includes(decl.prop.toLowerCase()),
+  );
+  const byProp = new Map(
+    members.map((decl) => [decl.prop.toLowerCase(), decl]),
+  );
+  if (
+    members.length === 0 ||
+    !shorthand.longhands.every((prop) => byProp.has(prop) || prop in optional)
+  ) {
+    return;
+  }
+
+  const first = members[0];
+  const { important } = first;
+  const resets = related.filter((decl) => !members.includes(decl));
+
+  if (
+    byProp.size !== members.length ||
+    !members.every((decl) => decl.important === important) ||
+    // Everything else the shorthand sets must be declared after it
+    related.indexOf(first) !== 0 ||
+    !resets.every(
+      (decl) =>
+        shorthand.resets?.includes(decl.prop.toLowerCase()) &&
+        decl.important === important,
+    ) ||
+    (!shorthand.resetsOptional &&
+      !(shorthand.resets || []).every((prop) =>
+        resets.some((decl) => decl.prop.toLowerCase() === prop),
+      ))
+  ) {
+    return;
+  }
+
+  const values = shorthand.longhands.map((prop) =>
+    byProp.has(prop) ? byProp.get(prop).value.trim() : optional[prop],
+  );
+  const keywords = new Set(values.map((value) => value.toLowerCase()));
+  let value;
+
+  if (values.some((value) => CSS_WIDE_KEYWORDS.has(value.toLowerCase()))) {
+    // `inherit` and friends can only stand alone
+    if (keywords.size !== 1) return;
+    value = values[0];
+  } else {
+    if (
+      !members.every(
+        (decl) => isMergeable(decl.value) && acceptsValue(shorthand, decl),
+      )
+    ) {
+      return;
+    }
+    value = shorthand.combine(values);
+  }
+  if (value === null) return;
+
+  const collapsed = first.clone({ prop: name, value, important });
+  first.before(collapsed);
+  members.forEach((decl) => decl.remove());
+  report(
+    "collapse-shorthand",
+    `Collapsed ${shorthand.longhands
+      .filter((prop) => byProp.has(prop))
+      .map((prop) => `\`${prop}\``)
+      .join(", ")} into \`${name}\``,
+    collapsed,
+    members.map((decl) => decl.toString()).join("; "),
+    collapsed.toString(),
+  );
+}
+
+function getDeclarations(block) {
+  return block.nodes.filter(
+    (node) =>
+      node.type === "decl" &&
+      // Leave browser hacks (`*zoom`, `_height`, `\9`) alone
+      /^(-|[a-z])/i.test(node.prop) &&
+      !/[*_]$/.test(node.raws.before || "") &&
+      !/\\9\s*$/.test(node.value),
+  );
+}
+
+/**
+ * Declarations in the block that set any property `name` sets, or that
+ * cannot be told apart from one (hacks, logical and prefixed properties)
+ */
+function getRelated(block, name) {
+  const covered = new Set([name, ...OVERRIDES[name]]);
+  const { family } = SHORTHANDS[name];
+
+  return block.nodes.filter((node) => {
+    if (node.type !== "decl" || node.prop.startsWith("--")) return false;
+
+    const prop = node.prop.toLowerCase();
+    if (covered.has(prop)) return true;
+    if (OVERRIDES[prop] && [...OVERRIDES[prop]].some((p) => covered.has(p))) {
+      return true;
+    }
+    return getFamily(prop) === family && !isPlainProperty(prop);
+  });
+}
+
+/**
+ * Property group a property belongs to, ignoring vendor prefixes and hacks
+ */
+function getFamily(prop) {
+  const name = prop.replace(/^[*_]/, "").replace(VENDOR_PREFIX, "");
+
+  if (/^border(?!.*radius$|-collapse$|-spacing$)/.test(name)) return "border";
+  if (/^(margin|padding)/.test(name)) return name.match(/^(margin|padding)/)[1];
+  if (/^(inset|top|right|bottom|left)\b/.test(name)) return "inset";
+  if (/^(font|line-height$)/.test(name)) return "font";
+  if (/^(gap|row-gap|column-gap|grid-(row-|column-)?gap)$/.test(name)) {
+    return "gap";
+  }
+  if (/^grid-(area|row|column)/.test(name)) return "grid";
+  return null;
+}
+
+/**
+ * Properties whose overlap with a shorthand is fully described by
+ * OVERRIDES, as opposed to logical, prefixed and hack properties
+ */
+function isPlainProperty(prop) {
+  return Object.keys(SHORTHANDS).some(
+    (name) => name === prop || OVERRIDES[name].has(prop),
+  );
+}
+
+function acceptsValue(shorthand, decl) {
+  const prop = decl.prop.toLowerCase();
+  const value = decl.value.trim();
+  return shorthand.accepts
+    ? shorthand.accepts(prop, value)
+    : expandValues(value, 1) !== null;
+}
+
+/**
+ * Values whose meaning doesn't depend on anything outside the declaration
+ */
+function isMergeable(value) {
+  let mergeable = !/\\9\s*$/.test(value);
+  valueParser(value).walk((node) => {
+    if (
+      (node.type === "function" && node.value.toLowerCase() === "var") ||
+      (node.type === "word" && CSS_WIDE_KEYWORDS.has(node.value.toLowerCase()))
+    ) {
+      mergeable = false;
+    }
+  });
+  return mergeable;
+}
+
+/**
+ * Functions, newer units, vendor prefixes and alpha hex colors a value uses.
+ * A later value using something the earlier one doesn't may be there for
+ * browsers that support it, with the earlier one as their fallback.
+ */
+function getFeatures(value) {
+  const features = new Set();
+
+  valueParser(value).walk((node) => {
+    if (node.type === "function") {
+      features.add(`${node.value.toLowerCase()}()`);
+    } else if (node.type === "word") {
+      if (VENDOR_PREFIX.test(node.value)) {
+        features.add("prefix");
+      } else if (/^#([0-9a-f]{4}|[0-9a-f]{8})$/i.test(node.value)) {
+        features.add("#alpha");
+      } else {
+        const number = valueParser.unit(node.value);
+        const unit = number ? number.unit.toLowerCase() : "";
+        if (unit && !BASIC_UNITS.has(unit)) features.add(unit);
+      }
+    }
+  });
+
+  return features;
+}
+
+function isSubset(features, of) {
+  return [...features].every((feature) => of.has(feature));
+}
+
+/**
+ * Split a value into at most `max` space-separated parts, or null
+ */
+function expandValues(value, max) {
+  const parts = valueParser(value.trim())
+    .nodes.filter((node) => node.type !== "space" && node.type !== "comment")
+    .map((node) =>
+      node.type === "div" ? null : valueParser.stringify(node).trim(),
+    );
+
+  if (parts.length === 0 || parts.length > max || parts.includes(null)) {
+    return null;
+  }
+  return parts;
+}
+
+function combineBox([top, right, bottom, left]) {
+  if (left !== right) return `${top} ${right} ${bottom} ${left}`;
+  if (bottom !== top) return `${top} ${right} ${bottom}`;
+  if (right !== top) return `${top} ${right}`;
+  return top;
+}
+
+/**
+ * `border` needs the same width, style and color on every side
+ */
+function combineBorder(values) {
+  const parts = [0, 1, 2].map(
+    (part) => new Set(values.filter((value, index) => index % 3 === part)),
+  );
+  if (parts.some((part) => part.size !== 1)) return null;
+  return parts.map((part) => [...part][0]).join(" ");
+}
+
+function acceptsFontValue(prop, value) {
+  const keyword = value.toLowerCase();
+
+  switch (prop) {
+    case "font-style":
+      return ["normal", "italic", "oblique"].includes(keyword);
+    case "font-variant":
+      return ["normal", "small-caps"].includes(keyword);
+    case "font-weight":
+      return /^(normal|bold|bolder|lighter|[1-9]00)$/.test(keyword);
+    case "font-stretch":
+      return FONT_STRETCH_KEYWORDS.has(keyword);
+    case "font-family":
+      return !value.includes("/");
+    default:
+      return expandValues(value, 1) !== null;
+  }
+}
+
+function combineFont([
+  style,
+  variant,
+  weight,
+  stretch,
+  size,
+  lineHeight,
+  family,
+]) {
+  const prefix = [style, variant, weight, stretch].filter(
+    (value) => value.toLowerCase() !== "normal",
+  );
+  const sizes =
+    lineHeight.toLowerCase() === "normal" ? size : `${size}/${lineHeight}`;
+  return [...prefix, sizes, family].join(" ");
+}
+
+export default runShorthandOptimizer;
@@ -0,0 +1,286 @@
+import path from "path";
+import safeParser from "postcss-safe-parser";
+import { SourceMapConsumer, SourceMapGenerator } from "source-map-js";
+
+/**
+ * Source map chaining across pipeline stages
+ *
+ * The tracker remembers where every rule, at-rule, declaration and comment of
+ * the current CSS came from in the authored file. After each stage the new
+ * CSS is parsed and its nodes are matched to the previous ones: through the
+ * stage's own source map when it has one (PostCSS), otherwise node by node
+ * (Stylelint, AI fixes, Prettier, media query combining). Nodes a stage
+ * invents fall back to the position of their parent.
+ */
+export class SourceMapTracker {
+  constructor(css, options = {}) {
+    this.originalCss = css;
+    this.file = options.to ? path.basename(options.to) : undefined;
+    this.source = getSourceName(options.from, options.to);
+    this.nodes = collectNodes(css).map((node) => ({
+      ...node,
+      original: node.start,
+    }));
+    this.listeners = [];
+  }
+
+  /**
+   * Record the output of a stage, optionally with the stage's own source map
+   * (mapping the stage output back to its input). `stage` names the stage
+   * for listeners added with `onTrack()`.
+   */
+  track(css, stageMap, stage) {
+    const previous = this.nodes;
+    const nodes = collectNodes(css);
+
+    if (stageMap) {
+      this.matchByMap(nodes, stageMap);
+    }
+    const unmatched = nodes.filter((node) => node.original === undefined);
+    matchNodes(previous, unmatched).forEach((match, i) => {
+      if (match.index !== -1) {
+        unmatched[i].original = previous[match.index].original;
+      }
+    });
+
+    nodes.forEach((node) => {
+      if (node.original === undefined) {
+        node.original =
+          node.parent === null ? null : nodes[node.parent].original;
+      }
+    });
+
+    this.nodes = nodes;
+    this.listeners.forEach((listener) => listener(previous, nodes, stage));
+    return this;
+  }
+
+  /**
+   * Call `listener(previousNodes, nodes, stage)` after every tracked change
+   */
+  onTrack(listener) {
+    this.listeners.push(listener);
+    return this;
+  }
+
+  /**
+   * Authored position (1-based line, 0-based column) of the node at or
+   * before a position in the current CSS
+   */
+  originalPositionFor(position) {
+    const index = findLastAtOrBefore(this.nodes, position);
+    return index === -1 ? null : this.nodes[index].original;
+  }
+
+  matchByMap(nodes, stageMap) {
+    const consumer = new SourceMapConsumer(stageMap);
+    const previous = this.nodes;
+
+    nodes.forEach((node) => {
+      const position = consumer.originalPositionFor({
+        line: node.start.line,
+        column: node.start.column,
+      });
+      if (position.line === null) return;
+
+      const index = findLastAtOrBefore(previous, position);
+      if (index !== -1) {
+        node.original = previous[index].original;
+      }
+    });
+  }
+
+  /**
+   * Build the chained source map for the current CSS
+   */
+  toJSON() {
+    const generator = new SourceMapGenerator({ file: this.file });
+
+    this.nodes.forEach((node) => {
+      if (!node.original) return;
+      generator.addMapping({
+        generated: node.start,
+        original: node.original,
+        source: this.source,
+      });
+    });
+
+    generator.setSourceContent(this.source, this.originalCss);
+    return generator.toJSON();
+  }
+}
+
+/**
+ * Append a `sourceMappingURL` comment, either pointing at a `.map` file or
+ * embedding the map as a data URI
+ */
+export function addSourceMapComment(css, map, { inline = false, to } = {}) {
+  const url = inline
+    ? `data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString("base64")}`
+    : `${path.basename(to)}.map`;
+  const separator = css.endsWith("\n") || css === "" ? "" : "\n";
+  return `${css}${separator}/*# sourceMappingURL=${url} */\n`;
+}
+
+function getSourceName(from, to) {
+  if (!from) return "input.css";
+  if (!to) return path.basename(from);
+  return path
+    .relative(path.dirname(path.resolve(to)), path.resolve(from))
+    .split(path.sep)
+    .join("/");
+}
+
+/**
+ * Flatten a stylesheet into its nodes in document order, with lookup keys,
+ * a short text snippet and 0-based column positions
+ */
+export function collectNodes(css) {
+  const nodes = [];
+  const indexes = new Map();
+
+  safeParser(css).walk((node) => {
+    const start = node.source?.start;
+    if (!start) return;
+
+    indexes.set(node, nodes.length);
+    nodes.push({
+      type: node.type,
+      key: getKey(node),
+      looseKey: getLooseKey(node),
+      snippet: getSnippet(node),
+      start: { line: start.line, column: start.column - 1 },
+      parent: indexes.has(node.parent) ? indexes.get(node.parent) : null,
+    });
+  });
+
+  return nodes;
+}
+
+/**
+ * Match nodes to the previous nodes by key. Returns one `{ index, exact }`
+ * per node; `index` is -1 when nothing matched and `exact` is false when
+ * only the selector, property or at-rule name matched.
+ */
+export function matchNodes(previous, nodes) {
+  const used = new Uint8Array(previous.length);
+  const byKey = indexBy(previous, "key");
+  const byLooseKey = indexBy(previous, "looseKey");
+  let cursor = 0;
+
+  return nodes.map((node) => {
+    let exact = true;
+    let index = findUnused(byKey.get(node.key), used, cursor, true);
+    if (index === -1) {
+      exact = false;
+      index = findUnused(byLooseKey.get(node.looseKey), used, cursor, false);
+    }
+    if (index === -1) return { index, exact: false };
+
+    used[index] = 1;
+    cursor = index + 1;
+    return { index, exact };
+  });
+}
+
+function normalize(text = "") {
+  return text.replace(/\s+/g, "").toLowerCase();
+}
+
+function getKey(node) {
+  switch (node.type) {
+    case "rule":
+      return `rule|${normalize(node.selector)}`;
+    case "atrule":
+      return `atrule|${node.name.toLowerCase()}|${normalize(node.params)}`;
+    case "decl":
+      return `decl|${node.prop.toLowerCase()}|${normalize(node.value)}|${node.important}`;
+    default:
+      return `${node.type}|${normalize(node.text)}`;
+  }
+}
+
+function getLooseKey(node) {
+  switch (node.type) {
+    case "atrule":
+      return `atrule|${node.name.toLowerCase()}`;
+    case "decl":
+      return `decl|${node.prop.toLowerCase()}`;
+    default:
+      return node.type;
+  }
+}
+
+function getSnippet(node) {
+  switch (node.type) {
+    case "rule":
+      return node.selector;
+    case "atrule":
+      return `@${node.name} ${node.params}`.trim();
+    case "decl":
+      return `${node.prop}: ${node.value}${node.important ? " !important" : ""}`;
+    default:
+      return `/* ${node.text} */`;
+  }
+}
+
+function indexBy(nodes, field) {
+  const index = new Map();
+  nodes.forEach((node, i) => {
+    if (!index.has(node[field])) index.set(node[field], []);
+    index.get(node[field]).push(i);
+  });
+  return index;
+}
+
+/**
+ * First unused index at or after `cursor`. Exact matches may also look
+ * behind the cursor, since stages such as media query combining move nodes.
+ */
+function findUnused(candidates, used, cursor, lookBehind) {
+  if (!candidates) return -1;
+
+  let low = 0;
+  let high = candidates.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (candidates[mid] < cursor) low = mid + 1;
+    else high = mid;
+  }
+
+  for (let i = low; i < candidates.length; i++) {
+    if (!used[candidates[i]]) return candidates[i];
+  }
+
+  if (lookBehind) {
+    for (let i = 0; i < low; i++) {
+      if (!used[candidates[i]]) return candidates[i];
+    }
+  }
+
+  return -1;
+}
+
+function findLastAtOrBefore(nodes, position) {
+  let low = 0;
+  let high = nodes.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const { line, column } = nodes[mid].start;
+    if (
+      line < position.line ||
+      (line === position.line && column <= position.column)
+    ) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+}
+
+export default SourceMapTracker;
@@ -0,0 +1,114 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { encodeSvg, runAssetProcessor } from "./asset-processor.js";
+
+describe("Asset processing", () => {
+  let tmpDir;
+  let from;
+  let to;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "css-optimizer-assets-"));
+    from = path.join(tmpDir, "src/styles/main.css");
+    to = path.join(tmpDir, "dist/main.css");
+    await fs.outputFile(
+      path.join(tmpDir, "src/img/dot.png"),
+      Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+    );
+    await fs.outputFile(
+      path.join(tmpDir, "src/img/icon.svg"),
+      '<svg xmlns="http://www.w3.org/2000/svg">\n  <path fill="#f00" d="M0 0h1v1z"/>\n</svg>\n',
+    );
+    await fs.outputFile(
+      path.join(tmpDir, "src/fonts/body.woff2"),
+      Buffer.alloc(64, 1),
+    );
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test("inlines small assets as data URIs", async () => {
+    const { css, changes, assets } = await runAssetProcessor(
+      ".a { background: url(../img/dot.png); }\n.b { mask: url('../img/icon.svg') no-repeat; }",
+      { from, to },
+    );
+
+    expect(css).toBe(
+      [
+        ".a { background: url(data:image/png;base64,iVBORw==); }",
+        `.b { mask: url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg'%3E %3Cpath fill='%23f00' d='M0 0h1v1z'/%3E %3C/svg%3E") no-repeat; }`,
+      ].join("\n"),
+    );
+    expect(changes.map((change) => [change.rule, change.line])).toEqual([
+      ["inline-asset", 1],
+      ["inline-asset", 2],
+    ]);
+    expect(assets).toEqual([
+      expect.objectContaining({ inlined: true, size: 4 }),
+      expect.objectContaining({ inlined: true, output: null }),
+    ]);
+  });
+
+  test("copies larger assets with hashed names relative to the output", async () => {
+    const { css, changes, assets } = await runAssetProcessor(
+      [
+        "@font-face { font-family: Body; src: url(../fonts/body.woff2) format('woff2'), url(../fonts/body.woff2?#iefix); }",
+        ".a { background-image: image-set('../img/dot.png' 1x); }",
+      ].join("\n"),
+      { from, to, inlineLimit: 16, outputDir: "static" },
+    );
+
+    const [copy] = await fs.readdir(path.join(tmpDir, "dist/static"));
+    expect(copy).toMatch(/^body\.[0-9a-f]{8}\.woff2$/);
+    expect(css).toContain(
+      `src: url(static/${copy}) format('woff2'), url(static/${copy}?#iefix);`,
+    );
+    expect(css).toContain("image-set('data:image/png;base64,iVBORw==' 1x)");
+    expect(changes[0]).toMatchObject({
+      rule: "copy-asset",
+      message: `Copied ../fonts/body.woff2 to static/${copy}, Copied ../fonts/body.woff2?#iefix to static/${copy}?#iefix`,
+    });
+    expect(assets.filter((asset) => asset.output)).toEqual([
+      expect.objectContaining({
+        source: path.join(tmpDir, "src/fonts/body.woff2"),
+      }),
+    ]);
+  });
+
+  test("reports missing files and leaves other URLs alone", async () => {
+    const css = [
+      ".a { background: url(../img/missing.png); }",
+      ".b { background: url(https://example.com/a.png), url(/static/b.png); }",
+      ".c { filter: url(#blur); background: url(data:image/gif;base64,R0lGOD==); }",
+    ].join("\n");
+
+    const result = await runAssetProcessor(css, { from, to });
+
+    expect(result.css).toBe(css);
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        rule: "asset-not-found",
+        message: "Cannot find ../img/missing.png",
+        line: 1,
+      }),
+    ]);
+  });
+
+  test("only checks large assets when there is no output file", async () => {
+    const css = ".a { background: url(../fonts/body.woff2); }";
+
+    const result = await runAssetProcessor(css, { from, inlineLimit: 0 });
+
+    expect(result.css).toBe(css);
+    expect(result.errors).toEqual([]);
+  });
+
+  test("encodes SVG markup for data URIs", () => {
+    expect(encodeSvg('<svg a="1">\n  <g id="#x">{é}</g>\n</svg>')).toBe(
+      "%3Csvg a='1'%3E %3Cg id='%23x'%3E%7B%C3%A9%7D%3C/g%3E %3C/svg%3E",
+    );
+  });
+});
@@ -0,0 +1,74 @@
+import {
+  collectBreakpoints,
+  createBreakpointReport,
+  findNearDuplicates,
+} from "./breakpoints.js";
+
+const css = [
+  "@media (min-width: 768px) { .a { color: red; } }",
+  "@media (min-width: 48em) { .b { color: red; } }",
+  "@media screen and (width >= 768px) { .c { color: red; } }",
+  "@media (min-width:768px) and (max-width: 1023.98px) { .d { color: red; } }",
+  "@media (max-width: 767px), print and (orientation: landscape) { .e { color: red; } }",
+  "@media (min-width: 64rem) { .f { color: red; } }",
+].join("\n");
+
+describe("Breakpoint inventory", () => {
+  test("collects width breakpoints in px with their forms and locations", () => {
+    const { breakpoints } = createBreakpointReport(
+      collectBreakpoints(css, { from: "src/a.css", cwd: "." }),
+    );
+
+    expect(breakpoints.map(({ value, count }) => [value, count])).toEqual([
+      ["767px", 1],
+      ["768px", 4],
+      ["1023.98px", 1],
+      ["1024px", 1],
+    ]);
+    expect(breakpoints[1]).toEqual({
+      value: "768px",
+      count: 4,
+      forms: ["min-width: 48em", "min-width: 768px", "width >= 768px"],
+      locations: [
+        "src/a.css:1:1",
+        "src/a.css:2:1",
+        "src/a.css:3:1",
+        "src/a.css:4:1",
+      ],
+    });
+  });
+
+  test("reports near-duplicate breakpoints within the tolerance", () => {
+    const breakpoints = collectBreakpoints(css);
+
+    expect(findNearDuplicates(breakpoints)).toEqual([
+      { breakpoints: ["767px", "768px"], difference: "1px" },
+      { breakpoints: ["1023.98px", "1024px"], difference: "0.02px" },
+    ]);
+    expect(findNearDuplicates(breakpoints, 0.5)).toHaveLength(1);
+  });
+
+  test("adds up breakpoints across stylesheets", () => {
+    const breakpoints = collectBreakpoints(css, { from: "a.css", cwd: "." });
+    collectBreakpoints("@media (400px <= width < 700px) { .x { top: 0; } }", {
+      from: "b.css",
+      cwd: ".",
+      breakpoints,
+    });
+
+    const report = createBreakpointReport(breakpoints);
+
+    expect(report.breakpoints.map(({ value }) => value)).toEqual([
+      "400px",
+      "700px",
+      "767px",
+      "768px",
+      "1023.98px",
+      "1024px",
+    ]);
+    expect(report.breakpoints[1]).toMatchObject({
+      forms: ["400px <= width < 700px"],
+      locations: ["b.css:1:1"],
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import postcss from "postcss";
+import {
+  analyzeLayers,
+  getLayerForFile,
+  removeEmptyBlocks,
+  runLayerWrapper,
+} from "./cascade-layers.js";
+import { CriticalCSSExtractor } from "./critical-css-extractor.js";
+import { runMediaQuerySorter } from "./media-query-sorter.js";
+import { analyzeCSSForOptimization } from "./modern-postcss.js";
+
+describe("Cascade layers", () => {
+  test("orders layers by first declaration, with anonymous, nested and imported ones", () => {
+    const css = [
+      '@import "vendor.css" layer(vendor);',
+      '@import "normalize.css" layer;',
+      "@layer reset, base;",
+      "@layer base { @layer typography { h1 { margin: 0; } } }",
+      "@layer base.forms { input { margin: 0; } }",
+      "@layer { .a { color: red; } }",
+      ".b { color: blue; }",
+    ].join("\n");
+
+    expect(analyzeLayers(css)).toEqual({
+      order: ["vendor", "reset", "base", "base.typography", "base.forms"],
+      anonymous: 2,
+      nested: 2,
+      imported: ["vendor", "<anonymous>"],
+      rules: {
+        vendor: 0,
+        "<anonymous 0>": 0,
+        reset: 0,
+        base: 0,
+        "base.typography": 1,
+        "base.forms": 1,
+        "<anonymous 1>": 1,
+      },
+      unlayeredRules: 1,
+    });
+    expect(analyzeCSSForOptimization(css).layers.order).toHaveLength(5);
+  });
+
+  test("keeps emptied blocks that fix the layer order as statements", () => {
+    const root = postcss.parse(
+      [
+        "@layer reset, base;",
+        "@layer theme { }",
+        "@layer base { @media print { } }",
+        "@layer { }",
+        "@layer theme { }",
+        ".a { color: red; }",
+      ].join("\n"),
+    );
+
+    removeEmptyBlocks(root);
+
+    expect(root.toString()).toBe(
+      "@layer reset, base;\n@layer theme;\n.a { color: red; }",
+    );
+  });
+
+  test("wraps unlayered rules of mapped files into a layer", async () => {
+    const dir = await fs.mkdtemp(
+      path.join(os.tmpdir(), "css-optimizer-layers-"),
+    );
+    const file = path.join(dir, "legacy", "site.css");
+    await fs.outputFile(file, "");
+
+    try {
+      const layers = { "vendor/**/*.css": "vendor", "legacy/*.css": "legacy" };
+      expect(getLayerForFile(file, layers, dir)).toBe("legacy");
+      expect(getLayerForFile(path.join(dir, "app.css"), layers, dir)).toBe(
+        null,
+      );
+    } finally {
+      await fs.remove(dir);
+    }
+
+    const { css, changes } = runLayerWrapper(
+      [
+        '@import "a.css";',
+        ".a { color: red; }",
+        ".b { color: blue; }",
+        "@layer base { .c { margin: 0; } }",
+        "@media print { .d { color: red; } }",
+      ].join("\n"),
+      { layer: "legacy", from: "site.css" },
+    );
+
+    expect(css).toBe(
+      [
+        '@import "a.css";',
+        "@layer legacy {",
+        ".a { color: red; }",
+        ".b { color: blue; }",
+        "}",
+        "@layer base { .c { margin: 0; } }",
+        "@layer legacy {",
+        "@media print { .d { color: red; } }",
+        "}",
+      ].join("\n"),
+    );
+    expect(changes.map(({ message }) => message)).toEqual([
+      "Wrapped lines 2-3 in `@layer legacy`",
+      "Wrapped line 5 in `@layer legacy`",
+    ]);
+  });
+
+  test("doesn't reorder layers when sorting or extracting critical CSS", () => {
+    const sorted = runMediaQuerySorter(
+      [
+        "@media (min-width: 900px) { @layer theme { .a { color: red; } } }",
+        "@layer base { .b { margin: 0; } }",
+        "@media (min-width: 600px) { .c { color: red; } }",
+      ].join("\n"),
+      { order: "mobile-first" },
+    );
+    expect(sorted.skipped[0].message).toBe(
+      "Kept `@media (min-width: 900px)` (line 1) in place: moving it past `@layer base` (line 2) would reorder the cascade layers",
+    );
+
+    const { criticalCSS, remainingCSS, criticalRules, remainingRules } =
+      new CriticalCSSExtractor({}).extractCriticalCSS(
+        [
+          '@import "vendor.css" layer(vendor);',
+          "@layer reset { .footer { margin: 0; } }",
+          "@layer base { .header { color: red; } .footer { color: blue; } }",
+          "@media (min-width: 600px) { .header { color: green; } }",
+        ].join("\n"),
+        [".header"],
+      );
+
+    expect(criticalCSS).toBe(
+      [
+        "@layer vendor, reset, base;",
+        "@layer reset;",
+        "@layer base { .header { color: red; } }",
+        "@media (min-width: 600px) { .header { color: green; } }",
+      ].join("\n"),
+    );
+    expect(remainingCSS).toBe(
+      [
+        '@import "vendor.css" layer(vendor);',
+        "@layer reset { .footer { margin: 0; } }",
+        "@layer base { .footer { color: blue; } }",
+      ].join("\n"),
+    );
+    expect([criticalRules, remainingRules]).toEqual([2, 2]);
+  });
+});
@@ -0,0 +1,161 @@
+import postcss from "postcss";
+import {
+  compareCascades,
+  createCascadeModel,
+  verifyCascade,
+} from "./cascade-verifier.js";
+import { combineDuplicateMediaQueries } from "./media-query-combiner.js";
+import { runRuleMerger } from "./rule-merger.js";
+import { runFixRules } from "./fix-rules.js";
+import { runShorthandOptimizer } from "./shorthand-optimizer.js";
+
+describe("Cascade verification", () => {
+  test("flags media blocks moved before a rule they competed with", () => {
+    const css = [
+      ".a { color: red; }",
+      "@media (min-width: 600px) { .a { color: blue; } }",
+      ".a { color: green; }",
+      "@media (min-width: 600px) { .a { color: yellow; } }",
+    ].join("\n");
+
+    const moved = [
+      ".a { color: red; }",
+      "@media (min-width: 600px) { .a { color: blue; } .a { color: yellow; } }",
+      ".a { color: green; }",
+    ].join("\n");
+
+    const { safe, differences } = verifyCascade(css, moved);
+
+    expect(safe).toBe(false);
+    expect(differences).toEqual([
+      expect.objectContaining({
+        rule: "cascade-changed",
+        selector: ".a",
+        property: "color",
+        conditions: ["@media (min-width: 600px)"],
+        before: "color: yellow",
+        after: "color: green",
+        line: 4,
+      }),
+    ]);
+    expect(verifyCascade(css, combineDuplicateMediaQueries(css).css).safe).toBe(
+      true,
+    );
+  });
+
+  test("flags shorthand swaps once and ignores values rewritten in place", () => {
+    const swapped = ".b { margin-top: 4px; margin: 0; }";
+    const longhands =
+      ".c { margin-top: 1px; margin-right: 1px; margin-bottom: 1px; margin-left: 1px; color: #ffffff; }";
+
+    const swap = verifyCascade(swapped, runFixRules(swapped).css);
+    const collapsed = verifyCascade(
+      longhands,
+      runShorthandOptimizer(longhands).css.replace("#ffffff", "#fff"),
+    );
+
+    expect(swap.differences).toHaveLength(1);
+    expect(swap.differences[0].message).toBe(
+      "`margin-top` of `.b` resolves to `margin-top: 4px` instead of `margin: 0`",
+    );
+    expect(collapsed.safe).toBe(true);
+  });
+
+  test("orders declarations by importance and layer before source order", () => {
+    const css = [
+      "@layer base, theme;",
+      "@layer theme { .d { color: red; } }",
+      "@layer base { .d { color: blue; } }",
+      ".d { margin: 0 !important; }",
+      "@layer base { .d { margin: 1px !important; } }",
+    ].join("\n");
+    const reordered = css.replace("base, theme", "theme, base");
+    const unimportant = css.replace("margin: 1px !important", "margin: 1px");
+
+    // Layer order decides normal declarations; an important one in a layer
+    // beats an unlayered one whatever the order
+    expect(
+      verifyCascade(css, reordered).differences.map(({ after }) => after),
+    ).toEqual(["color: blue"]);
+    expect(
+      verifyCascade(css, unimportant).differences.map(({ after }) => after),
+    ).toEqual(["margin: 0 !important"]);
+    expect(verifyCascade(css, `${css}\n@layer other;`).safe).toBe(true);
+  });
+
+  test("flags swaps across selectors of equal specificity that can match one element", () => {
+    const css = ".a { color: red; }\n.b { color: blue; }";
+    const swapped = verifyCascade(
+      css,
+      ".b { color: blue; }\n.a { color: red; }",
+    );
+
+    expect(swapped.safe).toBe(false);
+    expect(swapped.differences).toEqual([
+      expect.objectContaining({
+        selector: ".a, .b",
+        property: "color",
+        before: "color: blue",
+        after: "color: red",
+        line: 2,
+      }),
+    ]);
+    expect(swapped.differences[0].message).toBe(
+      "`color` of elements matching `.a` and `.b` resolves to `color: red` instead of `color: blue`",
+    );
+
+    [
+      ["h1 { color: red; }", "h2 { color: blue; }"],
+      ["#a { color: red; }", "#b { color: blue; }"],
+      [".a { color: red; }", "#b .b { color: blue; }"],
+      [".a::before { color: red; }", ".b::after { color: blue; }"],
+    ].forEach(([first, second]) =>
+      expect(
+        verifyCascade(`${first}\n${second}`, `${second}\n${first}`).safe,
+      ).toBe(true),
+    );
+  });
+
+  test("agrees with the rule merger on moves past rules of equal specificity", () => {
+    const blocked =
+      ".a { color: red; }\n.x { color: blue; }\n.a { color: green; }";
+    const moved = ".a { color: red; color: green; }\n.x { color: blue; }";
+    const merged = "h1 { color: red; }\nh2 { color: blue; }\nh1 { margin: 0; }";
+
+    expect(runRuleMerger(blocked).css).toBe(blocked);
+    expect(verifyCascade(blocked, moved).differences).toEqual([
+      expect.objectContaining({
+        selector: ".a, .x",
+        before: "color: green",
+        after: "color: blue",
+      }),
+    ]);
+    expect(verifyCascade(merged, runRuleMerger(merged).css).safe).toBe(true);
+  });
+
+  test("resolves nested selectors and skips keyframes", () => {
+    const model = createCascadeModel(
+      ".card { color: red; &:hover { color: blue; } .title { margin: 0; } }\n" +
+        "@keyframes spin { to { color: red; } }",
+    );
+
+    expect(
+      model.declarations.map(({ selector, prop }) => [selector, prop]),
+    ).toEqual([
+      [".card", "color"],
+      [".card:hover", "color"],
+      [".card .title", "margin"],
+    ]);
+  });
+
+  test("ignores removed declarations and compares PostCSS roots", () => {
+    const before = postcss.parse(
+      ":root { --unused: 1px; }\n.a { color: red; }\n.a { color: blue; }",
+    );
+    const after = postcss.parse(".a { color: red; }\n.a { color: blue; }");
+
+    expect(
+      compareCascades(createCascadeModel(before), createCascadeModel(after)),
+    ).toEqual([]);
+  });
+});
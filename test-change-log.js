@@ -0,0 +1,145 @@
+import { jest } from "@jest/globals";
+import { ChangeLog } from "./change-log.js";
+import { SourceMapTracker } from "./source-map-tracker.js";
+import { optimizeCssFile } from "./css-optimizer.js";
+
+function createLog(css) {
+  const tracker = new SourceMapTracker(css, { from: "in.css" });
+  return { tracker, log: new ChangeLog(tracker, { from: "in.css" }) };
+}
+
+describe("ChangeLog", () => {
+  test("records modified, added and removed nodes at their authored line", () => {
+    const { tracker, log } = createLog(
+      ".a { color: red; }\n.b { margin: 0; }\n.c { top: 0; }\n",
+    );
+
+    tracker.track(
+      ".a {\n  color: blue;\n  -webkit-x: 1;\n}\n.b {\n  margin: 0;\n}\n",
+      undefined,
+      "example",
+    );
+
+    expect(log.changes).toEqual([
+      expect.objectContaining({
+        stage: "example",
+        rule: "example",
+        type: "modified",
+        before: "color: red",
+        after: "color: blue",
+        file: "in.css",
+        line: 1,
+        column: 6,
+      }),
+      expect.objectContaining({
+        type: "added",
+        after: "-webkit-x: 1",
+        line: 1,
+      }),
+      expect.objectContaining({ type: "removed", before: ".c", line: 3 }),
+    ]);
+  });
+
+  test("ignores whitespace-only changes", () => {
+    const { tracker, log } = createLog(".a{color:red}");
+
+    tracker.track(".a {\n  color: red;\n}\n", undefined, "prettier");
+
+    expect(log.changes).toEqual([]);
+  });
+
+  test("keeps rule ids of reported changes and skips the generic diff", () => {
+    const { tracker, log } = createLog("\n.a { word-break: break-word; }\n");
+
+    log.record("fixes", [
+      {
+        rule: "word-break-deprecated",
+        message: "Replace deprecated `word-break: break-word`",
+        line: 2,
+        column: 6,
+        before: "word-break: break-word",
+        after: "overflow-wrap: break-word",
+      },
+    ]);
+    tracker.track("\n.a { overflow-wrap: break-word; }\n", undefined, "fixes");
+
+    expect(log.changes).toHaveLength(1);
+    expect(log.changes[0]).toMatchObject({
+      stage: "fixes",
+      rule: "word-break-deprecated",
+      line: 2,
+      column: 6,
+    });
+  });
+});
+
+describe("optimizeCssFile change log", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const css = [
+    ".card { display: flex; }",
+    ".title { word-break: break-word; padding-top: 4; }",
+    "",
+  ].join("\n");
+
+  test("returns every change with stage, rule and original line", async () => {
+    const result = await optimizeCssFile(css, {
+      from: "style.css",
+      enableAI: false,
+    });
+
+    expect(result.changes).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          stage: "fixes",
+          rule: "word-break-deprecated",
+          line: 2,
+          before: "word-break: break-word",
+          after: "overflow-wrap: break-word",
+        }),
+        expect.objectContaining({
+          stage: "fixes",
+          rule: "unitless-length",
+          line: 2,
+          after: "padding-top: 4px",
+        }),
+      ]),
+    );
+    expect(result.stats.changes).toBe(result.changes.length);
+    expect(result.diff).toBeNull();
+  });
+
+  test("produces a unified diff of the whole run", async () => {
+    const result = await optimizeCssFile(css, {
+      from: "src/style.css",
+      to: "dist/style.css",
+      enableAI: false,
+      diff: true,
+    });
+
+    expect(result.diff).toMatch(
+      /^--- a\/src\/style\.css\n\+\+\+ b\/dist\/style\.css\n@@ /,
+    );
+    expect(result.diff).toContain(
+      "-.title { word-break: break-word; padding-top: 4; }",
+    );
+    expect(result.diff).toContain("+  overflow-wrap: break-word;");
+  });
+
+  test("can be turned off", async () => {
+    const result = await optimizeCssFile(css, {
+      enableAI: false,
+      changes: false,
+    });
+
+    expect(result.changes).toEqual([]);
+  });
+});
@@ -0,0 +1,266 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import {
+  StylesheetSplitter,
+  extractMediaBlocks,
+  optimizeCssChunked,
+} from "./chunked-optimizer.js";
+
+function split(css, chunkSize, pieceSize = css.length) {
+  const splitter = new StylesheetSplitter({ chunkSize });
+  const chunks = [];
+  for (let i = 0; i < css.length; i += pieceSize) {
+    chunks.push(...splitter.push(css.slice(i, i + pieceSize)));
+  }
+  chunks.push(...splitter.end());
+  return chunks;
+}
+
+describe("StylesheetSplitter", () => {
+  test("cuts only at top-level statement boundaries", () => {
+    const css = [
+      '@charset "utf-8";',
+      '.a { content: "} {"; }',
+      "/* .fake { } */",
+      "@media (max-width: 600px) { .b { color: red; } }",
+      ".c { background: url('x;}.png'); }",
+      ".d\\{ { color: blue; }",
+    ].join("\n");
+
+    const chunks = split(css, 1);
+
+    expect(chunks.map((chunk) => chunk.css).join("")).toBe(css);
+    expect(chunks.map((chunk) => chunk.css.trim())).toEqual([
+      '@charset "utf-8";',
+      '.a { content: "} {"; }',
+      "/* .fake { } */\n@media (max-width: 600px) { .b { color: red; } }",
+      ".c { background: url('x;}.png'); }",
+      ".d\\{ { color: blue; }",
+    ]);
+  });
+
+  test("gives the same chunks however the text arrives", () => {
+    const css = ".a { color: red; } /* c*/ .b { content: '\\''; }\n".repeat(20);
+
+    const whole = split(css, 100).map((chunk) => chunk.css);
+    const pieces = split(css, 100, 3).map((chunk) => chunk.css);
+
+    expect(pieces).toEqual(whole);
+    expect(whole.length).toBeGreaterThan(1);
+    expect(whole.every((chunk) => chunk.trim().endsWith("}"))).toBe(true);
+  });
+
+  test("records the line each chunk starts on", () => {
+    const chunks = split(".a {\n  color: red;\n}\n.b {\n}\n.c {}\n", 1);
+
+    expect(chunks.map((chunk) => chunk.line)).toEqual([1, 3, 5]);
+  });
+});
+
+describe("extractMediaBlocks", () => {
+  test("separates top-level media blocks from the rest", () => {
+    const { css, media } = extractMediaBlocks(
+      ".a {\n  color: red;\n}\n\n@media (max-width: 600px) {\n  .b {\n    color: blue;\n  }\n}\n\n@supports (display: grid) {\n  @media print {\n    .c {\n      display: none;\n    }\n  }\n}\n",
+    );
+
+    expect(css).not.toContain("max-width");
+    expect(css).toContain("@media print");
+    expect(media).toEqual([
+      {
+        params: "(max-width: 600px)",
+        rules: ["  .b {\n    color: blue;\n  }"],
+      },
+    ]);
+  });
+});
+
+describe("optimizeCssChunked", () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(
+      path.join(os.tmpdir(), "css-optimizer-chunk-"),
+    );
+  });
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  test("stitches chunks together and combines media queries across them", async () => {
+    const inputPath = path.join(directory, "large.css");
+    const outputPath = path.join(directory, "out", "large.css");
+    await fs.writeFile(
+      inputPath,
+      [
+        '@charset "utf-8";',
+        '@import url("base.css");',
+        ".a { color: red; }",
+        "@media (max-width: 600px) { .a { color: blue; } }",
+        "@media print { .a { display: none; } }",
+        ".b { border: 0; }",
+        "@media all and (max-width: 600px) { .b { padding: 0; } }",
+        "@media (max-width: 1200px) { .c { margin: 0; } }",
+        "@media print { .a { display: none; } }",
+      ].join("\n"),
+    );
+
+    const seen = [];
+    const result = await optimizeCssChunked(inputPath, outputPath, {
+      chunkSize: 1,
+      // Stand-in for the pipeline
+      optimizeChunk: async (css, chunk) => {
+        seen.push(chunk.index);
+        return css.trim();
+      },
+    });
+    const output = await fs.readFile(outputPath, "utf8");
+
+    expect(seen).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(output).toBe(
+      [
+        '@charset "utf-8";',
+        "",
+        '@import url("base.css");',
+        "",
+        ".a { color: red; }",
+        "",
+        "@media print { .a { display: none; } }",
+        "",
+        ".b { border: 0; }",
+        "",
+        "@media (max-width: 1200px) {\n .c { margin: 0; }\n}",
+        "",
+        "@media (max-width: 600px) {\n .a { color: blue; }\n .b { padding: 0; }\n}",
+        "",
+        "@media print {\n .a { display: none; }\n}",
+        "",
+      ].join("\n"),
+    );
+    expect(result).toMatchObject({
+      chunks: 9,
+      mediaQueries: 4,
+      mediaQueriesCombined: 1,
+      originalLines: 9,
+      finalLines: output.split("\n").length,
+      finalSize: Buffer.byteLength(output),
+    });
+    expect(await fs.readdir(path.dirname(outputPath))).toEqual(["large.css"]);
+  });
+
+  test("keeps media blocks in place when a later rule would override them", async () => {
+    const inputPath = path.join(directory, "large.css");
+    const outputPath = path.join(directory, "large.optimized.css");
+    await fs.writeFile(
+      inputPath,
+      [
+        "@media (max-width: 600px) { .a { color: blue; } }",
+        ".b { margin: 0; }",
+        ".a { color: red; }",
+        "@media (max-width: 600px) { .b { margin: 1px; } }",
+        ".c { padding: 0; }",
+      ].join("\n"),
+    );
+
+    const result = await optimizeCssChunked(inputPath, outputPath, {
+      chunkSize: 1,
+      optimizeChunk: async (css) => css.trim(),
+    });
+
+    expect(await fs.readFile(outputPath, "utf8")).toBe(
+      [
+        "@media (max-width: 600px) { .a { color: blue; } }",
+        "",
+        ".b { margin: 0; }",
+        "",
+        ".a { color: red; }",
+        "",
+        ".c { padding: 0; }",
+        "",
+        "@media (max-width: 600px) {\n .b { margin: 1px; }\n}",
+        "",
+      ].join("\n"),
+    );
+    expect(result).toMatchObject({ mediaQueries: 2, mediaQueriesCombined: 0 });
+    expect(result.skipped).toEqual([
+      {
+        rule: "media-query-order-unsafe",
+        message:
+          "Kept `@media (max-width: 600px)` (line 1) in place: moving it to the end would change which declaration wins",
+        file: inputPath,
+        line: 1,
+        column: 1,
+        before: "@media (max-width: 600px)",
+        after: "@media (max-width: 600px)",
+      },
+    ]);
+  });
+
+  test("moves blocks past media blocks that never apply together with them", async () => {
+    const inputPath = path.join(directory, "large.css");
+    const outputPath = path.join(directory, "large.optimized.css");
+    await fs.writeFile(
+      inputPath,
+      [
+        "@media (min-width: 1024px) { .a { color: red; } }",
+        "@media (max-width: 600px) { .a { color: blue; } }",
+        ".b { margin: 0; }",
+      ].join("\n"),
+    );
+
+    const result = await optimizeCssChunked(inputPath, outputPath, {
+      chunkSize: 1,
+      optimizeChunk: async (css) => css.trim(),
+    });
+
+    expect(await fs.readFile(outputPath, "utf8")).toBe(
+      [
+        ".b { margin: 0; }",
+        "",
+        "@media (max-width: 600px) {\n .a { color: blue; }\n}",
+        "",
+        "@media (min-width: 1024px) {\n .a { color: red; }\n}",
+        "",
+      ].join("\n"),
+    );
+    expect(result.skipped).toEqual([]);
+  });
+
+  test("leaves media blocks where they are with the preserve order", async () => {
+    const inputPath = path.join(directory, "large.css");
+    const outputPath = path.join(directory, "large.optimized.css");
+    const css = [
+      "@media (max-width: 600px) { .a { color: blue; } }",
+      ".b { margin: 0; }",
+      "@media (max-width: 600px) { .c { padding: 0; } }",
+    ];
+    await fs.writeFile(inputPath, css.join("\n"));
+
+    const result = await optimizeCssChunked(inputPath, outputPath, {
+      chunkSize: 1,
+      mediaQueryOrder: "preserve",
+      optimizeChunk: async (chunk) => chunk.trim(),
+    });
+
+    expect(await fs.readFile(outputPath, "utf8")).toBe(`${css.join("\n\n")}\n`);
+    expect(result).toMatchObject({ mediaQueries: 2, mediaQueriesCombined: 0 });
+  });
+
+  test("leaves no output behind when a chunk fails", async () => {
+    const inputPath = path.join(directory, "large.css");
+    const outputPath = path.join(directory, "large.optimized.css");
+    await fs.writeFile(inputPath, ".a { color: red; }\n.b { color: blue; }\n");
+
+    await expect(
+      optimizeCssChunked(inputPath, outputPath, {
+        chunkSize: 1,
+        optimizeChunk: async (css, chunk) => {
+          if (chunk.index === 1) throw new Error("broken chunk");
+          return css;
+        },
+      }),
+    ).rejects.toThrow("broken chunk");
+    expect(await fs.readdir(directory)).toEqual(["large.css"]);
+  });
+});
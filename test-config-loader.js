@@ -0,0 +1,289 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import {
+  applyConfigFileOptions,
+  findConfigFile,
+  loadConfig,
+  resolveConfig,
+  resolveProfile,
+  validateConfigFile,
+} from "./config-loader.js";
+import { OptimizerError } from "./error-handler.js";
+
+describe("config loader", () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "css-optimizer-config-"));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test("finds the config file by walking up from the working directory", async () => {
+    const nested = path.join(tmpDir, "packages", "app");
+    await fs.ensureDir(nested);
+    await fs.writeFile(
+      path.join(tmpDir, "css-optimizer.config.mjs"),
+      "export default { options: { minify: true } };\n",
+    );
+
+    const found = await findConfigFile(nested);
+    const loaded = await loadConfig({ cwd: nested, env: {} });
+
+    expect(found.path).toBe(path.join(tmpDir, "css-optimizer.config.mjs"));
+    expect(loaded.baseDir).toBe(tmpDir);
+    expect(loaded.settings.ENABLE_MINIFICATION).toBe(true);
+  });
+
+  test("reads the cssOptimizer key from package.json", async () => {
+    await fs.writeJson(path.join(tmpDir, "package.json"), {
+      name: "app",
+      cssOptimizer: { options: { browsers: "last 1 version" } },
+    });
+
+    const loaded = await loadConfig({ cwd: tmpDir, env: {} });
+
+    expect(loaded.configPath).toBe(path.join(tmpDir, "package.json"));
+    expect(loaded.settings.BROWSERS).toEqual(["last 1 version"]);
+  });
+
+  test("loads an explicit path and reports a missing one", async () => {
+    await fs.writeJson(path.join(tmpDir, "custom.json"), {
+      options: { ai: { enabled: false, maxErrors: 2 } },
+    });
+
+    const loaded = await loadConfig({
+      cwd: tmpDir,
+      configPath: "custom.json",
+      env: {},
+    });
+
+    expect(loaded.settings.ENABLE_AI_FIXES).toBe(false);
+    expect(loaded.settings.AI_MAX_ERRORS_TO_PROCESS).toBe(2);
+    await expect(
+      loadConfig({ cwd: tmpDir, configPath: "missing.js" }),
+    ).rejects.toMatchObject({ type: "CONFIG_ERROR" });
+  });
+
+  test("applies defaults < config file < env < overrides", () => {
+    const config = {
+      options: { minify: true, cache: false, prettier: { tabWidth: 4 } },
+    };
+
+    const settings = resolveConfig({
+      config,
+      env: { ENABLE_MINIFICATION: "false", PRETTIER_TAB_WIDTH: "8" },
+      overrides: { PRETTIER_TAB_WIDTH: 3, ENABLE_CACHE: undefined },
+    });
+
+    expect(settings.ENABLE_MINIFICATION).toBe(false);
+    expect(settings.ENABLE_CACHE).toBe(false);
+    expect(settings.PRETTIER_TAB_WIDTH).toBe(3);
+    expect(settings.ENABLE_AUTOPREFIXER).toBe(true);
+  });
+
+  test("passes the removeUnused block on, switched by REMOVE_UNUSED", async () => {
+    await fs.writeFile(
+      path.join(tmpDir, "css-optimizer.config.mjs"),
+      "export default { options: { removeUnused: { keep: [/^--js-/] } } };\n",
+    );
+
+    const loaded = await loadConfig({ cwd: tmpDir, env: {} });
+    const disabled = await loadConfig({
+      cwd: tmpDir,
+      env: { REMOVE_UNUSED: "false" },
+    });
+
+    expect(loaded.settings.REMOVE_UNUSED).toBe(true);
+    expect(loaded.runOptions.removeUnused).toEqual({
+      keep: [/^--js-/],
+      enabled: true,
+    });
+    expect(disabled.runOptions.removeUnused.enabled).toBe(false);
+  });
+
+  test("takes a media query order name or comparator", async () => {
+    await fs.writeFile(
+      path.join(tmpDir, "css-optimizer.config.mjs"),
+      "export default { options: { mediaQueryOrder: (a, b) => a.localeCompare(b) } };\n",
+    );
+
+    const loaded = await loadConfig({ cwd: tmpDir, env: {} });
+    const overridden = await loadConfig({
+      cwd: tmpDir,
+      env: { MEDIA_QUERY_SORT_ORDER: "mobile-first" },
+    });
+
+    expect(typeof loaded.settings.MEDIA_QUERY_SORT_ORDER).toBe("function");
+    expect(overridden.settings.MEDIA_QUERY_SORT_ORDER).toBe("mobile-first");
+    expect(resolveConfig({ env: {} }).MEDIA_QUERY_SORT_ORDER).toBe(
+      "desktop-first",
+    );
+    expect(() =>
+      validateConfigFile({ options: { mediaQueryOrder: "largest-first" } }),
+    ).toThrow(
+      '`options.mediaQueryOrder` must be one of "mobile-first", "desktop-first", "preserve", got string "largest-first"',
+    );
+  });
+
+  test("lists every schema problem with suggestions", () => {
+    let error;
+    try {
+      validateConfigFile(
+        {
+          outptu: "dist",
+          options: {
+            minfy: true,
+            concurrency: "4",
+            report: "pdf",
+            ai: { temperature: 5 },
+          },
+        },
+        "css-optimizer.config.js",
+      );
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(OptimizerError);
+    expect(error.type).toBe("CONFIG_ERROR");
+    expect(error.problems).toEqual([
+      "`outptu` is not a known option (did you mean `output`?)",
+      "`options.minfy` is not a known option (did you mean `options.minify`?)",
+      '`options.concurrency` must be a number, got string "4"',
+      '`options.report` must be one of "text", "json", "html", got string "pdf"',
+      "`options.ai.temperature` must be at most 2, got 5",
+    ]);
+    expect(error.message).toContain(
+      "Invalid configuration in css-optimizer.config.js",
+    );
+  });
+
+  test("accepts the config written by `css-optimizer init`", () => {
+    const config = {
+      input: ["src/**/*.css"],
+      output: "dist/",
+      options: {
+        backup: true,
+        minify: false,
+        verbose: false,
+        concurrency: 4,
+        include: null,
+        exclude: ["node_modules/**", ".git/**"],
+        report: "text",
+        postcss: { plugins: [] },
+        browsers: ["> 1%", "last 2 versions", "not dead"],
+        ai: { enabled: true, maxErrors: 5, temperature: 0.1, maxTokens: 1000 },
+      },
+    };
+
+    expect(validateConfigFile(config)).toBe(config);
+  });
+
+  test("fills plugin options the plugin was not given", () => {
+    const pluginOptions = { minify: true, enablePurgeCSS: false, purgeCSS: {} };
+
+    applyConfigFileOptions(
+      pluginOptions,
+      { minify: true },
+      { options: { minify: false, purge: { safelist: ["a"] } } },
+    );
+
+    expect(pluginOptions).toEqual({
+      minify: true,
+      enablePurgeCSS: true,
+      purgeCSS: { safelist: ["a"] },
+    });
+  });
+
+  describe("profiles", () => {
+    const config = {
+      options: {
+        minify: false,
+        purge: { safelist: ["keep"] },
+        ai: { enabled: true, maxErrors: 3 },
+      },
+      profiles: {
+        prod: { ai: { enabled: false } },
+        staging: { extends: "prod", sourceMap: "inline" },
+      },
+    };
+
+    test("resolves a profile through the profiles it extends", () => {
+      const profile = resolveProfile(config, "staging");
+
+      expect(profile.chain).toEqual(["prod", "staging"]);
+      expect(profile.options).toEqual({
+        minify: true,
+        sourceMap: "inline",
+        ai: { enabled: false },
+        purge: true,
+      });
+    });
+
+    test("layers the profile between the config file and the environment", async () => {
+      await fs.writeJson(
+        path.join(tmpDir, "css-optimizer.config.json"),
+        config,
+      );
+
+      const loaded = await loadConfig({
+        cwd: tmpDir,
+        profile: "staging",
+        env: { ENABLE_MINIFICATION: "false" },
+      });
+
+      expect(loaded.profile.name).toBe("staging");
+      expect(loaded.settings).toMatchObject({
+        ENABLE_MINIFICATION: false,
+        SOURCE_MAP_INLINE: true,
+        ENABLE_AI_FIXES: false,
+        AI_MAX_ERRORS_TO_PROCESS: 3,
+      });
+      expect(loaded.config.options.purge).toEqual({ safelist: ["keep"] });
+      expect(loaded.profile.settings.ENABLE_MINIFICATION).toBe(true);
+    });
+
+    test("selects a profile from NODE_ENV only when the file has profiles", async () => {
+      await fs.writeJson(
+        path.join(tmpDir, "css-optimizer.config.json"),
+        config,
+      );
+      const withProfiles = await loadConfig({
+        cwd: tmpDir,
+        env: { NODE_ENV: "production" },
+      });
+
+      await fs.writeJson(path.join(tmpDir, "css-optimizer.config.json"), {
+        options: {},
+      });
+      const withoutProfiles = await loadConfig({
+        cwd: tmpDir,
+        env: { NODE_ENV: "production" },
+      });
+
+      expect(withProfiles.profile).toMatchObject({
+        name: "prod",
+        source: "NODE_ENV",
+      });
+      expect(withProfiles.settings.ENABLE_MINIFICATION).toBe(true);
+      expect(withoutProfiles.profile).toBeNull();
+      expect(withoutProfiles.settings.ENABLE_MINIFICATION).toBe(false);
+    });
+
+    test("reports unknown and circular profiles", () => {
+      expect(() => resolveProfile(config, "stagng")).toThrow(
+        'Unknown profile "stagng" (did you mean "staging"?)',
+      );
+      expect(() =>
+        resolveProfile(
+          { profiles: { a: { extends: "b" }, b: { extends: "a" } } },
+          "a",
+        ),
+      ).toThrow('Profile "a" extends itself: a → b → a');
+    });
+  });
+});
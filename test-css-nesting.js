@@ -0,0 +1,103 @@
+import {
+  getTargetsWithoutNesting,
+  resolveNestedSelectors,
+  runNestingFlattener,
+} from "./css-nesting.js";
+
+const flatten = (css) => runNestingFlattener(css).css;
+
+describe("CSS nesting flattening", () => {
+  test("resolves & anywhere, implicit descendants and relative selectors", () => {
+    const cases = [
+      [["&:hover"], [".a"], [".a:hover"]],
+      [[".b &"], [".a"], [".b .a"]],
+      [["& + &"], [".a"], [".a + .a"]],
+      [[".b", "div"], [".a"], [".a .b", ".a div"]],
+      [["> .b"], [".a"], [".a > .b"]],
+      [[".x&"], [".a"], [".x.a"]],
+      [["&.x"], [".a .b"], [".a .b.x"]],
+    ];
+
+    cases.forEach(([selectors, parents, resolved]) =>
+      expect(resolveNestedSelectors(selectors, parents)).toEqual(resolved),
+    );
+  });
+
+  test("wraps parent lists and selectors that can't be written in place in :is()", () => {
+    expect(resolveNestedSelectors(["& li + li"], ["ul", "ol"])).toEqual([
+      ":is(ul, ol) li + li",
+    ]);
+    expect(resolveNestedSelectors([".c & .d"], [".a .b"])).toEqual([
+      ".c :is(.a .b) .d",
+    ]);
+    expect(resolveNestedSelectors([".x&"], ["div"])).toEqual([".x:is(div)"]);
+    expect(
+      flatten(".a, .b { color: red; .c, .d { top: 0; &.e { left: 0; } } }"),
+    ).toBe(
+      ".a, .b { color: red; } :is(.a, .b) .c, :is(.a, .b) .d { top: 0; } :is(:is(.a, .b) .c, :is(.a, .b) .d).e { left: 0; }",
+    );
+  });
+
+  test("moves nested at-rules out and keeps declarations in order", () => {
+    const { css, changes } = runNestingFlattener(
+      [
+        ".card {",
+        "  display: grid;",
+        "  @media (max-width: 768px) {",
+        "    gap: 0.5rem;",
+        "    .title { order: 1; }",
+        "  }",
+        "  color: blue;",
+        "}",
+      ].join("\n"),
+      { from: "card.css" },
+    );
+
+    expect(css).toBe(
+      [
+        ".card {",
+        "  display: grid;",
+        "}",
+        "@media (max-width: 768px) {",
+        "  .card {",
+        "    gap: 0.5rem;",
+        "  }",
+        "  .card .title { order: 1; }",
+        "}",
+        ".card {",
+        "  color: blue;",
+        "}",
+      ].join("\n"),
+    );
+    expect(changes.map(({ message }) => message)).toEqual([
+      "Moved `@media (max-width: 768px)` (line 3) out of `.card`",
+      "Flattened `.title` (line 5) into `.card .title`",
+    ]);
+    expect(changes[0].file).toMatch(/card\.css$/);
+  });
+
+  test("leaves Sass suffixes nested and checks browser targets", () => {
+    const { css, skipped } = runNestingFlattener(
+      ".card { padding: 0; &__title { margin: 0; } & > h2 { margin: 0; } }",
+    );
+
+    expect(css).toBe(
+      ".card { padding: 0; &__title { margin: 0; } } .card > h2 { margin: 0; }",
+    );
+    expect(skipped).toEqual([
+      expect.objectContaining({
+        rule: "nesting-invalid-selector",
+        before: "&__title",
+        line: 1,
+      }),
+    ]);
+
+    expect(getTargetsWithoutNesting("chrome >= 120, safari >= 17.2")).toEqual(
+      [],
+    );
+    expect(getTargetsWithoutNesting("chrome 115, firefox 110").sort()).toEqual([
+      "chrome 115",
+      "firefox 110",
+    ]);
+  });
+});
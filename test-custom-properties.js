@@ -0,0 +1,110 @@
+import postcss from "postcss";
+import {
+  collectCustomProperties,
+  customPropertyFallbacks,
+  getTargetsWithoutCustomProperties,
+  runCustomPropertyFallbacks,
+} from "./custom-properties.js";
+
+describe("Custom property fallbacks", () => {
+  test("finds the targets without custom property support", () => {
+    expect(getTargetsWithoutCustomProperties(["ie 11", "chrome 100"])).toEqual([
+      "ie 11",
+    ]);
+    expect(getTargetsWithoutCustomProperties(["op_mini all"])).toEqual([]);
+    expect(getTargetsWithoutCustomProperties(["not a query"])).toEqual([]);
+  });
+
+  test("adds resolved fallbacks before var() usages, following chains", () => {
+    const { css, changes } = runCustomPropertyFallbacks(
+      [
+        ":root { --space: 4px; --gap: calc(var(--space) * 2); --brand: #f00; }",
+        ".a { margin: var(--gap) var(--space); }",
+        ".b { color: var(--unset, var(--brand)); }",
+      ].join("\n"),
+    );
+
+    expect(css).toBe(
+      [
+        ":root { --space: 4px; --gap: calc(var(--space) * 2); --brand: #f00; }",
+        ".a { margin: calc(4px * 2) 4px; margin: var(--gap) var(--space); }",
+        ".b { color: #f00; color: var(--unset, var(--brand)); }",
+      ].join("\n"),
+    );
+    expect(changes).toEqual([
+      expect.objectContaining({ rule: "custom-property-fallback", line: 2 }),
+      expect.objectContaining({
+        rule: "custom-property-fallback",
+        line: 3,
+        after: "color: #f00; color: var(--unset, var(--brand))",
+      }),
+    ]);
+  });
+
+  test("reports properties that aren't declared once at :root", () => {
+    const css = [
+      ":root { --a: red; --loop: var(--loop); }",
+      ".dark { --a: white; }",
+      "@media print { :root { --ink: black; } }",
+      ".x { color: var(--a); border-color: var(--ink); width: var(--loop); }",
+    ].join("\n");
+
+    const {
+      css: output,
+      changes,
+      unresolved,
+    } = runCustomPropertyFallbacks(css);
+
+    expect(output).toBe(css);
+    expect(changes).toEqual([]);
+    expect(unresolved.map((entry) => [entry.rule, entry.line])).toEqual([
+      ["custom-property-unresolved", 4],
+      ["custom-property-unresolved", 4],
+      ["custom-property-unresolved", 4],
+    ]);
+    expect(unresolved[1].message).toContain("`--ink`");
+  });
+
+  test("keeps fallbacks the author already wrote", () => {
+    const css = ":root { --a: red; }\n.x { color: blue; color: var(--a); }";
+
+    expect(runCustomPropertyFallbacks(css).css).toBe(css);
+  });
+
+  test("resolves properties declared in other parts of the stylesheet", () => {
+    const definitions = collectCustomProperties(
+      postcss.parse(":root { --brand: #f00; --gap: 4px; }"),
+    );
+    collectCustomProperties(postcss.parse(".a { --gap: 8px; }"), definitions);
+
+    const { css, unresolved } = runCustomPropertyFallbacks(
+      ".b { color: var(--brand, blue); margin: var(--gap); }",
+      { definitions },
+    );
+
+    expect(css).toBe(
+      ".b { color: #f00; color: var(--brand, blue); margin: var(--gap); }",
+    );
+    expect(unresolved).toEqual([
+      expect.objectContaining({
+        rule: "custom-property-unresolved",
+        before: "margin: var(--gap)",
+      }),
+    ]);
+  });
+
+  test("runs as a PostCSS plugin only for targets that need it", async () => {
+    const css = ":root { --a: red; }\n.x { color: var(--a); top: var(--b); }";
+
+    const legacy = await postcss([
+      customPropertyFallbacks({ browsers: ["ie 11"] }),
+    ]).process(css, { from: undefined });
+    const modern = await postcss([
+      customPropertyFallbacks({ browsers: ["last 1 chrome version"] }),
+    ]).process(css, { from: undefined });
+
+    expect(legacy.css).toContain("color: red; color: var(--a)");
+    expect(legacy.warnings()).toHaveLength(1);
+    expect(modern.css).toBe(css);
+  });
+});
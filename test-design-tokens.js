@@ -0,0 +1,146 @@
+import {
+  collectTokens,
+  createTokenCollection,
+  summarizeTokens,
+  toDesignTokens,
+} from "./design-tokens.js";
+
+const extract = (css) =>
+  toDesignTokens(collectTokens(css, { from: "src/a.css", cwd: "." }));
+
+describe("Design token extraction", () => {
+  test("collects colors with usage counts and locations", () => {
+    const tokens = extract(
+      [
+        ":root { --brand: #3B82F6; --link: var(--brand); }",
+        ".a { color: #fff; background: #FFFFFF url(a.png); }",
+        ".b { border: 1px solid rgba(0,0,0,.1); color: currentColor; }",
+        ".c { color: red; display: block; }",
+      ].join("\n"),
+    );
+
+    expect(Object.keys(tokens.color)).toEqual([
+      "$type",
+      "ffffff",
+      "3b82f6",
+      "red",
+      "rgba-0-0-0-_1",
+    ]);
+    expect(tokens.color.$type).toBe("color");
+    expect(tokens.color.ffffff).toEqual({
+      $value: "#ffffff",
+      $extensions: {
+        "css-optimizer": {
+          usage: 2,
+          locations: ["src/a.css:2:6", "src/a.css:2:19"],
+        },
+      },
+    });
+    expect(tokens.color["rgba-0-0-0-_1"].$value).toBe("rgba(0, 0, 0, .1)");
+  });
+
+  test("collects typography from longhands and the font shorthand", () => {
+    const tokens = extract(
+      [
+        '.a { font: italic bold 16px/1.5 "Open Sans", Arial, sans-serif; }',
+        ".b { font-size: 1.25rem; font-family: 'Open Sans', Arial, sans-serif; }",
+        ".c { font-size: 120%; }",
+      ].join("\n"),
+    );
+
+    expect(tokens["font-family"]).toEqual({
+      $type: "fontFamily",
+      "open-sans-arial-sans-serif": expect.objectContaining({
+        $value: ["Open Sans", "Arial", "sans-serif"],
+      }),
+    });
+    expect(tokens["font-size"]).toEqual({
+      "120pct": expect.not.objectContaining({ $type: expect.anything() }),
+      "16px": expect.objectContaining({ $type: "dimension", $value: "16px" }),
+      "1_25rem": expect.objectContaining({
+        $type: "dimension",
+        $value: "1.25rem",
+      }),
+    });
+  });
+
+  test("collects spacing, radii, z-indexes and breakpoints", () => {
+    const tokens = extract(
+      [
+        ".a { margin: 8px 1rem 0 auto; padding-inline: 8px; gap: 2em; }",
+        ".b { border-radius: 4px 50%; z-index: 10; top: 8px; }",
+        "@media (min-width: 768px) and (width < 1024px) { .c { z-index: -1; } }",
+      ].join("\n"),
+    );
+
+    expect(Object.keys(tokens.spacing)).toEqual(["8px", "1rem", "2em"]);
+    expect(tokens.spacing["8px"].$extensions["css-optimizer"].usage).toBe(2);
+    expect(Object.keys(tokens.radius)).toEqual(["4px", "50pct"]);
+    expect(tokens["z-index"]).toEqual({
+      $type: "number",
+      "minus-1": expect.objectContaining({ $value: -1 }),
+      10: expect.objectContaining({ $value: 10 }),
+    });
+    expect(Object.keys(tokens.breakpoint)).toEqual(["1024px", "768px"]);
+  });
+
+  test("writes shadows as W3C shadow values", () => {
+    const tokens = extract(
+      [
+        ".a { box-shadow: 0 1px 2px rgba(0,0,0,.2), inset 0 0 0 1px #000; }",
+        ".b { text-shadow: 1px 1px red; }",
+        ".c { box-shadow: var(--shadow); }",
+      ].join("\n"),
+    );
+
+    expect(Object.values(tokens.shadow).slice(1)).toEqual([
+      expect.objectContaining({
+        $value: [
+          {
+            color: "rgba(0, 0, 0, .2)",
+            offsetX: "0px",
+            offsetY: "1px",
+            blur: "2px",
+            spread: "0px",
+          },
+          {
+            color: "#000000",
+            offsetX: "0px",
+            offsetY: "0px",
+            blur: "0px",
+            spread: "1px",
+            inset: true,
+          },
+        ],
+      }),
+      expect.objectContaining({
+        $value: {
+          color: "red",
+          offsetX: "1px",
+          offsetY: "1px",
+          blur: "0px",
+          spread: "0px",
+        },
+      }),
+    ]);
+  });
+
+  test("merges several stylesheets into one collection", () => {
+    const tokens = createTokenCollection();
+    collectTokens(".a { color: #000; }", { from: "a.css", cwd: ".", tokens });
+    collectTokens(".b { color: #000000; z-index: 1; }", {
+      from: "b.css",
+      cwd: ".",
+      tokens,
+    });
+
+    expect(
+      toDesignTokens(tokens).color["000000"].$extensions["css-optimizer"],
+    ).toEqual({ usage: 2, locations: ["a.css:1:6", "b.css:1:6"] });
+    expect(summarizeTokens(tokens)).toMatchObject({
+      color: { distinct: 1, usages: 2 },
+      zIndex: { distinct: 1, usages: 1 },
+      shadow: { distinct: 0, usages: 0 },
+    });
+  });
+});
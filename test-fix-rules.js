@@ -0,0 +1,97 @@
+import { FIX_RULES, resolveFixRules, runFixRules } from "./fix-rules.js";
+import { OptimizerError } from "./error-handler.js";
+
+describe("Fix rules", () => {
+  test("every rule has an id, description and severity", () => {
+    for (const rule of FIX_RULES) {
+      expect(rule.id).toMatch(/^[a-z-]+$/);
+      expect(rule.description).toBeTruthy();
+      expect(["error", "warning"]).toContain(rule.severity);
+    }
+  });
+
+  test("replaces deprecated word-break and reports the location", () => {
+    const { css, changes } = runFixRules(
+      ".a {\n  color: red;\n  word-break: break-word;\n}",
+      { from: "style.css" },
+    );
+
+    expect(css).toContain("overflow-wrap: break-word");
+    expect(changes).toEqual([
+      expect.objectContaining({
+        rule: "word-break-deprecated",
+        line: 3,
+        column: 3,
+        before: "word-break: break-word",
+        after: "overflow-wrap: break-word",
+      }),
+    ]);
+    expect(changes[0].file).toContain("style.css");
+  });
+
+  test("fixes xp typos without touching comments, strings or urls", () => {
+    const input = `/* 10xp */ .a { margin: 10xp 4xp; content: "10xp"; background: url(10xp.png); }`;
+
+    const { css, changes } = runFixRules(input);
+
+    expect(css).toContain("margin: 10px 4px");
+    expect(css).toContain("/* 10xp */");
+    expect(css).toContain('content: "10xp"');
+    expect(css).toContain("url(10xp.png)");
+    expect(changes).toHaveLength(1);
+  });
+
+  test("adds units to unitless lengths but leaves zero alone", () => {
+    const { css } = runFixRules(".a { padding-top: 12; margin-left: 0; }");
+
+    expect(css).toContain("padding-top: 12px");
+    expect(css).toContain("margin-left: 0");
+  });
+
+  test("moves each shorthand before the longhand it would override", () => {
+    const input = `.a { background-color: red; background: url(a.png); }
+.b { background-color: blue; }
+.c { padding-top: 4px; color: red; padding: 0; }`;
+
+    const { css, changes } = runFixRules(input);
+
+    expect(css).toContain(
+      ".a { background: url(a.png); background-color: red; }",
+    );
+    expect(css).toContain(".b { background-color: blue; }");
+    expect(css).toContain(".c { padding: 0; padding-top: 4px; color: red; }");
+    expect(changes.map((change) => change.rule)).toEqual([
+      "shorthand-order",
+      "shorthand-order",
+    ]);
+  });
+
+  test("only moves shorthands before the longhands the rule covers", () => {
+    const input =
+      ".a { background-image: url(a.png); background: red; border-top: 0; border: 1px solid; }";
+
+    expect(runFixRules(input).css).toBe(input);
+  });
+
+  test("rules can be switched off and re-graded from config", () => {
+    const input = ".a { word-break: break-word; width: 3xp; }";
+
+    const { css, changes } = runFixRules(input, {
+      rules: {
+        "word-break-deprecated": false,
+        "unit-typo": { severity: "warning" },
+      },
+    });
+
+    expect(css).toContain("word-break: break-word");
+    expect(changes).toEqual([
+      expect.objectContaining({ rule: "unit-typo", severity: "warning" }),
+    ]);
+  });
+
+  test("rejects unknown rule ids", () => {
+    expect(() => resolveFixRules({ "no-such-rule": false })).toThrow(
+      OptimizerError,
+    );
+  });
+});
@@ -0,0 +1,199 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import {
+  buildImportGraph,
+  inlineImports,
+  resolveImport,
+} from "./import-inliner.js";
+
+describe("@import inlining", () => {
+  let tmpDir;
+
+  const write = async (file, css) => {
+    await fs.outputFile(path.join(tmpDir, file), css);
+    return path.join(tmpDir, file);
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "css-optimizer-import-"));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test("inlines relative imports recursively and rebases their urls", async () => {
+    await write("base/reset.css", '@charset "utf-8";\n* { margin: 0; }\n');
+    await write(
+      "base/index.css",
+      '@import "./reset.css";\n.logo { background: url(img/logo.png); }\n',
+    );
+    const entry = await write(
+      "main.css",
+      '@import url("base/index.css");\n.a { color: red; }\n',
+    );
+
+    const result = await inlineImports(await fs.readFile(entry, "utf8"), {
+      from: entry,
+    });
+
+    expect(result.css).toBe(
+      "* { margin: 0; }\n.logo { background: url(base/img/logo.png); }\n.a { color: red; }\n",
+    );
+    expect(result.changes.map((change) => change.message)).toEqual([
+      "Inlined base/reset.css",
+      "Inlined base/index.css",
+    ]);
+    expect(result.dependencies).toEqual([
+      path.join(tmpDir, "base/index.css"),
+      path.join(tmpDir, "base/reset.css"),
+    ]);
+    expect(result.errors).toEqual([]);
+  });
+
+  test("resolves packages in node_modules", async () => {
+    await write(
+      "node_modules/ui/package.json",
+      JSON.stringify({ name: "ui", style: "dist/ui.css" }),
+    );
+    await write("node_modules/ui/dist/ui.css", ".ui { color: red; }");
+    await write("node_modules/grid/grid.css", ".grid { display: grid; }");
+    const from = path.join(tmpDir, "src/main.css");
+
+    expect(await resolveImport("ui", from)).toBe(
+      path.join(tmpDir, "node_modules/ui/dist/ui.css"),
+    );
+    expect(await resolveImport("~grid/grid", from)).toBe(
+      path.join(tmpDir, "node_modules/grid/grid.css"),
+    );
+    expect(await resolveImport("./ui", from)).toBeNull();
+    expect(await resolveImport("https://example.com/a.css", from)).toBeNull();
+  });
+
+  test("keeps layer, supports and media conditions", async () => {
+    await write("grid.css", ".grid { display: grid; }");
+    const entry = path.join(tmpDir, "main.css");
+
+    const { css } = await inlineImports(
+      [
+        '@import "grid.css" layer(base) supports(display: grid) screen and (min-width: 40em);',
+        '@import "grid.css" layer;',
+      ].join("\n"),
+      { from: entry },
+    );
+
+    expect(css).toBe(
+      [
+        "@media screen and (min-width: 40em) {",
+        "@supports (display: grid) {",
+        "@layer base {",
+        ".grid { display: grid; }",
+        "}",
+        "}",
+        "}",
+        "@layer {",
+        ".grid { display: grid; }",
+        "}",
+      ].join("\n"),
+    );
+  });
+
+  test("reports cycles and missing files, keeping remote imports", async () => {
+    await write("a.css", '@import "b.css";\n.a {}\n');
+    await write("b.css", '@import "a.css";\n.b {}\n');
+    const entry = path.join(tmpDir, "main.css");
+    const css = [
+      '@import "a.css";',
+      '@import "missing.css";',
+      '@import "https://example.com/font.css";',
+      ".main {}",
+      '@import "late.css";',
+    ].join("\n");
+
+    const result = await inlineImports(css, { from: entry });
+
+    expect(result.css).toBe(
+      [
+        '@import "missing.css";',
+        '@import "https://example.com/font.css";',
+        ".b {}",
+        ".a {}",
+        ".main {}",
+        '@import "late.css";',
+      ].join("\n"),
+    );
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        rule: "import-cycle",
+        message: "Import cycle: a.css → b.css → a.css",
+        file: path.join(tmpDir, "b.css"),
+        line: 1,
+      }),
+      expect.objectContaining({
+        rule: "import-not-found",
+        file: entry,
+        line: 2,
+      }),
+    ]);
+  });
+
+  test("moves remote imports above inlined content with their conditions", async () => {
+    await write("b.css", ".b {}");
+    await write(
+      "fonts.css",
+      '@import "https://example.com/a.css" supports(display: grid);\n@import "https://example.com/b.css" print;\n.fonts {}',
+    );
+    const entry = path.join(tmpDir, "main.css");
+
+    const result = await inlineImports(
+      [
+        '@import "b.css";',
+        '@import "https://example.com/x.css";',
+        '@import "fonts.css" layer(base) screen;',
+        ".a {}",
+      ].join("\n"),
+      { from: entry },
+    );
+
+    expect(result.css).toBe(
+      [
+        '@import "https://example.com/x.css";',
+        '@import "https://example.com/a.css" layer(base) supports(display: grid) screen;',
+        ".b {}",
+        "@media screen {",
+        "@layer base {",
+        '@import "https://example.com/b.css" print;',
+        ".fonts {}",
+        "}",
+        "}",
+        ".a {}",
+      ].join("\n"),
+    );
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        rule: "import-not-hoisted",
+        file: path.join(tmpDir, "fonts.css"),
+        line: 2,
+      }),
+    ]);
+  });
+
+  test("builds a dependency graph for watch mode", async () => {
+    await write("tokens.css", ":root { --a: 1; }");
+    await write("components.css", '@import "tokens.css";');
+    const main = await write("main.css", '@import "components.css";');
+    const other = await write("other.css", '@import "tokens.css";');
+
+    const graph = await buildImportGraph([main, other]);
+
+    expect(graph.getDependencies(main).sort()).toEqual([
+      path.join(tmpDir, "components.css"),
+      path.join(tmpDir, "tokens.css"),
+    ]);
+    expect(graph.getDependents(path.join(tmpDir, "tokens.css")).sort()).toEqual(
+      [path.join(tmpDir, "components.css"), main, other].sort(),
+    );
+    expect(graph.getFiles()).toHaveLength(4);
+  });
+});
@@ -140,6 +140,21 @@ describe("Lightning CSS Processor", () => {
     expect(result.stats.compressionRatio).toBeGreaterThan(0);
   });
 
+  test("should flatten nesting only for targets without native support", () => {
+    const css = ".a, .b { color: red; & .c { top: 0; } }";
+    const legacy = new LightningCSSProcessor({
+      targets: { browsers: ["chrome 100"] },
+    });
+    const modern = new LightningCSSProcessor({
+      targets: { browsers: ["chrome >= 120"] },
+    });
+
+    expect(legacy.processNesting(css).css).toBe(
+      ".a, .b { color: red; } :is(.a, .b) .c { top: 0; }",
+    );
+    expect(modern.processNesting(css).css).toBe(css);
+  });
+
   test("should process files in batch", async () => {
     const testCSS = ".test { color: red; }";
     await fs.writeFile("test-batch.css", testCSS);
@@ -1,4 +1,8 @@
-import { combineDuplicateMediaQueries } from "./media-query-combiner.js";
+import {
+  combineDuplicateMediaQueries,
+  normalizeMediaQuery,
+  runMediaQueryCombiner,
+} from "./media-query-combiner.js";
 
 describe("Media Query Combiner", () => {
   test("combines duplicate media queries", () => {
@@ -21,8 +25,12 @@ describe("Media Query Combiner", () => {
 
     const result = combineDuplicateMediaQueries(css);
 
-    expect(result.count).toBe(2); // Combined 2 sets of duplicates
+    // `screen and` and `only screen and` are one query, but not the same
+    // as the one without a media type
+    expect(result.count).toBe(1);
     expect(result.css).toContain("@media (max-width: 480px)");
+    expect(result.css).toContain("@media screen and (max-width: 480px)");
+    expect(result.css).not.toContain("@media only screen");
     expect(result.css).toContain(".mobile { display: block; }");
     expect(result.css).toContain(".mobile2 { display: none; }");
     expect(result.css).toContain(".mobile3 { font-size: 14px; }");
@@ -61,8 +69,141 @@ describe("Media Query Combiner", () => {
 
     const result = combineDuplicateMediaQueries(css);
 
-    expect(result.count).toBe(2);
-    expect(result.css.match(/@media[^{]+/g).length).toBe(1);
+    expect(result.count).toBe(1);
+    expect(result.css.match(/@media[^{]+/g).length).toBe(2);
+    expect(normalizeMediaQuery("ONLY screen and ( max-width:480px )")).toBe(
+      "screen and (max-width: 480px)",
+    );
+    expect(normalizeMediaQuery("all and (min-width: 1px), print")).toBe(
+      "(min-width: 1px), print",
+    );
+  });
+
+  test("compares queries by meaning", () => {
+    const css = [
+      "@media (min-width: 768px) { .a { color: red; } }",
+      "@media (min-width: 48em) { .b { color: red; } }",
+      "@media (width >= 768px) { .c { color: red; } }",
+      "@media (max-width: 1023.98px) and (min-width: 768px) { .d { color: red; } }",
+      "@media (768px <= width <= 1023.98px) { .e { color: red; } }",
+    ].join("\n");
+
+    const result = combineDuplicateMediaQueries(css);
+
+    expect(result.count).toBe(3);
+    expect(result.css.match(/@media[^{]+/g)).toEqual([
+      "@media (min-width: 768px) ",
+      "@media (max-width: 1023.98px) and (min-width: 768px) ",
+    ]);
+    expect(normalizeMediaQuery("(width < 40rem), screen")).toBe(
+      "(width < 640px), screen",
+    );
+    expect(normalizeMediaQuery("(min-width: 768px) and ((a) or (b))")).toBe(
+      "(min-width: 768px) and ((a) or (b))",
+    );
+  });
+
+  test("keeps media types apart", () => {
+    const css = [
+      "@media screen and (min-width: 600px) { .a { color: red; } }",
+      "@media print and (min-width: 600px) { .b { color: blue; } }",
+    ].join("\n");
+
+    expect(combineDuplicateMediaQueries(css).count).toBe(0);
+  });
+
+  test("ignores braces and @media in strings and comments", () => {
+    const css = [
+      '@media (min-width: 600px) { .a::before { content: "}"; } }',
+      "/* @media (min-width: 600px) { */",
+      '.b { content: "@media (min-width: 600px) {"; }',
+      "@media (min-width: 600px) { .c { color: red; } }",
+    ].join("\n");
+
+    const result = combineDuplicateMediaQueries(css);
+
+    expect(result.count).toBe(1);
+    expect(result.css).toBe(
+      [
+        '@media (min-width: 600px) { .a::before { content: "}"; } .c { color: red; } }',
+        "/* @media (min-width: 600px) { */",
+        '.b { content: "@media (min-width: 600px) {"; }',
+      ].join("\n"),
+    );
+  });
+
+  test("merges only within the same parent", () => {
+    const css = [
+      "@media (min-width: 600px) { .a { color: red; } }",
+      "@supports (display: grid) {",
+      "  @media (min-width: 600px) { .b { color: red; } }",
+      "  @media (min-width: 600px) { .c { color: red; } }",
+      "}",
+      "@layer base { @media (min-width: 600px) { .d { color: red; } } }",
+    ].join("\n");
+
+    const result = combineDuplicateMediaQueries(css);
+
+    expect(result.count).toBe(1);
+    expect(result.css.match(/@media/g)).toHaveLength(3);
+    expect(result.css).toContain(
+      "@media (min-width: 600px) { .b { color: red; } .c { color: red; } }",
+    );
+  });
+
+  test("keeps the cascade: moves blocks down or leaves them apart", () => {
+    const movedDown = [
+      "@media (min-width: 600px) { .b { margin: 0; } }",
+      ".a { color: blue; }",
+      "@media (min-width: 600px) { .a { color: red; } }",
+    ].join("\n");
+    const apart = [
+      "@media (min-width: 600px) { .a { color: red; } }",
+      ".a { color: blue; }",
+      "@media (min-width: 600px) { .a { color: green; } }",
+    ].join("\n");
+
+    expect(combineDuplicateMediaQueries(movedDown).css).toBe(
+      [
+        ".a { color: blue; }",
+        "@media (min-width: 600px) { .b { margin: 0; } .a { color: red; } }",
+      ].join("\n"),
+    );
+    expect(combineDuplicateMediaQueries(apart).count).toBe(0);
+  });
+
+  test("removes repeated rules and reports each merge with its location", () => {
+    const css = [
+      "@media (min-width: 600px) { .a { color: red; } .b { color: blue; } }",
+      ".c { margin: 0; }",
+      "@media (min-width: 600px) { .a { color: red; } }",
+    ].join("\n");
+
+    const { css: output, changes } = runMediaQueryCombiner(css, {
+      from: "style.css",
+    });
+
+    expect(output).toBe(
+      [
+        "@media (min-width: 600px) { .b { color: blue; } .a { color: red; } }",
+        ".c { margin: 0; }",
+      ].join("\n"),
+    );
+    expect(changes).toEqual([
+      expect.objectContaining({
+        rule: "merge-media-query",
+        message:
+          "Merged `@media (min-width: 600px)` (line 3) into the block at line 1",
+        file: expect.stringContaining("style.css"),
+        line: 3,
+      }),
+      expect.objectContaining({
+        rule: "remove-duplicate-rule",
+        line: 1,
+        column: 29,
+        before: ".a { color: red; }",
+      }),
+    ]);
   });
 
   test("handles empty CSS", () => {
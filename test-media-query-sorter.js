@@ -0,0 +1,129 @@
+import postcss from "postcss";
+import {
+  getMediaQueryComparator,
+  mediaQuerySorter,
+  runMediaQuerySorter,
+} from "./media-query-sorter.js";
+
+const css = [
+  ".a { color: red; }",
+  "@media (max-width: 600px) { .b { margin: 0; } }",
+  "@media (min-width: 1024px) { .c { margin: 0; } }",
+  ".d { padding: 0; }",
+  "@media (min-width: 768px) { .e { top: 0; } }",
+].join("\n");
+
+const queries = (output) => output.match(/@media [^{]+/g).map((q) => q.trim());
+
+describe("Media query ordering", () => {
+  test("sorts top-level media blocks mobile-first or desktop-first", () => {
+    const mobile = runMediaQuerySorter(css, { order: "mobile-first" });
+    const desktop = runMediaQuerySorter(css, { order: "desktop-first" });
+
+    expect(queries(mobile.css)).toEqual([
+      "@media (min-width: 768px)",
+      "@media (min-width: 1024px)",
+      "@media (max-width: 600px)",
+    ]);
+    expect(mobile.css.split("\n").slice(0, 2)).toEqual([
+      ".a { color: red; }",
+      ".d { padding: 0; }",
+    ]);
+    expect(queries(desktop.css)).toEqual([
+      "@media (max-width: 600px)",
+      "@media (min-width: 768px)",
+      "@media (min-width: 1024px)",
+    ]);
+    expect(mobile.changes.map(({ rule, line }) => [rule, line])).toEqual([
+      ["sort-media-query", 5],
+      ["sort-media-query", 3],
+      ["sort-media-query", 2],
+    ]);
+  });
+
+  test("preserves source order or uses a custom comparator", () => {
+    const preserved = runMediaQuerySorter(css, { order: "preserve" });
+    const custom = runMediaQuerySorter(css, {
+      order: (a, b) => b.length - a.length,
+    });
+
+    expect(preserved).toEqual({ css, changes: [], skipped: [] });
+    expect(queries(custom.css)).toEqual([
+      "@media (min-width: 1024px)",
+      "@media (max-width: 600px)",
+      "@media (min-width: 768px)",
+    ]);
+    expect(custom.changes[0].message).toContain("into custom order");
+    expect(() => getMediaQueryComparator("largest-first")).toThrow(
+      'Unknown media query order "largest-first"',
+    );
+  });
+
+  test("keeps blocks in place when moving them would change the cascade", () => {
+    const mobileFirst = [
+      ".a { color: red; }",
+      "@media (min-width: 768px) { .a { color: blue; } }",
+      "@media (max-width: 400px) { .b { top: 0; } }",
+      ".a { margin: 0; }",
+      ".a { color: green; }",
+    ].join("\n");
+
+    const { css: sorted, skipped } = runMediaQuerySorter(mobileFirst, {
+      order: "mobile-first",
+      from: "src/app.css",
+    });
+
+    expect(skipped).toEqual([
+      expect.objectContaining({
+        rule: "media-query-order-unsafe",
+        line: 2,
+        message:
+          "Kept `@media (min-width: 768px)` (line 2) in place: moving it past `.a` (line 5) would change which declaration wins",
+      }),
+    ]);
+    expect(sorted.split("\n")).toEqual([
+      ".a { color: red; }",
+      "@media (min-width: 768px) { .a { color: blue; } }",
+      ".a { margin: 0; }",
+      ".a { color: green; }",
+      "@media (max-width: 400px) { .b { top: 0; } }",
+    ]);
+  });
+
+  test("moves blocks past blocks that never apply together", () => {
+    const ranges = [
+      "@media print { .a { color: black; } }",
+      "@media screen and (max-width: 1023.98px) { .a { color: blue; } }",
+      "@media screen and (min-width: 1024px) { .a { color: red; } }",
+      "@media (width >= 600px) { .a { margin: 0; } }",
+    ].join("\n");
+
+    const { css: sorted, skipped } = runMediaQuerySorter(ranges, {
+      order: "mobile-first",
+    });
+
+    expect(queries(sorted)).toEqual([
+      "@media (width >= 600px)",
+      "@media screen and (min-width: 1024px)",
+      "@media screen and (max-width: 1023.98px)",
+      "@media print",
+    ]);
+    expect(skipped).toEqual([]);
+  });
+
+  test("reports skipped blocks as PostCSS warnings", async () => {
+    const result = await postcss([
+      mediaQuerySorter({ order: "desktop-first" }),
+    ]).process(
+      ".a { color: red; }\n@media (min-width: 768px) { .a { color: blue; } }\n.a { color: green; }",
+      { from: undefined },
+    );
+
+    expect(result.warnings().map((warning) => warning.text)).toEqual([
+      "Kept `@media (min-width: 768px)` (line 2) in place: moving it past `.a` (line 3) would change which declaration wins",
+    ]);
+    expect(() => mediaQuerySorter({ order: "largest-first" })).toThrow(
+      "Unknown media query order",
+    );
+  });
+});
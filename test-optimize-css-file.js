@@ -0,0 +1,410 @@
+import { jest } from "@jest/globals";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import postcss from "postcss";
+import {
+  configureOptimizer,
+  optimizeCss,
+  optimizeCssFile,
+  optimizeCssInChunks,
+} from "./css-optimizer.js";
+import {
+  ErrorHandler,
+  CssParseError,
+  FileIOError,
+  FileSizeError,
+  toOptimizerError,
+} from "./error-handler.js";
+
+describe("optimizeCssFile (in-memory API)", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("returns optimized code, map, warnings and stats", async () => {
+    const css = `.a { word-break: break-word; padding-top: 10xp; }`;
+
+    const result = await optimizeCssFile(css, { enableAI: false });
+
+    expect(result.optimizedCode).toContain("overflow-wrap: break-word");
+    expect(result.optimizedCode).toContain("10px");
+    expect(result).toHaveProperty("map");
+    expect(Array.isArray(result.warnings)).toBe(true);
+    expect(result.stats.originalSize).toBe(Buffer.byteLength(css, "utf8"));
+    expect(result.stats.finalSize).toBe(
+      Buffer.byteLength(result.optimizedCode, "utf8"),
+    );
+  });
+
+  test("combines duplicate media queries in the output", async () => {
+    const css = `
+@media (max-width: 480px) { .a { color: red; } }
+.b { margin: 0; }
+@media (max-width: 480px) { .c { color: green; } }
+`;
+
+    const result = await optimizeCssFile(css, { enableAI: false });
+
+    expect(result.optimizedCode.match(/@media/g)).toHaveLength(1);
+  });
+
+  test("minifies when requested", async () => {
+    const css = `.a {\n  color: red;\n}\n\n.b {\n  color: blue;\n}\n`;
+
+    const result = await optimizeCssFile(css, {
+      enableAI: false,
+      minify: true,
+    });
+
+    expect(result.stats.finalSize).toBeLessThanOrEqual(
+      result.stats.originalSize,
+    );
+  });
+
+  test("merges duplicate rules only when asked to", async () => {
+    const css = `.a { color: red; }\n.b { color: blue; }\n.a { margin: 0; }\n`;
+
+    const unmerged = await optimizeCssFile(css, { enableAI: false });
+    const merged = await optimizeCssFile(css, {
+      enableAI: false,
+      mergeRules: true,
+    });
+
+    expect(unmerged.optimizedCode.match(/\.a \{/g)).toHaveLength(2);
+    expect(merged.optimizedCode.match(/\.a \{/g)).toHaveLength(1);
+    expect(merged.stats.rulesMerged).toBe(1);
+    expect(merged.changes).toContainEqual(
+      expect.objectContaining({
+        stage: "merge-rules",
+        rule: "merge-duplicate-selector",
+        line: 3,
+      }),
+    );
+  });
+
+  test("collapses shorthands unless switched off", async () => {
+    const css = `.a { margin-top: 0; margin-right: 0; margin-bottom: 0; margin-left: 0; }\n`;
+
+    const collapsed = await optimizeCssFile(css, { enableAI: false });
+    const kept = await optimizeCssFile(css, {
+      enableAI: false,
+      shorthands: false,
+    });
+
+    expect(collapsed.optimizedCode).toContain("margin: 0;");
+    expect(kept.optimizedCode).toContain("margin-left: 0;");
+    expect(kept.stats.shorthands).toBeUndefined();
+  });
+
+  test("rolls back stages that change the cascade when asked to", async () => {
+    // The shorthand-order fix moves `margin` before `margin-top`
+    const css = ".b { margin-top: 4px; margin: 0; }\n";
+
+    const warned = await optimizeCssFile(css, {
+      enableAI: false,
+      verifyCascade: "warn",
+    });
+    const rolledBack = await optimizeCssFile(css, {
+      enableAI: false,
+      verifyCascade: "rollback",
+    });
+
+    expect(warned.optimizedCode).toContain("margin: 4px 0 0;");
+    expect(warned.warnings).toContainEqual(
+      expect.objectContaining({
+        stage: "fixes",
+        rule: "cascade-changed",
+        line: 1,
+      }),
+    );
+    expect(rolledBack.optimizedCode).toContain("margin: 0;");
+    expect(rolledBack.stats.rolledBackStages).toEqual(["fixes"]);
+  });
+
+  test("undoes only the fixes and stats of the stage rolled back", async () => {
+    const css =
+      ".x { word-break: break-word; }\n.a { color: red; }\n.b { color: blue; }\n";
+    const swap = {
+      name: "swap",
+      run(input, context, stats) {
+        context.fixes.push({ rule: "swap" });
+        stats.swapped = 1;
+        return input.replace(
+          ".a { color: red; }\n.b { color: blue; }",
+          ".b { color: blue; }\n.a { color: red; }",
+        );
+      },
+    };
+
+    const result = await optimizeCssFile(css, {
+      enableAI: false,
+      verifyCascade: "rollback",
+      pipeline: { plugins: [{ use: swap, after: "fixes" }] },
+    });
+
+    expect(result.stats.rolledBackStages).toEqual(["swap"]);
+    expect(result.stats).not.toHaveProperty("swapped");
+    expect(result.stats.fixes).toBe(1);
+    expect(result.fixes).toEqual([
+      expect.objectContaining({ rule: "word-break-deprecated" }),
+    ]);
+  });
+
+  test("leaves media blocks in place when sorting them is unsafe", async () => {
+    const css = [
+      ".a { color: red; }",
+      "@media (min-width: 600px) { .a { color: blue; } }",
+      ".a { color: green; }",
+    ].join("\n");
+
+    const result = await optimizeCssFile(css, {
+      enableAI: false,
+      verifyCascade: "warn",
+    });
+
+    expect(result.optimizedCode.indexOf("@media")).toBeLessThan(
+      result.optimizedCode.indexOf("green"),
+    );
+    expect(result.warnings).toContainEqual(
+      expect.objectContaining({
+        stage: "postcss",
+        rule: "css-optimizer-sort-media-queries",
+        line: 2,
+      }),
+    );
+    expect(
+      result.warnings.filter(({ rule }) => rule === "cascade-changed"),
+    ).toEqual([]);
+  });
+
+  test("inlines local imports only when asked to", async () => {
+    const tmpDir = await fs.mkdtemp(
+      path.join(os.tmpdir(), "css-optimizer-import-"),
+    );
+    await fs.writeFile(path.join(tmpDir, "base.css"), ".base { color: red; }");
+    const css = `@import "base.css";\n.a { margin: 0; }\n`;
+    const from = path.join(tmpDir, "main.css");
+
+    try {
+      const kept = await optimizeCssFile(css, { enableAI: false, from });
+      const inlined = await optimizeCssFile(css, {
+        enableAI: false,
+        from,
+        inlineImports: true,
+      });
+
+      expect(kept.optimizedCode).toContain('@import "base.css"');
+      expect(inlined.optimizedCode).not.toContain("@import");
+      expect(inlined.optimizedCode).toContain(".base");
+      expect(inlined.dependencies).toEqual([path.join(tmpDir, "base.css")]);
+      expect(inlined.changes).toContainEqual(
+        expect.objectContaining({ stage: "imports", rule: "inline-import" }),
+      );
+    } finally {
+      await fs.remove(tmpDir);
+    }
+  });
+
+  test("wraps files mapped in layers into their layer", async () => {
+    const tmpDir = await fs.mkdtemp(
+      path.join(os.tmpdir(), "css-optimizer-layers-"),
+    );
+    const from = path.join(tmpDir, "legacy", "site.css");
+    const css = `.a { color: red; }\n`;
+    await fs.outputFile(from, css);
+
+    try {
+      const result = await optimizeCssFile(css, {
+        enableAI: false,
+        from,
+        baseDir: tmpDir,
+        layers: { "legacy/**/*.css": "legacy" },
+      });
+
+      expect(result.optimizedCode).toMatch(
+        /^@layer legacy \{\s*\.a \{\s*color: red;\s*\}\s*\}/,
+      );
+      expect(result.changes).toContainEqual(
+        expect.objectContaining({ stage: "layers", rule: "wrap-in-layer" }),
+      );
+    } finally {
+      await fs.remove(tmpDir);
+    }
+  });
+
+  test("inlines assets and reports missing ones when asked to", async () => {
+    const tmpDir = await fs.mkdtemp(
+      path.join(os.tmpdir(), "css-optimizer-assets-"),
+    );
+    await fs.writeFile(path.join(tmpDir, "dot.gif"), "GIF89a");
+    const css = `.a { background: url(dot.gif); }\n.b { background: url(gone.png); }\n`;
+
+    try {
+      const result = await optimizeCssFile(css, {
+        enableAI: false,
+        from: path.join(tmpDir, "main.css"),
+        to: path.join(tmpDir, "dist/main.css"),
+        assets: true,
+      });
+
+      expect(result.optimizedCode).toContain(
+        "url(data:image/gif;base64,R0lGODlh)",
+      );
+      expect(result.stats.assetsInlined).toBe(1);
+      expect(result.warnings).toContainEqual(
+        expect.objectContaining({
+          stage: "assets",
+          rule: "asset-not-found",
+          severity: "error",
+          line: 2,
+        }),
+      );
+    } finally {
+      await fs.remove(tmpDir);
+    }
+  });
+});
+
+describe("optimizeCssInChunks", () => {
+  let projectDir;
+
+  beforeAll(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), "css-optimizer-"));
+    await fs.writeJson(path.join(projectDir, "css-optimizer.config.json"), {
+      options: {
+        chunked: { enabled: true, chunkSizeKB: 1 },
+        browsers: ["ie 11"],
+      },
+    });
+    await configureOptimizer({ cwd: projectDir, env: {} });
+  });
+
+  afterAll(async () => {
+    // Back to the default chunk size for the other tests
+    await fs.remove(path.join(projectDir, "css-optimizer.config.json"));
+    await configureOptimizer({ cwd: projectDir, env: {} });
+    await fs.remove(projectDir);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("keeps definitions that only later chunks use", async () => {
+    const inputPath = path.join(projectDir, "large.css");
+    const outputPath = path.join(projectDir, "large.optimized.css");
+    await fs.writeFile(
+      inputPath,
+      [
+        "@keyframes spin { to { transform: rotate(1turn); } }",
+        ":root { --brand: red; }",
+        ...Array.from({ length: 60 }, (_, i) => `.f${i} { margin: ${i}px; }`),
+        ".a { animation: spin 1s; color: var(--brand); }",
+      ].join("\n"),
+    );
+
+    const result = await optimizeCssInChunks(inputPath, outputPath, {
+      enableAI: false,
+      removeUnused: true,
+    });
+    const output = await fs.readFile(outputPath, "utf8");
+
+    expect(result.chunks).toBeGreaterThan(1);
+    expect(output).toContain("@keyframes spin");
+    expect(output).toContain("--brand: red");
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining("Unused definition removal is not available"),
+    );
+  });
+
+  test("resolves custom properties declared in earlier chunks", async () => {
+    const inputPath = path.join(projectDir, "large.css");
+    const outputPath = path.join(projectDir, "large.optimized.css");
+    await fs.writeFile(
+      inputPath,
+      [
+        ":root { --brand: red; }",
+        ...Array.from({ length: 60 }, (_, i) => `.f${i} { margin: ${i}px; }`),
+        ".a { color: var(--brand, blue); }",
+      ].join("\n"),
+    );
+
+    const result = await optimizeCssInChunks(inputPath, outputPath, {
+      enableAI: false,
+    });
+    const output = await fs.readFile(outputPath, "utf8");
+
+    expect(result.chunks).toBeGreaterThan(1);
+    expect(output).toMatch(/color: red;\s+color: var\(--brand, blue\);/);
+    expect(result.warnings).not.toContainEqual(
+      expect.objectContaining({ stage: "custom-properties" }),
+    );
+  });
+});
+
+describe("optimizeCss failures", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("throws a FileIOError instead of exiting when the input is missing", async () => {
+    const exitSpy = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+    const error = await optimizeCss(
+      "does-not-exist.css",
+      "does-not-exist.optimized.css",
+      { createBackup: false },
+    ).catch((err) => err);
+
+    expect(error).toBeInstanceOf(FileIOError);
+    expect(error.type).toBe("FILE_NOT_FOUND");
+    expect(error.file).toBe("does-not-exist.css");
+    expect(exitSpy).not.toHaveBeenCalled();
+  });
+
+  test("maps PostCSS syntax errors to CssParseError with a location", () => {
+    let syntaxError;
+    try {
+      postcss.parse("a { color: red", { from: "broken.css" });
+    } catch (err) {
+      syntaxError = err;
+    }
+
+    const error = toOptimizerError(syntaxError);
+
+    expect(error).toBeInstanceOf(CssParseError);
+    expect(error.type).toBe("CSS_PARSE_ERROR");
+    expect(error.line).toBe(1);
+    expect(error.column).toBe(1);
+    expect(error.file).toContain("broken.css");
+  });
+
+  test("categorizes typed errors through ErrorHandler", () => {
+    const error = new FileSizeError("File too large", { size: 20, limit: 10 });
+
+    expect(ErrorHandler.categorizeError(error)).toBe("SIZE_ERROR");
+    expect(error.toJSON()).toMatchObject({
+      name: "FileSizeError",
+      type: "SIZE_ERROR",
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { OptimizerCache, getToolVersions } from "./optimizer-cache.js";
+
+describe("OptimizerCache", () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(
+      path.join(os.tmpdir(), "css-optimizer-cache-"),
+    );
+  });
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  async function age(cache, key, secondsAgo) {
+    const time = new Date(Date.now() - secondsAgo * 1000);
+    await fs.utimes(cache.entryPath(key), time, time);
+  }
+
+  test("keys change with content, config, run options and versions", () => {
+    const cache = new OptimizerCache({ directory });
+    const key = cache.createKey(".a{}", { ENABLE_MINIFICATION: true });
+
+    expect(cache.createKey(".a{}", { ENABLE_MINIFICATION: true })).toBe(key);
+    expect(cache.createKey(".b{}", { ENABLE_MINIFICATION: true })).not.toBe(
+      key,
+    );
+    expect(cache.createKey(".a{}", { ENABLE_MINIFICATION: false })).not.toBe(
+      key,
+    );
+    expect(
+      cache.createKey(".a{}", { ENABLE_MINIFICATION: true }, { fixRules: {} }),
+    ).not.toBe(key);
+    expect(getToolVersions()).toMatchObject({
+      "ultimate-ai-css-optimizer": expect.any(String),
+      postcss: expect.any(String),
+    });
+  });
+
+  test("stores and reads entries", async () => {
+    const cache = new OptimizerCache({ directory });
+
+    await cache.set("one", { optimizedCss: ".a{}" });
+
+    expect(await cache.get("one")).toMatchObject({ optimizedCss: ".a{}" });
+    expect(await cache.get("missing")).toBeNull();
+  });
+
+  test("treats corrupt entries as misses", async () => {
+    const cache = new OptimizerCache({ directory });
+    await fs.writeFile(cache.entryPath("broken"), '{"optimizedCss": ".a');
+
+    expect(await cache.get("broken")).toBeNull();
+  });
+
+  test("evicts the least recently used entries beyond the size limit", async () => {
+    const cache = new OptimizerCache({ directory });
+    const css = "x".repeat(100);
+    for (const key of ["a", "b", "c"]) {
+      await cache.set(key, { optimizedCss: css });
+    }
+    await age(cache, "a", 30);
+    await age(cache, "b", 20);
+    await age(cache, "c", 10);
+
+    // Reading "a" makes "b" the least recently used
+    await cache.get("a");
+    const entrySize = (await fs.stat(cache.entryPath("a"))).size;
+    const result = await cache.prune({ maxSize: entrySize * 2 });
+
+    expect(result.removed).toBe(1);
+    expect(await fs.pathExists(cache.entryPath("b"))).toBe(false);
+    expect(await fs.pathExists(cache.entryPath("a"))).toBe(true);
+    expect(await fs.pathExists(cache.entryPath("c"))).toBe(true);
+  });
+
+  test("prunes automatically once writes exceed maxSize", async () => {
+    const cache = new OptimizerCache({ directory, maxSize: 300 });
+
+    for (let i = 0; i < 5; i++) {
+      await cache.set(`entry${i}`, { optimizedCss: "x".repeat(100) });
+    }
+
+    const stats = await cache.stats();
+    expect(stats.size).toBeLessThanOrEqual(300);
+    expect(stats.entries).toBeGreaterThan(0);
+  });
+
+  test("concurrent writers leave one complete entry and no temporary files", async () => {
+    const writers = Array.from({ length: 10 }, (_, i) =>
+      new OptimizerCache({ directory }).set("shared", {
+        optimizedCss: `.writer-${i} { color: red; }`.repeat(200),
+      }),
+    );
+    await Promise.all(writers);
+
+    const entry = await new OptimizerCache({ directory }).get("shared");
+    expect(entry.optimizedCss).toMatch(/^\.writer-\d+ \{ color: red; \}/);
+    expect(await fs.readdir(directory)).toEqual(["shared.json"]);
+  });
+
+  test("reports stats, clears entries and removes stale temporary files", async () => {
+    const cache = new OptimizerCache({ directory, maxSize: 1024 });
+    await cache.set("a", { optimizedCss: ".a{}" });
+    const stale = path.join(directory, "b.json.123.abcd.tmp");
+    await fs.writeFile(stale, "{");
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await fs.utimes(stale, old, old);
+
+    const stats = await cache.stats();
+    expect(stats).toMatchObject({ directory, entries: 1, maxSize: 1024 });
+
+    await cache.prune();
+    expect(await fs.pathExists(stale)).toBe(false);
+
+    expect(await cache.clear()).toMatchObject({ removed: 1 });
+    expect((await cache.stats()).entries).toBe(0);
+  });
+
+  test("clears only its own files from a shared directory", async () => {
+    const cache = new OptimizerCache({ directory });
+    await cache.set("a", { optimizedCss: ".a{}" });
+    await fs.writeFile(path.join(directory, "a.json.1.abcd.tmp"), "{");
+    await fs.outputFile(path.join(directory, "notes.txt"), "keep");
+    await fs.outputFile(path.join(directory, "sub", "b.json"), "{}");
+
+    expect(await cache.clear()).toMatchObject({ removed: 1 });
+    expect((await fs.readdir(directory)).sort()).toEqual(["notes.txt", "sub"]);
+  });
+});
@@ -0,0 +1,226 @@
+import { jest } from "@jest/globals";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { Pipeline, configurePipeline, loadStage } from "./pipeline.js";
+import { OptimizerError } from "./error-handler.js";
+import {
+  createOptimizationPipeline,
+  optimizeCssFile,
+} from "./css-optimizer.js";
+
+const upper = { name: "upper", run: (css) => css.toUpperCase() };
+const suffix = (text) => ({ name: `suffix-${text}`, run: (css) => css + text });
+
+describe("Pipeline", () => {
+  test("runs stages in registration order", async () => {
+    const pipeline = new Pipeline().register(suffix("a")).register(suffix("b"));
+
+    const result = await pipeline.run("x");
+
+    expect(result.css).toBe("xab");
+    expect(Object.keys(result.stats.stages)).toEqual(["suffix-a", "suffix-b"]);
+  });
+
+  test("places stages before or after existing ones", () => {
+    const pipeline = new Pipeline()
+      .register(suffix("a"))
+      .register(suffix("c"))
+      .register(suffix("b"), { after: "suffix-a" })
+      .register(upper, { before: "suffix-a" });
+
+    expect(pipeline.getStageNames()).toEqual([
+      "upper",
+      "suffix-a",
+      "suffix-b",
+      "suffix-c",
+    ]);
+  });
+
+  test("skips disabled stages and keeps CSS when a stage returns nothing", async () => {
+    const pipeline = new Pipeline()
+      .register(upper)
+      .register({ name: "noop", run: () => undefined })
+      .disable("upper");
+
+    expect((await pipeline.run("x")).css).toBe("x");
+    expect(pipeline.getStageNames()).toEqual(["noop"]);
+  });
+
+  test("passes shared context and stats to stages and hooks", async () => {
+    const seen = [];
+    const pipeline = new Pipeline()
+      .register({
+        name: "count",
+        run(css, context, stats) {
+          stats.count = (stats.count || 0) + 1;
+          context.touched = true;
+          return css;
+        },
+      })
+      .before("count", (css) => `${css}-before`)
+      .after("*", (css, context, stats) => {
+        seen.push([context.touched, stats.count]);
+        return `${css}-after`;
+      });
+
+    const result = await pipeline.run("x", {});
+
+    expect(result.css).toBe("x-before-after");
+    expect(seen).toEqual([[true, 1]]);
+  });
+
+  test("lets verifiers check and replace the output of changed stages", async () => {
+    const checked = [];
+    const pipeline = new Pipeline()
+      .register(suffix("a"))
+      .register({ name: "noop", run: (css) => css })
+      .register(upper)
+      .verify((before, after, stageName) => {
+        checked.push([stageName, before, after]);
+        return stageName === "upper" ? before : undefined;
+      });
+
+    const result = await pipeline.run("x");
+
+    expect(result.css).toBe("xa");
+    expect(checked).toEqual([
+      ["suffix-a", "x", "xa"],
+      ["upper", "xa", "XA"],
+    ]);
+  });
+
+  test("rejects invalid or duplicate stages", () => {
+    const pipeline = new Pipeline().register(upper);
+
+    expect(() => pipeline.register(upper)).toThrow(OptimizerError);
+    expect(() => pipeline.register({ name: "bad" })).toThrow(OptimizerError);
+    expect(() => pipeline.register(suffix("a"), { after: "missing" })).toThrow(
+      /unknown stage "missing"/,
+    );
+  });
+
+  test("reports which stage failed", async () => {
+    const pipeline = new Pipeline().register({
+      name: "explode",
+      run: () => {
+        throw new Error("boom");
+      },
+    });
+
+    const error = await pipeline.run("x").catch((err) => err);
+
+    expect(error).toBeInstanceOf(OptimizerError);
+    expect(error.stage).toBe("explode");
+  });
+});
+
+describe("Third-party stages", () => {
+  let tempDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "css-pipeline-"));
+    await fs.writeFile(
+      path.join(tempDir, "token-stage.mjs"),
+      `export default (options) => ({
+        name: "tokens",
+        run: (css) => css.replace(/\\$brand/g, options.brand),
+      });`,
+    );
+  });
+
+  afterAll(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test("loads a stage factory from a path with options", async () => {
+    const stage = await loadStage("./token-stage.mjs", tempDir, {
+      brand: "#1a73e8",
+    });
+
+    expect(stage.name).toBe("tokens");
+    expect(stage.run("a { color: $brand; }")).toBe("a { color: #1a73e8; }");
+  });
+
+  test("reports plugins that cannot be resolved", async () => {
+    await expect(
+      loadStage("css-optimizer-stage-that-does-not-exist", tempDir),
+    ).rejects.toThrow(/Cannot find pipeline plugin/);
+  });
+
+  test("configures plugins, toggles and hooks from config", async () => {
+    const pipeline = new Pipeline().register(upper);
+
+    await configurePipeline(
+      pipeline,
+      {
+        plugins: [
+          {
+            use: "./token-stage.mjs",
+            before: "upper",
+            options: { brand: "x" },
+          },
+        ],
+        stages: { upper: false },
+      },
+      tempDir,
+    );
+
+    expect(pipeline.getStageNames()).toEqual(["tokens"]);
+  });
+});
+
+describe("Optimization pipeline", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("registers the built-in stages in order", async () => {
+    const pipeline = await createOptimizationPipeline();
+
+    expect(pipeline.getStageNames()).toEqual([
+      "imports",
+      "layers",
+      "lint",
+      "fixes",
+      "ai",
+      "merge-rules",
+      "shorthands",
+      "design-tokens",
+      "unused",
+      "custom-properties",
+      "assets",
+      "postcss",
+      "prettier",
+      "media-combine",
+    ]);
+  });
+
+  test("runs custom stages and honours stage toggles", async () => {
+    const result = await optimizeCssFile(".a { color: $brand; }", {
+      enableAI: false,
+      pipeline: {
+        plugins: [
+          {
+            use: {
+              name: "tokens",
+              run: (css) => css.replace("$brand", "#1a73e8"),
+            },
+            after: "lint",
+          },
+        ],
+        stages: { prettier: false },
+      },
+    });
+
+    expect(result.optimizedCode).toContain("#1a73e8");
+    expect(result.stats.stages).toHaveProperty("tokens");
+    expect(result.stats.stages).not.toHaveProperty("prettier");
+  });
+});
@@ -323,4 +323,106 @@ document.addEventListener('DOMContentLoaded', function() {
     // Should preserve safelisted selectors even if not used
     expect(output).toContain("preserve-me");
   });
+
+  test("should drop keyframes and variables only removed rules used", async () => {
+    const css = `:root {
+  --used: red;
+  --orphan: blue;
+}
+
+.used-class {
+  color: var(--used);
+  animation: spin 1s;
+}
+
+.unused-class {
+  color: var(--orphan);
+  animation: fade 1s;
+}
+
+@keyframes spin {
+  to {
+    opacity: 0;
+  }
+}
+
+@keyframes fade {
+  to {
+    opacity: 0;
+  }
+}`;
+
+    const result = await new PurgeCSSIntegration({
+      safelist: [":root"],
+    }).removeUnusedCSS(css, ["used-class"]);
+
+    expect(result.css).toContain("--used: red");
+    expect(result.css).toContain("@keyframes spin");
+    expect(result.css).not.toContain("--orphan");
+    expect(result.css).not.toContain("@keyframes fade");
+    expect(result.stats.removedDefinitions).toBe(2);
+
+    const kept = await new PurgeCSSIntegration({
+      safelist: [":root"],
+      variables: "all",
+      keyframes: "all",
+    }).removeUnusedCSS(css, ["used-class"]);
+
+    expect(kept.css).toContain("--orphan");
+    expect(kept.css).toContain("@keyframes fade");
+  });
+
+  test("should purge inside layers without changing the layer order", async () => {
+    const css = `@layer reset, base;
+
+@layer theme {
+  .unused-class {
+    color: red;
+  }
+}
+
+@layer base {
+  .used-class {
+    color: blue;
+  }
+
+  .unused-class {
+    margin: 0;
+  }
+}
+
+@media (min-width: 600px) {
+  @layer base {
+    .unused-class {
+      padding: 0;
+    }
+  }
+}`;
+
+    const result = await new PurgeCSSIntegration({}).removeUnusedCSS(css, [
+      "used-class",
+    ]);
+
+    expect(result.css).toBe(`@layer reset, base;
+
+@layer theme;
+
+@layer base {
+  .used-class {
+    color: blue;
+  }
+}
+
+@media (min-width: 600px) {
+  @layer base {
+    .unused-class {
+      padding: 0;
+    }
+  }
+}`);
+    expect(result.rejectedSelectors).toEqual([
+      ".unused-class",
+      ".unused-class",
+    ]);
+  });
 });
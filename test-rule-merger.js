@@ -0,0 +1,121 @@
+import { runRuleMerger } from "./rule-merger.js";
+
+const merge = (css) => runRuleMerger(css).css;
+
+describe("Rule merger", () => {
+  test("merges rules with the same selector", () => {
+    const { css, changes } = runRuleMerger(
+      ".a { color: red; }\n.b { color: blue; }\n.a { margin: 0; }",
+    );
+
+    expect(css).toBe(".a { color: red; margin: 0; }\n.b { color: blue; }");
+    expect(changes).toEqual([
+      expect.objectContaining({
+        rule: "merge-duplicate-selector",
+        line: 3,
+        after: ".a { color: red; margin: 0; }",
+      }),
+    ]);
+  });
+
+  test("merges at the later rule when the earlier one can't move up", () => {
+    expect(
+      merge(
+        ".a { color: red; }\n.x { margin: 0; }\n.a { margin: 4px; }\n.x { color: blue; }",
+      ),
+    ).toBe(
+      ".x { margin: 0; }\n.a { color: red; margin: 4px; }\n.x { color: blue; }",
+    );
+  });
+
+  test("doesn't merge across rules of equal specificity setting the same properties", () => {
+    const cases = [
+      ".a { color: red; }\n.x { color: blue; }\n.a { color: green; }",
+      ".a { margin: 0; }\n.x { margin-top: 4px; }\n.a { margin: 1px; }",
+      ".a { color: red; }\n@media (min-width: 600px) { .x { color: blue; } }\n.a { color: green; }",
+      ".a { color: red; }\n[data-x] { color: blue; }\n.a { color: green; }",
+    ];
+
+    cases.forEach((css) => expect(merge(css)).toBe(css));
+    expect(
+      merge(".a { color: red; }\n#x { color: blue; }\n.a { color: green; }"),
+    ).toBe(".a { color: red; color: green; }\n#x { color: blue; }");
+    expect(
+      merge(
+        ".a { color: red; }\n.x { color: blue !important; }\n.a { color: green; }",
+      ),
+    ).toBe(".a { color: red; color: green; }\n.x { color: blue !important; }");
+  });
+
+  test("merges past rules of equal specificity that can't match the same element", () => {
+    expect(
+      merge("h1 { color: red; }\nh2 { color: blue; }\nh1 { margin: 0; }"),
+    ).toBe("h1 { color: red; margin: 0; }\nh2 { color: blue; }");
+    expect(
+      merge(
+        "#a { color: red; }\n#b { color: blue; }\n.x::before { color: gray; }\n#a { color: green; }",
+      ),
+    ).toBe(
+      "#a { color: red; color: green; }\n#b { color: blue; }\n.x::before { color: gray; }",
+    );
+    expect(
+      merge(".a { color: red; }\n.x { color: blue; }\n.b { color: red; }"),
+    ).toBe(".a { color: red; }\n.x { color: blue; }\n.b { color: red; }");
+  });
+
+  test("combines rules with identical declarations into selector lists", () => {
+    const { css, changes } = runRuleMerger(
+      ".a { color: red; }\n.b { margin: 0; }\nh1:hover { color: red; }",
+    );
+
+    expect(css).toBe(".a, h1:hover { color: red; }\n.b { margin: 0; }");
+    expect(changes).toEqual([
+      expect.objectContaining({ rule: "merge-identical-rules", line: 3 }),
+    ]);
+  });
+
+  test("keeps selectors older browsers may not understand out of lists", () => {
+    const cases = [
+      ".a { color: red; }\n.b:focus-visible { color: red; }",
+      "::-moz-selection { color: red; }\n::selection { color: red; }",
+      ".a { color: red; }\n:is(.b, .c) { color: red; }",
+    ];
+
+    cases.forEach((css) => expect(merge(css)).toBe(css));
+  });
+
+  test("only merges within the same at-rule block", () => {
+    expect(
+      merge(
+        ".a { color: red; }\n@media print { .a { color: red; } .a { margin: 0; } }",
+      ),
+    ).toBe(
+      ".a { color: red; }\n@media print { .a { color: red; margin: 0; } }",
+    );
+    expect(
+      merge("@keyframes spin { from { top: 0; } from { left: 0; } }"),
+    ).toBe("@keyframes spin { from { top: 0; } from { left: 0; } }");
+  });
+
+  test("merges past rules in layers, which an unlayered rule beats anyway", () => {
+    expect(
+      merge(
+        ".a { color: red; }\n@layer base { .x { color: blue; } }\n.a { margin: 0; }",
+      ),
+    ).toBe(
+      ".a { color: red; margin: 0; }\n@layer base { .x { color: blue; } }",
+    );
+    expect(
+      merge("@layer a { .x { color: red; } }\n@layer b { .x { margin: 0; } }"),
+    ).toBe("@layer a { .x { color: red; } }\n@layer b { .x { margin: 0; } }");
+  });
+
+  test("maps merged declarations back to the input", () => {
+    const { map } = runRuleMerger(".a { color: red; }\n.a { margin: 0; }", {
+      from: "site.css",
+      map: true,
+    });
+
+    expect(map.sources).toEqual(["site.css"]);
+  });
+});
@@ -0,0 +1,160 @@
+import { runShorthandOptimizer } from "./shorthand-optimizer.js";
+
+const optimize = (css) => runShorthandOptimizer(css).css;
+
+describe("Shorthand optimizer", () => {
+  test("collapses complete longhand sets", () => {
+    expect(
+      optimize(
+        ".a { margin-top: 0; margin-right: 4px; margin-bottom: 0; margin-left: 4px; }",
+      ),
+    ).toBe(".a { margin: 0 4px; }");
+    expect(
+      optimize(
+        ".a { padding-top: 1px; padding-right: 2px; padding-bottom: 3px; padding-left: 2px; }",
+      ),
+    ).toBe(".a { padding: 1px 2px 3px; }");
+    expect(optimize(".a { top: 0; right: 0; bottom: 0; left: 0; }")).toBe(
+      ".a { inset: 0; }",
+    );
+    expect(optimize(".a { row-gap: 1rem; column-gap: 2rem; }")).toBe(
+      ".a { gap: 1rem 2rem; }",
+    );
+    expect(
+      optimize(
+        ".a { grid-row-start: 1; grid-column-start: 2; grid-row-end: span 2; grid-column-end: 4; }",
+      ),
+    ).toBe(".a { grid-area: 1 / 2 / span 2 / 4; }");
+  });
+
+  test("collapses border sides, and to border only when border-image follows", () => {
+    const sides = ["top", "right", "bottom", "left"]
+      .map(
+        (side) =>
+          `border-${side}-width: 1px; border-${side}-style: solid; border-${side}-color: red;`,
+      )
+      .join(" ");
+
+    expect(optimize(`.a { ${sides} }`)).toBe(
+      ".a { border-width: 1px; border-style: solid; border-color: red; }",
+    );
+    expect(optimize(`.a { ${sides} border-image: none; }`)).toBe(
+      ".a { border: 1px solid red; border-image: none; }",
+    );
+  });
+
+  test("collapses font from the properties stylesheets commonly set", () => {
+    const longhands =
+      "font-style: italic; font-weight: bold; font-size: 16px; line-height: 1.5; font-family: Georgia, serif;";
+    const resets =
+      "font-size-adjust: none; font-kerning: auto; font-optical-sizing: auto; font-feature-settings: normal; font-variation-settings: normal; font-language-override: normal;";
+
+    const { css, changes } = runShorthandOptimizer(`.a { ${longhands} }`);
+    expect(css).toBe(".a { font: italic bold 16px/1.5 Georgia, serif; }");
+    expect(changes[0].message).toBe(
+      "Collapsed `font-style`, `font-weight`, `font-size`, `line-height`, `font-family` into `font`",
+    );
+    expect(
+      optimize(
+        `.a { font-style: normal; font-variant: small-caps; font-weight: bold; font-stretch: condensed; font-size: 16px; line-height: normal; font-family: Georgia; ${resets} }`,
+      ),
+    ).toBe(`.a { font: small-caps bold condensed 16px Georgia; ${resets} }`);
+
+    // Missing longhands, or ones `font` would reset set before it, stay
+    [
+      ".a { font-weight: bold; font-size: 16px; line-height: 1.5; font-family: Georgia; }",
+      `.a { font-variant-caps: small-caps; ${longhands} }`,
+      `.a { ${longhands} font-variant: all-small-caps; }`,
+    ].forEach((input) => expect(optimize(input)).toBe(input));
+  });
+
+  test("merges longhands that follow their shorthand", () => {
+    const { css, changes } = runShorthandOptimizer(
+      ".a {\n  margin: 0 auto;\n  margin-top: 4px;\n}",
+    );
+
+    expect(css).toBe(".a {\n  margin: 4px auto 0;\n}");
+    expect(changes).toEqual([
+      expect.objectContaining({
+        rule: "merge-longhands",
+        line: 2,
+        before: "margin: 0 auto; margin-top: 4px",
+        after: "margin: 4px auto 0",
+      }),
+    ]);
+  });
+
+  test("removes declarations overridden later in the same rule", () => {
+    const { css, changes } = runShorthandOptimizer(
+      ".a { color: red; margin-top: 4px; color: blue; margin: 0; --x: 1; --x: 2; }",
+    );
+
+    expect(css).toBe(".a { color: blue; margin: 0; --x: 2; }");
+    expect(changes.map((change) => change.rule)).toEqual([
+      "overridden-declaration",
+      "overridden-declaration",
+      "overridden-declaration",
+    ]);
+  });
+
+  test("respects !important", () => {
+    const cases = [
+      ".a { color: red !important; color: blue; }",
+      ".a { margin-top: 1px !important; margin-right: 0; margin-bottom: 0; margin-left: 0; }",
+      ".a { margin: 0; margin-top: 4px !important; }",
+    ];
+
+    cases.forEach((css) => expect(optimize(css)).toBe(css));
+    expect(
+      optimize(".a { color: red !important; color: blue !important; }"),
+    ).toBe(".a { color: blue !important; }");
+  });
+
+  test("leaves var() and CSS-wide keywords unmerged", () => {
+    const cases = [
+      ".a { padding-top: var(--space); padding-right: 0; padding-bottom: 0; padding-left: 0; }",
+      ".a { margin: var(--space); margin-top: 4px; }",
+      ".a { margin-top: inherit; margin-right: 0; margin-bottom: 0; margin-left: 0; }",
+      ".a { color: red; color: var(--brand); }",
+    ];
+
+    cases.forEach((css) => expect(optimize(css)).toBe(css));
+    expect(
+      optimize(
+        ".a { margin-top: inherit; margin-right: inherit; margin-bottom: inherit; margin-left: inherit; }",
+      ),
+    ).toBe(".a { margin: inherit; }");
+  });
+
+  test("keeps fallbacks for older browsers", () => {
+    const cases = [
+      ".a { width: 100%; width: calc(100% - 4px); }",
+      ".a { height: 100vh; height: 100dvh; }",
+      ".a { display: -webkit-box; display: flex; }",
+      ".a { color: #fff; color: #ffffff80; }",
+      ".a { margin: 0; margin-top: calc(1rem + 1px); }",
+    ];
+
+    cases.forEach((css) => expect(optimize(css)).toBe(css));
+  });
+
+  test("doesn't reorder overlapping or hacked declarations", () => {
+    const cases = [
+      ".a { margin-top: 0; margin-inline-start: 2px; margin-right: 0; margin-bottom: 0; margin-left: 0; }",
+      ".a { margin-top: 0; margin-right: 0; *margin-bottom: 0; margin-bottom: 0; margin-left: 0; }",
+      ".a { padding-top: 0; padding-right: 0; padding-bottom: 0; padding-left: 0; padding-left: 1px\\9; }",
+    ];
+
+    cases.forEach((css) => expect(optimize(css)).toBe(css));
+  });
+
+  test("optimizes nested and at-rule blocks and maps back to the input", () => {
+    const { css, map } = runShorthandOptimizer(
+      "@media print {\n  .a {\n    row-gap: 0;\n    column-gap: 0;\n  }\n}",
+      { from: "print.css", map: true },
+    );
+
+    expect(css).toBe("@media print {\n  .a {\n    gap: 0;\n  }\n}");
+    expect(map.sources).toEqual(["print.css"]);
+  });
+});
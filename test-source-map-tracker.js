@@ -0,0 +1,149 @@
+import { jest } from "@jest/globals";
+import postcss from "postcss";
+import { SourceMapConsumer } from "source-map-js";
+import { SourceMapTracker, addSourceMapComment } from "./source-map-tracker.js";
+import { Pipeline } from "./pipeline.js";
+import { optimizeCssFile } from "./css-optimizer.js";
+
+function originalOf(map, css, text) {
+  const lines = css.split("\n");
+  const line = lines.findIndex((content) => content.includes(text));
+  const column = lines[line].indexOf(text);
+  const position = new SourceMapConsumer(map).originalPositionFor({
+    line: line + 1,
+    column,
+  });
+  return {
+    source: position.source,
+    line: position.line,
+    column: position.column,
+  };
+}
+
+describe("SourceMapTracker", () => {
+  const source =
+    ".a { color: red; }\n.b { margin: 0; }\n.c { padding: 1px; }\n";
+
+  test("maps reformatted and reordered nodes back to the original", () => {
+    const tracker = new SourceMapTracker(source, { from: "in.css" });
+    const output = ".c {\n  padding: 1px;\n}\n.a {\n  color: red;\n}\n";
+
+    tracker.track(output);
+    const map = tracker.toJSON();
+
+    expect(originalOf(map, output, ".a")).toEqual({
+      source: "in.css",
+      line: 1,
+      column: 0,
+    });
+    expect(originalOf(map, output, "padding")).toEqual({
+      source: "in.css",
+      line: 3,
+      column: 5,
+    });
+    expect(map.sourcesContent).toEqual([source]);
+  });
+
+  test("matches changed declaration values by property", () => {
+    const tracker = new SourceMapTracker(source, { from: "in.css" });
+    const output = ".a { color: blue; }\n.b { margin: 0px; }\n";
+
+    tracker.track(output);
+
+    expect(originalOf(tracker.toJSON(), output, "margin").line).toBe(2);
+  });
+
+  test("follows a stage's own source map", async () => {
+    const tracker = new SourceMapTracker(source, { from: "in.css" });
+    const input = ".a {\n  color: red;\n}\n.b {\n  margin: 0;\n}\n";
+    tracker.track(input);
+
+    const result = await postcss([
+      (root) => {
+        root.first.selector = ".renamed";
+        root.prepend(postcss.rule({ selector: ".added" }));
+      },
+    ]).process(input, {
+      from: undefined,
+      map: { inline: false, annotation: false },
+    });
+    tracker.track(result.css, result.map.toJSON());
+
+    expect(originalOf(tracker.toJSON(), result.css, ".renamed").line).toBe(1);
+    expect(originalOf(tracker.toJSON(), result.css, ".b").line).toBe(2);
+  });
+
+  test("writes file and inline sourceMappingURL comments", () => {
+    const map = new SourceMapTracker(source).toJSON();
+
+    expect(addSourceMapComment(".a{}", map, { to: "dist/out.css" })).toBe(
+      ".a{}\n/*# sourceMappingURL=out.css.map */\n",
+    );
+    expect(addSourceMapComment(".a{}\n", map, { inline: true })).toMatch(
+      /^\.a\{\}\n\/\*# sourceMappingURL=data:application\/json;base64,/,
+    );
+  });
+});
+
+describe("source maps through the pipeline", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("tracks stages and hooks that change the CSS", async () => {
+    const css = ".a { color: red; }\n.b { color: blue; }\n";
+    const context = { sourceMap: new SourceMapTracker(css) };
+    const pipeline = new Pipeline()
+      .register({ name: "reverse", run: () => ".b{color:blue}.a{color:red}" })
+      .after("reverse", (current) => current.replace(/}/g, "}\n"));
+
+    const { css: output } = await pipeline.run(css, context);
+
+    expect(originalOf(context.sourceMap.toJSON(), output, ".a").line).toBe(1);
+    expect(originalOf(context.sourceMap.toJSON(), output, ".b").line).toBe(2);
+  });
+
+  test("optimizeCssFile returns a map to the authored file", async () => {
+    const css = [
+      ".card { display: flex; word-break: break-word; }",
+      "@media (max-width: 600px) { .a { margin: 0; } }",
+      ".title { color: red; }",
+      "@media (max-width: 600px) { .b { padding: 0; } }",
+      "",
+    ].join("\n");
+
+    const result = await optimizeCssFile(css, {
+      from: "/project/src/style.css",
+      to: "/project/dist/style.css",
+      enableAI: false,
+      sourceMap: true,
+    });
+
+    expect(result.sourceMapMode).toBe("file");
+    expect(result.map.sources).toEqual(["../src/style.css"]);
+    expect(result.optimizedCode).toMatch(
+      /\/\*# sourceMappingURL=style\.css\.map \*\/\n$/,
+    );
+    expect(
+      originalOf(result.map, result.optimizedCode, "overflow-wrap"),
+    ).toEqual({ source: "../src/style.css", line: 1, column: 23 });
+    expect(originalOf(result.map, result.optimizedCode, ".b").line).toBe(4);
+    expect(originalOf(result.map, result.optimizedCode, ".title").line).toBe(3);
+  });
+
+  test("leaves the map out unless source maps are enabled", async () => {
+    const result = await optimizeCssFile(".a { color: red; }", {
+      enableAI: false,
+      sourceMap: false,
+    });
+
+    expect(result.map).toBeNull();
+    expect(result.optimizedCode).not.toContain("sourceMappingURL");
+  });
+});
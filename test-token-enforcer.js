@@ -0,0 +1,126 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import {
+  flattenTokens,
+  loadTokens,
+  parseColor,
+  runTokenEnforcer,
+} from "./token-enforcer.js";
+
+const tokens = flattenTokens({
+  color: {
+    $type: "color",
+    primary: { $value: "#1a73e8" },
+    overlay: { $value: "rgba(0, 0, 0, 0.5)" },
+    alias: { $value: "{color.primary}" },
+  },
+  space: {
+    4: { $value: "16px", $type: "dimension" },
+    2: { $value: { value: 0.5, unit: "rem" }, $type: "dimension" },
+  },
+  font: { size: { md: { $value: "16px", $type: "dimension" } } },
+  radius: { sm: { $value: "4px" } },
+  duration: { fast: { $value: "100ms", $type: "duration" } },
+});
+
+describe("Design token enforcement", () => {
+  test("flattens color and dimension tokens into custom properties", () => {
+    expect(tokens.map((token) => [token.name, token.type])).toEqual([
+      ["--color-primary", "color"],
+      ["--color-overlay", "color"],
+      ["--space-2", "dimension"],
+      ["--space-4", "dimension"],
+      ["--font-size-md", "dimension"],
+      ["--radius-sm", "dimension"],
+    ]);
+  });
+
+  test("treats hex, rgb() and hsl() forms of a color alike", () => {
+    expect(parseColor("#1A73E8")).toEqual([26, 115, 232, 1]);
+    expect(parseColor("rgb(26 115 232)")).toEqual([26, 115, 232, 1]);
+    expect(parseColor("rgba(26, 115, 232, 100%)")).toEqual([26, 115, 232, 1]);
+    expect(parseColor("hsl(214.1deg 81.8% 50.6%)")).toEqual([26, 115, 232, 1]);
+    expect(parseColor("#0008")).toEqual([0, 0, 0, 0.533]);
+    expect(parseColor("red")).toBeNull();
+  });
+
+  test("replaces literal values with var() references", () => {
+    const { css, changes } = runTokenEnforcer(
+      [
+        ":root { --color-primary: #1a73e8; }",
+        ".a { color: rgb(26, 115, 232); border: 1px solid #1A73E8; }",
+        ".b { margin: 16px 0.5rem; font-size: 16px; border-radius: 4px; }",
+        ".c { background: hsla(0, 0%, 0%, .5); width: 16px; }",
+      ].join("\n"),
+      { tokens },
+    );
+
+    expect(css).toBe(
+      [
+        ":root { --color-primary: #1a73e8; }",
+        ".a { color: var(--color-primary); border: 1px solid var(--color-primary); }",
+        ".b { margin: var(--space-4) var(--space-2); font-size: var(--font-size-md); border-radius: var(--radius-sm); }",
+        ".c { background: var(--color-overlay); width: 16px; }",
+      ].join("\n"),
+    );
+    expect(changes).toEqual([
+      expect.objectContaining({
+        rule: "token-reference",
+        line: 2,
+        message: "Replaced rgb(26, 115, 232) → var(--color-primary)",
+      }),
+      expect.objectContaining({ line: 2 }),
+      expect.objectContaining({ line: 3 }),
+      expect.objectContaining({ line: 3 }),
+      expect.objectContaining({ line: 3 }),
+      expect.objectContaining({ line: 4 }),
+    ]);
+  });
+
+  test("reports near misses without changing them", () => {
+    const css =
+      ".a { color: #1a73e9; padding: 15px; font-size: 15px; top: 10px; }";
+
+    const result = runTokenEnforcer(css, { tokens });
+
+    expect(result.css).toBe(css);
+    expect(result.warnings.map((warning) => warning.message)).toEqual([
+      "#1a73e9 is close to --color-primary (#1a73e8); use var(--color-primary) if it should be the token",
+      "15px is close to --space-4 (16px); use var(--space-4) if it should be the token",
+      "15px is close to --font-size-md (16px); use var(--font-size-md) if it should be the token",
+    ]);
+    expect(
+      runTokenEnforcer(css, { tokens, nearMisses: false }).warnings,
+    ).toEqual([]);
+  });
+
+  test("loads tokens files and reports broken ones", async () => {
+    const tmpDir = await fs.mkdtemp(
+      path.join(os.tmpdir(), "css-optimizer-tokens-"),
+    );
+    try {
+      await fs.writeJson(path.join(tmpDir, "tokens.json"), {
+        brand: { $value: "#ff0000", $type: "color" },
+      });
+      await fs.writeFile(path.join(tmpDir, "broken.json"), "{");
+
+      expect(await loadTokens(path.join(tmpDir, "tokens.json"))).toEqual([
+        {
+          name: "--brand",
+          path: "brand",
+          type: "color",
+          value: [255, 0, 0, 1],
+        },
+      ]);
+      await expect(
+        loadTokens(path.join(tmpDir, "broken.json")),
+      ).rejects.toMatchObject({ type: "CONFIG_ERROR" });
+      await expect(
+        loadTokens(path.join(tmpDir, "missing.json")),
+      ).rejects.toMatchObject({ name: "FileIOError" });
+    } finally {
+      await fs.remove(tmpDir);
+    }
+  });
+});
@@ -0,0 +1,61 @@
+import { createUnifiedDiff } from "./unified-diff.js";
+
+describe("createUnifiedDiff", () => {
+  const lines = (count) =>
+    Array.from({ length: count }, (_, i) => `line ${i + 1}`).join("\n") + "\n";
+
+  test("returns an empty string for identical texts", () => {
+    expect(createUnifiedDiff("a\n", "a\n")).toBe("");
+  });
+
+  test("writes hunks with three lines of context", () => {
+    const before = lines(12);
+    const after = before.replace("line 2\n", "line two\n");
+
+    expect(
+      createUnifiedDiff(before, after, {
+        fromFile: "a/x.css",
+        toFile: "b/x.css",
+      }),
+    ).toBe(
+      [
+        "--- a/x.css",
+        "+++ b/x.css",
+        "@@ -1,5 +1,5 @@",
+        " line 1",
+        "-line 2",
+        "+line two",
+        " line 3",
+        " line 4",
+        " line 5",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  test("splits distant changes into separate hunks", () => {
+    const before = lines(20);
+    const after = before
+      .replace("line 2\n", "")
+      .replace("line 18\n", "line 18\nnew\n");
+
+    const diff = createUnifiedDiff(before, after);
+
+    expect(diff.match(/^@@ .* @@$/gm)).toEqual([
+      "@@ -1,5 +1,4 @@",
+      "@@ -16,5 +15,6 @@",
+    ]);
+  });
+
+  test("marks a missing newline at the end of the file", () => {
+    expect(createUnifiedDiff("a\n", "a\nb")).toBe(
+      "--- a\n+++ b\n@@ -1 +1,2 @@\n a\n+b\n\\ No newline at end of file\n",
+    );
+  });
+
+  test("falls back to one replacement hunk above maxEdits", () => {
+    const diff = createUnifiedDiff("a\nb\nc\n", "x\nb\ny\n", { maxEdits: 1 });
+
+    expect(diff).toContain("@@ -1,3 +1,3 @@\n-a\n-b\n-c\n+x\n+b\n+y\n");
+  });
+});
@@ -0,0 +1,130 @@
+import { runUnusedDefinitionRemover } from "./unused-definitions.js";
+
+const clean = (css, options) => runUnusedDefinitionRemover(css, options).css;
+
+describe("Unused definition removal", () => {
+  test("removes custom properties never read, following var() chains", () => {
+    const { css, changes } = runUnusedDefinitionRemover(
+      [
+        ":root { --a: 1px; --b: var(--c); --c: red; --d: var(--e); --e: blue; }",
+        ".x { margin: var(--a); color: var(--b); }",
+      ].join("\n"),
+    );
+
+    expect(css).toBe(
+      ":root { --a: 1px; --b: var(--c); --c: red; }\n.x { margin: var(--a); color: var(--b); }",
+    );
+    expect(changes).toEqual([
+      expect.objectContaining({
+        rule: "unused-custom-property",
+        line: 1,
+        before: "--d: var(--e)",
+      }),
+      expect.objectContaining({
+        rule: "unused-custom-property",
+        before: "--e: blue",
+      }),
+    ]);
+  });
+
+  test("counts fallbacks, style queries and @property registrations", () => {
+    const css = [
+      "@property --angle { syntax: '<angle>'; inherits: false; initial-value: 0deg; }",
+      ":root { --theme: dark; --space: 4px; }",
+      "@container style(--theme: dark) { .x { rotate: var(--angle); } }",
+      ".y { margin: var(--missing, var(--space)); }",
+    ].join("\n");
+
+    expect(clean(css)).toBe(css);
+    expect(
+      clean(
+        "@property --unused { syntax: '*'; inherits: true; }\n.a { color: red; }",
+      ),
+    ).toBe(".a { color: red; }");
+  });
+
+  test("removes keyframes no animation names", () => {
+    const css = [
+      ":root { --anim: pulse; }",
+      ".a { animation: spin 1s linear; }",
+      ".b { -webkit-animation-name: fade; animation-name: var(--anim); }",
+      "@keyframes spin { to { rotate: 1turn; } }",
+      "@-webkit-keyframes fade { to { opacity: 0; } }",
+      '@keyframes "pulse" { to { opacity: 0; } }',
+      "@keyframes unused { to { opacity: 0; } }",
+      "@media print { @keyframes unused-print { to { opacity: 0; } } }",
+    ].join("\n");
+
+    const { css: output, changes } = runUnusedDefinitionRemover(css);
+
+    expect(output).toBe(css.split("\n").slice(0, 6).join("\n"));
+    expect(changes.map((change) => [change.rule, change.line])).toEqual([
+      ["unused-keyframes", 7],
+      ["unused-keyframes", 8],
+    ]);
+  });
+
+  test("removes font faces whose family is never used", () => {
+    const css = [
+      '@font-face { font-family: "Open Sans"; src: url(open-sans.woff2); }',
+      "@font-face { font-family: Inter; src: url(inter.woff2); }",
+      "@font-face { font-family: Unused; src: url(unused.woff2); }",
+      ".a { font: italic 16px/1.5 'open  sans', sans-serif; }",
+      ".b { font-family: system-ui, Inter; }",
+    ].join("\n");
+
+    expect(clean(css)).toBe(
+      css
+        .split("\n")
+        .filter((line) => !line.includes("Unused"))
+        .join("\n"),
+    );
+  });
+
+  test("removes counter styles no list or counter uses", () => {
+    const css = [
+      "@counter-style base { system: cyclic; symbols: '*'; }",
+      "@counter-style fancy { system: extends base; }",
+      "@counter-style steps { system: numeric; symbols: '0' '1'; }",
+      "@counter-style unused { system: cyclic; symbols: '-'; }",
+      "ol { list-style: fancy inside; }",
+      "li::before { content: counter(item, steps); }",
+    ].join("\n");
+
+    expect(clean(css)).toBe(
+      css
+        .split("\n")
+        .filter((line) => !line.includes("unused"))
+        .join("\n"),
+    );
+  });
+
+  test("keeps allowlisted names and kinds that are turned off", () => {
+    const css = [
+      ":root { --js-token: 1; --brand-red: red; }",
+      "@keyframes spin { to { rotate: 1turn; } }",
+      "@font-face { font-family: Icons; src: url(icons.woff2); }",
+    ].join("\n");
+
+    expect(
+      clean(css, { keep: ["--js-token", /^--brand-/, "spin", "Icons"] }),
+    ).toBe(css);
+    expect(
+      clean(css, {
+        variables: false,
+        keyframes: false,
+        fontFace: false,
+      }),
+    ).toBe(css);
+  });
+
+  test("drops rules left empty and maps back to the input", () => {
+    const { css, map } = runUnusedDefinitionRemover(
+      ":root {\n  --unused: 1;\n}\n.a {\n  color: red;\n}",
+      { from: "tokens.css", map: true },
+    );
+
+    expect(css).toBe(".a {\n  color: red;\n}");
+    expect(map.sources).toEqual(["tokens.css"]);
+  });
+});
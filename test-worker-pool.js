@@ -0,0 +1,193 @@
+import { jest } from "@jest/globals";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { WorkerPool, mapConcurrent } from "./worker-pool.js";
+import { configureOptimizer, createOptimizerPool } from "./css-optimizer.js";
+import { FileIOError } from "./error-handler.js";
+
+const WORKER_SOURCE = `
+import { parentPort } from "worker_threads";
+
+parentPort.on("message", ({ id, task }) => {
+  if (task === "crash") process.exit(3);
+  if (task === "fail") {
+    parentPort.postMessage({ id, error: { name: "Error", message: "failed" } });
+    return;
+  }
+  setTimeout(() => parentPort.postMessage({ id, result: task * 2 }), 20 - task);
+});
+`;
+
+describe("mapConcurrent", () => {
+  test("keeps results in order and limits calls in flight", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const progress = [];
+
+    const results = await mapConcurrent(
+      [30, 10, 20, 5],
+      2,
+      async (delay, index) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        running--;
+        return index;
+      },
+      {
+        onProgress: ({ completed, index }) => progress.push([completed, index]),
+      },
+    );
+
+    expect(results).toEqual([0, 1, 2, 3]);
+    expect(maxRunning).toBe(2);
+    expect(progress.map(([completed]) => completed)).toEqual([1, 2, 3, 4]);
+  });
+});
+
+describe("WorkerPool", () => {
+  let dir;
+  let pool;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "css-optimizer-pool-"));
+    const script = path.join(dir, "worker.mjs");
+    await fs.writeFile(script, WORKER_SOURCE);
+    pool = new WorkerPool(script, { size: 2 });
+  });
+
+  afterEach(async () => {
+    await pool.close();
+    await fs.remove(dir);
+  });
+
+  test("runs tasks on up to `size` workers", async () => {
+    const results = await Promise.all([1, 2, 3, 4, 5].map((n) => pool.run(n)));
+
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(pool.workers.length).toBe(2);
+  });
+
+  test("fails only the task of a crashed worker and replaces it", async () => {
+    const results = await Promise.allSettled([
+      pool.run("crash"),
+      pool.run(1),
+      pool.run("fail"),
+      pool.run(2),
+    ]);
+
+    expect(results[0].reason.message).toBe("Worker stopped with exit code 3");
+    expect(results[1].value).toBe(2);
+    expect(results[2].reason).toEqual({ name: "Error", message: "failed" });
+    expect(results[3].value).toBe(4);
+  });
+
+  test("rejects queued tasks once closed", async () => {
+    await pool.close();
+
+    await expect(pool.run(1)).rejects.toThrow("Worker pool is closed");
+  });
+});
+
+describe("createOptimizerPool", () => {
+  let projectDir;
+
+  beforeAll(async () => {
+    // Keep the cache in a throwaway project
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), "css-optimizer-"));
+    await configureOptimizer({ cwd: projectDir, env: {} });
+  });
+
+  afterAll(async () => {
+    await fs.remove(projectDir);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("misses the cache when a run option changing the output changes", async () => {
+    const tokens = path.join(projectDir, "tokens.json");
+    await fs.writeJson(tokens, {
+      brand: { $value: "#ff0000", $type: "color" },
+    });
+    const pool = createOptimizerPool({ concurrency: 1 });
+    const css = ".a { color: red; }\n.a { margin: 0; }";
+    const base = { enableAI: false, changes: false };
+
+    try {
+      const variants = [
+        { ...base, removeUnused: { keep: ["--brand"] } },
+        { ...base, removeUnused: { keep: ["--accent"] } },
+        { ...base, mergeRules: true },
+        { ...base, shorthands: false },
+        { ...base, tokens: { file: tokens, nearMisses: false } },
+        { ...base, tokens: { file: tokens, nearMisses: true } },
+      ];
+      for (const options of variants) {
+        expect(await pool.optimizeCssFile(css, options)).not.toHaveProperty(
+          "cached",
+        );
+      }
+      expect(
+        await pool.optimizeCssFile(css, variants[variants.length - 1]),
+      ).toMatchObject({ cached: true });
+    } finally {
+      await pool.close();
+    }
+  });
+
+  test("never starts more workers than tasks", async () => {
+    const pool = createOptimizerPool({ concurrency: 8, tasks: 1 });
+
+    expect(pool.size).toBe(1);
+    await pool.close();
+  });
+
+  test("optimizes on worker threads and keeps error types", async () => {
+    const pool = createOptimizerPool({ concurrency: 2 });
+
+    try {
+      const [first, second] = await Promise.all([
+        pool.optimizeCssFile(".a { color: red; }", {
+          enableAI: false,
+          changes: false,
+        }),
+        pool.optimizeCssFile(".b { word-break: break-word; }", {
+          enableAI: false,
+          changes: false,
+        }),
+      ]);
+
+      expect(first.optimizedCode).toContain(".a");
+      expect(second.optimizedCode).toContain("overflow-wrap: break-word");
+
+      // Workers share the project cache
+      const again = await pool.optimizeCssFile(".a { color: red; }", {
+        enableAI: false,
+        changes: false,
+      });
+      expect(again).toMatchObject({
+        cached: true,
+        optimizedCode: first.optimizedCode,
+      });
+      expect(
+        await fs.pathExists(path.join(projectDir, ".cache/css-optimizer")),
+      ).toBe(true);
+      await expect(
+        pool.optimizeCss("/does/not/exist.css", "/tmp/out.css", {
+          createBackup: false,
+        }),
+      ).rejects.toBeInstanceOf(FileIOError);
+    } finally {
+      await pool.close();
+    }
+  }, 60000);
+});
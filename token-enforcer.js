@@ -0,0 +1,407 @@
+import fs from "fs-extra";
+import safeParser from "postcss-safe-parser";
+import valueParser from "postcss-value-parser";
+import { FileIOError, OptimizerError } from "./error-handler.js";
+
+/**
+ * Design token enforcement
+ *
+ * Replaces literal colors and dimensions that equal a token of a W3C design
+ * tokens file with a reference to it: `#1a73e8` → `var(--color-primary)`
+ * for the token `color.primary`. Colors are compared as RGBA, so hex, rgb()
+ * and hsl() forms of the same color match. When several tokens have the
+ * same dimension, the one whose name fits the property wins (a `space`
+ * token for margins, a `font` token for font sizes); if none does, the
+ * value is left alone. Values just off a token (`#1a73e9`, `15px` next to
+ * `16px`) are reported as near misses.
+ */
+
+const COLOR_FUNCTIONS = /^(rgba?|hsla?)$/i;
+const DIMENSION = /^(\d*\.?\d+)(px|rem|em)$/i;
+const DEFAULT_COLOR_TOLERANCE = 3;
+const DEFAULT_DIMENSION_TOLERANCE_PX = 1;
+
+const PROPERTY_HINTS = [
+  [
+    /^(margin|padding|inset|top|right|bottom|left)(-|$)|^((row|column)-)?gap$/,
+    /^(space|spacing|gap|gutter)/,
+  ],
+  [
+    /^(font-size|line-height|letter-spacing)$/,
+    /^(font|text|type|line|leading|tracking)/,
+  ],
+  [/radius$/, /^(radius|radii|rounded|corner)/],
+  [
+    /^((min|max)-)?(width|height|block-size|inline-size)$/,
+    /^(size|sizing|width|height)/,
+  ],
+  [/^(border|outline)(-[a-z]+)?-width$/, /^(border|outline|stroke)/],
+];
+
+/**
+ * Read a tokens file and flatten it with flattenTokens()
+ */
+export async function loadTokens(file) {
+  let document;
+  try {
+    document = await fs.readJson(file);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new OptimizerError(
+        `Invalid tokens file ${file}: ${error.message}`,
+        { type: "CONFIG_ERROR", file, cause: error },
+      );
+    }
+    throw new FileIOError(`Cannot read tokens file ${file}`, {
+      file,
+      code: error.code,
+      cause: error,
+    });
+  }
+  return flattenTokens(document);
+}
+
+/**
+ * The color and dimension tokens of a W3C design tokens document as
+ * `{ name, path, type, value }`, `name` being the custom property
+ * (`--color-primary` for `color.primary`). Aliases (`{color.brand}`) and
+ * other types are skipped.
+ */
+export function flattenTokens(document, path = [], inheritedType = null) {
+  const tokens = [];
+  const type = document.$type || inheritedType;
+
+  for (const [key, node] of Object.entries(document)) {
+    if (key.startsWith("$") || !node || typeof node !== "object") continue;
+
+    if (!("$value" in node)) {
+      tokens.push(...flattenTokens(node, [...path, key], type));
+      continue;
+    }
+
+    const tokenPath = [...path, key];
+    const tokenType = node.$type || type || inferType(node.$value);
+    const value =
+      tokenType === "color"
+        ? parseTokenColor(node.$value)
+        : tokenType === "dimension"
+          ? parseTokenDimension(node.$value)
+          : null;
+    if (!value) continue;
+
+    tokens.push({
+      name: `--${tokenPath.join("-")}`,
+      path: tokenPath.join("."),
+      type: tokenType,
+      value,
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Replace literal values matching a token in a PostCSS root. Returns the
+ * change records and near-miss warnings.
+ */
+export function enforceTokens(root, tokens, options = {}) {
+  const colorTolerance = options.colorTolerance ?? DEFAULT_COLOR_TOLERANCE;
+  const dimensionTolerance =
+    options.dimensionTolerance ?? DEFAULT_DIMENSION_TOLERANCE_PX;
+  const colors = tokens.filter((token) => token.type === "color");
+  const dimensions = tokens.filter((token) => token.type === "dimension");
+  const tokenNames = new Set(tokens.map((token) => token.name));
+  const file = root.source?.input?.file || options.from || null;
+  const changes = [];
+  const warnings = [];
+
+  root.walkDecls((decl) => {
+    // Leave the token definitions themselves alone
+    if (tokenNames.has(decl.prop)) return;
+
+    const prop = decl.prop.toLowerCase();
+    const parsed = valueParser(decl.value);
+    const before = decl.toString();
+    const replaced = [];
+    const start = decl.source?.start || {};
+
+    const replace = (node, literal, token) => {
+      Object.assign(node, {
+        type: "function",
+        value: "var",
+        before: "",
+        after: "",
+        nodes: [{ type: "word", value: token.name }],
+      });
+      replaced.push(`${literal} → var(${token.name})`);
+    };
+    const warn = (literal, token, expected) => {
+      warnings.push({
+        rule: "token-near-miss",
+        message: `${literal} is close to ${token.name} (${expected}); use var(${token.name}) if it should be the token`,
+        file,
+        line: start.line ?? null,
+        column: start.column ?? null,
+      });
+    };
+
+    parsed.walk((node) => {
+      if (node.type === "function") {
+        const name = node.value.toLowerCase();
+        if (!COLOR_FUNCTIONS.test(name)) {
+          return ["var", "env", "url"].includes(name) ? false : undefined;
+        }
+        const literal = valueParser.stringify(node);
+        matchColor(literal, node);
+        return false;
+      }
+      if (node.type !== "word") return undefined;
+
+      if (node.value.startsWith("#")) {
+        matchColor(node.value, node);
+      } else if (DIMENSION.test(node.value)) {
+        matchDimension(node.value, node);
+      }
+      return undefined;
+    });
+
+    function matchColor(literal, node) {
+      const rgba = parseColor(literal);
+      if (!rgba) return;
+
+      let closest = null;
+      for (const token of colors) {
+        const distance = colorDistance(rgba, token.value);
+        if (distance === 0) {
+          replace(node, literal, token);
+          return;
+        }
+        if (!closest || distance < closest.distance) {
+          closest = { token, distance };
+        }
+      }
+      if (
+        options.nearMisses !== false &&
+        closest &&
+        closest.distance <= colorTolerance
+      ) {
+        warn(literal, closest.token, formatColor(closest.token.value));
+      }
+    }
+
+    function matchDimension(literal, node) {
+      const dimension = parseTokenDimension(literal);
+      const exact = dimensions.filter(
+        (token) =>
+          token.value.value === dimension.value &&
+          token.value.unit === dimension.unit,
+      );
+      const token = selectToken(exact, prop);
+      if (token) {
+        replace(node, literal, token);
+        return;
+      }
+      if (exact.length > 0 || options.nearMisses === false) return;
+
+      const px = toPx(dimension);
+      const near = dimensions
+        .map((candidate) => ({
+          candidate,
+          distance: Math.abs(toPx(candidate.value) - px),
+        }))
+        .filter(
+          ({ distance }) => distance > 0 && distance <= dimensionTolerance,
+        )
+        .sort((a, b) => a.distance - b.distance);
+      const closest = selectToken(
+        near
+          .filter(({ distance }) => distance === near[0].distance)
+          .map(({ candidate }) => candidate),
+        prop,
+      );
+      if (closest) {
+        warn(literal, closest, `${closest.value.value}${closest.value.unit}`);
+      }
+    }
+
+    if (replaced.length === 0) return;
+    decl.value = parsed.toString();
+    changes.push({
+      rule: "token-reference",
+      message: `Replaced ${replaced.join(", ")}`,
+      file,
+      line: start.line ?? null,
+      column: start.column ?? null,
+      before,
+      after: decl.toString(),
+    });
+  });
+
+  return { changes, warnings };
+}
+
+/**
+ * Parse CSS and replace literal values with token references. With
+ * `map: true` the result also has a source map back to the input CSS.
+ */
+export function runTokenEnforcer(css, options = {}) {
+  const root = safeParser(css, { from: options.from });
+  const { changes, warnings } = enforceTokens(
+    root,
+    options.tokens || [],
+    options,
+  );
+
+  if (!options.map) {
+    return { css: root.toString(), changes, warnings };
+  }
+
+  const result = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { css: result.css, changes, warnings, map: result.map.toJSON() };
+}
+
+/**
+ * `[r, g, b, a]` (0-255, alpha 0-1) of a hex, rgb() or hsl() color, or
+ * null for anything else
+ */
+export function parseColor(value) {
+  const color = value.trim().toLowerCase();
+
+  const hex = color.match(/^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = [...digits].map((digit) => digit + digit).join("");
+    }
+    const channels = digits.match(/../g).map((pair) => parseInt(pair, 16));
+    return [
+      ...channels.slice(0, 3),
+      channels.length === 4 ? round(channels[3] / 255) : 1,
+    ];
+  }
+
+  const fn = color.match(/^(rgba?|hsla?)\((.*)\)$/);
+  if (!fn) return null;
+  const args = fn[2]
+    .replace(/\s*\/\s*/, " / ")
+    .split(/[\s,]+/)
+    .filter((arg) => arg && arg !== "/");
+  if (args.length < 3 || args.length > 4) return null;
+
+  const alpha = args[3] === undefined ? 1 : parseNumber(args[3], 1);
+  if (alpha === null) return null;
+
+  if (fn[1].startsWith("rgb")) {
+    const channels = args.slice(0, 3).map((arg) => parseNumber(arg, 255));
+    if (channels.includes(null)) return null;
+    return [...channels.map((channel) => Math.round(channel)), round(alpha)];
+  }
+
+  // Saturation and lightness are percentages, with or without the sign
+  const [hue, saturation, lightness] = args
+    .slice(0, 3)
+    .map((arg, index) => parseFloat(arg) / (index === 0 ? 1 : 100));
+  if ([hue, saturation, lightness].some(Number.isNaN)) return null;
+  return [...hslToRgb(hue, saturation, lightness), round(alpha)];
+}
+
+function parseTokenColor(value) {
+  if (typeof value === "string") return parseColor(value);
+  if (value && typeof value === "object") {
+    if (typeof value.hex === "string") {
+      const rgba = parseColor(value.hex);
+      return rgba && [...rgba.slice(0, 3), round(value.alpha ?? rgba[3])];
+    }
+    if (value.colorSpace === "srgb" && Array.isArray(value.components)) {
+      return [
+        ...value.components.map((component) => Math.round(component * 255)),
+        round(value.alpha ?? 1),
+      ];
+    }
+  }
+  return null;
+}
+
+function parseTokenDimension(value) {
+  if (value && typeof value === "object") {
+    return typeof value.value === "number" && /^(px|rem|em)$/.test(value.unit)
+      ? { value: value.value, unit: value.unit }
+      : null;
+  }
+  const match = typeof value === "string" && value.trim().match(DIMENSION);
+  return match
+    ? { value: parseFloat(match[1]), unit: match[2].toLowerCase() }
+    : null;
+}
+
+function inferType(value) {
+  if (parseTokenDimension(value)) return "dimension";
+  if (typeof value === "string" && parseColor(value)) return "color";
+  return null;
+}
+
+/**
+ * The token to use for a value several tokens share: the one whose top
+ * group fits the property, otherwise the only token, if its group doesn't
+ * point at another kind of property
+ */
+function selectToken(candidates, prop) {
+  if (candidates.length === 0) return null;
+
+  const group = (token) => token.path.split(".")[0];
+  const hint = PROPERTY_HINTS.find(([properties]) => properties.test(prop));
+  if (hint) {
+    const fitting = candidates.find((token) => hint[1].test(group(token)));
+    if (fitting) return fitting;
+  }
+
+  const generic = candidates.filter(
+    (token) => !PROPERTY_HINTS.some(([, names]) => names.test(group(token))),
+  );
+  return generic.length === 1 ? generic[0] : null;
+}
+
+function colorDistance(a, b) {
+  if (Math.abs(a[3] - b[3]) > 0.01) return Infinity;
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function formatColor([r, g, b, a]) {
+  const hex = [r, g, b]
+    .map((channel) => channel.toString(16).padStart(2, "0"))
+    .join("");
+  return a === 1 ? `#${hex}` : `rgba(${r}, ${g}, ${b}, ${a})`;
+}
+
+function toPx({ value, unit }) {
+  return unit === "px" ? value : value * 16;
+}
+
+/**
+ * A number or percentage, percentages scaled to `max`
+ */
+function parseNumber(arg, max) {
+  const number = parseFloat(arg);
+  if (Number.isNaN(number)) return null;
+  return arg.endsWith("%") ? (number / 100) * max : number;
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const h = (((hue % 360) + 360) % 360) / 360;
+  const channel = (offset) => {
+    const k = (offset + h * 12) % 12;
+    const a = saturation * Math.min(lightness, 1 - lightness);
+    return Math.round(
+      (lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255,
+    );
+  };
+  return [channel(0), channel(8), channel(4)];
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default runTokenEnforcer;
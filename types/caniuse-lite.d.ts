@@ -0,0 +1,5 @@
+// Type declarations for caniuse-lite
+declare module "caniuse-lite" {
+  const caniuse: any;
+  export default caniuse;
+}
@@ -0,0 +1,6 @@
+// Type declarations for sort-css-media-queries
+declare module "sort-css-media-queries" {
+  type Comparator = (a: string, b: string) => number;
+  const sortCSSmq: Comparator & { desktopFirst: Comparator };
+  export default sortCSSmq;
+}
@@ -0,0 +1,217 @@
+/**
+ * Unified diff between two texts, in the format `git apply` and `patch`
+ * understand. Lines are compared with Myers' algorithm; when the texts
+ * differ by more than `maxEdits` lines the changed region is emitted as a
+ * single replacement hunk to keep memory bounded.
+ */
+
+const DEFAULT_MAX_EDITS = 4000;
+
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const {
+    fromFile = "a",
+    toFile = "b",
+    context = 3,
+    maxEdits = DEFAULT_MAX_EDITS,
+  } = options;
+
+  if (oldText === newText) return "";
+
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const edits = diffLines(oldLines, newLines, maxEdits);
+  const hunks = createHunks(edits, context);
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  hunks.forEach((hunk) => {
+    output.push(
+      `@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@`,
+    );
+    hunk.lines.forEach((line) => {
+      output.push(line.text);
+      if (line.noNewline) output.push("\\ No newline at end of file");
+    });
+  });
+
+  return `${output.join("\n")}\n`;
+}
+
+/**
+ * Split into lines, remembering whether the last one ended with a newline
+ */
+function splitLines(text) {
+  if (text === "") return [];
+  const lines = text.split("\n");
+  const endsWithNewline = lines[lines.length - 1] === "";
+  if (endsWithNewline) lines.pop();
+  return lines.map((line, index) => ({
+    text: line,
+    noNewline: !endsWithNewline && index === lines.length - 1,
+  }));
+}
+
+function sameLine(a, b) {
+  return a.text === b.text && a.noNewline === b.noNewline;
+}
+
+/**
+ * Edit script as a list of { type: " " | "-" | "+", line }
+ */
+function diffLines(oldLines, newLines, maxEdits) {
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    sameLine(oldLines[start], newLines[start])
+  ) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    sameLine(oldLines[oldEnd - 1], newLines[newEnd - 1])
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const middle = myers(oldMiddle, newMiddle, maxEdits) || [
+    ...oldMiddle.map((line) => ({ type: "-", line })),
+    ...newMiddle.map((line) => ({ type: "+", line })),
+  ];
+
+  return [
+    ...oldLines.slice(0, start).map((line) => ({ type: " ", line })),
+    ...middle,
+    ...oldLines.slice(oldEnd).map((line) => ({ type: " ", line })),
+  ];
+}
+
+/**
+ * Myers' O(ND) diff. Returns null when more than `maxEdits` edits are needed.
+ */
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && sameLine(a[x], b[y])) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, d);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b, lastD) {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = lastD; d > 0; d--) {
+    // trace[d] holds v[-d - 1 .. d + 1] as it was before step d
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: " ", line: a[--x] });
+      y--;
+    }
+
+    if (x === prevX) {
+      edits.push({ type: "+", line: b[--y] });
+    } else {
+      edits.push({ type: "-", line: a[--x] });
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    edits.push({ type: " ", line: a[--x] });
+    y--;
+  }
+
+  return edits.reverse();
+}
+
+function createHunks(edits, context) {
+  // Line numbers (1-based) in each text at every edit
+  const oldLineAt = [];
+  const newLineAt = [];
+  let oldLine = 1;
+  let newLine = 1;
+  edits.forEach((edit) => {
+    oldLineAt.push(oldLine);
+    newLineAt.push(newLine);
+    if (edit.type !== "+") oldLine++;
+    if (edit.type !== "-") newLine++;
+  });
+
+  const groups = [];
+  edits.forEach((edit, index) => {
+    if (edit.type === " ") return;
+    const group = groups[groups.length - 1];
+    if (group && index - group.last <= context * 2 + 1) {
+      group.last = index;
+    } else {
+      groups.push({ first: index, last: index });
+    }
+  });
+
+  return groups.map(({ first, last }) => {
+    const start = Math.max(0, first - context);
+    const end = Math.min(edits.length, last + context + 1);
+    const lines = edits.slice(start, end);
+
+    return {
+      oldStart: oldLineAt[start],
+      newStart: newLineAt[start],
+      oldCount: lines.filter((edit) => edit.type !== "+").length,
+      newCount: lines.filter((edit) => edit.type !== "-").length,
+      lines: lines.map(toLine),
+    };
+  });
+}
+
+function toLine(edit) {
+  return {
+    text: `${edit.type}${edit.line.text}`,
+    noNewline: edit.line.noNewline,
+  };
+}
+
+function formatRange(start, count) {
+  if (count === 0) return `${start - 1},0`;
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+export default createUnifiedDiff;
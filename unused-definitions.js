@@ -0,0 +1,373 @@
+import safeParser from "postcss-safe-parser";
+import valueParser from "postcss-value-parser";
+
+/**
+ * Removal of definitions nothing in the stylesheet refers to
+ *
+ * - custom properties never read by var(), following var() chains: a
+ *   property only read by unused properties is unused too
+ * - `@keyframes` never named by `animation` or `animation-name`
+ * - `@font-face` rules whose family no `font` or `font-family` uses
+ * - `@counter-style` rules no list style, counter() or other used counter
+ *   style (`system: extends`, `fallback`) refers to
+ *
+ * Custom properties go first, so names only used by removed properties are
+ * collected as well. Values of the remaining custom properties count as
+ * references for the other kinds, since they may reach them through var().
+ * Names used outside the stylesheet (read from JavaScript, set in inline
+ * styles or in another stylesheet) must be listed in `keep`, as strings or
+ * regular expressions matched against `--name`, the keyframes name, the
+ * font family or the counter style name.
+ */
+
+const KEYFRAMES = /^(-\w+-)?keyframes$/i;
+const VENDOR_PREFIX = /^-(webkit|moz|ms|o)-/i;
+
+/**
+ * Remove unused definitions from a PostCSS root. Each kind can be turned off
+ * with `variables`, `keyframes`, `fontFace` or `counterStyle: false`.
+ * Returns one change record per removal, with its source location.
+ */
+export function removeUnusedDefinitions(root, options = {}) {
+  const changes = [];
+  const file = root.source?.input?.file || options.from || null;
+  const keep = [].concat(options.keep || []);
+  const isKept = (name) =>
+    keep.some((entry) =>
+      entry instanceof RegExp ? entry.test(name) : entry === name,
+    );
+
+  const report = (rule, message, node) => {
+    const start = node.source?.start || {};
+    const before = node.toString();
+    changes.push({
+      rule,
+      message,
+      file,
+      line: start.line ?? null,
+      column: start.column ?? null,
+      before,
+      after: "",
+    });
+    removeNode(node);
+  };
+
+  if (options.variables !== false) {
+    removeUnusedVariables(root, isKept, report);
+  }
+  if (options.keyframes !== false) {
+    removeUnusedKeyframes(root, isKept, report);
+  }
+  if (options.fontFace !== false) {
+    removeUnusedFontFaces(root, isKept, report);
+  }
+  if (options.counterStyle !== false) {
+    removeUnusedCounterStyles(root, isKept, report);
+  }
+
+  return changes;
+}
+
+/**
+ * Parse CSS, remove its unused definitions and return the new CSS and
+ * changes. With `map: true` the result also has a source map back to the
+ * input CSS.
+ */
+export function runUnusedDefinitionRemover(css, options = {}) {
+  const root = safeParser(css, { from: options.from });
+  const changes = removeUnusedDefinitions(root, options);
+
+  if (!options.map) {
+    return { css: root.toString(), changes };
+  }
+
+  const result = root.toResult({
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { css: result.css, changes, map: result.map.toJSON() };
+}
+
+function removeUnusedVariables(root, isKept, report) {
+  const definitions = [];
+  const registrations = [];
+  const readBy = new Map();
+  const used = new Set();
+
+  root.walkDecls((decl) => {
+    if (decl.prop.startsWith("--")) {
+      definitions.push(decl);
+      const reads = readBy.get(decl.prop) || new Set();
+      getVariableReads(decl.value).forEach((name) => reads.add(name));
+      readBy.set(decl.prop, reads);
+    } else {
+      getVariableReads(decl.value).forEach((name) => used.add(name));
+    }
+  });
+  root.walkAtRules((atRule) => {
+    if (atRule.name.toLowerCase() === "property") {
+      registrations.push(atRule);
+    } else {
+      // Container style queries name properties without var()
+      (atRule.params.match(/--[\w-]+/g) || []).forEach((name) =>
+        used.add(name),
+      );
+    }
+  });
+
+  for (const name of readBy.keys()) {
+    if (isKept(name)) used.add(name);
+  }
+  for (const atRule of registrations) {
+    if (isKept(atRule.params.trim())) used.add(atRule.params.trim());
+  }
+
+  // Follow var() chains from the properties that are read
+  const pending = [...used];
+  while (pending.length > 0) {
+    for (const name of readBy.get(pending.pop()) || []) {
+      if (!used.has(name)) {
+        used.add(name);
+        pending.push(name);
+      }
+    }
+  }
+
+  for (const decl of definitions) {
+    if (!used.has(decl.prop)) {
+      report(
+        "unused-custom-property",
+        `Removed \`${decl.prop}\`, never read by var()`,
+        decl,
+      );
+    }
+  }
+  for (const atRule of registrations) {
+    const name = atRule.params.trim();
+    if (!used.has(name)) {
+      report(
+        "unused-custom-property",
+        `Removed the \`@property ${name}\` registration, never read by var()`,
+        atRule,
+      );
+    }
+  }
+}
+
+function removeUnusedKeyframes(root, isKept, report) {
+  const used = new Set();
+
+  root.walkDecls((decl) => {
+    const prop = decl.prop.toLowerCase().replace(VENDOR_PREFIX, "");
+    if (
+      prop === "animation" ||
+      prop === "animation-name" ||
+      decl.prop.startsWith("--")
+    ) {
+      getNames(decl.value).forEach((name) => used.add(name));
+    }
+  });
+
+  root.walkAtRules(KEYFRAMES, (atRule) => {
+    const name = unquote(atRule.params);
+    if (!used.has(name) && !isKept(name)) {
+      report(
+        "unused-keyframes",
+        `Removed \`@${atRule.name} ${name}\`, never used by an animation`,
+        atRule,
+      );
+    }
+  });
+}
+
+function removeUnusedFontFaces(root, isKept, report) {
+  const used = new Set();
+
+  root.walkDecls((decl) => {
+    const prop = decl.prop.toLowerCase();
+    if (
+      (prop === "font" || prop === "font-family" || prop.startsWith("--")) &&
+      !isInside(decl, "font-face")
+    ) {
+      getFontFamilies(decl.value).forEach((family) => used.add(family));
+    }
+  });
+
+  root.walkAtRules(/^font-face$/i, (atRule) => {
+    let family = null;
+    atRule.walkDecls(/^font-family$/i, (decl) => {
+      family = decl.value;
+    });
+    if (!family) return;
+
+    const name = normalizeFamily(family);
+    if (!used.has(name) && !isKept(unquote(family))) {
+      report(
+        "unused-font-face",
+        `Removed \`@font-face\` for ${family}, never used by font-family`,
+        atRule,
+      );
+    }
+  });
+}
+
+function removeUnusedCounterStyles(root, isKept, report) {
+  const used = new Set();
+  const refersTo = new Map();
+
+  root.walkDecls((decl) => {
+    const counterStyle = isInside(decl, "counter-style");
+    const prop = decl.prop.toLowerCase();
+    let names = getCounterStyleNames(decl.value);
+
+    if (counterStyle) {
+      if (["system", "fallback", "speak-as"].includes(prop)) {
+        names = getNames(decl.value);
+      }
+      const name = counterStyle.params.trim();
+      const refs = refersTo.get(name) || new Set();
+      names.forEach((ref) => refs.add(ref));
+      refersTo.set(name, refs);
+      return;
+    }
+
+    if (
+      prop === "list-style" ||
+      prop === "list-style-type" ||
+      prop.startsWith("--")
+    ) {
+      names = getNames(decl.value);
+    }
+    names.forEach((name) => used.add(name));
+  });
+
+  for (const name of refersTo.keys()) {
+    if (isKept(name)) used.add(name);
+  }
+
+  const pending = [...used];
+  while (pending.length > 0) {
+    for (const name of refersTo.get(pending.pop()) || []) {
+      if (!used.has(name)) {
+        used.add(name);
+        pending.push(name);
+      }
+    }
+  }
+
+  root.walkAtRules(/^counter-style$/i, (atRule) => {
+    const name = atRule.params.trim();
+    if (!used.has(name)) {
+      report(
+        "unused-counter-style",
+        `Removed \`@counter-style ${name}\`, never used by a list or counter`,
+        atRule,
+      );
+    }
+  });
+}
+
+/**
+ * Custom properties read by var() in a value, fallbacks included
+ */
+function getVariableReads(value) {
+  const names = [];
+  if (!value.includes("--")) return names;
+
+  valueParser(value).walk((node) => {
+    if (node.type === "function" && node.value.toLowerCase() === "var") {
+      const [first] = node.nodes;
+      if (first?.type === "word" && first.value.startsWith("--")) {
+        names.push(first.value);
+      }
+    }
+  });
+  return names;
+}
+
+/**
+ * Identifiers and strings in a value, wherever they appear
+ */
+function getNames(value) {
+  const names = [];
+  valueParser(value).walk((node) => {
+    if (node.type === "word" || node.type === "string") {
+      names.push(node.value);
+    }
+  });
+  return names;
+}
+
+/**
+ * Counter styles named in counter() and counters()
+ */
+function getCounterStyleNames(value) {
+  const names = [];
+  if (!/counters?\(/i.test(value)) return names;
+
+  valueParser(value).walk((node) => {
+    if (node.type === "function" && /^counters?$/i.test(node.value)) {
+      names.push(...getNames(valueParser.stringify(node.nodes)));
+    }
+  });
+  return names;
+}
+
+/**
+ * Font families a `font`, `font-family` or custom property value may name.
+ * The family in `font` follows the other parts, so every trailing run of
+ * words in a comma-separated entry is taken.
+ */
+function getFontFamilies(value) {
+  const families = [];
+  let words = [];
+
+  const addEntry = () => {
+    for (let i = 0; i < words.length; i++) {
+      families.push(normalizeFamily(words.slice(i).join(" ")));
+    }
+    words = [];
+  };
+
+  for (const node of valueParser(value).nodes) {
+    if (node.type === "div" && node.value === ",") addEntry();
+    else if (node.type === "word" || node.type === "string") {
+      words.push(node.value);
+    } else if (node.type === "div") words = [];
+  }
+  addEntry();
+
+  return families;
+}
+
+function normalizeFamily(family) {
+  return unquote(family).replace(/\s+/g, " ").toLowerCase();
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(["'])(.*)\1$/, "$2");
+}
+
+function isInside(node, atRuleName) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === "atrule" && parent.name.toLowerCase() === atRuleName) {
+      return parent;
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove a node, then any rule or at-rule block it leaves empty
+ */
+function removeNode(node) {
+  let parent = node.parent;
+  node.remove();
+
+  while (parent && parent.type !== "root" && parent.nodes.length === 0) {
+    const next = parent.parent;
+    parent.remove();
+    parent = next;
+  }
+}
+
+export default runUnusedDefinitionRemover;
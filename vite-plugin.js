@@ -1,4 +1,5 @@
-import { optimizeCssFile } from "./css-optimizer.js";
+import { optimizeCssFile, configureOptimizer } from "./css-optimizer.js";
+import { applyConfigFileOptions } from "./config-loader.js";
 import { SimplePurgeCSS } from "./simple-purgecss.js";
 import { CriticalCSSExtractor } from "./critical-css-extractor.js";
 import { FrameworkOptimizer } from "./framework-optimizer.js";
@@ -55,10 +56,17 @@ export function cssOptimizerPlugin(options = {}) {
     // Development vs Production
     applyInDev: false,
 
+    // css-optimizer.config.js to use instead of searching from the root
+    configFile: undefined,
+    // Config file profile to apply (NODE_ENV selects one otherwise)
+    profile: undefined,
+
     ...options,
   };
 
   let isProduction = false;
+  let root = process.cwd();
+  let runOptions = {};
   let cache = new Map();
   let reporter = null;
 
@@ -67,6 +75,7 @@ export function cssOptimizerPlugin(options = {}) {
 
     configResolved(config) {
       isProduction = config.command === "build" && config.isProduction;
+      root = config.root || root;
 
       if (defaultOptions.enableReporting) {
         reporter = new AdvancedReporter({
@@ -86,6 +95,15 @@ export function cssOptimizerPlugin(options = {}) {
 
       console.log("🚀 CSS Optimizer Vite Plugin - Starting optimization...");
 
+      // Project config file; options passed to the plugin take precedence
+      const loaded = await configureOptimizer({
+        configPath: defaultOptions.configFile,
+        profile: defaultOptions.profile,
+        cwd: root,
+      });
+      runOptions = loaded.runOptions;
+      applyConfigFileOptions(defaultOptions, options, loaded.config);
+
       // Initialize framework optimizer if enabled
       if (defaultOptions.enableFrameworkOptimization) {
         const frameworkOptimizer = new FrameworkOptimizer({
@@ -231,6 +249,7 @@ export function cssOptimizerPlugin(options = {}) {
         // Step 1: Basic optimization
         console.log(`   🔧 Optimizing ${fileName}...`);
         const basicResult = await optimizeCssFile(cssContent, {
+          ...runOptions,
           minify: options.minify,
           createBackup: false,
           verbose: false,
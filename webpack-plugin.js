@@ -1,4 +1,5 @@
-import { optimizeCssFile } from "./css-optimizer.js";
+import { optimizeCssFile, configureOptimizer } from "./css-optimizer.js";
+import { applyConfigFileOptions } from "./config-loader.js";
 import { SimplePurgeCSS } from "./simple-purgecss.js";
 import { CriticalCSSExtractor } from "./critical-css-extractor.js";
 import { FrameworkOptimizer } from "./framework-optimizer.js";
@@ -61,10 +62,17 @@ export class CSSOptimizerWebpackPlugin {
       include: undefined,
       exclude: /node_modules/,
 
+      // css-optimizer.config.js to use instead of searching from the context
+      configFile: undefined,
+      // Config file profile to apply (NODE_ENV selects one otherwise)
+      profile: undefined,
+
       ...options,
     };
 
     this.options = this.defaultOptions;
+    this.explicitOptions = options;
+    this.runOptions = {};
     this.cache = new Map();
     this.reporter = null;
     this.optimizationResults = [];
@@ -86,20 +94,25 @@ export class CSSOptimizerWebpackPlugin {
     compiler.hooks.beforeCompile.tapAsync(pluginName, (params, callback) => {
       console.log("🚀 CSS Optimizer Webpack Plugin - Starting optimization...");
 
-      // Initialize reporter if enabled
-      if (this.options.enableReporting) {
-        this.reporter = new AdvancedReporter({
-          outputPath: this.options.reportOutput,
-          verbose: this.options.verbose,
-        });
-      }
+      // Project config file; options passed to the plugin take precedence
+      this.loadConfigFile(compiler.context)
+        .then(() => {
+          // Initialize reporter if enabled
+          if (this.options.enableReporting) {
+            this.reporter = new AdvancedReporter({
+              outputPath: this.options.reportOutput,
+              verbose: this.options.verbose,
+            });
+          }
 
-      // Initialize framework optimizer if enabled
-      if (this.options.enableFrameworkOptimization) {
-        this.initializeFrameworkOptimizer();
-      }
+          // Initialize framework optimizer if enabled
+          if (this.options.enableFrameworkOptimization) {
+            this.initializeFrameworkOptimizer();
+          }
 
-      callback();
+          callback();
+        })
+        .catch(callback);
     });
 
     // Process CSS assets during emission
@@ -117,6 +130,16 @@ export class CSSOptimizerWebpackPlugin {
     });
   }
 
+  async loadConfigFile(context) {
+    const loaded = await configureOptimizer({
+      configPath: this.options.configFile,
+      profile: this.options.profile,
+      cwd: context || process.cwd(),
+    });
+    this.runOptions = loaded.runOptions;
+    applyConfigFileOptions(this.options, this.explicitOptions, loaded.config);
+  }
+
   async initializeFrameworkOptimizer() {
     this.frameworkOptimizer = new FrameworkOptimizer({
       type: this.options.framework.type,
@@ -254,6 +277,7 @@ export class CSSOptimizerWebpackPlugin {
       // Step 1: Basic optimization
       console.log(`   🔧 Optimizing ${fileName}...`);
       const basicResult = await optimizeCssFile(cssContent, {
+        ...this.runOptions,
         minify: this.options.minify,
         createBackup: false,
         verbose: false,
@@ -0,0 +1,151 @@
+import os from "os";
+import { Worker } from "worker_threads";
+
+/**
+ * Fixed-size pool of worker threads
+ *
+ * Tasks are queued and handed to the next idle worker. A worker script
+ * receives `{ id, task }` messages and answers `{ id, result }` or
+ * `{ id, error }`. A worker that crashes fails its current task and is
+ * replaced.
+ */
+export class WorkerPool {
+  constructor(script, options = {}) {
+    this.script = script;
+    this.size = Math.max(1, options.size || getDefaultConcurrency());
+    this.workerOptions = {
+      workerData: options.workerData,
+      // Keep worker output out of the parent's console unless asked for
+      stdout: !options.inheritOutput,
+      stderr: !options.inheritOutput,
+    };
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Run one task on the next free worker
+   */
+  run(task) {
+    if (this.closed) {
+      return Promise.reject(new Error("Worker pool is closed"));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker =
+        this.idle.pop() ||
+        (this.workers.length < this.size ? this.spawn() : null);
+      if (!worker) return;
+
+      const job = this.queue.shift();
+      worker.job = job;
+      worker.postMessage({ id: job.id, task: job.task });
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.script, this.workerOptions);
+    worker.stdout?.resume();
+    worker.stderr?.resume();
+
+    worker.on("message", ({ id, result, error }) => {
+      const { job } = worker;
+      if (!job || job.id !== id) return;
+
+      worker.job = null;
+      if (error) job.reject(error);
+      else job.resolve(result);
+
+      this.idle.push(worker);
+      this.dispatch();
+    });
+
+    const fail = (error) => {
+      this.remove(worker);
+      if (worker.job) {
+        worker.job.reject(error);
+        worker.job = null;
+      }
+      if (!this.closed) this.dispatch();
+    };
+    worker.on("error", fail);
+    worker.on("exit", (code) => {
+      if (worker.job) {
+        fail(new Error(`Worker stopped with exit code ${code}`));
+      } else {
+        this.remove(worker);
+      }
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  remove(worker) {
+    this.workers = this.workers.filter((other) => other !== worker);
+    this.idle = this.idle.filter((other) => other !== worker);
+  }
+
+  async close() {
+    this.closed = true;
+    this.queue
+      .splice(0)
+      .forEach((job) => job.reject(new Error("Worker pool is closed")));
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+/**
+ * Call `fn(item, index)` for every item with at most `limit` calls running
+ * at once. Resolves with the results in `items` order; `onProgress` receives
+ * `{ completed, total, index, item, result }` as each call finishes.
+ */
+export async function mapConcurrent(items, limit, fn, { onProgress } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let completed = 0;
+
+  const runner = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+      completed++;
+      onProgress?.({
+        completed,
+        total: items.length,
+        index,
+        item: items[index],
+        result: results[index],
+      });
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(Math.max(1, limit), items.length) }, runner),
+  );
+  return results;
+}
+
+/**
+ * Number of CPU cores available to this process
+ */
+export function getDefaultConcurrency() {
+  return typeof os.availableParallelism === "function"
+    ? os.availableParallelism()
+    : os.cpus().length || 1;
+}
+
+export default WorkerPool;